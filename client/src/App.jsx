@@ -1,9 +1,17 @@
 import { Routes, Route, Navigate } from 'react-router-dom'
 import { useAuth } from './hooks/useAuth'
 import Layout from './components/common/Layout/Layout'
+import ProtectedRoute from './components/auth/ProtectedRoute'
+import LoginPage from './pages/Login/LoginPage'
+import PortalLoginPage from './pages/Portal/PortalLoginPage'
+import PortalVerifyPage from './pages/Portal/PortalVerifyPage'
+import PortalPage from './pages/Portal/PortalPage'
 import Dashboard from './pages/Dashboard/Dashboard'
 import StudentsPage from './pages/Students/StudentsPage'
 import StudentDetailPage from './pages/Students/StudentDetailPage'
+import ImportStudentsPage from './pages/Students/ImportStudentsPage'
+import CohortsPage from './pages/Cohorts/CohortsPage'
+import CohortDashboardPage from './pages/Cohorts/CohortDashboardPage'
 import SettingsPage from './pages/Settings/SettingsPage'
 import NotFound from './pages/NotFound/NotFound'
 import './App.css'
@@ -15,11 +23,25 @@ function App() {
 
   return (
     <Routes>
-      <Route path="/" element={<Layout />}>
+      <Route path="/login" element={<LoginPage />} />
+      <Route path="/portal/login" element={<PortalLoginPage />} />
+      <Route path="/portal/verify" element={<PortalVerifyPage />} />
+      <Route path="/portal" element={<PortalPage />} />
+      <Route
+        path="/"
+        element={
+          <ProtectedRoute>
+            <Layout />
+          </ProtectedRoute>
+        }
+      >
         <Route index element={<Dashboard />} />
         <Route path="students" element={<StudentsPage />} />
         <Route path="students/new" element={<StudentsPage />} />
+        <Route path="students/import" element={<ImportStudentsPage />} />
         <Route path="students/:id" element={<StudentDetailPage />} />
+        <Route path="cohorts" element={<CohortsPage />} />
+        <Route path="cohorts/:id" element={<CohortDashboardPage />} />
         <Route path="settings" element={<SettingsPage />} />
         <Route path="*" element={<NotFound />} />
       </Route>
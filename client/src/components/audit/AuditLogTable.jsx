@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react'
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import { Badge } from '@/components/common/UI/Badge'
+import { Button } from '@/components/common/UI/Button'
+import { formatDate } from '@/utils/dateUtils'
+import auditService from '@/services/auditService'
+import { AUDIT_ACTION_OPTIONS, AUDIT_TARGET_OPTIONS } from '@/utils/constants'
+
+const ALL = 'all'
+const PAGE_SIZE = 20
+
+const ACTION_VARIANTS = {
+  delete: 'destructive',
+  export: 'secondary',
+  reset: 'destructive',
+  archive: 'secondary',
+  purge: 'destructive',
+}
+
+// Render a before/after value compactly
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function AuditDetails({ entry }) {
+  if (entry.action === 'export') {
+    const { exportType, recordCount, filename } = entry.metadata || {}
+    return (
+      <span className="text-sm text-muted-foreground">
+        {exportType} ({recordCount} rows) — {filename}
+      </span>
+    )
+  }
+
+  if (!entry.changes?.length) {
+    return <span className="text-sm text-muted-foreground">—</span>
+  }
+
+  return (
+    <ul className="space-y-1 text-sm">
+      {entry.changes.map(change => (
+        <li key={change.field} className="break-all">
+          <span className="font-medium">{change.field}</span>:{' '}
+          <span className="text-red-500 line-through">{formatValue(change.before)}</span>{' '}
+          → <span className="text-green-600">{formatValue(change.after)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function AuditLogTable() {
+  const [entries, setEntries] = useState([])
+  const [action, setAction] = useState(ALL)
+  const [targetType, setTargetType] = useState(ALL)
+  const [page, setPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [isLoading, setIsLoading] = useState(true)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      setIsLoading(true)
+      try {
+        const params = { page, limit: PAGE_SIZE }
+        if (action !== ALL) params.action = action
+        if (targetType !== ALL) params.targetType = targetType
+
+        const response = await auditService.getAuditLogs(params)
+        setEntries(response.data)
+        setTotalPages(Math.max(response.totalPages, 1))
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to fetch audit log',
+          variant: 'destructive'
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchEntries()
+  }, [action, targetType, page, toast])
+
+  const handleFilterChange = (setter) => (value) => {
+    setter(value)
+    setPage(1)
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <CardTitle>Audit Log</CardTitle>
+        <div className="flex gap-2">
+          <Select value={action} onValueChange={handleFilterChange(setAction)}>
+            <SelectTrigger className="w-[150px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All actions</SelectItem>
+              {AUDIT_ACTION_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={targetType} onValueChange={handleFilterChange(setTargetType)}>
+            <SelectTrigger className="w-[150px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>All targets</SelectItem>
+              {AUDIT_TARGET_OPTIONS.map(option => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-10">
+            <div className="loading-spinner" />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-center text-muted-foreground py-10">No audit entries found</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>When</TableHead>
+                <TableHead>Who</TableHead>
+                <TableHead>Action</TableHead>
+                <TableHead>Target</TableHead>
+                <TableHead>Details</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {entries.map(entry => (
+                <TableRow key={entry._id}>
+                  <TableCell className="whitespace-nowrap">
+                    {formatDate(entry.createdAt, 'MMM d, yyyy HH:mm')}
+                  </TableCell>
+                  <TableCell>
+                    <div className="font-medium">{entry.actor?.name || 'Unknown'}</div>
+                    <div className="text-xs text-muted-foreground">{entry.actor?.email}</div>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={ACTION_VARIANTS[entry.action] || 'default'}>{entry.action}</Badge>
+                  </TableCell>
+                  <TableCell>
+                    <div>{entry.targetLabel || entry.targetId || '—'}</div>
+                    <div className="text-xs text-muted-foreground">{entry.targetType}</div>
+                  </TableCell>
+                  <TableCell>
+                    <AuditDetails entry={entry} />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+      <CardFooter className="flex justify-between">
+        <p className="text-sm text-muted-foreground">Page {page} of {totalPages}</p>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages || isLoading}
+          >
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardFooter>
+    </Card>
+  )
+}
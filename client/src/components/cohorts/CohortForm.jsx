@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/common/UI/Form'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import cohortService from '@/services/cohortService'
+import userService from '@/services/userService'
+import { USER_ROLES } from '@/utils/constants'
+
+const NO_MENTOR = 'none'
+
+const formSchema = z.object({
+  name: z.string().min(1, { message: 'Name is required' }),
+  term: z.string().optional(),
+  mentor: z.string(),
+  startDate: z.string().optional(),
+  endDate: z.string().optional()
+}).refine(data => !data.startDate || !data.endDate || data.endDate >= data.startDate, {
+  message: 'End date must be after the start date',
+  path: ['endDate']
+})
+
+// Dates come back as ISO strings; date inputs need yyyy-MM-dd
+const toDateInput = (value) => (value ? value.slice(0, 10) : '')
+
+export default function CohortForm({ cohort, onClose, onSaved }) {
+  const [mentors, setMentors] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+  const { toast } = useToast()
+  const isEditing = Boolean(cohort)
+
+  const form = useForm({
+    resolver: zodResolver(formSchema),
+    defaultValues: {
+      name: cohort?.name || '',
+      term: cohort?.term || '',
+      mentor: cohort?.mentor?._id || NO_MENTOR,
+      startDate: toDateInput(cohort?.startDate),
+      endDate: toDateInput(cohort?.endDate)
+    }
+  })
+
+  useEffect(() => {
+    const fetchMentors = async () => {
+      try {
+        const response = await userService.getUsers({ role: USER_ROLES.MENTOR })
+        setMentors(response.data)
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to fetch mentors',
+          variant: 'destructive'
+        })
+      }
+    }
+
+    fetchMentors()
+  }, [toast])
+
+  const onSubmit = async (data) => {
+    setIsSaving(true)
+    try {
+      const payload = {
+        ...data,
+        mentor: data.mentor === NO_MENTOR ? null : data.mentor
+      }
+
+      if (isEditing) {
+        await cohortService.updateCohort(cohort._id, payload)
+      } else {
+        await cohortService.createCohort(payload)
+        form.reset()
+      }
+
+      toast({
+        title: 'Success',
+        description: `Cohort ${data.name} ${isEditing ? 'updated' : 'created'}`
+      })
+      onSaved()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to save cohort',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{isEditing ? `Edit ${cohort.name}` : 'Add Cohort'}</CardTitle>
+      </CardHeader>
+      <Form {...form}>
+        <form onSubmit={form.handleSubmit(onSubmit)}>
+          <CardContent className="grid md:grid-cols-2 gap-4">
+            <FormField
+              control={form.control}
+              name="name"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Name</FormLabel>
+                  <FormControl>
+                    <Input {...field} placeholder="2024 Juniors" />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="term"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Term</FormLabel>
+                  <FormControl>
+                    <Input {...field} placeholder="Fall 2024" />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <FormField
+              control={form.control}
+              name="mentor"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Mentor</FormLabel>
+                  <Select onValueChange={field.onChange} value={field.value}>
+                    <FormControl>
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select mentor" />
+                      </SelectTrigger>
+                    </FormControl>
+                    <SelectContent>
+                      <SelectItem value={NO_MENTOR}>No mentor</SelectItem>
+                      {mentors.map(mentor => (
+                        <SelectItem key={mentor._id} value={mentor._id}>
+                          {mentor.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+            <div className="grid grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="startDate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Start Date</FormLabel>
+                    <FormControl>
+                      <Input {...field} type="date" />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="endDate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>End Date</FormLabel>
+                    <FormControl>
+                      <Input {...field} type="date" />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </div>
+          </CardContent>
+          <CardFooter className="space-x-2">
+            {onClose && (
+              <Button type="button" variant="outline" onClick={onClose}>
+                Cancel
+              </Button>
+            )}
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : isEditing ? 'Save Cohort' : 'Create Cohort'}
+            </Button>
+          </CardFooter>
+        </form>
+      </Form>
+    </Card>
+  )
+}
@@ -1,5 +1,5 @@
 import { NavLink } from 'react-router-dom'
-import { BarChart3, Users, Settings } from 'lucide-react'
+import { BarChart3, Users, GraduationCap, Settings } from 'lucide-react'
 
 export default function Sidebar() {
   return (
@@ -41,6 +41,21 @@ export default function Sidebar() {
               Students
             </NavLink>
           </li>
+          <li>
+            <NavLink
+              to="/cohorts"
+              className={({ isActive }) =>
+                `flex items-center gap-3 px-3 py-2 rounded-md transition-colors ${
+                  isActive
+                    ? 'bg-primary text-primary-foreground'
+                    : 'hover:bg-accent hover:text-accent-foreground'
+                }`
+              }
+            >
+              <GraduationCap className="w-5 h-5" />
+              Cohorts
+            </NavLink>
+          </li>
           <li>
             <NavLink
               to="/settings"
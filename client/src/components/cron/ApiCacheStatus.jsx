@@ -0,0 +1,135 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Trash2 } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Button } from '@/components/common/UI/Button'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import cronService from '@/services/cronService'
+import { formatRelativeTime } from '@/utils/dateUtils'
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+export default function ApiCacheStatus() {
+  const [cache, setCache] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [purging, setPurging] = useState(null)
+  const { toast } = useToast()
+
+  const fetchCache = useCallback(async () => {
+    try {
+      const response = await cronService.getApiCacheStatus()
+      setCache(response.data)
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to fetch the API cache status',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [toast])
+
+  useEffect(() => {
+    fetchCache()
+  }, [fetchCache])
+
+  // Without a method the whole cache is purged
+  const handlePurge = async (method) => {
+    if (!method && !confirm('Purge every cached Codeforces response?')) return
+
+    setPurging(method || 'all')
+    try {
+      const response = await cronService.purgeApiCache(method ? { method } : {})
+      toast({
+        title: 'Success',
+        description: response.message,
+      })
+      await fetchCache()
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to purge the API cache',
+        variant: 'destructive',
+      })
+    } finally {
+      setPurging(null)
+    }
+  }
+
+  const requests = cache ? cache.hits + cache.misses : 0
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between gap-4">
+        <div className="space-y-1.5">
+          <CardTitle>Codeforces API Cache</CardTitle>
+          <CardDescription>
+            {cache?.enabled === false
+              ? 'The cache is turned off; every request goes to Codeforces.'
+              : `Responses stored to spare Codeforces. ${requests > 0 ? `${Math.round((cache.hits / requests) * 100)}% of requests since the server started were served from the cache.` : ''}`}
+          </CardDescription>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handlePurge()}
+          disabled={!!purging || !cache?.methods.length}
+        >
+          <Trash2 className="h-4 w-4 mr-2" />
+          Purge All
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        ) : !cache?.methods.length ? (
+          <p className="text-sm text-muted-foreground">Nothing is cached right now.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>API Method</TableHead>
+                  <TableHead className="text-center">Entries</TableHead>
+                  <TableHead className="text-center">Size</TableHead>
+                  <TableHead className="text-center">Hits</TableHead>
+                  <TableHead>Oldest Entry</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {cache.methods.map(entry => (
+                  <TableRow key={entry.method}>
+                    <TableCell className="font-medium">{entry.method}</TableCell>
+                    <TableCell className="text-center">{entry.entries}</TableCell>
+                    <TableCell className="text-center">{formatSize(entry.size)}</TableCell>
+                    <TableCell className="text-center">{entry.hits}</TableCell>
+                    <TableCell>{formatRelativeTime(entry.oldestStoredAt)}</TableCell>
+                    <TableCell className="text-right">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handlePurge(entry.method)}
+                        disabled={!!purging}
+                        title={`Purge ${entry.method}`}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Form, FormField, FormItem, FormLabel, FormControl, FormDescription, FormMessage } from '@/components/common/UI/Form'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import settingsService from '@/services/settingsService'
+
+// Group codes and contest IDs are edited as comma separated lists
+const splitList = (value) => value.split(/[\s,]+/).filter(Boolean)
+
+const formSchema = z.object({
+  apiKey: z.string(),
+  apiSecret: z.string(),
+  groupCodes: z.string().refine(value => splitList(value).every(code => /^[A-Za-z0-9]+$/.test(code)), {
+    message: 'Group codes may only contain letters and digits'
+  }),
+  contestIds: z.string().refine(value => splitList(value).every(id => /^\d+$/.test(id)), {
+    message: 'Contest IDs must be numbers'
+  })
+})
+
+const toFormValues = (settings) => ({
+  apiKey: settings?.apiKey || '',
+  apiSecret: '',
+  groupCodes: (settings?.groupCodes || []).join(', '),
+  contestIds: (settings?.contestIds || []).join(', ')
+})
+
+export default function CodeforcesApiSettings() {
+  const [hasApiSecret, setHasApiSecret] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const { toast } = useToast()
+
+  const form = useForm({
+    resolver: zodResolver(formSchema),
+    defaultValues: toFormValues(null)
+  })
+  const { reset } = form
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await settingsService.getCodeforcesSettings()
+        setHasApiSecret(response.data.hasApiSecret)
+        reset(toFormValues(response.data))
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to fetch the Codeforces API settings',
+          variant: 'destructive',
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchSettings()
+  }, [reset, toast])
+
+  const onSubmit = async (data) => {
+    setIsSaving(true)
+    try {
+      const response = await settingsService.updateCodeforcesSettings({
+        apiKey: data.apiKey,
+        // Left blank, the stored secret is kept
+        ...(data.apiSecret && { apiSecret: data.apiSecret }),
+        groupCodes: splitList(data.groupCodes),
+        contestIds: splitList(data.contestIds).map(Number)
+      })
+
+      setHasApiSecret(response.data.hasApiSecret)
+      reset(toFormValues(response.data))
+      toast({
+        title: 'Success',
+        description: 'Codeforces API settings saved',
+      })
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to save the Codeforces API settings',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Codeforces API</CardTitle>
+        <CardDescription>
+          Requests for private group contests and mashups are signed with this key. Create one at codeforces.com/settings/api with an account that is a member of the groups.
+        </CardDescription>
+      </CardHeader>
+      {isLoading ? (
+        <CardContent>
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        </CardContent>
+      ) : (
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <CardContent className="grid md:grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="apiKey"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>API Key</FormLabel>
+                    <FormControl>
+                      <Input {...field} autoComplete="off" />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="apiSecret"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>API Secret</FormLabel>
+                    <FormControl>
+                      <Input
+                        {...field}
+                        type="password"
+                        autoComplete="new-password"
+                        placeholder={hasApiSecret ? 'Stored; leave blank to keep it' : ''}
+                      />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="groupCodes"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Group Codes</FormLabel>
+                    <FormControl>
+                      <Input {...field} placeholder="Qv2y8xWnoB, 7kPzX1aQmC" />
+                    </FormControl>
+                    <FormDescription>From the group URL, codeforces.com/group/&lt;code&gt;</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="contestIds"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Mashup Contest IDs</FormLabel>
+                    <FormControl>
+                      <Input {...field} placeholder="104012, 104188" />
+                    </FormControl>
+                    <FormDescription>Gym contests outside the groups, codeforces.com/gym/&lt;id&gt;</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+            <CardFooter>
+              <Button type="submit" disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Settings'}
+              </Button>
+            </CardFooter>
+          </form>
+        </Form>
+      )}
+    </Card>
+  )
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Badge } from '@/components/common/UI/Badge'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import studentService from '@/services/studentService'
+import { formatRelativeTime } from '@/utils/dateUtils'
+import { HANDLE_STATUS, HANDLE_STATUS_LABELS } from '@/utils/constants'
+
+export default function NeedsAttention() {
+  const [students, setStudents] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchStudents = async () => {
+      try {
+        const response = await studentService.getStudentsNeedingAttention()
+        setStudents(response.data)
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to fetch students needing attention',
+          variant: 'destructive',
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchStudents()
+  }, [toast])
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Needs Attention</CardTitle>
+        <CardDescription>
+          Students whose Codeforces handle no longer exists or whose sync keeps failing
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        ) : students.length === 0 ? (
+          <p className="text-sm text-muted-foreground">Every student synced without problems.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Student</TableHead>
+                  <TableHead>Handle</TableHead>
+                  <TableHead>Problem</TableHead>
+                  <TableHead className="text-center">Failed Syncs</TableHead>
+                  <TableHead>Last Failure</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {students.map(student => (
+                  <TableRow key={student._id}>
+                    <TableCell className="font-medium">
+                      <Link to={`/students/${student._id}`} className="hover:underline">
+                        {student.name}
+                      </Link>
+                    </TableCell>
+                    <TableCell>{student.codeforcesHandle}</TableCell>
+                    <TableCell>
+                      <Badge variant={student.handleStatus.status === HANDLE_STATUS.NOT_FOUND ? 'destructive' : 'secondary'}>
+                        {HANDLE_STATUS_LABELS[student.handleStatus.status] || student.handleStatus.status}
+                      </Badge>
+                      {student.handleStatus.message && (
+                        <p className="text-xs text-muted-foreground mt-1">{student.handleStatus.message}</p>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-center">{student.handleStatus.failureCount}</TableCell>
+                    <TableCell>
+                      {student.handleStatus.lastFailureAt ? formatRelativeTime(student.handleStatus.lastFailureAt) : '-'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -3,16 +3,19 @@
 import { useState, useEffect } from 'react'
 import { RotateCw, CheckCircle, AlertCircle, Clock } from 'lucide-react'
 import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useAuthContext } from '@/context/AuthContext'
 import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/components/common/UI/Card'
 import { Button } from '@/components/common/UI/Button'
 import { formatDate, formatRelativeTime } from '@/utils/dateUtils'
 import cronService from '@/services/cronService'
+import { USER_ROLES } from '@/utils/constants'
 
 export default function SyncStatus() {
   const [syncStatus, setSyncStatus] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [isRunningSync, setIsRunningSync] = useState(false)
   const { toast } = useToast()
+  const { hasRole } = useAuthContext()
 
   const fetchStatus = async () => {
     try {
@@ -126,15 +129,17 @@ export default function SyncStatus() {
           )}
         </div>
       </CardContent>
-      <CardFooter className="flex justify-center">
-        <Button 
-          onClick={handleManualSync} 
-          disabled={isRunningSync || syncStatus?.isRunning}
-        >
-          <RotateCw className={`mr-2 h-4 w-4 ${isRunningSync ? 'animate-spin' : ''}`} />
-          Run Manual Sync
-        </Button>
-      </CardFooter>
+      {hasRole(USER_ROLES.ADMIN) && (
+        <CardFooter className="flex justify-center">
+          <Button 
+            onClick={handleManualSync} 
+            disabled={isRunningSync || syncStatus?.isRunning}
+          >
+            <RotateCw className={`mr-2 h-4 w-4 ${isRunningSync ? 'animate-spin' : ''}`} />
+            Run Manual Sync
+          </Button>
+        </CardFooter>
+      )}
     </Card>
   )
 }
\ No newline at end of file
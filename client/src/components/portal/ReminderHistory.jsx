@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/common/UI/Card'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import { formatDate } from '@/utils/dateUtils'
+import portalService from '@/services/portalService'
+
+export default function ReminderHistory({ studentId }) {
+  const [reminders, setReminders] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchReminders = async () => {
+      try {
+        const response = await portalService.getEmailHistory(studentId)
+        setReminders(response.data)
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to fetch reminder history',
+          variant: 'destructive'
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchReminders()
+  }, [studentId, toast])
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Reminder History</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        ) : reminders.length === 0 ? (
+          <p className="text-muted-foreground">You haven&apos;t received any reminders</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Sent</TableHead>
+                <TableHead>Subject</TableHead>
+                <TableHead>Days Inactive</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {reminders.map(reminder => (
+                <TableRow key={reminder._id}>
+                  <TableCell>{formatDate(reminder.sentAt)}</TableCell>
+                  <TableCell>{reminder.subject}</TableCell>
+                  <TableCell>{reminder.inactivityData?.daysSinceLastSubmission ?? '-'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
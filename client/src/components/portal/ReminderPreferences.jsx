@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Form, FormField, FormItem, FormLabel, FormControl, FormDescription, FormMessage } from '@/components/common/UI/Form'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Switch } from '@/components/common/UI/Switch'
+import portalService from '@/services/portalService'
+
+const formSchema = z.object({
+  phoneNumber: z.string().max(20, { message: 'Phone number is too long' }),
+  remindersEnabled: z.boolean()
+})
+
+export default function ReminderPreferences({ student, onUpdated }) {
+  const [isSaving, setIsSaving] = useState(false)
+  const { toast } = useToast()
+
+  const form = useForm({
+    resolver: zodResolver(formSchema),
+    defaultValues: {
+      phoneNumber: student.phoneNumber || '',
+      remindersEnabled: Boolean(student.emailReminders?.enabled)
+    }
+  })
+
+  const onSubmit = async (data) => {
+    setIsSaving(true)
+    try {
+      const response = await portalService.updateProfile({
+        phoneNumber: data.phoneNumber,
+        emailReminders: { enabled: data.remindersEnabled }
+      })
+      onUpdated(response.data)
+      toast({
+        title: 'Success',
+        description: 'Your preferences have been saved'
+      })
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to save your preferences',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Preferences</CardTitle>
+        <CardDescription>Choose how we keep in touch with you</CardDescription>
+      </CardHeader>
+      <Form {...form}>
+        <form onSubmit={form.handleSubmit(onSubmit)}>
+          <CardContent className="space-y-6">
+            <FormField
+              control={form.control}
+              name="phoneNumber"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Phone Number</FormLabel>
+                  <FormControl>
+                    <Input {...field} type="tel" autoComplete="tel" />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
+
+            <FormField
+              control={form.control}
+              name="remindersEnabled"
+              render={({ field }) => (
+                <FormItem className="flex items-center justify-between gap-4">
+                  <div className="space-y-1">
+                    <FormLabel>Inactivity Reminders</FormLabel>
+                    <FormDescription>
+                      Email me when I haven&apos;t solved any problems for a while
+                    </FormDescription>
+                  </div>
+                  <FormControl>
+                    <Switch checked={field.value} onCheckedChange={field.onChange} />
+                  </FormControl>
+                </FormItem>
+              )}
+            />
+          </CardContent>
+          <CardFooter>
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Preferences'}
+            </Button>
+          </CardFooter>
+        </form>
+      </Form>
+    </Card>
+  )
+}
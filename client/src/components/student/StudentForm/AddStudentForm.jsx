@@ -13,12 +13,17 @@ import { Label } from '@/components/common/UI/Label'
 import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/common/UI/Form'
 import { Switch } from '@/components/common/UI/Switch'
 import codeforcesService from '@/services/codeforcesService'
+import PlatformAccountFields from './PlatformAccountFields'
+import { platformHandlesSchema, toPlatformHandles, toPlatformAccounts } from '@/utils/platformUtils'
+import { toTagList } from '@/utils/tagUtils'
 
 const formSchema = z.object({
   name: z.string().min(2, { message: 'Name must be at least 2 characters' }),
   email: z.string().email({ message: 'Invalid email address' }),
   phoneNumber: z.string().optional(),
   codeforcesHandle: z.string().min(1, { message: 'Codeforces handle is required' }),
+  platformHandles: platformHandlesSchema,
+  tags: z.string().optional(),
   emailNotificationsEnabled: z.boolean().default(true),
 })
 
@@ -36,6 +41,8 @@ export default function AddStudentForm() {
       email: '',
       phoneNumber: '',
       codeforcesHandle: '',
+      platformHandles: toPlatformHandles(),
+      tags: '',
       emailNotificationsEnabled: true,
     },
   })
@@ -72,7 +79,12 @@ export default function AddStudentForm() {
     
     setIsSubmitting(true)
     try {
-      const newStudent = await addStudent(data)
+      const { platformHandles, tags, ...studentData } = data
+      const newStudent = await addStudent({
+        ...studentData,
+        platformAccounts: toPlatformAccounts(platformHandles),
+        tags: toTagList(tags)
+      })
       toast({
         title: 'Success',
         description: 'Student added successfully',
@@ -138,6 +150,19 @@ export default function AddStudentForm() {
                 </FormItem>
               )}
             />
+            <FormField
+              control={form.control}
+              name="tags"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Tags (Optional)</FormLabel>
+                  <FormControl>
+                    <Input {...field} placeholder="icpc, beginner" />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
             
             <FormField
               control={form.control}
@@ -153,6 +178,8 @@ export default function AddStudentForm() {
               )}
             />
             
+            <PlatformAccountFields control={form.control} />
+            
             <FormField
               control={form.control}
               name="emailNotificationsEnabled"
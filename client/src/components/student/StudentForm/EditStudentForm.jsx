@@ -14,12 +14,17 @@ import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '
 import { Switch } from '@/components/common/UI/Switch'
 import studentService from '@/services/studentService'
 import codeforcesService from '@/services/codeforcesService'
+import PlatformAccountFields from './PlatformAccountFields'
+import { platformHandlesSchema, toPlatformHandles, toPlatformAccounts } from '@/utils/platformUtils'
+import { toTagInput, toTagList } from '@/utils/tagUtils'
 
 const formSchema = z.object({
   name: z.string().min(2, { message: 'Name must be at least 2 characters' }),
   email: z.string().email({ message: 'Invalid email address' }),
   phoneNumber: z.string().optional(),
   codeforcesHandle: z.string().min(1, { message: 'Codeforces handle is required' }),
+  platformHandles: platformHandlesSchema,
+  tags: z.string().optional(),
   emailNotificationsEnabled: z.boolean(),
 })
 
@@ -40,6 +45,8 @@ export default function EditStudentForm() {
       email: '',
       phoneNumber: '',
       codeforcesHandle: '',
+      platformHandles: toPlatformHandles(),
+      tags: '',
       emailNotificationsEnabled: true,
     },
   })
@@ -47,12 +54,15 @@ export default function EditStudentForm() {
   useEffect(() => {
     const fetchStudent = async () => {
       try {
-        const student = await studentService.getStudentById(id)
+        const response = await studentService.getStudentById(id)
+        const student = response.data
         form.reset({
           name: student.name || '',
           email: student.email || '',
           phoneNumber: student.phoneNumber || '',
           codeforcesHandle: student.codeforcesHandle || '',
+          platformHandles: toPlatformHandles(student.platformAccounts),
+          tags: toTagInput(student.tags),
           emailNotificationsEnabled: student.emailNotificationsEnabled || false,
         })
         setOriginalHandle(student.codeforcesHandle || '')
@@ -107,7 +117,12 @@ export default function EditStudentForm() {
     
     setIsSubmitting(true)
     try {
-      await updateStudent(id, data)
+      const { platformHandles, tags, ...studentData } = data
+      await updateStudent(id, {
+        ...studentData,
+        platformAccounts: toPlatformAccounts(platformHandles),
+        tags: toTagList(tags)
+      })
       toast({
         title: 'Success',
         description: 'Student updated successfully',
@@ -181,6 +196,19 @@ export default function EditStudentForm() {
                 </FormItem>
               )}
             />
+            <FormField
+              control={form.control}
+              name="tags"
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>Tags (Optional)</FormLabel>
+                  <FormControl>
+                    <Input {...field} placeholder="icpc, beginner" />
+                  </FormControl>
+                  <FormMessage />
+                </FormItem>
+              )}
+            />
             
             <FormField
               control={form.control}
@@ -196,6 +224,8 @@ export default function EditStudentForm() {
               )}
             />
             
+            <PlatformAccountFields control={form.control} />
+            
             <FormField
               control={form.control}
               name="emailNotificationsEnabled"
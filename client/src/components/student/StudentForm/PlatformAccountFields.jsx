@@ -0,0 +1,29 @@
+import { FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/common/UI/Form'
+import { Input } from '@/components/common/UI/Input'
+import { EXTRA_PLATFORMS } from '@/utils/constants'
+
+export default function PlatformAccountFields({ control }) {
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium">Other Platforms (Optional)</p>
+      <div className="grid gap-4 md:grid-cols-3">
+        {EXTRA_PLATFORMS.map(platform => (
+          <FormField
+            key={platform.value}
+            control={control}
+            name={`platformHandles.${platform.value}`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel className="text-muted-foreground">{platform.label}</FormLabel>
+                <FormControl>
+                  <Input {...field} placeholder={`${platform.label} handle`} />
+                </FormControl>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Upload, CheckCircle2, AlertTriangle } from 'lucide-react'
+import { useStudentContext } from '@/context/StudentContext'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import { Badge } from '@/components/common/UI/Badge'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Label } from '@/components/common/UI/Label'
+import studentService from '@/services/studentService'
+import cohortService from '@/services/cohortService'
+import { IMPORT_MODES } from '@/utils/constants'
+
+const NO_COHORT = 'none'
+
+const STATUS_VARIANTS = {
+  ready: 'default',
+  created: 'default',
+  error: 'destructive',
+  failed: 'destructive',
+}
+
+function ImportReport({ report }) {
+  return (
+    <div className="max-h-[28rem] overflow-y-auto border rounded-md">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Row</TableHead>
+            <TableHead>Name</TableHead>
+            <TableHead>Email</TableHead>
+            <TableHead>CF Handle</TableHead>
+            <TableHead>Status</TableHead>
+            <TableHead>Notes</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {report.map(entry => (
+            <TableRow key={entry.row}>
+              <TableCell>{entry.row}</TableCell>
+              <TableCell>{entry.data.name || '—'}</TableCell>
+              <TableCell>{entry.data.email || '—'}</TableCell>
+              <TableCell>{entry.data.codeforcesHandle || '—'}</TableCell>
+              <TableCell>
+                <Badge variant={STATUS_VARIANTS[entry.status] || 'secondary'}>{entry.status}</Badge>
+              </TableCell>
+              <TableCell>
+                <ul className="space-y-1 text-sm">
+                  {entry.errors.map(error => (
+                    <li key={`${error.field}-${error.message}`} className="text-red-500">
+                      {error.message}
+                    </li>
+                  ))}
+                  {entry.warnings.map(warning => (
+                    <li key={warning} className="text-amber-600">{warning}</li>
+                  ))}
+                </ul>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  )
+}
+
+export default function StudentImportWizard() {
+  const [file, setFile] = useState(null)
+  const [cohort, setCohort] = useState(NO_COHORT)
+  const [cohorts, setCohorts] = useState([])
+  const [result, setResult] = useState(null)
+  const [isWorking, setIsWorking] = useState(false)
+  const { fetchStudents } = useStudentContext()
+  const navigate = useNavigate()
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchCohorts = async () => {
+      try {
+        const response = await cohortService.getCohorts()
+        setCohorts(response.data)
+      } catch {
+        // Assigning a cohort is optional
+        setCohorts([])
+      }
+    }
+
+    fetchCohorts()
+  }, [])
+
+  const runImport = async (mode) => {
+    setIsWorking(true)
+    try {
+      const response = await studentService.importStudents(file, {
+        mode,
+        cohort: cohort === NO_COHORT ? null : cohort
+      })
+      setResult(response)
+
+      if (mode === IMPORT_MODES.COMMIT) {
+        toast({
+          title: 'Import complete',
+          description: `${response.summary.created || 0} students added; their Codeforces data is syncing`
+        })
+        fetchStudents()
+      }
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to import students',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null)
+    setResult(null)
+  }
+
+  const reset = () => {
+    setFile(null)
+    setResult(null)
+  }
+
+  // Step 1: choose a file
+  if (!result) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>Upload CSV</CardTitle>
+          <CardDescription>
+            Columns: name, email, codeforcesHandle and optionally phoneNumber. Nothing is saved until you review the report.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="grid md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="import-file">CSV file</Label>
+            <Input id="import-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+          </div>
+          {cohorts.length > 0 && (
+            <div className="space-y-2">
+              <Label>Add to cohort</Label>
+              <Select value={cohort} onValueChange={setCohort}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_COHORT}>No cohort</SelectItem>
+                  {cohorts.map(item => (
+                    <SelectItem key={item._id} value={item._id}>
+                      {item.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+        </CardContent>
+        <CardFooter>
+          <Button onClick={() => runImport(IMPORT_MODES.DRY_RUN)} disabled={!file || isWorking}>
+            <Upload className="mr-2 h-4 w-4" />
+            {isWorking ? 'Checking...' : 'Check File'}
+          </Button>
+        </CardFooter>
+      </Card>
+    )
+  }
+
+  const { summary, data: report, mode } = result
+  const isCommitted = mode === IMPORT_MODES.COMMIT
+  const readyCount = summary.ready || 0
+  const problemCount = (summary.error || 0) + (summary.failed || 0)
+
+  // Step 2: review the dry-run report; step 3: show what was created
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{isCommitted ? 'Import Results' : 'Review Import'}</CardTitle>
+        <CardDescription className="flex flex-wrap gap-4 pt-1">
+          <span className="flex items-center gap-1">
+            <CheckCircle2 className="h-4 w-4 text-green-500" />
+            {isCommitted ? `${summary.created || 0} created` : `${readyCount} ready to import`}
+          </span>
+          {problemCount > 0 && (
+            <span className="flex items-center gap-1">
+              <AlertTriangle className="h-4 w-4 text-amber-500" />
+              {problemCount} {isCommitted ? 'not imported' : 'will be skipped'}
+            </span>
+          )}
+          <span>{summary.total} rows in {file?.name}</span>
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ImportReport report={report} />
+      </CardContent>
+      <CardFooter className="flex justify-end gap-2">
+        {isCommitted ? (
+          <>
+            <Button variant="outline" onClick={reset}>
+              Import Another File
+            </Button>
+            <Button onClick={() => navigate('/students')}>
+              View Students
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button variant="outline" onClick={reset} disabled={isWorking}>
+              Back
+            </Button>
+            <Button onClick={() => runImport(IMPORT_MODES.COMMIT)} disabled={readyCount === 0 || isWorking}>
+              {isWorking ? 'Importing...' : `Import ${readyCount} Students`}
+            </Button>
+          </>
+        )}
+      </CardFooter>
+    </Card>
+  )
+}
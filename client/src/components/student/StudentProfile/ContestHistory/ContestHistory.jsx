@@ -5,10 +5,11 @@ import { Card, CardHeader, CardTitle, CardContent } from '@/components/common/UI
 import { useToast } from '@/components/common/UI/Toast/useToast'
 import RatingGraph from './RatingGraph'
 import ContestList from './ContestList'
+import VirtualContestList from './VirtualContestList'
 import studentService from '@/services/studentService'
 import { CONTEST_HISTORY_FILTERS } from '@/utils/constants'
 
-export default function ContestHistory({ studentId }) {
+export default function ContestHistory({ studentId, loadHistory = studentService.getStudentContestHistory }) {
   const [filter, setFilter] = useState('30days')
   const [contestHistory, setContestHistory] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
@@ -18,8 +19,8 @@ export default function ContestHistory({ studentId }) {
     const fetchContestHistory = async () => {
       setIsLoading(true)
       try {
-        const history = await studentService.getStudentContestHistory(studentId, filter)
-        setContestHistory(history)
+        const history = await loadHistory(studentId, filter)
+        setContestHistory(history.data)
       } catch (error) {
         toast({
           title: 'Error',
@@ -37,7 +38,7 @@ export default function ContestHistory({ studentId }) {
       setIsLoading(false)
       setContestHistory(null)
     }
-  }, [studentId, filter, toast])
+  }, [studentId, filter, loadHistory, toast])
 
   return (
     <div className="space-y-6">
@@ -69,7 +70,7 @@ export default function ContestHistory({ studentId }) {
             </CardHeader>
             <CardContent>
               <div className="h-[350px]">
-                {contestHistory?.contests?.length > 0 ? (
+                {contestHistory?.ratingData?.length > 0 ? (
                   <RatingGraph contests={contestHistory.contests} />
                 ) : (
                   <div className="flex justify-center items-center h-full">
@@ -88,6 +89,15 @@ export default function ContestHistory({ studentId }) {
               <ContestList contests={contestHistory?.contests || []} />
             </CardContent>
           </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Virtual Contests</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <VirtualContestList contests={contestHistory?.virtualContests || []} />
+            </CardContent>
+          </Card>
         </>
       )}
     </div>
@@ -21,9 +21,12 @@ export default function ContestList({ contests }) {
 
   // Sort contests by date (newest first)
   const sortedContests = [...contests].sort((a, b) => 
-    b.ratingUpdateTimeSeconds - a.ratingUpdateTimeSeconds
+    new Date(b.date) - new Date(a.date)
   )
 
+  // Label each contest with its handle once the student has used more than one
+  const showHandles = new Set(contests.map(contest => contest.handle).filter(Boolean)).size > 1
+
   return (
     <div className="overflow-x-auto">
       <Table>
@@ -39,34 +42,58 @@ export default function ContestList({ contests }) {
         </TableHeader>
         <TableBody>
           {sortedContests.map((contest) => {
+            // Private group contests and mashups are unrated
+            const isRated = typeof contest.newRating === 'number'
             const ratingChange = contest.newRating - contest.oldRating
             const ratingChangeColor = ratingChange > 0 ? 'text-green-500' : ratingChange < 0 ? 'text-red-500' : ''
             const ratingChangePrefix = ratingChange > 0 ? '+' : ''
             
             return (
-              <TableRow key={contest.contestId}>
+              <TableRow key={`${contest.handle || ''}-${contest.contestId}-${contest.participantType || ''}`}>
                 <TableCell className="font-medium">
                   <a 
-                    href={`https://codeforces.com/contest/${contest.contestId}`}
+                    href={contest.url || `https://codeforces.com/contest/${contest.contestId}`}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="hover:underline"
                   >
                     {contest.contestName}
                   </a>
+                  {contest.division && (
+                    <Badge variant="outline" className="ml-2">
+                      {contest.division}
+                    </Badge>
+                  )}
+                  {!isRated && (
+                    <Badge variant="secondary" className="ml-2">
+                      {contest.groupCode ? 'Group' : 'Mashup'}
+                    </Badge>
+                  )}
+                  {showHandles && (
+                    <p className="text-xs text-muted-foreground">as {contest.handle}</p>
+                  )}
                 </TableCell>
                 <TableCell>
-                  {formatDate(new Date(contest.ratingUpdateTimeSeconds * 1000))}
+                  {formatDate(new Date(contest.date))}
                 </TableCell>
                 <TableCell className="text-center">{contest.rank}</TableCell>
-                <TableCell className={`text-center ${ratingChangeColor}`}>
-                  {ratingChangePrefix}{ratingChange}
-                </TableCell>
-                <TableCell className="text-center">
-                  <span style={{ color: getRatingColor(contest.newRating) }}>
-                    {contest.newRating}
-                  </span>
-                </TableCell>
+                {isRated ? (
+                  <>
+                    <TableCell className={`text-center ${ratingChangeColor}`}>
+                      {ratingChangePrefix}{ratingChange}
+                    </TableCell>
+                    <TableCell className="text-center">
+                      <span style={{ color: getRatingColor(contest.newRating) }}>
+                        {contest.newRating}
+                      </span>
+                    </TableCell>
+                  </>
+                ) : (
+                  <>
+                    <TableCell className="text-center text-muted-foreground">—</TableCell>
+                    <TableCell className="text-center text-muted-foreground">—</TableCell>
+                  </>
+                )}
                 <TableCell className="text-center">
                   <Badge variant={contest.unsolvedProblems > 0 ? "secondary" : "outline"}>
                     {contest.unsolvedProblems}
@@ -16,14 +16,14 @@ export default function RatingGraph({ contests }) {
   useEffect(() => {
     if (!contests || contests.length === 0) return
     
-    // Sort contests by date
-    const sortedContests = [...contests].sort((a, b) => 
-      new Date(a.ratingUpdateTimeSeconds * 1000) - new Date(b.ratingUpdateTimeSeconds * 1000)
-    )
+    // Sort rated contests by date; group contests and mashups have no rating
+    const sortedContests = contests
+      .filter(contest => typeof contest.newRating === 'number')
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
     
     // Prepare chart data
     const data = {
-      labels: sortedContests.map(contest => formatDate(new Date(contest.ratingUpdateTimeSeconds * 1000), 'MMM d, yyyy')),
+      labels: sortedContests.map(contest => formatDate(new Date(contest.date), 'MMM d, yyyy')),
       datasets: [
         {
           label: 'Rating',
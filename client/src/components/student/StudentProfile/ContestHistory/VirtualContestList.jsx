@@ -0,0 +1,71 @@
+import { formatDate } from '@/utils/dateUtils'
+import { Badge } from '@/components/common/UI/Badge'
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/common/UI/Table'
+
+export default function VirtualContestList({ contests }) {
+  if (!contests || contests.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-muted-foreground">No virtual contests found in this time period</p>
+      </div>
+    )
+  }
+
+  // Label each participation with its handle once the student has used more than one
+  const showHandles = new Set(contests.map(contest => contest.handle).filter(Boolean)).size > 1
+
+  return (
+    <div className="overflow-x-auto">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Contest</TableHead>
+            <TableHead>Started</TableHead>
+            <TableHead className="text-center">Problems Solved</TableHead>
+            <TableHead className="text-center">Penalty</TableHead>
+            <TableHead className="text-center">Rank</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {contests.map((contest) => (
+            <TableRow key={`${contest.handle || ''}-${contest.contestId}-${contest.date}`}>
+              <TableCell className="font-medium">
+                <a
+                  href={contest.url || `https://codeforces.com/contest/${contest.contestId}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="hover:underline"
+                >
+                  {contest.contestName}
+                </a>
+                {contest.groupCode && (
+                  <Badge variant="secondary" className="ml-2">
+                    Group
+                  </Badge>
+                )}
+                {showHandles && (
+                  <p className="text-xs text-muted-foreground">as {contest.handle}</p>
+                )}
+              </TableCell>
+              <TableCell>
+                {formatDate(new Date(contest.date), 'MMM d, yyyy HH:mm')}
+              </TableCell>
+              <TableCell className="text-center">
+                {contest.solvedCount} / {contest.problemCount}
+              </TableCell>
+              <TableCell className="text-center">{contest.penalty ?? '—'}</TableCell>
+              <TableCell className="text-center">{contest.rank ?? '—'}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  )
+}
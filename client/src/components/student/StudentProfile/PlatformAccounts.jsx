@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react'
+import { ExternalLink } from 'lucide-react'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Badge } from '@/components/common/UI/Badge'
+import studentService from '@/services/studentService'
+import { getPlatform } from '@/utils/platformUtils'
+import { formatRelativeTime } from '@/utils/dateUtils'
+
+export default function PlatformAccounts({ studentId }) {
+  const [platforms, setPlatforms] = useState([])
+
+  useEffect(() => {
+    const fetchPlatforms = async () => {
+      try {
+        const response = await studentService.getStudentPlatforms(studentId)
+        setPlatforms(response.data)
+      } catch {
+        // The card is hidden when the accounts cannot be loaded
+        setPlatforms([])
+      }
+    }
+
+    fetchPlatforms()
+  }, [studentId])
+
+  if (platforms.length === 0) {
+    return null
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Other Platforms</CardTitle>
+        <CardDescription>Activity here counts towards the heatmap, solved problems and inactivity checks.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="grid gap-4 md:grid-cols-3">
+          {platforms.map(account => {
+            const platform = getPlatform(account.platform)
+
+            return (
+              <div key={account.platform} className="rounded-md border p-4 space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="font-medium">{platform?.label || account.platform}</p>
+                  {account.profile?.rank && <Badge variant="secondary">{account.profile.rank}</Badge>}
+                </div>
+                <a
+                  href={platform ? platform.profileUrl(account.handle) : '#'}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center gap-1 text-sm hover:underline"
+                >
+                  {account.handle}
+                  <ExternalLink className="h-3 w-3" />
+                </a>
+                {account.lastError ? (
+                  <p className="text-sm text-red-500">{account.lastError}</p>
+                ) : !account.lastUpdated ? (
+                  <p className="text-sm text-muted-foreground">Waiting for the first sync</p>
+                ) : (
+                  <dl className="grid grid-cols-2 gap-1 text-sm">
+                    <dt className="text-muted-foreground">Rating</dt>
+                    <dd>{account.profile?.rating || '-'} (max {account.profile?.maxRating || '-'})</dd>
+                    <dt className="text-muted-foreground">Solved</dt>
+                    <dd>{account.solvedCount}</dd>
+                    <dt className="text-muted-foreground">Contests</dt>
+                    <dd>{account.contestCount}</dd>
+                    <dt className="text-muted-foreground">Last Submission</dt>
+                    <dd>{account.lastSubmissionDate ? formatRelativeTime(account.lastSubmissionDate) : 'Never'}</dd>
+                  </dl>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -8,7 +8,7 @@ import SubmissionHeatmap from './SubmissionHeatmap'
 import studentService from '@/services/studentService'
 import { PROBLEM_DATA_FILTERS } from '@/utils/constants'
 
-export default function ProblemSolving({ studentId }) {
+export default function ProblemSolving({ studentId, loadProblemData = studentService.getStudentProblemData }) {
   const [filter, setFilter] = useState('30days')
   const [problemData, setProblemData] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
@@ -18,7 +18,7 @@ export default function ProblemSolving({ studentId }) {
     const fetchProblemData = async () => {
       setIsLoading(true)
       try {
-        const data = await studentService.getStudentProblemData(studentId, filter)
+        const data = await loadProblemData(studentId, filter)
         setProblemData(data)
       } catch (error) {
         toast({
@@ -37,7 +37,7 @@ export default function ProblemSolving({ studentId }) {
       setIsLoading(false)
       setProblemData(null)
     }
-  }, [studentId, filter, toast])
+  }, [studentId, filter, loadProblemData, toast])
 
   return (
     <div className="space-y-6">
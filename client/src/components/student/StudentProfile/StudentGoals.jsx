@@ -0,0 +1,301 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useAuthContext } from '@/context/AuthContext'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import { Badge } from '@/components/common/UI/Badge'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Label } from '@/components/common/UI/Label'
+import studentService from '@/services/studentService'
+import { formatDate } from '@/utils/dateUtils'
+import { GOAL_TYPES, GOAL_PERIODS, USER_ROLES } from '@/utils/constants'
+
+const NO_PERIOD = 'none'
+
+const EMPTY_GOAL = {
+  type: 'problems',
+  target: '',
+  minProblemRating: '',
+  period: 'month',
+  deadline: ''
+}
+
+// Describe a goal the way a mentor would say it
+const describeGoal = (goal) => {
+  const deadline = goal.deadline ? ` by ${formatDate(goal.deadline)}` : ''
+  const period = goal.period ? ` every ${goal.period}` : deadline
+
+  if (goal.type === 'rating') {
+    return `Reach a rating of ${goal.target}${deadline}`
+  }
+  if (goal.type === 'problems') {
+    const rating = goal.minProblemRating ? ` rated ${goal.minProblemRating}+` : ''
+    return `Solve ${goal.target} problems${rating}${period}`
+  }
+  return `Take part in ${goal.target} rated or virtual contests${period}`
+}
+
+function GoalStatusBadge({ goal }) {
+  if (goal.status === 'achieved') {
+    return <Badge className="bg-green-600 hover:bg-green-600">Achieved</Badge>
+  }
+  if (goal.status === 'missed') {
+    return <Badge variant="outline">Missed</Badge>
+  }
+  return goal.progress?.onTrack
+    ? <Badge variant="secondary">On track</Badge>
+    : <Badge variant="destructive">Off track</Badge>
+}
+
+function GoalProgressBar({ goal }) {
+  const { current = 0, expected = 0 } = goal.progress || {}
+  // Rating goals are measured from the rating the goal started at
+  const start = goal.type === 'rating' ? Math.min(goal.startValue || 0, goal.target) : 0
+  const span = goal.target - start || 1
+  const toPercent = (value) => Math.min(Math.max(((value - start) / span) * 100, 0), 100)
+
+  return (
+    <div className="space-y-1">
+      <div className="relative h-2 w-full rounded-full bg-secondary">
+        <div
+          className={`h-2 rounded-full ${goal.progress?.onTrack ? 'bg-primary' : 'bg-destructive'}`}
+          style={{ width: `${toPercent(current)}%` }}
+        />
+        {goal.status === 'active' && (
+          <div
+            className="absolute top-[-2px] h-3 w-0.5 bg-foreground/60"
+            style={{ left: `${toPercent(expected)}%` }}
+            title={`Expected by now: ${expected}`}
+          />
+        )}
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {current} / {goal.target}
+        {goal.status === 'active' && ` · expected ${expected} by now`}
+        {goal.period && goal.progress?.periodEnd && ` · this ${goal.period} ends ${formatDate(goal.progress.periodEnd)}`}
+      </p>
+    </div>
+  )
+}
+
+function GoalForm({ onSubmit, onCancel }) {
+  const [goal, setGoal] = useState(EMPTY_GOAL)
+  const [isSaving, setIsSaving] = useState(false)
+  const isRating = goal.type === 'rating'
+  const period = isRating ? NO_PERIOD : goal.period
+
+  const update = (field) => (value) => setGoal(previous => ({ ...previous, [field]: value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    await onSubmit({
+      type: goal.type,
+      target: Number(goal.target),
+      minProblemRating: goal.type === 'problems' && goal.minProblemRating ? Number(goal.minProblemRating) : null,
+      period: period === NO_PERIOD ? null : period,
+      deadline: period === NO_PERIOD ? goal.deadline : null
+    })
+    setIsSaving(false)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="rounded-md border p-4 space-y-4">
+      <div className="grid gap-4 md:grid-cols-2">
+        <div className="space-y-2">
+          <Label>Goal</Label>
+          <Select value={goal.type} onValueChange={update('type')}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {GOAL_TYPES.map(type => (
+                <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="goal-target">{isRating ? 'Target rating' : 'How many'}</Label>
+          <Input
+            id="goal-target"
+            type="number"
+            min="1"
+            value={goal.target}
+            onChange={(e) => update('target')(e.target.value)}
+            placeholder={isRating ? '1600' : '20'}
+          />
+        </div>
+        {goal.type === 'problems' && (
+          <div className="space-y-2">
+            <Label htmlFor="goal-min-rating">Minimum problem rating</Label>
+            <Input
+              id="goal-min-rating"
+              type="number"
+              min="800"
+              step="100"
+              value={goal.minProblemRating}
+              onChange={(e) => update('minProblemRating')(e.target.value)}
+              placeholder="Any rating"
+            />
+          </div>
+        )}
+        {!isRating && (
+          <div className="space-y-2">
+            <Label>Repeats</Label>
+            <Select value={goal.period} onValueChange={update('period')}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {GOAL_PERIODS.map(item => (
+                  <SelectItem key={item.value} value={item.value}>{item.label}</SelectItem>
+                ))}
+                <SelectItem value={NO_PERIOD}>Once, by a deadline</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        {period === NO_PERIOD && (
+          <div className="space-y-2">
+            <Label htmlFor="goal-deadline">Deadline</Label>
+            <Input
+              id="goal-deadline"
+              type="date"
+              value={goal.deadline}
+              onChange={(e) => update('deadline')(e.target.value)}
+            />
+          </div>
+        )}
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          size="sm"
+          disabled={!goal.target || (period === NO_PERIOD && !goal.deadline) || isSaving}
+        >
+          {isSaving ? 'Saving...' : 'Set Goal'}
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+export default function StudentGoals({ studentId }) {
+  const [goals, setGoals] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isAdding, setIsAdding] = useState(false)
+  const { hasRole } = useAuthContext()
+  const { toast } = useToast()
+  const canManage = hasRole(USER_ROLES.ADMIN, USER_ROLES.MENTOR)
+
+  const fetchGoals = useCallback(async () => {
+    try {
+      const response = await studentService.getStudentGoals(studentId)
+      setGoals(response.data)
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to fetch goals',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [studentId, toast])
+
+  useEffect(() => {
+    fetchGoals()
+  }, [fetchGoals])
+
+  const handleAdd = async (goal) => {
+    try {
+      await studentService.addStudentGoal(studentId, goal)
+      setIsAdding(false)
+      await fetchGoals()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to set goal',
+        variant: 'destructive'
+      })
+    }
+  }
+
+  const handleDelete = async (goal) => {
+    if (!window.confirm(`Delete the goal "${describeGoal(goal)}"?`)) return
+
+    try {
+      await studentService.deleteStudentGoal(studentId, goal._id)
+      await fetchGoals()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to delete goal',
+        variant: 'destructive'
+      })
+    }
+  }
+
+  if (!isLoading && goals.length === 0 && !canManage) {
+    return null
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Goals</CardTitle>
+        <CardDescription>Progress is worked out from the Codeforces data after every sync.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        ) : goals.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No goals set yet.</p>
+        ) : (
+          <ul className="divide-y">
+            {goals.map(goal => (
+              <li key={goal._id} className="py-3 space-y-2">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="space-y-1">
+                    <p className="font-medium">{describeGoal(goal)}</p>
+                    <p className="text-xs text-muted-foreground">
+                      Set {formatDate(goal.createdAt)}{goal.createdBy && ` by ${goal.createdBy.name}`}
+                      {goal.achievedAt && ` · achieved ${formatDate(goal.achievedAt)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <GoalStatusBadge goal={goal} />
+                    {canManage && (
+                      <Button variant="ghost" size="sm" title="Delete" onClick={() => handleDelete(goal)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                <GoalProgressBar goal={goal} />
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {isAdding && <GoalForm onSubmit={handleAdd} onCancel={() => setIsAdding(false)} />}
+      </CardContent>
+      {canManage && !isAdding && (
+        <CardFooter>
+          <Button variant="outline" size="sm" onClick={() => setIsAdding(true)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Goal
+          </Button>
+        </CardFooter>
+      )}
+    </Card>
+  )
+}
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react'
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/common/UI/Card'
+import { Badge } from '@/components/common/UI/Badge'
+import studentService from '@/services/studentService'
+import { formatDate, formatRelativeTime } from '@/utils/dateUtils'
+import { getRatingColor, getRatingLabel } from '@/utils/chartUtils'
+import { SYNC_TASK_STATUS } from '@/utils/constants'
+
+function SyncTaskNotice({ task }) {
+  if (!task) return null
+
+  if (task.status === SYNC_TASK_STATUS.QUEUED) {
+    return <p className="text-xs text-muted-foreground">Sync queued</p>
+  }
+  if (task.status === SYNC_TASK_STATUS.RUNNING) {
+    return <p className="text-xs text-muted-foreground">Syncing now</p>
+  }
+  if (task.status === SYNC_TASK_STATUS.FAILED) {
+    return (
+      <p className="text-xs text-destructive">
+        Last sync failed: {task.lastError} (retrying {formatRelativeTime(task.nextRunAt)}, attempt {task.attempts} of {task.maxAttempts})
+      </p>
+    )
+  }
+  if (task.status === SYNC_TASK_STATUS.DEAD) {
+    return <p className="text-xs text-destructive">Last sync failed: {task.lastError} (not retrying)</p>
+  }
+  return null
+}
+
+export default function StudentInfoCard({ student }) {
+  const [syncTask, setSyncTask] = useState(null)
+
+  // A refresh clears lastDataUpdate, so the status is fetched again after one
+  useEffect(() => {
+    const fetchSyncStatus = async () => {
+      try {
+        const response = await studentService.getSyncStatus(student._id)
+        setSyncTask(response.data)
+      } catch {
+        setSyncTask(null)
+      }
+    }
+
+    fetchSyncStatus()
+  }, [student._id, student.lastDataUpdate])
+
+  const ratingColor = student.currentRating ? getRatingColor(student.currentRating) : ''
+  const ratingLabel = student.currentRating ? getRatingLabel(student.currentRating) : 'Unrated'
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Student Information</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-muted-foreground">Codeforces Handle</p>
+            <p className="font-medium">{student.codeforcesHandle || '-'}</p>
+          </div>
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-muted-foreground">Current Rating</p>
+            <p className="font-medium" style={{ color: ratingColor }}>
+              {student.currentRating || '-'} 
+              {student.currentRating && <span className="ml-1 text-xs">({ratingLabel})</span>}
+            </p>
+          </div>
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-muted-foreground">Max Rating</p>
+            <p className="font-medium" style={{ color: getRatingColor(student.maxRating) }}>
+              {student.maxRating || '-'}
+              {student.maxRating && <span className="ml-1 text-xs">({getRatingLabel(student.maxRating)})</span>}
+            </p>
+          </div>
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-muted-foreground">Phone Number</p>
+            <p>{student.phoneNumber || '-'}</p>
+          </div>
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-muted-foreground">Email Notifications</p>
+            <p>{student.emailReminders?.enabled ? 'Enabled' : 'Disabled'}</p>
+          </div>
+          <div className="space-y-1">
+            <p className="text-sm font-medium text-muted-foreground">Last Data Update</p>
+            <p>{student.lastDataUpdate ? formatRelativeTime(student.lastDataUpdate) : 'Never'}</p>
+            <SyncTaskNotice task={syncTask} />
+          </div>
+          {student.tags?.length > 0 && (
+            <div className="space-y-1">
+              <p className="text-sm font-medium text-muted-foreground">Tags</p>
+              <div className="flex flex-wrap gap-1">
+                {student.tags.map(tag => (
+                  <Badge key={tag} variant="secondary">{tag}</Badge>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+        {student.handleHistory?.length > 0 && (
+          <div className="mt-6 space-y-2">
+            <p className="text-sm font-medium text-muted-foreground">Previous Handles</p>
+            <ul className="space-y-1 text-sm">
+              {[...student.handleHistory].reverse().map(entry => (
+                <li key={entry._id}>
+                  <span className="font-medium">{entry.handle}</span>{' '}
+                  <span className="text-muted-foreground">
+                    {entry.from ? formatDate(entry.from) : '…'} – {formatDate(entry.to)}
+                    {entry.changedBy?.name && ` · changed by ${entry.changedBy.name}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-muted-foreground">
+              Contests and solved problems from previous handles are included in this profile.
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
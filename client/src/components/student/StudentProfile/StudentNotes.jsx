@@ -0,0 +1,226 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Pin, PinOff, Pencil, Trash2 } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useAuthContext } from '@/context/AuthContext'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import { Badge } from '@/components/common/UI/Badge'
+import { Button } from '@/components/common/UI/Button'
+import studentService from '@/services/studentService'
+import { formatDate, formatRelativeTime } from '@/utils/dateUtils'
+import { NOTE_CATEGORIES, USER_ROLES } from '@/utils/constants'
+
+const NO_CATEGORY = 'none'
+
+const textareaClassName = 'flex min-h-[80px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50'
+
+function CategorySelect({ value, onChange }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-40">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NO_CATEGORY}>No category</SelectItem>
+        {NOTE_CATEGORIES.map(category => (
+          <SelectItem key={category.value} value={category.value}>
+            {category.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+function NoteEditor({ initialBody = '', initialCategory = NO_CATEGORY, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialBody)
+  const [category, setCategory] = useState(initialCategory || NO_CATEGORY)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    const saved = await onSubmit({
+      body: body.trim(),
+      category: category === NO_CATEGORY ? null : category
+    })
+    setIsSaving(false)
+
+    if (saved && !onCancel) {
+      setBody('')
+      setCategory(NO_CATEGORY)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        className={textareaClassName}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder="What happened in the last meeting, what to watch for..."
+      />
+      <div className="flex items-center justify-between gap-2">
+        <CategorySelect value={category} onChange={setCategory} />
+        <div className="space-x-2">
+          {onCancel && (
+            <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" size="sm" disabled={!body.trim() || isSaving}>
+            {isSaving ? 'Saving...' : submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  )
+}
+
+export default function StudentNotes({ studentId }) {
+  const [notes, setNotes] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [editingId, setEditingId] = useState(null)
+  const { user, hasRole } = useAuthContext()
+  const { toast } = useToast()
+  const isAdmin = hasRole(USER_ROLES.ADMIN)
+
+  const fetchNotes = useCallback(async () => {
+    try {
+      const response = await studentService.getStudentNotes(studentId)
+      setNotes(response.data)
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to fetch notes',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [studentId, toast])
+
+  useEffect(() => {
+    fetchNotes()
+  }, [fetchNotes])
+
+  const showError = (error, fallback) => {
+    toast({
+      title: 'Error',
+      description: error.response?.data?.message || fallback,
+      variant: 'destructive'
+    })
+  }
+
+  const handleAdd = async (note) => {
+    try {
+      await studentService.addStudentNote(studentId, note)
+      await fetchNotes()
+      return true
+    } catch (error) {
+      showError(error, 'Failed to add note')
+      return false
+    }
+  }
+
+  const handleEdit = async (noteId, changes) => {
+    try {
+      await studentService.updateStudentNote(studentId, noteId, changes)
+      setEditingId(null)
+      await fetchNotes()
+      return true
+    } catch (error) {
+      showError(error, 'Failed to update note')
+      return false
+    }
+  }
+
+  const handleDelete = async (noteId) => {
+    if (!window.confirm('Delete this note?')) return
+
+    try {
+      await studentService.deleteStudentNote(studentId, noteId)
+      await fetchNotes()
+    } catch (error) {
+      showError(error, 'Failed to delete note')
+    }
+  }
+
+  // Mirrors the server rule: authors and admins can reword a note, anyone can pin it
+  const canEdit = (note) => isAdmin || (note.author && note.author._id === user?._id)
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Mentor Notes</CardTitle>
+        <CardDescription>Meetings, concerns and wins, newest first. Pinned notes stay on top.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <NoteEditor submitLabel="Add Note" onSubmit={handleAdd} />
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        ) : notes.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No notes yet.</p>
+        ) : (
+          <ul className="divide-y">
+            {notes.map(note => {
+              const category = NOTE_CATEGORIES.find(item => item.value === note.category)
+
+              return (
+                <li key={note._id} className="py-3 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                      {note.pinned && <Pin className="h-4 w-4 text-amber-500" />}
+                      <span className="font-medium">{note.author?.name || 'Earlier notes'}</span>
+                      <span className="text-muted-foreground" title={formatDate(note.createdAt, 'MMM d, yyyy HH:mm')}>
+                        {formatRelativeTime(note.createdAt)}
+                        {note.updatedAt !== note.createdAt && ' (edited)'}
+                      </span>
+                      {category && (
+                        <Badge variant="outline" className={category.className}>{category.label}</Badge>
+                      )}
+                    </div>
+                    <div className="flex shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        title={note.pinned ? 'Unpin' : 'Pin'}
+                        onClick={() => handleEdit(note._id, { pinned: !note.pinned })}
+                      >
+                        {note.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                      </Button>
+                      {canEdit(note) && (
+                        <>
+                          <Button variant="ghost" size="sm" title="Edit" onClick={() => setEditingId(note._id)}>
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <Button variant="ghost" size="sm" title="Delete" onClick={() => handleDelete(note._id)}>
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {editingId === note._id ? (
+                    <NoteEditor
+                      initialBody={note.body}
+                      initialCategory={note.category}
+                      submitLabel="Save"
+                      onSubmit={(changes) => handleEdit(note._id, changes)}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <p className="text-sm whitespace-pre-wrap">{note.body}</p>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
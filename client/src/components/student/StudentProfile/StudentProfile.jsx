@@ -1,27 +1,34 @@
 /* eslint-disable no-unused-vars */
 import { useState, useEffect } from 'react'
 import { useParams } from 'react-router-dom'
+import { Archive } from 'lucide-react'
 import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useAuthContext } from '@/context/AuthContext'
 import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/common/UI/Tabs'
-import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
 import StudentActions from '@/components/student/StudentTable/StudentActions'
 import ContestHistory from './ContestHistory/ContestHistory'
 import ProblemSolving from './ProblemSolving/ProblemSolving'
+import UpsolveQueue from './UpsolveQueue'
+import StudentInfoCard from './StudentInfoCard'
+import PlatformAccounts from './PlatformAccounts'
+import StudentNotes from './StudentNotes'
+import StudentGoals from './StudentGoals'
 import studentService from '@/services/studentService'
-import { formatRelativeTime } from '@/utils/dateUtils'
-import { getRatingColor, getRatingLabel } from '@/utils/chartUtils'
+import { formatDate } from '@/utils/dateUtils'
+import { USER_ROLES } from '@/utils/constants'
 
 export default function StudentProfile() {
   const { id } = useParams()
   const [student, setStudent] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const { toast } = useToast()
+  const { hasRole } = useAuthContext()
 
   useEffect(() => {
     const fetchStudent = async () => {
       try {
-        const data = await studentService.getStudentById(id)
-        setStudent(data)
+        const response = await studentService.getStudentById(id)
+        setStudent(response.data)
       } catch (error) {
         toast({
           title: 'Error',
@@ -55,8 +62,8 @@ export default function StudentProfile() {
     )
   }
 
-  const ratingColor = student.currentRating ? getRatingColor(student.currentRating) : ''
-  const ratingLabel = student.currentRating ? getRatingLabel(student.currentRating) : 'Unrated'
+  // Notes are kept between mentors and admins
+  const canSeeNotes = hasRole(USER_ROLES.ADMIN, USER_ROLES.MENTOR)
 
   return (
     <div className="space-y-6">
@@ -65,53 +72,28 @@ export default function StudentProfile() {
           <h1 className="text-2xl font-bold">{student.name}</h1>
           <p className="text-muted-foreground">{student.email}</p>
         </div>
-        <StudentActions student={student} />
+        <StudentActions student={student} onStudentChange={setStudent} />
       </div>
 
-      <Card>
-        <CardHeader>
-          <CardTitle>Student Information</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className="space-y-1">
-              <p className="text-sm font-medium text-muted-foreground">Codeforces Handle</p>
-              <p className="font-medium">{student.codeforcesHandle || '-'}</p>
-            </div>
-            <div className="space-y-1">
-              <p className="text-sm font-medium text-muted-foreground">Current Rating</p>
-              <p className="font-medium" style={{ color: ratingColor }}>
-                {student.currentRating || '-'} 
-                {student.currentRating && <span className="ml-1 text-xs">({ratingLabel})</span>}
-              </p>
-            </div>
-            <div className="space-y-1">
-              <p className="text-sm font-medium text-muted-foreground">Max Rating</p>
-              <p className="font-medium" style={{ color: getRatingColor(student.maxRating) }}>
-                {student.maxRating || '-'}
-                {student.maxRating && <span className="ml-1 text-xs">({getRatingLabel(student.maxRating)})</span>}
-              </p>
-            </div>
-            <div className="space-y-1">
-              <p className="text-sm font-medium text-muted-foreground">Phone Number</p>
-              <p>{student.phoneNumber || '-'}</p>
-            </div>
-            <div className="space-y-1">
-              <p className="text-sm font-medium text-muted-foreground">Email Notifications</p>
-              <p>{student.emailNotificationsEnabled ? 'Enabled' : 'Disabled'}</p>
-            </div>
-            <div className="space-y-1">
-              <p className="text-sm font-medium text-muted-foreground">Last Data Update</p>
-              <p>{student.lastUpdated ? formatRelativeTime(student.lastUpdated) : 'Never'}</p>
-            </div>
-          </div>
-        </CardContent>
-      </Card>
+      {student.archivedAt && (
+        <div className="flex items-center gap-2 rounded-md border border-amber-300 bg-amber-50 px-4 py-3 text-sm text-amber-800 dark:bg-amber-950 dark:text-amber-200">
+          <Archive className="h-4 w-4" />
+          Archived on {formatDate(student.archivedAt)}. This student is hidden from lists, sync jobs, reminders and exports.
+        </div>
+      )}
+
+      <StudentInfoCard student={student} />
+
+      <PlatformAccounts studentId={student._id} />
+
+      <StudentGoals studentId={student._id} />
 
       <Tabs defaultValue="contest-history" className="w-full">
-        <TabsList className="grid w-full grid-cols-2">
+        <TabsList className={`grid w-full ${canSeeNotes ? 'grid-cols-4' : 'grid-cols-3'}`}>
           <TabsTrigger value="contest-history">Contest History</TabsTrigger>
           <TabsTrigger value="problem-solving">Problem Solving</TabsTrigger>
+          <TabsTrigger value="upsolve">Upsolve Queue</TabsTrigger>
+          {canSeeNotes && <TabsTrigger value="notes">Notes</TabsTrigger>}
         </TabsList>
         <TabsContent value="contest-history" className="pt-4">
           <ContestHistory studentId={student._id} />
@@ -119,6 +101,14 @@ export default function StudentProfile() {
         <TabsContent value="problem-solving" className="pt-4">
           <ProblemSolving studentId={student._id} />
         </TabsContent>
+        <TabsContent value="upsolve" className="pt-4">
+          <UpsolveQueue studentId={student._id} />
+        </TabsContent>
+        {canSeeNotes && (
+          <TabsContent value="notes" className="pt-4">
+            <StudentNotes studentId={student._id} />
+          </TabsContent>
+        )}
       </Tabs>
     </div>
   )
@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react'
+import { CheckCircle2, Circle } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Badge } from '@/components/common/UI/Badge'
+import { Label } from '@/components/common/UI/Label'
+import { Switch } from '@/components/common/UI/Switch'
+import studentService from '@/services/studentService'
+import { formatDate } from '@/utils/dateUtils'
+import { getRatingColor } from '@/utils/chartUtils'
+
+function UpsolveProblem({ problem }) {
+  const isUpsolved = problem.status === 'upsolved'
+
+  return (
+    <li className="flex items-center justify-between gap-4 py-2">
+      <div className="flex items-center gap-2 min-w-0">
+        {isUpsolved
+          ? <CheckCircle2 className="h-4 w-4 shrink-0 text-green-600" />
+          : <Circle className="h-4 w-4 shrink-0 text-muted-foreground" />}
+        <a
+          href={problem.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`truncate hover:underline ${isUpsolved ? 'text-muted-foreground' : 'font-medium'}`}
+        >
+          {problem.index}. {problem.name}
+        </a>
+      </div>
+      <div className="flex items-center gap-3 shrink-0 text-sm">
+        {isUpsolved && (
+          <span className="text-xs text-muted-foreground">upsolved {formatDate(problem.upsolvedOn)}</span>
+        )}
+        {problem.rating ? (
+          <span style={{ color: getRatingColor(problem.rating) }}>{problem.rating}</span>
+        ) : (
+          <span className="text-muted-foreground">Unrated</span>
+        )}
+      </div>
+    </li>
+  )
+}
+
+export default function UpsolveQueue({ studentId }) {
+  const [queue, setQueue] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [showUpsolved, setShowUpsolved] = useState(false)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      setIsLoading(true)
+      try {
+        const response = await studentService.getUpsolveQueue(studentId)
+        setQueue(response.data)
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to fetch the upsolve queue',
+          variant: 'destructive',
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchQueue()
+  }, [studentId, toast])
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="loading-spinner" />
+      </div>
+    )
+  }
+
+  // Contests drop out of the queue once every problem left in them is upsolved
+  const contests = (queue?.contests || [])
+    .map(contest => ({
+      ...contest,
+      problems: showUpsolved ? contest.problems : contest.problems.filter(problem => problem.status !== 'upsolved')
+    }))
+    .filter(contest => contest.problems.length > 0)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row justify-between gap-3 sm:items-center">
+        <div>
+          <h2 className="text-xl font-bold">Upsolve Queue</h2>
+          <p className="text-sm text-muted-foreground">
+            {queue?.totalUnsolvedProblems || 0} problems left from contests, {queue?.totalUpsolvedProblems || 0} upsolved
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch id="show-upsolved" checked={showUpsolved} onCheckedChange={setShowUpsolved} />
+          <Label htmlFor="show-upsolved">Show upsolved</Label>
+        </div>
+      </div>
+
+      {queue?.missingContestCount > 0 && (
+        <p className="text-sm text-muted-foreground">
+          {queue.missingContestCount} contests are not in the contest catalog yet and will appear after the next catalog sync.
+        </p>
+      )}
+
+      {contests.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-muted-foreground">Nothing to upsolve. Every contest problem has been solved.</p>
+        </div>
+      ) : (
+        contests.map(contest => (
+          <Card key={`${contest.handle || ''}-${contest.contestId}`}>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-base flex flex-wrap items-center gap-2">
+                <a href={contest.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                  {contest.contestName}
+                </a>
+                {contest.division && <Badge variant="outline">{contest.division}</Badge>}
+              </CardTitle>
+              <CardDescription>
+                {formatDate(contest.date)} · solved {contest.solvedInContest} of {contest.problemCount} during the contest
+                {contest.upsolvedCount > 0 && ` · ${contest.upsolvedCount} upsolved since`}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ul className="divide-y">
+                {contest.problems.map(problem => (
+                  <UpsolveProblem key={problem.problemId} problem={problem} />
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  )
+}
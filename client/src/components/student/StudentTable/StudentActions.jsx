@@ -1,14 +1,18 @@
 /* eslint-disable no-unused-vars */
 import { useState } from 'react'
-import { MoreVertical, Pencil, RefreshCw, Trash2, FileDown } from 'lucide-react'
+import { MoreVertical, Pencil, RefreshCw, Trash2, FileDown, Archive, ArchiveRestore } from 'lucide-react'
 import { useNavigate } from 'react-router-dom'
 import { useToast } from '@/components/common/UI/Toast/useToast'
 import { useStudentContext } from '@/context/StudentContext'
+import { useAuthContext } from '@/context/AuthContext'
 import exportService from '@/services/exportService'
+import { USER_ROLES } from '@/utils/constants'
 import { Button } from '@/components/common/UI/Button'
 
-export default function StudentActions({ student }) {
-  const { deleteStudent, refreshStudentData } = useStudentContext()
+export default function StudentActions({ student, onStudentChange }) {
+  const { archiveStudent, restoreStudent, purgeStudent, refreshStudentData } = useStudentContext()
+  const { hasRole } = useAuthContext()
+  const canEdit = hasRole(USER_ROLES.ADMIN, USER_ROLES.MENTOR)
   const [isRefreshing, setIsRefreshing] = useState(false)
   const [isExporting, setIsExporting] = useState(false)
   const navigate = useNavigate()
@@ -56,44 +60,48 @@ export default function StudentActions({ student }) {
     }
   }
 
-  const handleDelete = async () => {
-    if (confirm(`Are you sure you want to delete ${student.name}? This action cannot be undone.`)) {
-      try {
-        await deleteStudent(student._id)
-        toast({
-          title: 'Success',
-          description: 'Student deleted successfully',
-        })
-        navigate('/students')
-      } catch (error) {
-        toast({
-          title: 'Error',
-          description: 'Failed to delete student',
-          variant: 'destructive',
-        })
-      }
-    }
+  const handleArchive = async () => {
+    if (!confirm(`Archive ${student.name}? Their history is kept and they can be restored later.`)) return
+
+    const response = await archiveStudent(student._id)
+    if (response) onStudentChange?.(response.data)
+  }
+
+  const handleRestore = async () => {
+    const response = await restoreStudent(student._id)
+    if (response) onStudentChange?.(response.data)
+  }
+
+  const handlePurge = async () => {
+    if (!confirm(`Permanently delete ${student.name} and all of their data? This action cannot be undone.`)) return
+
+    const response = await purgeStudent(student._id)
+    if (response) navigate('/students')
   }
 
   return (
     <div className="flex flex-wrap gap-2">
-      <Button
-        variant="outline"
-        size="sm"
-        onClick={handleEdit}
-      >
-        <Pencil className="mr-1 h-4 w-4" />
-        Edit
-      </Button>
-      <Button
-        variant="outline"
-        size="sm"
-        onClick={handleRefresh}
-        disabled={isRefreshing}
-      >
-        <RefreshCw className={`mr-1 h-4 w-4 ${isRefreshing ? 'animate-spin' : ''}`} />
-        Refresh CF Data
-      </Button>
+      {canEdit && (
+        <>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleEdit}
+          >
+            <Pencil className="mr-1 h-4 w-4" />
+            Edit
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleRefresh}
+            disabled={isRefreshing}
+          >
+            <RefreshCw className={`mr-1 h-4 w-4 ${isRefreshing ? 'animate-spin' : ''}`} />
+            Refresh CF Data
+          </Button>
+        </>
+      )}
       <Button
         variant="outline"
         size="sm"
@@ -103,15 +111,37 @@ export default function StudentActions({ student }) {
         <FileDown className="mr-1 h-4 w-4" />
         Export CSV
       </Button>
-      <Button
-        variant="outline"
-        size="sm"
-        className="text-destructive hover:bg-destructive/10"
-        onClick={handleDelete}
-      >
-        <Trash2 className="mr-1 h-4 w-4" />
-        Delete
-      </Button>
+      {hasRole(USER_ROLES.ADMIN) && !student.archivedAt && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleArchive}
+        >
+          <Archive className="mr-1 h-4 w-4" />
+          Archive
+        </Button>
+      )}
+      {hasRole(USER_ROLES.ADMIN) && student.archivedAt && (
+        <>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleRestore}
+          >
+            <ArchiveRestore className="mr-1 h-4 w-4" />
+            Restore
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            className="text-destructive hover:bg-destructive/10"
+            onClick={handlePurge}
+          >
+            <Trash2 className="mr-1 h-4 w-4" />
+            Delete Permanently
+          </Button>
+        </>
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+import { useState } from 'react'
+import { Card, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Label } from '@/components/common/UI/Label'
+import { GOAL_TRACKING, STUDENT_FILTER_FIELDS } from '@/utils/constants'
+
+const ANY = 'any'
+
+function RangeField({ label, id, min, max, onChange, type = 'number', placeholders = ['Min', 'Max'] }) {
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={`${id}-min`}>{label}</Label>
+      <div className="flex items-center gap-2">
+        <Input
+          id={`${id}-min`}
+          type={type}
+          min="0"
+          value={min.value}
+          onChange={(e) => onChange(min.name, e.target.value)}
+          placeholder={placeholders[0]}
+        />
+        <span className="text-muted-foreground">–</span>
+        <Input
+          type={type}
+          min="0"
+          value={max.value}
+          onChange={(e) => onChange(max.name, e.target.value)}
+          placeholder={placeholders[1]}
+          aria-label={`${label} ${placeholders[1].toLowerCase()}`}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default function StudentFilters({ filters, onApply, onClose }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(
+    STUDENT_FILTER_FIELDS.map(field => [field, filters[field] || ''])
+  ))
+
+  const update = (field, value) => setDraft(previous => ({ ...previous, [field]: value }))
+  const range = (minName, maxName) => ({
+    min: { name: minName, value: draft[minName] },
+    max: { name: maxName, value: draft[maxName] }
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onApply(draft)
+  }
+
+  const handleClear = () => {
+    const cleared = Object.fromEntries(STUDENT_FILTER_FIELDS.map(field => [field, '']))
+    setDraft(cleared)
+    onApply(cleared)
+  }
+
+  return (
+    <Card>
+      <form onSubmit={handleSubmit}>
+        <CardContent className="grid gap-4 pt-6 md:grid-cols-2 lg:grid-cols-3">
+          <RangeField label="Current rating" id="filter-rating" {...range('minRating', 'maxRating')} onChange={update} />
+          <RangeField label="Max rating" id="filter-max-rating" {...range('minMaxRating', 'maxMaxRating')} onChange={update} />
+          <RangeField
+            label="Last submission"
+            id="filter-last-submission"
+            type="date"
+            placeholders={['After', 'Before']}
+            {...range('lastSubmissionAfter', 'lastSubmissionBefore')}
+            onChange={update}
+          />
+          <div className="space-y-2">
+            <Label htmlFor="filter-solved-min">
+              Problems solved in the last{' '}
+              <Input
+                type="number"
+                min="1"
+                max="365"
+                className="inline-flex h-7 w-16 px-2"
+                value={draft.solvedDays}
+                onChange={(e) => update('solvedDays', e.target.value)}
+                placeholder="30"
+                aria-label="Days"
+              />{' '}
+              days
+            </Label>
+            <div className="flex items-center gap-2">
+              <Input
+                id="filter-solved-min"
+                type="number"
+                min="0"
+                value={draft.minSolved}
+                onChange={(e) => update('minSolved', e.target.value)}
+                placeholder="Min"
+              />
+              <span className="text-muted-foreground">–</span>
+              <Input
+                type="number"
+                min="0"
+                value={draft.maxSolved}
+                onChange={(e) => update('maxSolved', e.target.value)}
+                placeholder="Max"
+                aria-label="Problems solved max"
+              />
+            </div>
+          </div>
+          <RangeField label="Reminders sent" id="filter-reminders" {...range('minReminders', 'maxReminders')} onChange={update} />
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-2">
+              <Label>Goals</Label>
+              <Select value={draft.goalStatus || ANY} onValueChange={(value) => update('goalStatus', value === ANY ? '' : value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY}>Any</SelectItem>
+                  <SelectItem value={GOAL_TRACKING.ON_TRACK}>On track</SelectItem>
+                  <SelectItem value={GOAL_TRACKING.OFF_TRACK}>Off track</SelectItem>
+                  <SelectItem value={GOAL_TRACKING.NONE}>No goals</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="filter-tags">Tags</Label>
+              <Input
+                id="filter-tags"
+                value={draft.tags}
+                onChange={(e) => update('tags', e.target.value)}
+                placeholder="icpc, beginner"
+              />
+            </div>
+          </div>
+        </CardContent>
+        <CardFooter className="flex justify-end gap-2">
+          <Button type="button" variant="ghost" size="sm" onClick={handleClear}>
+            Clear
+          </Button>
+          {onClose && (
+            <Button type="button" variant="outline" size="sm" onClick={onClose}>
+              Close
+            </Button>
+          )}
+          <Button type="submit" size="sm">
+            Apply Filters
+          </Button>
+        </CardFooter>
+      </form>
+    </Card>
+  )
+}
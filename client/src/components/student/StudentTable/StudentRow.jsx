@@ -1,17 +1,40 @@
 /* eslint-disable no-unused-vars */
 import { useState } from 'react'
-import { Eye, RefreshCw, Pencil, Trash2 } from 'lucide-react'
+import { Eye, RefreshCw, Pencil, Trash2, Archive, ArchiveRestore } from 'lucide-react'
 import { useStudentContext } from '@/context/StudentContext'
+import { useAuthContext } from '@/context/AuthContext'
 import { useToast } from '@/components/common/UI/Toast/useToast'
 import { formatDate } from '@/utils/dateUtils'
 import { getRatingColor } from '@/utils/chartUtils'
+import { USER_ROLES, GOAL_TRACKING, HANDLE_STATUS, HANDLE_STATUS_LABELS, HANDLE_ATTENTION_FAILURE_COUNT } from '@/utils/constants'
 import { TableRow, TableCell } from '@/components/common/UI/Table'
+import { Badge } from '@/components/common/UI/Badge'
 import { Button } from '@/components/common/UI/Button'
 
+function HandleStatusBadge({ handleStatus }) {
+  if (!handleStatus) return null
+
+  if (handleStatus.status === HANDLE_STATUS.RENAMED) {
+    return <Badge variant="secondary" className="ml-2">Renamed from {handleStatus.renamedFrom}</Badge>
+  }
+
+  // An unknown handle is flagged straight away; other failures only once they keep happening
+  const isFlagged = handleStatus.status === HANDLE_STATUS.NOT_FOUND ||
+    (handleStatus.status !== HANDLE_STATUS.OK && handleStatus.failureCount >= HANDLE_ATTENTION_FAILURE_COUNT)
+  if (!isFlagged) return null
+
+  return (
+    <Badge variant="destructive" className="ml-2" title={handleStatus.message || undefined}>
+      {HANDLE_STATUS_LABELS[handleStatus.status]}
+    </Badge>
+  )
+}
+
 export default function StudentRow({ student, onViewDetails }) {
-  const { deleteStudent, refreshStudentData } = useStudentContext()
+  const { archiveStudent, restoreStudent, purgeStudent, refreshStudentData } = useStudentContext()
+  const { hasRole } = useAuthContext()
   const [isRefreshing, setIsRefreshing] = useState(false)
-  const [isDeleting, setIsDeleting] = useState(false)
+  const [isArchiving, setIsArchiving] = useState(false)
   const { toast } = useToast()
 
   const handleRefresh = async (e) => {
@@ -34,28 +57,24 @@ export default function StudentRow({ student, onViewDetails }) {
     }
   }
 
-  const handleDelete = async (e) => {
+  // Archive, restore and purge report their own success or failure through the student context
+  const runArchiveAction = async (e, action, confirmMessage) => {
     e.stopPropagation()
-    if (confirm('Are you sure you want to delete this student? This action cannot be undone.')) {
-      setIsDeleting(true)
-      try {
-        await deleteStudent(student._id)
-        toast({
-          title: 'Success',
-          description: 'Student deleted successfully',
-        })
-      } catch (error) {
-        toast({
-          title: 'Error',
-          description: 'Failed to delete student',
-          variant: 'destructive',
-        })
-      } finally {
-        setIsDeleting(false)
-      }
-    }
+    if (confirmMessage && !confirm(confirmMessage)) return
+
+    setIsArchiving(true)
+    await action(student._id)
+    setIsArchiving(false)
   }
 
+  const handleArchive = (e) =>
+    runArchiveAction(e, archiveStudent, `Archive ${student.name}? Their history is kept and they can be restored later.`)
+
+  const handleRestore = (e) => runArchiveAction(e, restoreStudent)
+
+  const handlePurge = (e) =>
+    runArchiveAction(e, purgeStudent, `Permanently delete ${student.name} and all of their data? This action cannot be undone.`)
+
   const ratingStyle = student.currentRating 
     ? { color: getRatingColor(student.currentRating) } 
     : {}
@@ -69,7 +88,10 @@ export default function StudentRow({ student, onViewDetails }) {
       <TableCell className="font-medium">{student.name}</TableCell>
       <TableCell>{student.email}</TableCell>
       <TableCell className="hidden md:table-cell">{student.phoneNumber || '-'}</TableCell>
-      <TableCell className="hidden md:table-cell">{student.codeforcesHandle || '-'}</TableCell>
+      <TableCell className="hidden md:table-cell">
+        {student.codeforcesHandle || '-'}
+        <HandleStatusBadge handleStatus={student.handleStatus} />
+      </TableCell>
       <TableCell className="hidden md:table-cell">
         <span className="font-medium" style={ratingStyle}>
           {student.currentRating || '-'}
@@ -81,7 +103,14 @@ export default function StudentRow({ student, onViewDetails }) {
         </span>
       </TableCell>
       <TableCell className="hidden md:table-cell">
-        {student.lastUpdated ? formatDate(student.lastUpdated) : 'Never'}
+        {student.goalStatus?.tracking === GOAL_TRACKING.OFF_TRACK ? (
+          <Badge variant="destructive">{student.goalStatus.offTrack} off track</Badge>
+        ) : student.goalStatus?.tracking === GOAL_TRACKING.ON_TRACK ? (
+          <Badge variant="secondary">On track</Badge>
+        ) : '-'}
+      </TableCell>
+      <TableCell className="hidden md:table-cell">
+        {student.lastDataUpdate ? formatDate(student.lastDataUpdate) : 'Never'}
       </TableCell>
       <TableCell className="text-right">
         <div className="flex justify-end gap-2">
@@ -96,24 +125,50 @@ export default function StudentRow({ student, onViewDetails }) {
           >
             <Eye className="h-4 w-4" />
           </Button>
-          <Button
-            variant="ghost"
-            size="sm"
-            onClick={handleRefresh}
-            disabled={isRefreshing}
-            title="Refresh Codeforces Data"
-          >
-            <RefreshCw className={`h-4 w-4 ${isRefreshing ? 'animate-spin' : ''}`} />
-          </Button>
-          <Button
-            variant="ghost"
-            size="sm"
-            onClick={handleDelete}
-            disabled={isDeleting}
-            title="Delete Student"
-          >
-            <Trash2 className="h-4 w-4 text-destructive" />
-          </Button>
+          {hasRole(USER_ROLES.ADMIN, USER_ROLES.MENTOR) && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleRefresh}
+              disabled={isRefreshing}
+              title="Refresh Codeforces Data"
+            >
+              <RefreshCw className={`h-4 w-4 ${isRefreshing ? 'animate-spin' : ''}`} />
+            </Button>
+          )}
+          {hasRole(USER_ROLES.ADMIN) && !student.archivedAt && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleArchive}
+              disabled={isArchiving}
+              title="Archive Student"
+            >
+              <Archive className="h-4 w-4" />
+            </Button>
+          )}
+          {hasRole(USER_ROLES.ADMIN) && student.archivedAt && (
+            <>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={handleRestore}
+                disabled={isArchiving}
+                title="Restore Student"
+              >
+                <ArchiveRestore className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={handlePurge}
+                disabled={isArchiving}
+                title="Delete Permanently"
+              >
+                <Trash2 className="h-4 w-4 text-destructive" />
+              </Button>
+            </>
+          )}
         </div>
       </TableCell>
     </TableRow>
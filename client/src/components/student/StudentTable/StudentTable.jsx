@@ -1,12 +1,18 @@
 /* eslint-disable no-unused-vars */
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { Download, Search } from 'lucide-react'
+import { Download, Search, Archive, SlidersHorizontal, ArrowUpDown, ArrowUp, ArrowDown } from 'lucide-react'
 import { useStudentContext } from '@/context/StudentContext'
+import { useAuthContext } from '@/context/AuthContext'
 import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useDebounce } from '@/hooks/useDebounce'
+import { useInfiniteScroll } from '@/hooks/useInfiniteScroll'
 import exportService from '@/services/exportService'
+import cohortService from '@/services/cohortService'
 import { formatDate } from '@/utils/dateUtils'
+import { USER_ROLES, STUDENT_FILTER_FIELDS } from '@/utils/constants'
 import StudentRow from './StudentRow'
+import StudentFilters from './StudentFilters'
 import {
   Table,
   TableHeader,
@@ -16,29 +22,91 @@ import {
 } from '@/components/common/UI/Table'
 import { Button } from '@/components/common/UI/Button'
 import { Input } from '@/components/common/UI/Input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+
+const ALL_COHORTS = 'all'
+
+function SortableHead({ field, sort, onSort, className, children }) {
+  const isActive = sort.field === field
+  const Icon = !isActive ? ArrowUpDown : sort.order === 'asc' ? ArrowUp : ArrowDown
+
+  return (
+    <TableHead className={className}>
+      <button type="button" className="inline-flex items-center gap-1 hover:text-foreground" onClick={() => onSort(field)}>
+        {children}
+        <Icon className={`h-3 w-3 ${isActive ? '' : 'opacity-40'}`} />
+      </button>
+    </TableHead>
+  )
+}
 
 export default function StudentTable() {
-  const { students, isLoading } = useStudentContext()
-  const [searchTerm, setSearchTerm] = useState('')
+  const {
+    students,
+    isLoading,
+    totalCount,
+    hasMore,
+    loadMoreStudents,
+    filters,
+    setFilters,
+    sort,
+    setSort,
+    listParams,
+    showArchived,
+    setShowArchived
+  } = useStudentContext()
+  const { hasRole } = useAuthContext()
+  const [searchTerm, setSearchTerm] = useState(filters.search || '')
+  const [showFilters, setShowFilters] = useState(false)
+  const [cohorts, setCohorts] = useState([])
+  const debouncedSearch = useDebounce(searchTerm, 400)
   const navigate = useNavigate()
   const { toast } = useToast()
+  // The next page follows the server's cursor, so the page number from the hook is not used
+  const { isFetching, setHasMore, fetchMore } = useInfiniteScroll(loadMoreStudents)
+
+  // A reload for new filters or sorting starts a fresh list that may have more pages again
+  useEffect(() => {
+    setHasMore(hasMore)
+  }, [hasMore, setHasMore])
+
+  useEffect(() => {
+    const fetchCohorts = async () => {
+      try {
+        const response = await cohortService.getCohorts()
+        setCohorts(response.data)
+      } catch {
+        // The cohort filter is optional; the list still works without it
+        setCohorts([])
+      }
+    }
+
+    fetchCohorts()
+  }, [])
+
+  // Searching happens on the server so it covers every student, not just the loaded ones
+  useEffect(() => {
+    setFilters(previous => (
+      (previous.search || '') === debouncedSearch ? previous : { ...previous, search: debouncedSearch }
+    ))
+  }, [debouncedSearch, setFilters])
+
+  const activeFilterCount = STUDENT_FILTER_FIELDS.filter(field => filters[field]).length
 
-  // Filter students based on search term
-const filteredStudents = Array.isArray(students)
-  ? students.filter((student) => {
-      if (!searchTerm) return true;
-      const searchLower = searchTerm.toLowerCase();
-      return (
-        student.name?.toLowerCase().includes(searchLower) ||
-        student.email?.toLowerCase().includes(searchLower) ||
-        student.codeforcesHandle?.toLowerCase().includes(searchLower)
-      );
-    })
-  : [];
+  const handleSort = (field) => {
+    setSort(previous => ({
+      field,
+      order: previous.field === field && previous.order === 'asc' ? 'desc' : 'asc'
+    }))
+  }
+
+  const applyFilters = (advanced) => {
+    setFilters(previous => ({ ...previous, ...advanced }))
+  }
 
   const handleExportCSV = async () => {
     try {
-      await exportService.exportStudentsAsCSV()
+      await exportService.exportStudentsAsCSV(listParams)
       toast({
         title: 'Success',
         description: 'Students data exported successfully',
@@ -65,6 +133,44 @@ const filteredStudents = Array.isArray(students)
           />
         </div>
         <div className="flex gap-2">
+          {cohorts.length > 0 && (
+            <Select
+              value={filters.cohort || ALL_COHORTS}
+              onValueChange={(value) => setFilters(previous => ({ ...previous, cohort: value === ALL_COHORTS ? '' : value }))}
+            >
+              <SelectTrigger className="w-[180px] h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_COHORTS}>All cohorts</SelectItem>
+                {cohorts.map(cohort => (
+                  <SelectItem key={cohort._id} value={cohort._id}>
+                    {cohort.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button
+            onClick={() => setShowFilters(!showFilters)}
+            variant={activeFilterCount > 0 ? 'secondary' : 'outline'}
+            size="sm"
+            className="whitespace-nowrap"
+          >
+            <SlidersHorizontal className="mr-2 h-4 w-4" />
+            Filters{activeFilterCount > 0 && ` (${activeFilterCount})`}
+          </Button>
+          {hasRole(USER_ROLES.ADMIN) && (
+            <Button
+              onClick={() => setShowArchived(!showArchived)}
+              variant={showArchived ? 'secondary' : 'outline'}
+              size="sm"
+              className="whitespace-nowrap"
+            >
+              <Archive className="mr-2 h-4 w-4" />
+              {showArchived ? 'Show Current' : 'Show Archived'}
+            </Button>
+          )}
           <Button
             onClick={handleExportCSV}
             variant="outline"
@@ -77,37 +183,46 @@ const filteredStudents = Array.isArray(students)
         </div>
       </div>
 
+      {showFilters && (
+        <StudentFilters filters={filters} onApply={applyFilters} onClose={() => setShowFilters(false)} />
+      )}
+
       <div className="border rounded-md">
         <Table>
           <TableHeader>
             <TableRow>
-              <TableHead>Name</TableHead>
-              <TableHead>Email</TableHead>
+              <SortableHead field="name" sort={sort} onSort={handleSort}>Name</SortableHead>
+              <SortableHead field="email" sort={sort} onSort={handleSort}>Email</SortableHead>
               <TableHead className="hidden md:table-cell">Phone</TableHead>
-              <TableHead className="hidden md:table-cell">CF Handle</TableHead>
-              <TableHead className="hidden md:table-cell">Current Rating</TableHead>
-              <TableHead className="hidden md:table-cell">Max Rating</TableHead>
-              <TableHead className="hidden md:table-cell">Last Updated</TableHead>
+              <SortableHead field="codeforcesHandle" sort={sort} onSort={handleSort} className="hidden md:table-cell">CF Handle</SortableHead>
+              <SortableHead field="currentRating" sort={sort} onSort={handleSort} className="hidden md:table-cell">Current Rating</SortableHead>
+              <SortableHead field="maxRating" sort={sort} onSort={handleSort} className="hidden md:table-cell">Max Rating</SortableHead>
+              <TableHead className="hidden md:table-cell">Goals</TableHead>
+              <SortableHead field="lastDataUpdate" sort={sort} onSort={handleSort} className="hidden md:table-cell">Last Updated</SortableHead>
               <TableHead className="text-right">Actions</TableHead>
             </TableRow>
           </TableHeader>
           <TableBody>
             {isLoading ? (
               <TableRow>
-                <td colSpan={8} className="py-6 text-center">
+                <td colSpan={9} className="py-6 text-center">
                   <div className="flex justify-center">
                     <div className="loading-spinner" />
                   </div>
                 </td>
               </TableRow>
-            ) : filteredStudents.length === 0 ? (
+            ) : students.length === 0 ? (
               <TableRow>
-                <td colSpan={8} className="py-6 text-center">
-                  {searchTerm ? 'No students match your search' : 'No students found. Add some students to get started.'}
+                <td colSpan={9} className="py-6 text-center">
+                  {searchTerm || activeFilterCount > 0
+                    ? 'No students match your search and filters'
+                    : showArchived
+                      ? 'No archived students.'
+                      : 'No students found. Add some students to get started.'}
                 </td>
               </TableRow>
             ) : (
-              filteredStudents.map((student) => (
+              students.map((student) => (
                 <StudentRow 
                   key={student._id}
                   student={student}
@@ -118,6 +233,19 @@ const filteredStudents = Array.isArray(students)
           </TableBody>
         </Table>
       </div>
+
+      {!isLoading && students.length > 0 && (
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+          <span>Showing {students.length} of {totalCount} students</span>
+          {isFetching ? (
+            <div className="loading-spinner" />
+          ) : hasMore && (
+            <Button variant="outline" size="sm" onClick={fetchMore}>
+              Load more
+            </Button>
+          )}
+        </div>
+      )}
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import userService from '@/services/userService'
+import studentService from '@/services/studentService'
+
+export default function MentorAssignments({ mentor, onClose, onSaved }) {
+  const [students, setStudents] = useState([])
+  const [selectedIds, setSelectedIds] = useState(new Set())
+  const [search, setSearch] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true)
+      try {
+        const [allStudents, assigned] = await Promise.all([
+          studentService.getEveryStudent({ sortField: 'name', sortOrder: 'asc' }),
+          userService.getAssignedStudents(mentor._id)
+        ])
+        setStudents(allStudents.data)
+        setSelectedIds(new Set(assigned.data.map(student => student._id)))
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load student assignments',
+          variant: 'destructive'
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchData()
+  }, [mentor._id, toast])
+
+  const toggleStudent = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      const response = await userService.updateAssignedStudents(mentor._id, [...selectedIds])
+      toast({
+        title: 'Success',
+        description: response.message
+      })
+      onSaved()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to update assignments',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const term = search.trim().toLowerCase()
+  const visibleStudents = term
+    ? students.filter(student =>
+        student.name.toLowerCase().includes(term) ||
+        student.codeforcesHandle.toLowerCase().includes(term)
+      )
+    : students
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Students assigned to {mentor.name}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Input
+          placeholder="Search by name or handle"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <div className="loading-spinner" />
+          </div>
+        ) : (
+          <div className="max-h-80 overflow-y-auto divide-y rounded-md border">
+            {visibleStudents.map(student => (
+              <label
+                key={student._id}
+                className="flex items-center gap-3 px-3 py-2 cursor-pointer hover:bg-muted/50"
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(student._id)}
+                  onChange={() => toggleStudent(student._id)}
+                />
+                <span className="font-medium">{student.name}</span>
+                <span className="text-sm text-muted-foreground">{student.codeforcesHandle}</span>
+              </label>
+            ))}
+            {visibleStudents.length === 0 && (
+              <p className="px-3 py-4 text-sm text-muted-foreground">No students found</p>
+            )}
+          </div>
+        )}
+      </CardContent>
+      <CardFooter className="flex justify-between">
+        <p className="text-sm text-muted-foreground">{selectedIds.size} selected</p>
+        <div className="space-x-2">
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          <Button onClick={handleSave} disabled={isLoading || isSaving}>
+            {isSaving ? 'Saving...' : 'Save Assignments'}
+          </Button>
+        </div>
+      </CardFooter>
+    </Card>
+  )
+}
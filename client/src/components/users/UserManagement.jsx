@@ -0,0 +1,296 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { Trash2, Users } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useAuthContext } from '@/context/AuthContext'
+import { Card, CardHeader, CardTitle, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/common/UI/Form'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Switch } from '@/components/common/UI/Switch'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/common/UI/Select'
+import MentorAssignments from './MentorAssignments'
+import userService from '@/services/userService'
+import { USER_ROLES, USER_ROLE_OPTIONS } from '@/utils/constants'
+
+const formSchema = z.object({
+  name: z.string().min(1, { message: 'Name is required' }),
+  email: z.string().email({ message: 'Invalid email address' }),
+  password: z.string().min(8, { message: 'Password must be at least 8 characters' }),
+  role: z.enum(Object.values(USER_ROLES))
+})
+
+export default function UserManagement() {
+  const [users, setUsers] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [selectedMentor, setSelectedMentor] = useState(null)
+  const { user: currentUser } = useAuthContext()
+  const { toast } = useToast()
+
+  const form = useForm({
+    resolver: zodResolver(formSchema),
+    defaultValues: {
+      name: '',
+      email: '',
+      password: '',
+      role: USER_ROLES.VIEWER
+    }
+  })
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await userService.getUsers()
+      setUsers(response.data)
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to fetch users',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [toast])
+
+  useEffect(() => {
+    fetchUsers()
+  }, [fetchUsers])
+
+  const onSubmit = async (data) => {
+    setIsSaving(true)
+    try {
+      await userService.createUser(data)
+      toast({
+        title: 'Success',
+        description: `Created account for ${data.email}`
+      })
+      form.reset()
+      await fetchUsers()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to create user',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleUpdate = async (id, changes) => {
+    try {
+      await userService.updateUser(id, changes)
+      await fetchUsers()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to update user',
+        variant: 'destructive'
+      })
+    }
+  }
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete the account for ${user.email}?`)) return
+
+    try {
+      await userService.deleteUser(user._id)
+      if (selectedMentor?._id === user._id) setSelectedMentor(null)
+      await fetchUsers()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to delete user',
+        variant: 'destructive'
+      })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <Card>
+        <CardContent className="py-10">
+          <div className="flex justify-center">
+            <div className="loading-spinner" />
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Users</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Email</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead>Active</TableHead>
+                <TableHead>Assigned Students</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {users.map(user => {
+                const isSelf = user._id === currentUser?._id
+
+                return (
+                  <TableRow key={user._id}>
+                    <TableCell className="font-medium">{user.name}</TableCell>
+                    <TableCell>{user.email}</TableCell>
+                    <TableCell>
+                      <Select
+                        value={user.role}
+                        onValueChange={(role) => handleUpdate(user._id, { role })}
+                        disabled={isSelf}
+                      >
+                        <SelectTrigger className="w-32">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {USER_ROLE_OPTIONS.map(option => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Switch
+                        checked={user.isActive}
+                        onCheckedChange={(isActive) => handleUpdate(user._id, { isActive })}
+                        disabled={isSelf}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {user.role === USER_ROLES.MENTOR ? user.assignedStudentCount : '-'}
+                    </TableCell>
+                    <TableCell className="text-right space-x-2">
+                      {user.role === USER_ROLES.MENTOR && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setSelectedMentor(user)}
+                        >
+                          <Users className="mr-2 h-4 w-4" />
+                          Students
+                        </Button>
+                      )}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDelete(user)}
+                        disabled={isSelf}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                )
+              })}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {selectedMentor && (
+        <MentorAssignments
+          mentor={selectedMentor}
+          onClose={() => setSelectedMentor(null)}
+          onSaved={fetchUsers}
+        />
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Add User</CardTitle>
+        </CardHeader>
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <CardContent className="grid md:grid-cols-2 gap-4">
+              <FormField
+                control={form.control}
+                name="name"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Name</FormLabel>
+                    <FormControl>
+                      <Input {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="email"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Email</FormLabel>
+                    <FormControl>
+                      <Input {...field} type="email" />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="password"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Password</FormLabel>
+                    <FormControl>
+                      <Input {...field} type="password" autoComplete="new-password" />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="role"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Role</FormLabel>
+                    <Select onValueChange={field.onChange} value={field.value}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select role" />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {USER_ROLE_OPTIONS.map(option => (
+                          <SelectItem key={option.value} value={option.value}>
+                            {option.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+            <CardFooter>
+              <Button type="submit" disabled={isSaving}>
+                {isSaving ? 'Creating...' : 'Create User'}
+              </Button>
+            </CardFooter>
+          </form>
+        </Form>
+      </Card>
+    </div>
+  )
+}
@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react'
+import authService from '../services/authService'
 
 const AuthContext = createContext()
 
@@ -7,31 +8,24 @@ export function AuthProvider({ children }) {
   const [isLoading, setIsLoading] = useState(true)
 
   useEffect(() => {
-    // In a production app, implement proper token-based authentication
-    // For this exercise, we'll create a dummy user for demonstration
-    const dummyUser = {
-      id: '1',
-      name: 'Admin User',
-      email: 'admin@example.com',
-      role: 'admin'
+    // Restore the session from a previously stored token
+    const token = localStorage.getItem('token')
+    if (!token) {
+      setIsLoading(false)
+      return
     }
-    
-    setUser(dummyUser)
-    setIsLoading(false)
+
+    authService.getCurrentUser()
+      .then(response => setUser(response.data))
+      .catch(() => localStorage.removeItem('token'))
+      .finally(() => setIsLoading(false))
   }, [])
 
   const login = async (credentials) => {
     try {
-      // In a real app, this would make an API call
-      // const response = await api.post('/auth/login', credentials)
-      // setUser(response.data.user)
-      console.log('Login with credentials:', credentials)
-      setUser({
-        id: '1',
-        name: 'Admin User',
-        email: credentials.email,
-        role: 'admin'
-      })
+      const response = await authService.login(credentials)
+      localStorage.setItem('token', response.token)
+      setUser(response.data)
       return true
     } catch (error) {
       console.error('Login error:', error)
@@ -39,13 +33,23 @@ export function AuthProvider({ children }) {
     }
   }
 
-  const logout = () => {
-    // In a real app, this would clear tokens
-    setUser(null)
+  const logout = async () => {
+    try {
+      await authService.logout()
+    } catch (error) {
+      // The local session is cleared even if the server call fails
+      console.error('Logout error:', error)
+    } finally {
+      localStorage.removeItem('token')
+      setUser(null)
+    }
   }
 
+  // Check whether the signed in user has one of the given roles
+  const hasRole = (...roles) => Boolean(user && roles.includes(user.role))
+
   return (
-    <AuthContext.Provider value={{ user, isLoading, login, logout }}>
+    <AuthContext.Provider value={{ user, isLoading, login, logout, hasRole }}>
       {children}
     </AuthContext.Provider>
   )
@@ -1,6 +1,8 @@
-import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { useToast } from "@/components/common/UI/Toast/useToast"
 import studentService from '../services/studentService'
+import { useAuthContext } from './AuthContext'
+import { STUDENT_PAGE_SIZE } from '@/utils/constants'
 
 const StudentContext = createContext()
 
@@ -8,14 +10,46 @@ export function StudentProvider({ children }) {
   const [students, setStudents] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
+  // Students matching the filters on the server, not just the pages loaded so far
+  const [totalCount, setTotalCount] = useState(0)
+  // Cursor for the next page, or null once every matching student is loaded
+  const [nextCursor, setNextCursor] = useState(null)
+  const nextCursorRef = useRef(null)
+  // Server-side list filters (search, cohort, rating ranges, ...); empty values are not sent
+  const [filters, setFilters] = useState({})
+  // Sort field and order; the server only accepts whitelisted fields
+  const [sort, setSort] = useState({ field: 'createdAt', order: 'desc' })
+  // Whether the list shows archived students instead of current ones
+  const [showArchived, setShowArchived] = useState(false)
   const { toast } = useToast()
+  const { user } = useAuthContext()
 
+  // Query parameters for the current filters, shared by the list and the CSV export
+  const listParams = useMemo(() => {
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    )
+    params.sortField = sort.field
+    params.sortOrder = sort.order
+    if (showArchived) params.archived = true
+    return params
+  }, [filters, sort, showArchived])
+
+  const updateCursor = useCallback((cursor) => {
+    nextCursorRef.current = cursor
+    setNextCursor(cursor)
+  }, [])
+
+  // Load the first page for the current filters, replacing the list
   const fetchStudents = useCallback(async () => {
     setIsLoading(true)
     setError(null)
+    updateCursor(null)
     try {
-      const response = await studentService.getAllStudents()
+      const response = await studentService.getAllStudents({ ...listParams, limit: STUDENT_PAGE_SIZE })
       setStudents(response.data)
+      setTotalCount(response.totalCount)
+      updateCursor(response.nextCursor)
     } catch (err) {
       setError(err.message || 'Failed to fetch students')
       toast({
@@ -26,11 +60,42 @@ export function StudentProvider({ children }) {
     } finally {
       setIsLoading(false)
     }
-  }, [toast])
+  }, [listParams, toast, updateCursor])
+
+  // Append the next page; resolves to the students loaded (none once the list is complete)
+  const loadMoreStudents = useCallback(async () => {
+    const cursor = nextCursorRef.current
+    if (!cursor) return []
+
+    try {
+      const response = await studentService.getAllStudents({ ...listParams, limit: STUDENT_PAGE_SIZE, cursor })
+      // Drop a page that arrives after the filters changed and the list was reloaded
+      if (nextCursorRef.current !== cursor) return []
+
+      setStudents(prev => [...prev, ...response.data])
+      setTotalCount(response.totalCount)
+      updateCursor(response.nextCursor)
+      return response.data
+    } catch (err) {
+      toast({
+        title: "Error",
+        description: "Failed to load more students. Please try again.",
+        variant: "destructive",
+      })
+      throw err
+    }
+  }, [listParams, toast, updateCursor])
 
   useEffect(() => {
-    fetchStudents()
-  }, [fetchStudents])
+    // Only load students once someone is signed in
+    if (user) {
+      fetchStudents()
+    } else {
+      setStudents([])
+      setTotalCount(0)
+      updateCursor(null)
+    }
+  }, [user, fetchStudents, updateCursor])
 
   const addStudent = async (studentData) => {
     setIsLoading(true)
@@ -38,6 +103,7 @@ export function StudentProvider({ children }) {
     try {
       const response = await studentService.addStudent(studentData)
       setStudents(prev => [...prev, response.data.data])
+      setTotalCount(prev => prev + 1)
       toast({
         title: "Success",
         description: "Student added successfully",
@@ -82,30 +148,41 @@ export function StudentProvider({ children }) {
     }
   }
 
-  const deleteStudent = async (id) => {
+  // Archived, restored and purged students all leave the list currently shown
+  const runRemoval = async (action, id, successMessage, failureMessage) => {
     setIsLoading(true)
     setError(null)
     try {
-      await studentService.deleteStudent(id)
+      const response = await action(id)
       setStudents(prev => prev.filter(student => student._id !== id))
+      setTotalCount(prev => Math.max(prev - 1, 0))
       toast({
         title: "Success",
-        description: "Student deleted successfully",
+        description: successMessage,
       })
-      return true
+      return response
     } catch (err) {
-      setError(err.message || 'Failed to delete student')
+      setError(err.message || failureMessage)
       toast({
         title: "Error",
-        description: err.message || "Failed to delete student. Please try again.",
+        description: err.response?.data?.message || failureMessage,
         variant: "destructive",
       })
-      return false
+      return null
     } finally {
       setIsLoading(false)
     }
   }
 
+  const archiveStudent = (id) =>
+    runRemoval(studentService.archiveStudent, id, "Student archived", "Failed to archive student. Please try again.")
+
+  const restoreStudent = (id) =>
+    runRemoval(studentService.restoreStudent, id, "Student restored", "Failed to restore student. Please try again.")
+
+  const purgeStudent = (id) =>
+    runRemoval(studentService.purgeStudent, id, "Student permanently deleted", "Failed to delete student. Please try again.")
+
   const refreshStudentData = async (id) => {
     setIsLoading(true)
     setError(null)
@@ -138,10 +215,22 @@ export function StudentProvider({ children }) {
         students, 
         isLoading, 
         error, 
+        totalCount,
+        hasMore: Boolean(nextCursor),
+        filters,
+        setFilters,
+        sort,
+        setSort,
+        listParams,
+        showArchived,
+        setShowArchived,
         fetchStudents, 
+        loadMoreStudents,
         addStudent, 
         updateStudent, 
-        deleteStudent,
+        archiveStudent,
+        restoreStudent,
+        purgeStudent,
         refreshStudentData
       }}
     >
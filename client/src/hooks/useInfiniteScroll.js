@@ -45,5 +45,10 @@ export function useInfiniteScroll(callback, options = {}) {
     return () => window.removeEventListener('scroll', handleScroll)
   }, [handleScroll])
   
-  return { isFetching, hasMore, page, setPage, resetPage: () => setPage(initialPage), setHasMore }
+  // Load the next page without waiting for a scroll, e.g. when the content is shorter than the window
+  const fetchMore = useCallback(() => {
+    if (hasMore) setIsFetching(true)
+  }, [hasMore])
+  
+  return { isFetching, hasMore, page, setPage, resetPage: () => setPage(initialPage), setHasMore, fetchMore }
 }
@@ -0,0 +1,225 @@
+import { useEffect, useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { ArrowLeft, Users, TrendingUp, AlertTriangle, Trophy, Download } from 'lucide-react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Cell, ResponsiveContainer } from 'recharts'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Button } from '@/components/common/UI/Button'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import cohortService from '@/services/cohortService'
+import exportService from '@/services/exportService'
+import { formatDate, getDaysDifference } from '@/utils/dateUtils'
+
+function StatCard({ title, icon, value, description }) {
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between pb-2 space-y-0">
+        <CardTitle className="text-sm font-medium">{title}</CardTitle>
+        {icon}
+      </CardHeader>
+      <CardContent>
+        <div className="text-2xl font-bold">{value}</div>
+        <p className="text-xs text-muted-foreground pt-1">{description}</p>
+      </CardContent>
+    </Card>
+  )
+}
+
+function StudentList({ students, emptyMessage, renderDetail }) {
+  const navigate = useNavigate()
+
+  if (students.length === 0) {
+    return <p className="text-sm text-muted-foreground">{emptyMessage}</p>
+  }
+
+  return (
+    <ul className="divide-y">
+      {students.map(student => (
+        <li key={student._id}>
+          <button
+            type="button"
+            className="flex w-full items-center justify-between py-2 text-left hover:bg-muted/50"
+            onClick={() => navigate(`/students/${student._id}`)}
+          >
+            <span>
+              <span className="font-medium">{student.name}</span>{' '}
+              <span className="text-sm text-muted-foreground">{student.codeforcesHandle}</span>
+            </span>
+            <span className="text-sm">{renderDetail(student)}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function CohortDashboardPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [dashboard, setDashboard] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    const fetchDashboard = async () => {
+      setIsLoading(true)
+      try {
+        const response = await cohortService.getCohortDashboard(id)
+        setDashboard(response.data)
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load cohort dashboard',
+          variant: 'destructive'
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchDashboard()
+  }, [id, toast])
+
+  const handleExport = async () => {
+    try {
+      await exportService.exportStudentsAsCSV({ cohort: id })
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to export cohort students',
+        variant: 'destructive'
+      })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="loading-spinner" />
+      </div>
+    )
+  }
+
+  if (!dashboard) {
+    return (
+      <div className="space-y-4">
+        <p className="text-muted-foreground">Cohort not found.</p>
+        <Button variant="outline" onClick={() => navigate('/cohorts')}>
+          Back to cohorts
+        </Button>
+      </div>
+    )
+  }
+
+  const { cohort, studentCount, rating, activity, inactiveCount, inactiveStudents, topStudents } = dashboard
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <Button variant="outline" size="icon" onClick={() => navigate('/cohorts')}>
+            <ArrowLeft className="h-4 w-4" />
+          </Button>
+          <div>
+            <h1 className="text-2xl font-bold tracking-tight">{cohort.name}</h1>
+            <p className="text-sm text-muted-foreground">
+              {[
+                cohort.term,
+                cohort.mentor && `Mentor: ${cohort.mentor.name}`,
+                cohort.startDate && `Started ${formatDate(cohort.startDate)}`
+              ].filter(Boolean).join(' · ')}
+            </p>
+          </div>
+        </div>
+        <Button variant="outline" size="sm" onClick={handleExport}>
+          <Download className="mr-2 h-4 w-4" />
+          Export CSV
+        </Button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+        <StatCard
+          title="Students"
+          icon={<Users className="w-4 h-4 text-muted-foreground" />}
+          value={studentCount}
+          description={`${rating.ratedCount} with a Codeforces rating`}
+        />
+        <StatCard
+          title="Average Rating"
+          icon={<Trophy className="w-4 h-4 text-muted-foreground" />}
+          value={rating.averageRating || '-'}
+          description={`Average max rating ${rating.averageMaxRating || '-'}`}
+        />
+        <StatCard
+          title="Active This Week"
+          icon={<TrendingUp className="w-4 h-4 text-muted-foreground" />}
+          value={activity.activeLast7Days}
+          description={`${activity.solvedLast7Days} problems solved in the last 7 days`}
+        />
+        <StatCard
+          title="Inactive Students"
+          icon={<AlertTriangle className="w-4 h-4 text-muted-foreground" />}
+          value={inactiveCount}
+          description={`${activity.activeLast30Days} active in the last 30 days`}
+        />
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Rating Distribution</CardTitle>
+            <CardDescription>Students by current Codeforces rank</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {rating.distribution.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No students in this cohort yet.</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={rating.distribution}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Bar dataKey="count" name="Students">
+                    {rating.distribution.map(item => (
+                      <Cell key={item.name} fill={item.color} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </CardContent>
+        </Card>
+
+        <div className="space-y-4">
+          <Card>
+            <CardHeader>
+              <CardTitle>Top Rated</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <StudentList
+                students={topStudents}
+                emptyMessage="No rated students yet."
+                renderDetail={student => student.currentRating}
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Longest Inactive</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <StudentList
+                students={inactiveStudents}
+                emptyMessage="Everyone in this cohort is active."
+                renderDetail={student => student.inactivityStatus?.inactiveSince
+                  ? `${getDaysDifference(student.inactivityStatus.inactiveSince)} days`
+                  : 'Inactive'}
+              />
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
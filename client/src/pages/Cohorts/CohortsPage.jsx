@@ -0,0 +1,185 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Plus, Pencil, Trash2, Users, BarChart3 } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { useAuthContext } from '@/context/AuthContext'
+import { Card, CardContent } from '@/components/common/UI/Card'
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/common/UI/Table'
+import { Button } from '@/components/common/UI/Button'
+import CohortForm from '@/components/cohorts/CohortForm'
+import CohortMembers from '@/components/cohorts/CohortMembers'
+import cohortService from '@/services/cohortService'
+import { formatDate } from '@/utils/dateUtils'
+import { USER_ROLES } from '@/utils/constants'
+
+// Show a cohort's date range, or a dash when no dates are set
+const formatDateRange = (cohort) => {
+  if (!cohort.startDate && !cohort.endDate) return '-'
+  const start = cohort.startDate ? formatDate(cohort.startDate) : '…'
+  const end = cohort.endDate ? formatDate(cohort.endDate) : '…'
+  return `${start} – ${end}`
+}
+
+export default function CohortsPage() {
+  const [cohorts, setCohorts] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isCreating, setIsCreating] = useState(false)
+  const [editingCohort, setEditingCohort] = useState(null)
+  const [membersCohort, setMembersCohort] = useState(null)
+  const { hasRole } = useAuthContext()
+  const navigate = useNavigate()
+  const { toast } = useToast()
+  const isAdmin = hasRole(USER_ROLES.ADMIN)
+
+  const fetchCohorts = useCallback(async () => {
+    try {
+      const response = await cohortService.getCohorts()
+      setCohorts(response.data)
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to fetch cohorts',
+        variant: 'destructive'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [toast])
+
+  useEffect(() => {
+    fetchCohorts()
+  }, [fetchCohorts])
+
+  const handleDelete = async (cohort) => {
+    if (!window.confirm(`Delete the cohort ${cohort.name}? Students stay in the system.`)) return
+
+    try {
+      await cohortService.deleteCohort(cohort._id)
+      if (membersCohort?._id === cohort._id) setMembersCohort(null)
+      if (editingCohort?._id === cohort._id) setEditingCohort(null)
+      await fetchCohorts()
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.response?.data?.message || 'Failed to delete cohort',
+        variant: 'destructive'
+      })
+    }
+  }
+
+  const handleSaved = async () => {
+    setIsCreating(false)
+    setEditingCohort(null)
+    await fetchCohorts()
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold tracking-tight">Cohorts</h1>
+        {isAdmin && !isCreating && (
+          <Button onClick={() => setIsCreating(true)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Cohort
+          </Button>
+        )}
+      </div>
+
+      {isCreating && (
+        <CohortForm onClose={() => setIsCreating(false)} onSaved={handleSaved} />
+      )}
+
+      {editingCohort && (
+        <CohortForm
+          key={editingCohort._id}
+          cohort={editingCohort}
+          onClose={() => setEditingCohort(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {membersCohort && (
+        <CohortMembers
+          key={membersCohort._id}
+          cohort={membersCohort}
+          onClose={() => setMembersCohort(null)}
+          onSaved={fetchCohorts}
+        />
+      )}
+
+      <Card>
+        <CardContent className="pt-6">
+          {isLoading ? (
+            <div className="flex justify-center py-10">
+              <div className="loading-spinner" />
+            </div>
+          ) : cohorts.length === 0 ? (
+            <p className="text-center text-muted-foreground py-10">
+              No cohorts yet.{isAdmin && ' Add one to group students into batches.'}
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Term</TableHead>
+                  <TableHead className="hidden md:table-cell">Mentor</TableHead>
+                  <TableHead className="hidden md:table-cell">Dates</TableHead>
+                  <TableHead>Students</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {cohorts.map(cohort => (
+                  <TableRow key={cohort._id}>
+                    <TableCell className="font-medium">{cohort.name}</TableCell>
+                    <TableCell>{cohort.term || '-'}</TableCell>
+                    <TableCell className="hidden md:table-cell">{cohort.mentor?.name || '-'}</TableCell>
+                    <TableCell className="hidden md:table-cell">{formatDateRange(cohort)}</TableCell>
+                    <TableCell>{cohort.studentCount}</TableCell>
+                    <TableCell className="text-right space-x-2 whitespace-nowrap">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => navigate(`/cohorts/${cohort._id}`)}
+                      >
+                        <BarChart3 className="mr-2 h-4 w-4" />
+                        Dashboard
+                      </Button>
+                      {isAdmin && (
+                        <>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setMembersCohort(cohort)}
+                          >
+                            <Users className="mr-2 h-4 w-4" />
+                            Students
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setEditingCohort(cohort)}
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleDelete(cohort)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
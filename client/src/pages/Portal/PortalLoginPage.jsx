@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { Navigate } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { z } from 'zod'
+import { BarChart3, MailCheck } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/common/UI/Card'
+import { Button } from '@/components/common/UI/Button'
+import { Input } from '@/components/common/UI/Input'
+import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '@/components/common/UI/Form'
+import portalService from '@/services/portalService'
+
+const formSchema = z.object({
+  email: z.string().email({ message: 'Invalid email address' }),
+})
+
+export default function PortalLoginPage() {
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [sentTo, setSentTo] = useState(null)
+  const { toast } = useToast()
+
+  const form = useForm({
+    resolver: zodResolver(formSchema),
+    defaultValues: {
+      email: '',
+    },
+  })
+
+  if (localStorage.getItem('portalToken')) {
+    return <Navigate to="/portal" replace />
+  }
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true)
+    try {
+      await portalService.requestLoginLink(data.email)
+      setSentTo(data.email)
+    } catch {
+      toast({
+        title: 'Error',
+        description: 'Failed to send login link, please try again',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-background flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-2">
+          <div className="flex items-center gap-2 font-semibold text-xl">
+            <BarChart3 className="h-6 w-6" />
+            <span>SPM System</span>
+          </div>
+          <CardTitle>Student sign in</CardTitle>
+          <CardDescription>We&apos;ll email you a link to view your progress</CardDescription>
+        </CardHeader>
+        {sentTo ? (
+          <CardContent className="flex flex-col items-center gap-4 text-center">
+            <MailCheck className="h-10 w-10 text-green-500" />
+            <p>
+              If <span className="font-medium">{sentTo}</span> is registered, a login link is on its way.
+              Check your inbox and open the link on this device.
+            </p>
+            <Button variant="outline" onClick={() => setSentTo(null)}>
+              Use a different email
+            </Button>
+          </CardContent>
+        ) : (
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(onSubmit)}>
+              <CardContent className="space-y-4">
+                <FormField
+                  control={form.control}
+                  name="email"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Email</FormLabel>
+                      <FormControl>
+                        <Input {...field} type="email" autoComplete="email" placeholder="you@example.com" />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </CardContent>
+              <CardFooter>
+                <Button type="submit" className="w-full" disabled={isSubmitting}>
+                  {isSubmitting ? 'Sending...' : 'Email me a login link'}
+                </Button>
+              </CardFooter>
+            </form>
+          </Form>
+        )}
+      </Card>
+    </div>
+  )
+}
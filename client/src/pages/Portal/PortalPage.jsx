@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react'
+import { Navigate, useNavigate } from 'react-router-dom'
+import { LogOut } from 'lucide-react'
+import { useToast } from '@/components/common/UI/Toast/useToast'
+import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/common/UI/Tabs'
+import { Button } from '@/components/common/UI/Button'
+import ThemeToggle from '@/components/common/ThemeToggle'
+import StudentInfoCard from '@/components/student/StudentProfile/StudentInfoCard'
+import ContestHistory from '@/components/student/StudentProfile/ContestHistory/ContestHistory'
+import ProblemSolving from '@/components/student/StudentProfile/ProblemSolving/ProblemSolving'
+import ReminderPreferences from '@/components/portal/ReminderPreferences'
+import ReminderHistory from '@/components/portal/ReminderHistory'
+import portalService from '@/services/portalService'
+
+export default function PortalPage() {
+  const [student, setStudent] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const navigate = useNavigate()
+  const { toast } = useToast()
+  const hasSession = Boolean(localStorage.getItem('portalToken'))
+
+  useEffect(() => {
+    if (!hasSession) return
+
+    const fetchProfile = async () => {
+      try {
+        const response = await portalService.getProfile()
+        setStudent(response.data)
+      } catch {
+        toast({
+          title: 'Error',
+          description: 'Failed to load your profile',
+          variant: 'destructive',
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchProfile()
+  }, [hasSession, toast])
+
+  if (!hasSession) {
+    return <Navigate to="/portal/login" replace />
+  }
+
+  const handleLogout = async () => {
+    try {
+      await portalService.logout()
+    } catch (error) {
+      // The local session is cleared even if the server call fails
+      console.error('Portal logout error:', error)
+    } finally {
+      localStorage.removeItem('portalToken')
+      navigate('/portal/login', { replace: true })
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-background">
+      <header className="bg-background border-b border-border sticky top-0 z-30">
+        <div className="container flex items-center justify-between h-16 px-4 md:px-6">
+          <span className="font-semibold text-lg md:text-xl">My Progress</span>
+          <div className="flex items-center gap-4">
+            <ThemeToggle />
+            <Button variant="ghost" size="sm" onClick={handleLogout}>
+              <LogOut className="mr-2 h-4 w-4" />
+              Logout
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container px-4 md:px-6 py-6">
+        {isLoading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="loading-spinner" />
+          </div>
+        ) : student && (
+          <div className="space-y-6">
+            <div>
+              <h1 className="text-2xl font-bold">{student.name}</h1>
+              <p className="text-muted-foreground">{student.email}</p>
+            </div>
+
+            <div className="grid lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2">
+                <StudentInfoCard student={student} />
+              </div>
+              <ReminderPreferences student={student} onUpdated={setStudent} />
+            </div>
+
+            <Tabs defaultValue="contest-history" className="w-full">
+              <TabsList className="grid w-full grid-cols-3">
+                <TabsTrigger value="contest-history">Contest History</TabsTrigger>
+                <TabsTrigger value="problem-solving">Problem Solving</TabsTrigger>
+                <TabsTrigger value="reminders">Reminders</TabsTrigger>
+              </TabsList>
+              <TabsContent value="contest-history" className="pt-4">
+                <ContestHistory studentId={student._id} loadHistory={portalService.getContestHistory} />
+              </TabsContent>
+              <TabsContent value="problem-solving" className="pt-4">
+                <ProblemSolving studentId={student._id} loadProblemData={portalService.getProblemData} />
+              </TabsContent>
+              <TabsContent value="reminders" className="pt-4">
+                <ReminderHistory studentId={student._id} />
+              </TabsContent>
+            </Tabs>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
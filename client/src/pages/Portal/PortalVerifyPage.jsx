@@ -0,0 +1,53 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/common/UI/Card'
+import { Button } from '@/components/common/UI/Button'
+import portalService from '@/services/portalService'
+
+export default function PortalVerifyPage() {
+  const [searchParams] = useSearchParams()
+  const [error, setError] = useState(null)
+  const navigate = useNavigate()
+  const hasVerified = useRef(false)
+  const token = searchParams.get('token')
+
+  useEffect(() => {
+    if (!token) {
+      setError('This login link is incomplete')
+      return
+    }
+
+    // Login links are single use, so only redeem once even if the effect runs again
+    if (hasVerified.current) return
+    hasVerified.current = true
+
+    portalService.verifyLoginLink(token)
+      .then(response => {
+        localStorage.setItem('portalToken', response.token)
+        navigate('/portal', { replace: true })
+      })
+      .catch(err => {
+        setError(err.response?.data?.message || 'This login link is invalid or has expired')
+      })
+  }, [token, navigate])
+
+  return (
+    <div className="min-h-screen bg-background flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>{error ? 'Unable to sign in' : 'Signing you in...'}</CardTitle>
+          {error && <CardDescription>{error}</CardDescription>}
+        </CardHeader>
+        <CardContent className="flex justify-center">
+          {error ? (
+            <Button asChild>
+              <Link to="/portal/login">Request a new link</Link>
+            </Button>
+          ) : (
+            <div className="loading-spinner" />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -1,8 +1,18 @@
 import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/common/UI/Tabs'
 import CronSettings from '@/components/cron/CronSettings'
 import SyncStatus from '@/components/cron/SyncStatus'
+import NeedsAttention from '@/components/cron/NeedsAttention'
+import ApiCacheStatus from '@/components/cron/ApiCacheStatus'
+import CodeforcesApiSettings from '@/components/cron/CodeforcesApiSettings'
+import UserManagement from '@/components/users/UserManagement'
+import AuditLogTable from '@/components/audit/AuditLogTable'
+import { useAuthContext } from '@/context/AuthContext'
+import { USER_ROLES } from '@/utils/constants'
 
 export default function SettingsPage() {
+  const { hasRole } = useAuthContext()
+  const isAdmin = hasRole(USER_ROLES.ADMIN)
+
   return (
     <div className="space-y-6">
       <h1 className="text-2xl font-bold tracking-tight">Settings</h1>
@@ -10,18 +20,35 @@ export default function SettingsPage() {
       <Tabs defaultValue="sync" className="w-full">
         <TabsList>
           <TabsTrigger value="sync">Data Sync</TabsTrigger>
+          {isAdmin && <TabsTrigger value="users">Users</TabsTrigger>}
+          {isAdmin && <TabsTrigger value="audit">Audit Log</TabsTrigger>}
         </TabsList>
         <TabsContent value="sync" className="space-y-6 pt-4">
           <div className="grid md:grid-cols-2 gap-6">
-            <div>
-              <CronSettings />
-            </div>
+            {isAdmin && (
+              <div>
+                <CronSettings />
+              </div>
+            )}
             <div>
               <SyncStatus />
             </div>
           </div>
+          {isAdmin && <NeedsAttention />}
+          {isAdmin && <ApiCacheStatus />}
+          {isAdmin && <CodeforcesApiSettings />}
         </TabsContent>
+        {isAdmin && (
+          <TabsContent value="users" className="pt-4">
+            <UserManagement />
+          </TabsContent>
+        )}
+        {isAdmin && (
+          <TabsContent value="audit" className="pt-4">
+            <AuditLogTable />
+          </TabsContent>
+        )}
       </Tabs>
     </div>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,20 @@
+import { useNavigate } from 'react-router-dom'
+import { Button } from '@/components/common/UI/Button'
+import StudentImportWizard from '@/components/student/StudentImport/StudentImportWizard'
+
+export default function ImportStudentsPage() {
+  const navigate = useNavigate()
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold tracking-tight">Import Students</h1>
+        <Button variant="outline" onClick={() => navigate('/students')}>
+          Back to Students
+        </Button>
+      </div>
+
+      <StudentImportWizard />
+    </div>
+  )
+}
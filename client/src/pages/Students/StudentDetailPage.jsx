@@ -5,10 +5,13 @@ import StudentProfile from '@/components/student/StudentProfile/StudentProfile'
 import ContestHistory from '@/components/student/StudentProfile/ContestHistory/ContestHistory';
 import ProblemSolving from '@/components/student/StudentProfile/ProblemSolving/ProblemSolving';
 import EditStudentForm from '@/components/student/StudentForm/EditStudentForm'
+import { useAuthContext } from '@/context/AuthContext'
+import { USER_ROLES } from '@/utils/constants'
 
 export default function StudentDetailPage() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const { hasRole } = useAuthContext()
   const isEditing = window.location.pathname.endsWith('/edit')
   
   if (isEditing) {
@@ -37,13 +40,15 @@ export default function StudentDetailPage() {
         </Button>
         <h1 className="text-2xl font-bold tracking-tight">Student Details</h1>
         <div className="flex-1 flex justify-end">
-          <Button 
-            variant="outline"
-            onClick={() => navigate(`/students/${id}/edit`)}
-          >
-            <Edit className="mr-2 h-4 w-4" />
-            Edit
-          </Button>
+          {hasRole(USER_ROLES.ADMIN, USER_ROLES.MENTOR) && (
+            <Button 
+              variant="outline"
+              onClick={() => navigate(`/students/${id}/edit`)}
+            >
+              <Edit className="mr-2 h-4 w-4" />
+              Edit
+            </Button>
+          )}
         </div>
       </div>
       
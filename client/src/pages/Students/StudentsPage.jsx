@@ -1,14 +1,17 @@
 /* eslint-disable no-unused-vars */
 import { useState } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
-import { Plus } from 'lucide-react'
+import { Plus, Upload } from 'lucide-react'
 import { Button } from '@/components/common/UI/Button'
 import StudentTable from '@/components/student/StudentTable/StudentTable'
 import AddStudentForm from '@/components/student/StudentForm/AddStudentForm'
+import { useAuthContext } from '@/context/AuthContext'
+import { USER_ROLES } from '@/utils/constants'
 
 export default function StudentsPage() {
   const [showAddForm, setShowAddForm] = useState(false);
   const navigate = useNavigate();
+  const { hasRole } = useAuthContext();
 
   const handleAddStudent = () => {
     setShowAddForm(true);
@@ -42,10 +45,18 @@ export default function StudentsPage() {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold tracking-tight">Students</h1>
-        <Button onClick={handleAddStudent}>
-          <Plus className="mr-2 h-4 w-4" />
-          Add Student
-        </Button>
+        {hasRole(USER_ROLES.ADMIN, USER_ROLES.MENTOR) && (
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => navigate('/students/import')}>
+              <Upload className="mr-2 h-4 w-4" />
+              Import CSV
+            </Button>
+            <Button onClick={handleAddStudent}>
+              <Plus className="mr-2 h-4 w-4" />
+              Add Student
+            </Button>
+          </div>
+        )}
       </div>
       
       <StudentTable />
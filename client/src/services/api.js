@@ -9,10 +9,13 @@ const api = axios.create({
   }
 })
 
+// Student portal requests use their own session, separate from staff logins
+const isPortalRequest = (url = '') => url.startsWith('/portal')
+
 // Request interceptor for adding auth token
 api.interceptors.request.use(
   config => {
-    const token = localStorage.getItem('token')
+    const token = localStorage.getItem(isPortalRequest(config.url) ? 'portalToken' : 'token')
     if (token) {
       config.headers.Authorization = `Bearer ${token}`
     }
@@ -29,9 +32,17 @@ api.interceptors.response.use(
     
     // Handle authentication errors
     if (response && response.status === 401) {
-      localStorage.removeItem('token')
-      // In a real app, you would redirect to login page
-      // window.location.href = '/login'
+      if (isPortalRequest(error.config?.url)) {
+        localStorage.removeItem('portalToken')
+        if (!window.location.pathname.startsWith('/portal/login') && !window.location.pathname.startsWith('/portal/verify')) {
+          window.location.href = '/portal/login'
+        }
+      } else {
+        localStorage.removeItem('token')
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login'
+        }
+      }
     }
     
     return Promise.reject(error)
@@ -0,0 +1,15 @@
+import api from './api'
+
+const auditService = {
+  getAuditLogs: async (params = {}) => {
+    try {
+      const response = await api.get('/audit', { params })
+      return response.data
+    } catch (error) {
+      console.error('Error fetching audit log:', error)
+      throw error
+    }
+  }
+}
+
+export default auditService
@@ -0,0 +1,35 @@
+import api from './api'
+
+const authService = {
+  login: async (credentials) => {
+    try {
+      const response = await api.post('/auth/login', credentials)
+      return response.data
+    } catch (error) {
+      console.error('Error logging in:', error)
+      throw error
+    }
+  },
+
+  logout: async () => {
+    try {
+      const response = await api.post('/auth/logout')
+      return response.data
+    } catch (error) {
+      console.error('Error logging out:', error)
+      throw error
+    }
+  },
+
+  getCurrentUser: async () => {
+    try {
+      const response = await api.get('/auth/me')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching current user:', error)
+      throw error
+    }
+  }
+}
+
+export default authService
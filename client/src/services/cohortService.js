@@ -0,0 +1,85 @@
+import api from './api'
+
+const cohortService = {
+  getCohorts: async () => {
+    try {
+      const response = await api.get('/cohorts')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching cohorts:', error)
+      throw error
+    }
+  },
+
+  getCohort: async (id) => {
+    try {
+      const response = await api.get(`/cohorts/${id}`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching cohort ${id}:`, error)
+      throw error
+    }
+  },
+
+  createCohort: async (cohortData) => {
+    try {
+      const response = await api.post('/cohorts', cohortData)
+      return response.data
+    } catch (error) {
+      console.error('Error creating cohort:', error)
+      throw error
+    }
+  },
+
+  updateCohort: async (id, cohortData) => {
+    try {
+      const response = await api.put(`/cohorts/${id}`, cohortData)
+      return response.data
+    } catch (error) {
+      console.error(`Error updating cohort ${id}:`, error)
+      throw error
+    }
+  },
+
+  deleteCohort: async (id) => {
+    try {
+      const response = await api.delete(`/cohorts/${id}`)
+      return response.data
+    } catch (error) {
+      console.error(`Error deleting cohort ${id}:`, error)
+      throw error
+    }
+  },
+
+  getCohortDashboard: async (id) => {
+    try {
+      const response = await api.get(`/cohorts/${id}/dashboard`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching dashboard for cohort ${id}:`, error)
+      throw error
+    }
+  },
+
+  getCohortStudents: async (id) => {
+    try {
+      const response = await api.get(`/cohorts/${id}/students`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching students in cohort ${id}:`, error)
+      throw error
+    }
+  },
+
+  updateCohortStudents: async (id, studentIds) => {
+    try {
+      const response = await api.put(`/cohorts/${id}/students`, { studentIds })
+      return response.data
+    } catch (error) {
+      console.error(`Error updating students in cohort ${id}:`, error)
+      throw error
+    }
+  }
+}
+
+export default cohortService
@@ -31,6 +31,26 @@ const cronService = {
     }
   },
   
+  getApiCacheStatus: async () => {
+    try {
+      const response = await api.get('/cron/api-cache')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching API cache status:', error)
+      throw error
+    }
+  },
+  
+  purgeApiCache: async (params = {}) => {
+    try {
+      const response = await api.delete('/cron/api-cache', { params })
+      return response.data
+    } catch (error) {
+      console.error('Error purging API cache:', error)
+      throw error
+    }
+  },
+  
   triggerManualSync: async () => {
     try {
       const response = await api.post('/cron/manual-sync')
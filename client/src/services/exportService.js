@@ -1,9 +1,10 @@
 import api from './api'
 
 const exportService = {
-  exportStudentsAsCSV: async () => {
+  exportStudentsAsCSV: async (params = {}) => {
     try {
       const response = await api.get('/export/students-csv', {
+        params,
         responseType: 'blob'
       })
       
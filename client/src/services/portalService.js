@@ -0,0 +1,88 @@
+import api from './api'
+
+// Convert a range filter such as '30days' into the number of days the API expects
+const filterToDays = (filter) => parseInt(filter, 10) || 30
+
+const portalService = {
+  requestLoginLink: async (email) => {
+    try {
+      const response = await api.post('/portal/request-link', { email })
+      return response.data
+    } catch (error) {
+      console.error('Error requesting login link:', error)
+      throw error
+    }
+  },
+
+  verifyLoginLink: async (token) => {
+    try {
+      const response = await api.post('/portal/verify', { token })
+      return response.data
+    } catch (error) {
+      console.error('Error verifying login link:', error)
+      throw error
+    }
+  },
+
+  logout: async () => {
+    try {
+      const response = await api.post('/portal/logout')
+      return response.data
+    } catch (error) {
+      console.error('Error logging out of the portal:', error)
+      throw error
+    }
+  },
+
+  getProfile: async () => {
+    try {
+      const response = await api.get('/portal/me')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching portal profile:', error)
+      throw error
+    }
+  },
+
+  updateProfile: async (profileData) => {
+    try {
+      const response = await api.put('/portal/me', profileData)
+      return response.data
+    } catch (error) {
+      console.error('Error updating portal profile:', error)
+      throw error
+    }
+  },
+
+  getContestHistory: async (id, filter) => {
+    try {
+      const response = await api.get(`/portal/students/${id}/contests`, { params: { days: filterToDays(filter) } })
+      return response.data
+    } catch (error) {
+      console.error('Error fetching contest history:', error)
+      throw error
+    }
+  },
+
+  getProblemData: async (id, filter) => {
+    try {
+      const response = await api.get(`/portal/students/${id}/problems`, { params: { days: filterToDays(filter) } })
+      return response.data
+    } catch (error) {
+      console.error('Error fetching problem data:', error)
+      throw error
+    }
+  },
+
+  getEmailHistory: async (id) => {
+    try {
+      const response = await api.get(`/portal/students/${id}/email-history`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching reminder history:', error)
+      throw error
+    }
+  }
+}
+
+export default portalService
@@ -0,0 +1,25 @@
+import api from './api'
+
+const settingsService = {
+  getCodeforcesSettings: async () => {
+    try {
+      const response = await api.get('/settings/codeforces')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching Codeforces settings:', error)
+      throw error
+    }
+  },
+
+  updateCodeforcesSettings: async (settings) => {
+    try {
+      const response = await api.put('/settings/codeforces', settings)
+      return response.data
+    } catch (error) {
+      console.error('Error updating Codeforces settings:', error)
+      throw error
+    }
+  }
+}
+
+export default settingsService
@@ -1,9 +1,9 @@
 import api from './api'
 
 const studentService = {
-  getAllStudents: async () => {
+  getAllStudents: async (params = {}) => {
     try {
-      const response = await api.get('/students')
+      const response = await api.get('/students', { params })
       return response.data
     } catch (error) {
       console.error('Error fetching students:', error)
@@ -11,6 +11,35 @@ const studentService = {
     }
   },
   
+  // Follow the list cursors to load every matching student, for pickers that need the whole list
+  getEveryStudent: async (params = {}) => {
+    try {
+      const students = []
+      let cursor = null
+      do {
+        const response = await api.get('/students', {
+          params: { ...params, limit: 100, ...(cursor && { cursor }) }
+        })
+        students.push(...response.data.data)
+        cursor = response.data.nextCursor
+      } while (cursor)
+      return { success: true, count: students.length, data: students }
+    } catch (error) {
+      console.error('Error fetching students:', error)
+      throw error
+    }
+  },
+  
+  getStudentsNeedingAttention: async () => {
+    try {
+      const response = await api.get('/students/needs-attention')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching students needing attention:', error)
+      throw error
+    }
+  },
+  
   getStudentById: async (id) => {
     try {
       const response = await api.get(`/students/${id}`)
@@ -31,6 +60,23 @@ const studentService = {
     }
   },
   
+  importStudents: async (file, { mode, cohort } = {}) => {
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+      if (mode) formData.append('mode', mode)
+      if (cohort) formData.append('cohort', cohort)
+
+      const response = await api.post('/students/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      })
+      return response.data
+    } catch (error) {
+      console.error('Error importing students:', error)
+      throw error
+    }
+  },
+  
   updateStudent: async (id, studentData) => {
     try {
       const response = await api.put(`/students/${id}`, studentData)
@@ -41,12 +87,132 @@ const studentService = {
     }
   },
   
-  deleteStudent: async (id) => {
+  archiveStudent: async (id) => {
     try {
       const response = await api.delete(`/students/${id}`)
       return response.data
     } catch (error) {
-      console.error(`Error deleting student ${id}:`, error)
+      console.error(`Error archiving student ${id}:`, error)
+      throw error
+    }
+  },
+
+  restoreStudent: async (id) => {
+    try {
+      const response = await api.post(`/students/${id}/restore`)
+      return response.data
+    } catch (error) {
+      console.error(`Error restoring student ${id}:`, error)
+      throw error
+    }
+  },
+
+  purgeStudent: async (id) => {
+    try {
+      const response = await api.delete(`/students/${id}/purge`)
+      return response.data
+    } catch (error) {
+      console.error(`Error purging student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  getSyncStatus: async (id) => {
+    try {
+      const response = await api.get(`/students/${id}/sync-status`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching sync status for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  getStudentPlatforms: async (id) => {
+    try {
+      const response = await api.get(`/students/${id}/platforms`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching platform accounts for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  getStudentNotes: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/students/${id}/notes`, { params })
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching notes for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  addStudentNote: async (id, note) => {
+    try {
+      const response = await api.post(`/students/${id}/notes`, note)
+      return response.data
+    } catch (error) {
+      console.error(`Error adding note for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  updateStudentNote: async (id, noteId, changes) => {
+    try {
+      const response = await api.put(`/students/${id}/notes/${noteId}`, changes)
+      return response.data
+    } catch (error) {
+      console.error(`Error updating note ${noteId} for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  deleteStudentNote: async (id, noteId) => {
+    try {
+      const response = await api.delete(`/students/${id}/notes/${noteId}`)
+      return response.data
+    } catch (error) {
+      console.error(`Error deleting note ${noteId} for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  getStudentGoals: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/students/${id}/goals`, { params })
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching goals for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  addStudentGoal: async (id, goal) => {
+    try {
+      const response = await api.post(`/students/${id}/goals`, goal)
+      return response.data
+    } catch (error) {
+      console.error(`Error adding goal for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  updateStudentGoal: async (id, goalId, changes) => {
+    try {
+      const response = await api.put(`/students/${id}/goals/${goalId}`, changes)
+      return response.data
+    } catch (error) {
+      console.error(`Error updating goal ${goalId} for student ${id}:`, error)
+      throw error
+    }
+  },
+  
+  deleteStudentGoal: async (id, goalId) => {
+    try {
+      const response = await api.delete(`/students/${id}/goals/${goalId}`)
+      return response.data
+    } catch (error) {
+      console.error(`Error deleting goal ${goalId} for student ${id}:`, error)
       throw error
     }
   },
@@ -77,7 +243,7 @@ const studentService = {
       return { data: [] };
     }
     try {
-      const response = await api.get(`/students/${id}/contest-history?filter=${filter}`)
+      const response = await api.get(`/codeforces/students/${id}/contests`, { params: { days: parseInt(filter, 10) || 30 } })
       return response.data
     } catch (error) {
       console.error(`Error fetching contest history for student ${id}:`, error)
@@ -85,6 +251,16 @@ const studentService = {
     }
   },
   
+  getUpsolveQueue: async (id) => {
+    try {
+      const response = await api.get(`/codeforces/students/${id}/unsolved`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching upsolve queue for student ${id}:`, error)
+      throw error
+    }
+  },
+  
   getStudentProblemData: async (id, filter) => {
     if (!id) {
       return { data: { labels: [], datasets: [] } };
@@ -0,0 +1,65 @@
+import api from './api'
+
+const userService = {
+  getUsers: async (params = {}) => {
+    try {
+      const response = await api.get('/users', { params })
+      return response.data
+    } catch (error) {
+      console.error('Error fetching users:', error)
+      throw error
+    }
+  },
+
+  createUser: async (userData) => {
+    try {
+      const response = await api.post('/users', userData)
+      return response.data
+    } catch (error) {
+      console.error('Error creating user:', error)
+      throw error
+    }
+  },
+
+  updateUser: async (id, userData) => {
+    try {
+      const response = await api.put(`/users/${id}`, userData)
+      return response.data
+    } catch (error) {
+      console.error(`Error updating user ${id}:`, error)
+      throw error
+    }
+  },
+
+  deleteUser: async (id) => {
+    try {
+      const response = await api.delete(`/users/${id}`)
+      return response.data
+    } catch (error) {
+      console.error(`Error deleting user ${id}:`, error)
+      throw error
+    }
+  },
+
+  getAssignedStudents: async (id) => {
+    try {
+      const response = await api.get(`/users/${id}/students`)
+      return response.data
+    } catch (error) {
+      console.error(`Error fetching students assigned to user ${id}:`, error)
+      throw error
+    }
+  },
+
+  updateAssignedStudents: async (id, studentIds) => {
+    try {
+      const response = await api.put(`/users/${id}/students`, { studentIds })
+      return response.data
+    } catch (error) {
+      console.error(`Error updating students assigned to user ${id}:`, error)
+      throw error
+    }
+  }
+}
+
+export default userService
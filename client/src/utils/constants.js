@@ -42,3 +42,111 @@ export const SUBMISSION_STATUS_COLORS = {
   REJECTED: 'gray',
   FAILED: 'red'
 }
+
+export const USER_ROLES = {
+  ADMIN: 'admin',
+  MENTOR: 'mentor',
+  VIEWER: 'viewer'
+}
+
+export const USER_ROLE_OPTIONS = [
+  { value: USER_ROLES.ADMIN, label: 'Admin' },
+  { value: USER_ROLES.MENTOR, label: 'Mentor' },
+  { value: USER_ROLES.VIEWER, label: 'Viewer' }
+]
+
+export const AUDIT_ACTION_OPTIONS = [
+  { value: 'create', label: 'Create' },
+  { value: 'update', label: 'Update' },
+  { value: 'delete', label: 'Delete' },
+  { value: 'reset', label: 'Reset' },
+  { value: 'export', label: 'Export' },
+  { value: 'archive', label: 'Archive' },
+  { value: 'restore', label: 'Restore' },
+  { value: 'purge', label: 'Purge' },
+]
+
+export const AUDIT_TARGET_OPTIONS = [
+  { value: 'Student', label: 'Student' },
+  { value: 'Students', label: 'Student list' },
+  { value: 'CronJob', label: 'Cron job' },
+  { value: 'Cohort', label: 'Cohort' },
+  { value: 'ApiCache', label: 'API cache' },
+  { value: 'Settings', label: 'Settings' },
+]
+
+export const IMPORT_MODES = {
+  DRY_RUN: 'dry-run',
+  COMMIT: 'commit'
+}
+
+// Platforms a student can link besides Codeforces
+export const NOTE_CATEGORIES = [
+  { value: 'meeting', label: 'Meeting', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200' },
+  { value: 'concern', label: 'Concern', className: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' },
+  { value: 'praise', label: 'Praise', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+]
+
+export const GOAL_TYPES = [
+  { value: 'rating', label: 'Reach a rating' },
+  { value: 'problems', label: 'Solve problems' },
+  { value: 'contests', label: 'Take part in rated or virtual contests' },
+]
+
+export const GOAL_PERIODS = [
+  { value: 'week', label: 'Every week' },
+  { value: 'month', label: 'Every month' },
+]
+
+export const GOAL_TRACKING = {
+  NONE: 'none',
+  ON_TRACK: 'on-track',
+  OFF_TRACK: 'off-track'
+}
+
+// Codeforces handle health recorded by the sync; matches the server's HANDLE_STATUS
+export const HANDLE_STATUS = {
+  OK: 'ok',
+  RENAMED: 'renamed',
+  NOT_FOUND: 'notFound',
+  API_UNAVAILABLE: 'apiUnavailable',
+  RATE_LIMITED: 'rateLimited',
+  FAILED: 'failed'
+}
+
+export const HANDLE_STATUS_LABELS = {
+  notFound: 'Handle not found',
+  apiUnavailable: 'Codeforces unavailable',
+  rateLimited: 'Rate limited',
+  failed: 'Sync failing'
+}
+
+// Failed syncs in a row before a failure is flagged
+export const HANDLE_ATTENTION_FAILURE_COUNT = 3
+
+// State of a student's queued sync; matches the server's SYNC_QUEUE.STATUSES
+export const SYNC_TASK_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  DEAD: 'dead'
+}
+
+// Student list filters set from the filter panel; search and cohort live in the toolbar
+export const STUDENT_FILTER_FIELDS = [
+  'minRating', 'maxRating', 'minMaxRating', 'maxMaxRating',
+  'lastSubmissionAfter', 'lastSubmissionBefore',
+  'solvedDays', 'minSolved', 'maxSolved',
+  'minReminders', 'maxReminders',
+  'goalStatus', 'tags'
+]
+
+// Students loaded per page of the student table; more load as the table is scrolled
+export const STUDENT_PAGE_SIZE = 25
+
+export const EXTRA_PLATFORMS = [
+  { value: 'atcoder', label: 'AtCoder', profileUrl: (handle) => `https://atcoder.jp/users/${handle}` },
+  { value: 'codechef', label: 'CodeChef', profileUrl: (handle) => `https://www.codechef.com/users/${handle}` },
+  { value: 'leetcode', label: 'LeetCode', profileUrl: (handle) => `https://leetcode.com/u/${handle}/` },
+]
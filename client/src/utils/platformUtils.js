@@ -0,0 +1,20 @@
+import { z } from 'zod'
+import { EXTRA_PLATFORMS } from './constants'
+
+// Form values hold one handle field per platform; the API takes a list of accounts
+export const platformHandlesSchema = z.object(
+  Object.fromEntries(EXTRA_PLATFORMS.map(platform => [platform.value, z.string().optional()]))
+)
+
+export const toPlatformHandles = (accounts = []) =>
+  Object.fromEntries(EXTRA_PLATFORMS.map(platform => [
+    platform.value,
+    accounts.find(account => account.platform === platform.value)?.handle || ''
+  ]))
+
+export const toPlatformAccounts = (handles = {}) =>
+  EXTRA_PLATFORMS
+    .map(platform => ({ platform: platform.value, handle: (handles[platform.value] || '').trim() }))
+    .filter(account => account.handle)
+
+export const getPlatform = (value) => EXTRA_PLATFORMS.find(platform => platform.value === value)
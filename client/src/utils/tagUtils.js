@@ -0,0 +1,6 @@
+// Forms edit tags as one comma-separated field; the API takes a list of lowercase tags
+export const toTagInput = (tags = []) => tags.join(', ')
+
+export const toTagList = (input = '') => [
+  ...new Set(input.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))
+]
@@ -8,7 +8,9 @@ const http = require('http');
 const mongoose = require('mongoose');
 const app = require('./src/app');
 const logger = require('./src/utils/logger');
+const User = require('./src/models/User');
 const { setupCronJobs } = require('./src/jobs/dataSync');
+const { startSyncWorker, stopSyncWorker } = require('./src/services/studentSyncQueue');
 
 // Environment variables
 const PORT = process.env.PORT || 8000;
@@ -19,9 +21,16 @@ const server = http.createServer(app);
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     logger.info('Connected to MongoDB');
     
+    if (!process.env.JWT_SECRET) {
+      logger.error('JWT_SECRET is not set; authentication will not work');
+    }
+    
+    // Make sure there is at least one account that can sign in
+    await User.initializeDefaultAdmin();
+    
     // Start the server
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -29,6 +38,10 @@ mongoose.connect(MONGODB_URI)
       // Setup cron jobs after server starts
       setupCronJobs();
       logger.info('Cron jobs scheduled');
+      
+      // Pick up queued student syncs, including any a previous run left unfinished
+      startSyncWorker()
+        .catch(err => logger.error('Failed to start student sync worker:', err));
     });
   })
   .catch((err) => {
@@ -51,6 +64,9 @@ process.on('unhandledRejection', (err) => {
 const shutdownGracefully = (signal) => {
   logger.info(`${signal} received. Shutting down gracefully...`);
   
+  // Syncs still running are resumed when the server starts again
+  stopSyncWorker();
+  
   server.close(() => {
     logger.info('HTTP server closed');
     
@@ -15,10 +15,18 @@ const rateLimit = require('express-rate-limit');
 
 // Import routes
 const indexRoutes = require('./routes/index');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const portalRoutes = require('./routes/portal');
+const auditRoutes = require('./routes/audit');
 const studentRoutes = require('./routes/students');
+const cohortRoutes = require('./routes/cohorts');
 const codeforcesRoutes = require('./routes/codeforces');
+const contestRoutes = require('./routes/contests');
+const problemRoutes = require('./routes/problems');
 const cronRoutes = require('./routes/cron');
 const exportRoutes = require('./routes/export');
+const settingsRoutes = require('./routes/settings');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -73,10 +81,18 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
 // API routes
 app.use('/api', indexRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/students', studentRoutes);
+app.use('/api/cohorts', cohortRoutes);
 app.use('/api/codeforces', codeforcesRoutes);
+app.use('/api/contests', contestRoutes);
+app.use('/api/problems', problemRoutes);
 app.use('/api/cron', cronRoutes);
 app.use('/api/export', exportRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
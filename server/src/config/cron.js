@@ -31,6 +31,30 @@ const defaultCronConfig = {
     }
   },
   
+  // Rating refresh job (runs every hour)
+  ratingRefresh: {
+    schedule: process.env.RATING_REFRESH_SCHEDULE || '0 * * * *',
+    timezone: process.env.CRON_TIMEZONE || 'Asia/Kolkata',
+    enabled: process.env.RATING_REFRESH_ENABLED !== 'false',
+    config: {}
+  },
+  
+  // Contest and problem catalog sync job (runs every 6 hours)
+  catalogSync: {
+    schedule: process.env.CATALOG_SYNC_SCHEDULE || '30 */6 * * *',
+    timezone: process.env.CRON_TIMEZONE || 'Asia/Kolkata',
+    enabled: process.env.CATALOG_SYNC_ENABLED !== 'false',
+    config: {}
+  },
+  
+  // Private group contest sync job (runs every 6 hours)
+  groupContestSync: {
+    schedule: process.env.GROUP_CONTEST_SYNC_SCHEDULE || '45 */6 * * *',
+    timezone: process.env.CRON_TIMEZONE || 'Asia/Kolkata',
+    enabled: process.env.GROUP_CONTEST_SYNC_ENABLED !== 'false',
+    config: {}
+  },
+  
   // Inactivity check job (runs at 3 AM daily)
   inactivityCheck: {
     schedule: process.env.INACTIVITY_CHECK_SCHEDULE || '0 3 * * *',
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { PAGINATION } = require('../utils/constants');
+
+/**
+ * Audit Controller
+ * Handles querying the audit log of mutations and data exports (admin only)
+ */
+
+// Get audit log entries with pagination and filtering
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE;
+    const limit = Math.min(parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+    const skip = (page - 1) * limit;
+
+    // Build filter object from query parameters
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.targetId) filter.targetId = req.query.targetId;
+
+    if (req.query.actor) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.actor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actor ID'
+        });
+      }
+      filter['actor.user'] = req.query.actor;
+    }
+
+    // Date range filter
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [entries, totalCount] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error fetching audit logs:', error);
+    next(error);
+  }
+};
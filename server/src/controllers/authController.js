@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { generateToken } = require('../middleware/auth');
+
+/**
+ * Auth Controller
+ * Handles staff sign in, sign out and session lookup
+ */
+
+// Log in with email and password
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+
+    // Use the same message for unknown accounts and wrong passwords
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      logger.warn(`Failed login attempt for ${email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const token = generateToken(user.getTokenPayload());
+
+    logger.info(`User ${user.email} logged in`);
+
+    res.status(200).json({
+      success: true,
+      token,
+      data: user
+    });
+  } catch (error) {
+    logger.error('Error during login:', error);
+    next(error);
+  }
+};
+
+// Log out and invalidate all tokens issued to the current user
+exports.logout = async (req, res, next) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+
+    logger.info(`User ${req.user.email} logged out`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Error during logout:', error);
+    next(error);
+  }
+};
+
+// Get the currently authenticated user
+exports.getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error('Error fetching current user:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,135 @@
+const Contest = require('../models/Contest');
+const Problem = require('../models/Problem');
+const logger = require('../utils/logger');
+const { escapeRegex, toList, buildRange } = require('../utils/helpers');
+const { PAGINATION, CATALOG } = require('../utils/constants');
+
+/**
+ * Catalog Controller
+ * Serves the Codeforces contest and problem catalog kept by the catalog sync job
+ */
+
+// Read page and limit from the query, falling back to the defaults
+const getPagination = (query) => {
+  const page = parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE;
+  const limit = parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Get contests with filtering by status, division and name
+exports.getContests = async (req, res, next) => {
+  try {
+    const { status, division, search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (status) filter.phase = { $in: CATALOG.CONTEST_STATUS_PHASES[status] };
+    if (division) filter.division = division;
+    if (search) filter.name = { $regex: escapeRegex(search), $options: 'i' };
+
+    // Upcoming contests are listed soonest first, all others most recent first
+    const sort = status === 'upcoming' ? { startTimeSeconds: 1 } : { startTimeSeconds: -1 };
+
+    const [contests, totalCount] = await Promise.all([
+      Contest.find(filter).select('-problems -metadata').sort(sort).skip(skip).limit(limit).lean(),
+      Contest.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: contests.length,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+      data: contests
+    });
+  } catch (error) {
+    logger.error('Error fetching contests:', error);
+    next(error);
+  }
+};
+
+// Get a single contest with its problems
+exports.getContest = async (req, res, next) => {
+  try {
+    const contestId = parseInt(req.params.contestId, 10);
+
+    const contest = await Contest.findOne({ contestId }).select('-metadata').lean();
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    // The problem catalog also carries how many users solved each problem
+    const problems = await Problem.findByContest(contestId).lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...contest,
+        problems: problems.length > 0 ? problems : contest.problems
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching contest ${req.params.contestId}:`, error);
+    next(error);
+  }
+};
+
+// Get problems with filtering by tags, rating, contest and name
+exports.getProblems = async (req, res, next) => {
+  try {
+    const { contestId, search, sortField, sortOrder } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+
+    // A problem must carry every requested tag
+    const tags = toList(req.query.tags);
+    if (tags.length > 0) filter.tags = { $all: tags };
+
+    const rating = buildRange(req.query.minRating, req.query.maxRating);
+    if (rating) filter.rating = rating;
+
+    if (contestId) filter.contestId = parseInt(contestId, 10);
+    if (search) filter.name = { $regex: escapeRegex(search), $options: 'i' };
+
+    const field = CATALOG.PROBLEM_SORT_FIELDS.includes(sortField) ? sortField : 'contestId';
+    const order = sortOrder === 'asc' ? 1 : -1;
+
+    const [problems, totalCount] = await Promise.all([
+      Problem.find(filter).sort({ [field]: order, problemId: order }).skip(skip).limit(limit).lean(),
+      Problem.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: problems.length,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+      data: problems
+    });
+  } catch (error) {
+    logger.error('Error fetching problems:', error);
+    next(error);
+  }
+};
+
+// Get every tag used in the problem catalog
+exports.getProblemTags = async (req, res, next) => {
+  try {
+    const tags = await Problem.distinct('tags');
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags.sort()
+    });
+  } catch (error) {
+    logger.error('Error fetching problem tags:', error);
+    next(error);
+  }
+};
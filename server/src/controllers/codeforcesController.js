@@ -1,14 +1,87 @@
 const CodeforcesData = require('../models/CodeforcesData');
-const Student = require('../models/Student');
+const Submission = require('../models/Submission');
+const Contest = require('../models/Contest');
+const { buildUpsolveList, findGroupContestHistory } = require('../services/upsolveService');
 const logger = require('../utils/logger');
 const { subDays } = require('date-fns');
 const codeforcesService = require('../services/codeforcesService');
+const { findAccessibleStudent } = require('../utils/studentAccess');
+const { getPlatformSubmissions } = require('../services/platformService');
+const { CODEFORCES } = require('../utils/constants');
 
 /**
  * Codeforces Controller
  * Handles all Codeforces-related operations including contest history and problem data
  */
 
+// Rating buckets for the problem rating charts, 100 points wide
+const RATING_BUCKET_SIZE = 100;
+
+/**
+ * Combine Codeforces solved problems with the accepted submissions from linked platforms
+ * @param {Array} codeforcesSolved - Problems from Submission.getSolvedProblems
+ * @param {Array} platformSubmissions - Submissions from getPlatformSubmissions
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @returns {Array} One entry per problem
+ */
+const mergeSolvedProblems = (codeforcesSolved, platformSubmissions, startDate, endDate) => {
+  const problems = new Map(codeforcesSolved.map(problem => [problem.problemId, problem]));
+  
+  platformSubmissions.forEach(submission => {
+    const submissionDate = new Date(submission.submissionTime);
+    if (submission.verdict !== 'OK' || submissionDate < startDate || submissionDate > endDate) return;
+    if (problems.has(submission.problemId)) return;
+    
+    problems.set(submission.problemId, {
+      problemId: submission.problemId,
+      problemName: submission.problemName,
+      rating: submission.problemRating,
+      solvedOn: submission.submissionTime
+    });
+  });
+  
+  return [...problems.values()];
+};
+
+// Find the highest rated of the solved problems
+const findMostDifficultProblem = (solvedProblems) => solvedProblems.reduce((hardest, problem) => {
+  if (!problem.rating || (hardest && hardest.rating >= problem.rating)) return hardest;
+  return {
+    problemId: problem.problemId,
+    problemName: problem.problemName,
+    rating: problem.rating,
+    solvedOn: problem.solvedOn
+  };
+}, null);
+
+// Count rated problems per rating bucket, lowest bucket first
+const buildRatingDistribution = (ratedProblems) => {
+  const counts = new Map();
+  ratedProblems.forEach(problem => {
+    const lowerBound = Math.floor(problem.rating / RATING_BUCKET_SIZE) * RATING_BUCKET_SIZE;
+    counts.set(lowerBound, (counts.get(lowerBound) || 0) + 1);
+  });
+  
+  return [...counts.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([lowerBound, count]) => ({
+      range: `${lowerBound}-${lowerBound + RATING_BUCKET_SIZE}`,
+      count
+    }));
+};
+
+// Count problems with an accepted submission in the last few days
+const summarizeRecentSolves = (solvedProblems, days) => {
+  const since = subDays(new Date(), days);
+  const solved = solvedProblems.filter(problem => new Date(problem.lastSolvedOn) >= since).length;
+  
+  return {
+    solved,
+    averagePerDay: solved / days
+  };
+};
+
 // Controller to validate a Codeforces handle
 exports.validateHandle = async (req, res, next) => {
   try {
@@ -34,7 +107,7 @@ exports.getContestHistory = async (req, res, next) => {
     const { days = 30 } = req.query; // Default to 30 days if not specified
     
     // Find student and check if exists
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -42,8 +115,8 @@ exports.getContestHistory = async (req, res, next) => {
       });
     }
     
-    // Find Codeforces data for the student
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    // Find Codeforces data for the student across all of their handles
+    const codeforcesData = await CodeforcesData.findMerged(id);
     if (!codeforcesData) {
       return res.status(404).json({
         success: false,
@@ -56,29 +129,57 @@ exports.getContestHistory = async (req, res, next) => {
     const startDate = subDays(endDate, parseInt(days, 10));
     
     // Filter contests within the date range
-    const contests = codeforcesData.contests.filter(contest => {
+    const contestsInRange = codeforcesData.contests.filter(contest => {
       const contestDate = new Date(contest.date);
       return contestDate >= startDate && contestDate <= endDate;
     });
     
+    // Add the division from the contest catalog; contests it does not have yet get none
+    const divisions = new Map(
+      (await Contest.find({ contestId: { $in: contestsInRange.map(contest => contest.contestId) } })
+        .select('contestId division')
+        .lean())
+        .map(contest => [contest.contestId, contest.division])
+    );
+    const contests = contestsInRange.map(contest => ({
+      ...contest,
+      division: divisions.get(contest.contestId) || null
+    }));
+    
+    // Private group contests and mashups are listed with the rated rounds, virtual participations on their own
+    const groupContests = await findGroupContestHistory(student._id, { since: startDate, until: endDate });
+    const isVirtual = (contest) => contest.participantType === CODEFORCES.PARTICIPANT_TYPES.VIRTUAL;
+    contests.push(...groupContests.filter(contest => !isVirtual(contest)));
+    
+    const virtualContests = [
+      ...codeforcesData.virtualContests
+        .filter(contest => contest.startTime >= startDate && contest.startTime <= endDate)
+        .map(contest => ({ ...contest, date: contest.startTime })),
+      ...groupContests.filter(isVirtual)
+    ];
+    
     // Sort contests by date (newest first)
     contests.sort((a, b) => new Date(b.date) - new Date(a.date));
+    virtualContests.sort((a, b) => new Date(b.date) - new Date(a.date));
     
-    // Prepare rating data for graph
-    const ratingData = contests.map(contest => ({
+    // Prepare rating data for graph; unrated contests have no rating to plot
+    const ratingData = contests.filter(contest => typeof contest.newRating === 'number').map(contest => ({
       contestId: contest.contestId,
       contestName: contest.contestName,
       date: contest.date,
       newRating: contest.newRating,
-      ratingChange: contest.ratingChange
+      ratingChange: contest.ratingChange,
+      handle: contest.handle
     })).reverse(); // Reverse to get chronological order for the graph
     
     res.status(200).json({
       success: true,
       data: {
         contests,
+        virtualContests,
         ratingData,
         totalContests: contests.length,
+        handles: codeforcesData.handles,
         dateRange: {
           start: startDate,
           end: endDate
@@ -98,7 +199,7 @@ exports.getProblemSolvingData = async (req, res, next) => {
     const { days = 30 } = req.query; // Default to 30 days if not specified
     
     // Find student and check if exists
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -106,9 +207,8 @@ exports.getProblemSolvingData = async (req, res, next) => {
       });
     }
     
-    // Find Codeforces data for the student
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
-    if (!codeforcesData) {
+    // Make sure the student has been synced at least once
+    if (!(await CodeforcesData.exists({ student: id }))) {
       return res.status(404).json({
         success: false,
         message: 'No Codeforces data found for this student'
@@ -119,98 +219,34 @@ exports.getProblemSolvingData = async (req, res, next) => {
     const endDate = new Date();
     const startDate = subDays(endDate, parseInt(days, 10));
     
-    // Filter accepted submissions within the date range
-    const acceptedSubmissions = codeforcesData.submissions.filter(submission => {
-      const submissionDate = new Date(submission.submissionTime);
-      return (
-        submission.verdict === 'OK' && 
-        submissionDate >= startDate && 
-        submissionDate <= endDate
-      );
-    });
-    
-    // Create a set of unique problem IDs to count unique problems solved
-    const uniqueProblemIds = new Set();
-    acceptedSubmissions.forEach(submission => {
-      uniqueProblemIds.add(submission.problemId);
-    });
+    // Codeforces problems are aggregated in the database; linked platforms are added on top
+    const [codeforcesSolved, platformSubmissions] = await Promise.all([
+      Submission.getSolvedProblems(id, { since: startDate, until: endDate }),
+      getPlatformSubmissions(id)
+    ]);
+    const solvedProblems = mergeSolvedProblems(codeforcesSolved, platformSubmissions, startDate, endDate);
     
     // Calculate average problems per day
     const daysCount = parseInt(days, 10);
-    const averageProblemsPerDay = uniqueProblemIds.size / daysCount;
+    const averageProblemsPerDay = solvedProblems.length / daysCount;
     
     // Find the most difficult problem solved in this period
-    let mostDifficultProblem = null;
-    let highestRating = 0;
-    
-    acceptedSubmissions.forEach(submission => {
-      if (submission.problemRating && submission.problemRating > highestRating) {
-        highestRating = submission.problemRating;
-        mostDifficultProblem = {
-          problemId: submission.problemId,
-          problemName: submission.problemName,
-          rating: submission.problemRating,
-          solvedOn: submission.submissionTime
-        };
-      }
-    });
+    const mostDifficultProblem = findMostDifficultProblem(solvedProblems);
     
     // Calculate average rating of solved problems
-    let totalRating = 0;
-    let ratedProblemCount = 0;
-    
-    acceptedSubmissions.forEach(submission => {
-      if (submission.problemRating) {
-        totalRating += submission.problemRating;
-        ratedProblemCount++;
-      }
-    });
-    
-    const averageRating = ratedProblemCount > 0 ? totalRating / ratedProblemCount : 0;
-    
-    // Count problems by rating range
-    const problemsByRating = {};
-    const ratingRanges = [800, 900, 1000, 1100, 1200, 1300, 1400, 1500, 1600, 1700, 1800, 1900, 2000, 2100, 2200, 2300, 2400, 2500, 2600, 2700, 2800, 2900, 3000, 3100, 3200, 3300, 3400, 3500];
-    
-    // Initialize rating buckets
-    ratingRanges.forEach((rating, index) => {
-      const nextRating = ratingRanges[index + 1] || rating + 100;
-      problemsByRating[`${rating}-${nextRating}`] = 0;
-    });
-    
-    // Count problems in each rating bucket
-    acceptedSubmissions.forEach(submission => {
-      if (submission.problemRating) {
-        // Find the appropriate rating bucket
-        for (let i = 0; i < ratingRanges.length; i++) {
-          const currentRating = ratingRanges[i];
-          const nextRating = ratingRanges[i + 1] || currentRating + 100;
-          
-          if (submission.problemRating >= currentRating && submission.problemRating < nextRating) {
-            const bucketKey = `${currentRating}-${nextRating}`;
-            problemsByRating[bucketKey] = (problemsByRating[bucketKey] || 0) + 1;
-            break;
-          }
-        }
-      }
-    });
-    
-    // Format the rating distribution for chart display
-    const ratingDistribution = Object.entries(problemsByRating)
-      .filter(([_, count]) => count > 0)
-      .map(([range, count]) => ({
-        range,
-        count
-      }));
+    const ratedProblems = solvedProblems.filter(problem => problem.rating);
+    const averageRating = ratedProblems.length > 0
+      ? ratedProblems.reduce((total, problem) => total + problem.rating, 0) / ratedProblems.length
+      : 0;
     
     res.status(200).json({
       success: true,
       data: {
-        totalProblemsSolved: uniqueProblemIds.size,
+        totalProblemsSolved: solvedProblems.length,
         averageProblemsPerDay: parseFloat(averageProblemsPerDay.toFixed(2)),
         averageRating: parseFloat(averageRating.toFixed(2)),
         mostDifficultProblem,
-        ratingDistribution,
+        ratingDistribution: buildRatingDistribution(ratedProblems),
         dateRange: {
           start: startDate,
           end: endDate
@@ -230,7 +266,7 @@ exports.getSubmissionHeatmap = async (req, res, next) => {
     const { days = 365 } = req.query; // Default to 365 days for heatmap
     
     // Find student and check if exists
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -238,9 +274,8 @@ exports.getSubmissionHeatmap = async (req, res, next) => {
       });
     }
     
-    // Find Codeforces data for the student
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
-    if (!codeforcesData) {
+    // Make sure the student has been synced at least once
+    if (!(await CodeforcesData.exists({ student: id }))) {
       return res.status(404).json({
         success: false,
         message: 'No Codeforces data found for this student'
@@ -251,42 +286,33 @@ exports.getSubmissionHeatmap = async (req, res, next) => {
     const endDate = new Date();
     const startDate = subDays(endDate, parseInt(days, 10));
     
-    // Filter submissions within the date range
-    const submissions = codeforcesData.submissions.filter(submission => {
-      const submissionDate = new Date(submission.submissionTime);
-      return submissionDate >= startDate && submissionDate <= endDate;
-    });
+    // Codeforces submissions are counted per day in the database
+    const [codeforcesDays, platformSubmissions] = await Promise.all([
+      Submission.getSubmissionCountsByDay(id, startDate, endDate),
+      getPlatformSubmissions(id)
+    ]);
     
-    // Group submissions by date (YYYY-MM-DD format)
-    const submissionsByDate = {};
+    // Group submissions by date (YYYY-MM-DD format), adding the linked platforms' submissions
+    const submissionsByDate = new Map(codeforcesDays.map(day => [day.date, { ...day }]));
     
-    submissions.forEach(submission => {
+    platformSubmissions.forEach(submission => {
       const date = new Date(submission.submissionTime);
-      const dateKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+      if (date < startDate || date > endDate) return;
       
-      if (!submissionsByDate[dateKey]) {
-        submissionsByDate[dateKey] = {
-          date: dateKey,
-          count: 0,
-          accepted: 0
-        };
+      const dateKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+      if (!submissionsByDate.has(dateKey)) {
+        submissionsByDate.set(dateKey, { date: dateKey, count: 0, accepted: 0 });
       }
       
-      submissionsByDate[dateKey].count++;
+      const day = submissionsByDate.get(dateKey);
+      day.count++;
       if (submission.verdict === 'OK') {
-        submissionsByDate[dateKey].accepted++;
+        day.accepted++;
       }
     });
     
-    // Convert to array format for heatmap
-    const heatmapData = Object.values(submissionsByDate).map(item => ({
-      date: item.date,
-      count: item.count,
-      accepted: item.accepted
-    }));
-    
     // Sort by date
-    heatmapData.sort((a, b) => new Date(a.date) - new Date(b.date));
+    const heatmapData = [...submissionsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
     
     res.status(200).json({
       success: true,
@@ -304,13 +330,13 @@ exports.getSubmissionHeatmap = async (req, res, next) => {
   }
 };
 
-// Get unsolved problems from contests
+// Get the problems left unsolved during each contest and whether they were upsolved since
 exports.getUnsolvedProblems = async (req, res, next) => {
   try {
     const { id } = req.params;
     
     // Find student and check if exists
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -318,8 +344,8 @@ exports.getUnsolvedProblems = async (req, res, next) => {
       });
     }
     
-    // Find Codeforces data for the student
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    // Find Codeforces data for the student across all of their handles
+    const codeforcesData = await CodeforcesData.findMerged(id);
     if (!codeforcesData) {
       return res.status(404).json({
         success: false,
@@ -327,23 +353,18 @@ exports.getUnsolvedProblems = async (req, res, next) => {
       });
     }
     
-    // Get contests with unsolved problems
-    const contestsWithUnsolvedProblems = codeforcesData.contests
-      .filter(contest => contest.unsolvedProblems > 0)
-      .map(contest => ({
-        contestId: contest.contestId,
-        contestName: contest.contestName,
-        date: contest.date,
-        unsolvedProblems: contest.unsolvedProblems
-      }));
+    // Problems left during each contest the student entered, under any of their handles
+    const { contests, missingContestCount } = await buildUpsolveList(id, codeforcesData.contests);
+    const contestsToUpsolve = contests.filter(contest => contest.problems.length > 0);
     
     res.status(200).json({
       success: true,
       data: {
-        contests: contestsWithUnsolvedProblems,
-        totalUnsolvedProblems: contestsWithUnsolvedProblems.reduce(
-          (total, contest) => total + contest.unsolvedProblems, 0
-        )
+        contests: contestsToUpsolve,
+        totalUnsolvedProblems: contestsToUpsolve.reduce((total, contest) => total + contest.unsolvedCount, 0),
+        totalUpsolvedProblems: contestsToUpsolve.reduce((total, contest) => total + contest.upsolvedCount, 0),
+        // Contests missing from the contest catalog cannot be checked until the next catalog sync
+        missingContestCount
       }
     });
   } catch (error) {
@@ -358,7 +379,7 @@ exports.getRatingDistribution = async (req, res, next) => {
     const { id } = req.params;
     
     // Find student and check if exists
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -366,29 +387,22 @@ exports.getRatingDistribution = async (req, res, next) => {
       });
     }
     
-    // Find Codeforces data for the student
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
-    if (!codeforcesData) {
+    // Make sure the student has been synced at least once
+    if (!(await CodeforcesData.exists({ student: id }))) {
       return res.status(404).json({
         success: false,
         message: 'No Codeforces data found for this student'
       });
     }
     
-    // Get the rating distribution from statistics
-    const ratingDistribution = codeforcesData.statistics.solvedByRating || new Map();
-    
-    // Convert Map to array for response
-    const distributionArray = Array.from(ratingDistribution).map(([range, count]) => ({
-      range,
-      count
-    }));
+    // Aggregate every handle's submissions so problems solved under previous handles count
+    const solvedProblems = await Submission.getSolvedProblems(id);
     
     res.status(200).json({
       success: true,
       data: {
-        ratingDistribution: distributionArray,
-        totalSolved: codeforcesData.statistics.totalSolved || 0
+        ratingDistribution: buildRatingDistribution(solvedProblems.filter(problem => problem.rating)),
+        totalSolved: solvedProblems.length
       }
     });
   } catch (error) {
@@ -403,7 +417,7 @@ exports.getOverallStatistics = async (req, res, next) => {
     const { id } = req.params;
     
     // Find student and check if exists
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -411,8 +425,8 @@ exports.getOverallStatistics = async (req, res, next) => {
       });
     }
     
-    // Find Codeforces data for the student
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    // Find Codeforces data for the student across all of their handles
+    const codeforcesData = await CodeforcesData.findMerged(id);
     if (!codeforcesData) {
       return res.status(404).json({
         success: false,
@@ -420,17 +434,25 @@ exports.getOverallStatistics = async (req, res, next) => {
       });
     }
     
+    // Aggregate every handle's submissions so problems solved under previous handles count
+    const solvedProblems = await Submission.getSolvedProblems(id);
+    const ratedProblems = solvedProblems.filter(problem => problem.rating);
+    
     // Extract relevant statistics
     const stats = {
-      totalSolved: codeforcesData.statistics.totalSolved || 0,
-      averageRating: codeforcesData.statistics.averageRating || 0,
-      mostDifficultProblem: codeforcesData.statistics.mostDifficultProblem || null,
+      totalSolved: solvedProblems.length,
+      averageRating: ratedProblems.length > 0
+        ? ratedProblems.reduce((total, problem) => total + problem.rating, 0) / ratedProblems.length
+        : 0,
+      mostDifficultProblem: findMostDifficultProblem(solvedProblems),
       totalContests: codeforcesData.contests.length,
-      last7Days: codeforcesData.statistics.last7Days || { solved: 0, averagePerDay: 0 },
-      last30Days: codeforcesData.statistics.last30Days || { solved: 0, averagePerDay: 0 },
-      last90Days: codeforcesData.statistics.last90Days || { solved: 0, averagePerDay: 0 },
-      lastSubmission: codeforcesData.lastSubmissionDate,
-      userInfo: codeforcesData.userInfo || {}
+      totalVirtualContests: codeforcesData.virtualContests.length,
+      last7Days: summarizeRecentSolves(solvedProblems, 7),
+      last30Days: summarizeRecentSolves(solvedProblems, 30),
+      last90Days: summarizeRecentSolves(solvedProblems, 90),
+      lastSubmission: codeforcesData.current.lastSubmissionDate,
+      userInfo: codeforcesData.current.userInfo || {},
+      handles: codeforcesData.handles
     };
     
     res.status(200).json({
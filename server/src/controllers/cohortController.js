@@ -0,0 +1,366 @@
+const Cohort = require('../models/Cohort');
+const Student = require('../models/Student');
+const CodeforcesData = require('../models/CodeforcesData');
+const CronJob = require('../models/CronJob');
+const logger = require('../utils/logger');
+const { getStudentScope } = require('../utils/studentAccess');
+const { getRatingCategory, buildArchivedFilter } = require('../utils/helpers');
+const { recordAudit } = require('../services/auditService');
+const { AUDIT, RATING_CATEGORIES } = require('../utils/constants');
+
+/**
+ * Cohort Controller
+ * Handles cohort management, membership and per-cohort dashboards
+ */
+
+// Fields an admin may set on a cohort
+const COHORT_FIELDS = ['name', 'term', 'mentor', 'startDate', 'endDate'];
+
+// Number of students listed in each dashboard leaderboard
+const DASHBOARD_LIST_SIZE = 5;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Pick the editable cohort fields from a request body
+const pickCohortFields = (body) => COHORT_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  return fields;
+}, {});
+
+// Average of the given numbers rounded to an integer (0 when empty)
+const average = (values) => (
+  values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0
+);
+
+// Get all cohorts with the number of accessible students in each
+exports.getCohorts = async (req, res, next) => {
+  try {
+    const cohorts = await Cohort.find()
+      .populate('mentor', 'name email')
+      .sort({ startDate: -1, name: 1 });
+
+    // Count members in JS so the caller's scope is cast like any other query
+    const students = await Student.find({ ...getStudentScope(req.user), ...buildArchivedFilter() }).select('cohorts').lean();
+    const countByCohort = new Map();
+    students.forEach(student => {
+      (student.cohorts || []).forEach(cohortId => {
+        const key = cohortId.toString();
+        countByCohort.set(key, (countByCohort.get(key) || 0) + 1);
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      count: cohorts.length,
+      data: cohorts.map(cohort => ({
+        ...cohort.toJSON(),
+        studentCount: countByCohort.get(cohort._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching cohorts:', error);
+    next(error);
+  }
+};
+
+// Get a single cohort
+exports.getCohort = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id).populate('mentor', 'name email');
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    logger.error(`Error fetching cohort ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Create a new cohort
+exports.createCohort = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.create(pickCohortFields(req.body));
+
+    logger.info(`User ${req.user.email} created cohort ${cohort.name}`);
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.CREATE,
+      targetType: AUDIT.TARGETS.COHORT,
+      targetId: cohort._id,
+      targetLabel: cohort.name,
+      after: cohort,
+      fields: COHORT_FIELDS
+    });
+
+    res.status(201).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    logger.error('Error creating cohort:', error);
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cohort with this name already exists.'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// Update a cohort
+exports.updateCohort = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    const before = cohort.toObject();
+    cohort.set(pickCohortFields(req.body));
+    await cohort.save();
+
+    logger.info(`User ${req.user.email} updated cohort ${cohort.name}`);
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.COHORT,
+      targetId: cohort._id,
+      targetLabel: cohort.name,
+      before,
+      after: cohort,
+      fields: COHORT_FIELDS
+    });
+
+    res.status(200).json({
+      success: true,
+      data: cohort
+    });
+  } catch (error) {
+    logger.error(`Error updating cohort ${req.params.id}:`, error);
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cohort with this name already exists.'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// Delete a cohort and remove it from its students and job filters
+exports.deleteCohort = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    await Student.updateMany({ cohorts: cohort._id }, { $pull: { cohorts: cohort._id } });
+    await CronJob.updateMany({ 'config.cohorts': cohort._id }, { $pull: { 'config.cohorts': cohort._id } });
+    await cohort.deleteOne();
+
+    logger.info(`User ${req.user.email} deleted cohort ${cohort.name}`);
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.DELETE,
+      targetType: AUDIT.TARGETS.COHORT,
+      targetId: cohort._id,
+      targetLabel: cohort.name,
+      before: cohort,
+      fields: COHORT_FIELDS
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cohort deleted successfully'
+    });
+  } catch (error) {
+    logger.error(`Error deleting cohort ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Get the students in a cohort
+exports.getCohortStudents = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    const students = await Student.find({ ...getStudentScope(req.user), ...buildArchivedFilter(), cohorts: cohort._id })
+      .select('name email codeforcesHandle currentRating')
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: students.length,
+      data: students
+    });
+  } catch (error) {
+    logger.error(`Error fetching students in cohort ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Replace the set of students in a cohort
+exports.updateCohortStudents = async (req, res, next) => {
+  try {
+    const { studentIds } = req.body;
+
+    const cohort = await Cohort.findById(req.params.id);
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    // Archived students are not listed in the picker, so their membership is left alone
+    const [memberIds, removedIds, addedIds] = await Promise.all([
+      Student.find({ cohorts: cohort._id }).distinct('_id'),
+      Student.find({ ...buildArchivedFilter(), cohorts: cohort._id, _id: { $nin: studentIds } }).distinct('_id'),
+      Student.find({ _id: { $in: studentIds }, cohorts: { $ne: cohort._id } }).distinct('_id')
+    ]);
+
+    // Remove the cohort from students no longer in the list, then add it to the new ones
+    await Student.updateMany(
+      { _id: { $in: removedIds } },
+      { $pull: { cohorts: cohort._id } }
+    );
+    const result = await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $addToSet: { cohorts: cohort._id } }
+    );
+
+    logger.info(`User ${req.user.email} set ${studentIds.length} students in cohort ${cohort.name}`);
+
+    const removed = new Set(removedIds.map(String));
+    const toSortedIds = (ids) => ids.map(String).sort();
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.COHORT,
+      targetId: cohort._id,
+      targetLabel: cohort.name,
+      before: { students: toSortedIds(memberIds) },
+      after: { students: toSortedIds([...memberIds.filter(id => !removed.has(String(id))), ...addedIds]) },
+      metadata: { addedStudentIds: toSortedIds(addedIds), removedStudentIds: toSortedIds(removedIds) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.matchedCount} students are now in ${cohort.name}`,
+      data: { studentCount: result.matchedCount }
+    });
+  } catch (error) {
+    logger.error(`Error updating students in cohort ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Get aggregate rating, activity and inactivity figures for a cohort
+exports.getCohortDashboard = async (req, res, next) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id).populate('mentor', 'name email');
+
+    if (!cohort) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cohort not found'
+      });
+    }
+
+    const students = await Student.find({ ...getStudentScope(req.user), ...buildArchivedFilter(), cohorts: cohort._id })
+      .select('name codeforcesHandle currentRating maxRating inactivityStatus lastDataUpdate')
+      .lean();
+
+    const codeforcesData = await CodeforcesData.find({ student: { $in: students.map(student => student._id) }, supersededAt: null })
+      .select('student lastSubmissionDate statistics.last7Days statistics.last30Days')
+      .lean();
+    const dataByStudent = new Map(codeforcesData.map(data => [data.student.toString(), data]));
+
+    const now = Date.now();
+    const activity = { activeLast7Days: 0, activeLast30Days: 0, solvedLast7Days: 0, solvedLast30Days: 0 };
+
+    students.forEach(student => {
+      const data = dataByStudent.get(student._id.toString());
+      if (!data) return;
+
+      const lastSubmission = data.lastSubmissionDate ? new Date(data.lastSubmissionDate).getTime() : 0;
+      if (now - lastSubmission <= 7 * DAY_IN_MS) activity.activeLast7Days++;
+      if (now - lastSubmission <= 30 * DAY_IN_MS) activity.activeLast30Days++;
+
+      activity.solvedLast7Days += data.statistics?.last7Days?.solved || 0;
+      activity.solvedLast30Days += data.statistics?.last30Days?.solved || 0;
+    });
+
+    const ratedStudents = students.filter(student => student.currentRating > 0);
+    const ratingDistribution = [{ name: 'Unrated', color: '#999999', count: 0 }]
+      .concat(RATING_CATEGORIES.map(({ name, color }) => ({ name, color, count: 0 })));
+    students.forEach(student => {
+      const bucket = ratingDistribution.find(item => item.name === getRatingCategory(student.currentRating));
+      if (bucket) bucket.count++;
+    });
+
+    const inactiveStudents = students
+      .filter(student => student.inactivityStatus?.isInactive)
+      .sort((a, b) => new Date(a.inactivityStatus.inactiveSince || 0) - new Date(b.inactivityStatus.inactiveSince || 0));
+
+    const topStudents = [...ratedStudents]
+      .sort((a, b) => b.currentRating - a.currentRating)
+      .slice(0, DASHBOARD_LIST_SIZE);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohort,
+        studentCount: students.length,
+        rating: {
+          ratedCount: ratedStudents.length,
+          averageRating: average(ratedStudents.map(student => student.currentRating)),
+          averageMaxRating: average(ratedStudents.map(student => student.maxRating || 0)),
+          highestRating: ratedStudents.reduce((max, student) => Math.max(max, student.currentRating), 0),
+          distribution: ratingDistribution.filter(item => item.count > 0)
+        },
+        activity,
+        inactiveCount: inactiveStudents.length,
+        inactiveStudents: inactiveStudents.slice(0, DASHBOARD_LIST_SIZE),
+        topStudents
+      }
+    });
+  } catch (error) {
+    logger.error(`Error building dashboard for cohort ${req.params.id}:`, error);
+    next(error);
+  }
+};
@@ -3,13 +3,31 @@ const Student = require('../models/Student');
 const logger = require('../utils/logger');
 const { setupCronJobs, scheduleCronJob } = require('../jobs/dataSync');
 const { checkStudentInactivity } = require('../jobs/inactivityCheck');
+const { refreshStudentRatings } = require('../jobs/ratingRefresh');
+const { syncCatalog } = require('../jobs/catalogSync');
+const { syncGroupContests } = require('../jobs/groupContestSync');
 const { sendInactivityReminders } = require('../jobs/emailReminder');
+const { recordAudit } = require('../services/auditService');
+const { getQueueStats } = require('../services/codeforcesRequestQueue');
+const { enqueueStudentSyncs } = require('../services/studentSyncQueue');
+const responseCache = require('../services/codeforcesResponseCache');
+const { buildArchivedFilter } = require('../utils/helpers');
+const { AUDIT, SYNC_QUEUE, CODEFORCES } = require('../utils/constants');
 
 /**
  * Cron Controller
  * Handles all cron job related operations including configuration and manual triggering
  */
 
+// Configuration fields tracked in the audit log (run state is left out)
+const CRON_AUDIT_FIELDS = ['schedule', 'enabled', 'timezone', 'config'];
+
+// Snapshot the configuration of several jobs keyed by job name for auditing
+const snapshotCronJobs = (cronJobs) => Object.fromEntries(cronJobs.map(cronJob => [
+  cronJob.name,
+  CRON_AUDIT_FIELDS.reduce((snapshot, field) => ({ ...snapshot, [field]: cronJob[field] }), {})
+]));
+
 // Get all cron jobs
 exports.getCronJobs = async (req, res, next) => {
   try {
@@ -93,10 +111,21 @@ exports.updateCronSettings = async (req, res, next) => {
       return res.status(404).json({ success: false, message: `Cron job '${jobNameToUpdate}' not found.` });
     }
 
+    const before = cronJob.toObject();
     cronJob.schedule = schedule;
     await cronJob.save();
     await scheduleCronJob(cronJob);
 
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.CRON_JOB,
+      targetId: cronJob.name,
+      targetLabel: cronJob.name,
+      before,
+      after: cronJob,
+      fields: CRON_AUDIT_FIELDS
+    });
+
     res.status(200).json({
       success: true,
       message: 'Cron settings updated successfully.',
@@ -132,6 +161,8 @@ exports.updateCronJob = async (req, res, next) => {
       });
     }
     
+    const before = cronJob.toObject();
+    
     // Update fields if provided
     if (schedule) cronJob.schedule = schedule;
     if (enabled !== undefined) cronJob.enabled = enabled;
@@ -143,6 +174,7 @@ exports.updateCronJob = async (req, res, next) => {
       if (config.inactivityThresholdDays) cronJob.config.inactivityThresholdDays = config.inactivityThresholdDays;
       if (config.reminderTemplate) cronJob.config.reminderTemplate = config.reminderTemplate;
       if (config.reminderSubject) cronJob.config.reminderSubject = config.reminderSubject;
+      if (Array.isArray(config.cohorts)) cronJob.config.cohorts = config.cohorts;
     }
     
     // Save updated job
@@ -151,6 +183,16 @@ exports.updateCronJob = async (req, res, next) => {
     // Re-schedule the cron job with new settings
     await scheduleCronJob(cronJob);
     
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.CRON_JOB,
+      targetId: jobName,
+      targetLabel: jobName,
+      before,
+      after: cronJob,
+      fields: CRON_AUDIT_FIELDS
+    });
+    
     res.status(200).json({
       success: true,
       message: `Cron job ${jobName} updated successfully`,
@@ -182,6 +224,9 @@ exports.triggerCronJob = async (req, res, next) => {
       });
     }
     
+    // A cohort in the request body limits this run to that cohort
+    const cohorts = req.body && req.body.cohort ? [req.body.cohort] : cronJob.config.cohorts;
+    
     // Start job execution based on job name
     const startTime = Date.now();
     let result = { success: false, message: 'Unknown job type' };
@@ -189,16 +234,28 @@ exports.triggerCronJob = async (req, res, next) => {
     switch (jobName) {
       case 'codeforcesSync':
         // Get students to process
-        const students = await Student.find().select('_id codeforcesHandle');
-        result = await runCodeforcesSync(students, cronJob.config.batchSize);
+        const students = await Student.find(buildArchivedFilter()).select('_id');
+        result = await runCodeforcesSync(students);
+        break;
+        
+      case 'ratingRefresh':
+        result = await runRatingRefresh();
+        break;
+        
+      case 'catalogSync':
+        result = await runCatalogSync();
+        break;
+        
+      case 'groupContestSync':
+        result = await runGroupContestSync();
         break;
         
       case 'inactivityCheck':
-        result = await runInactivityCheck(cronJob.config.inactivityThresholdDays);
+        result = await runInactivityCheck(cronJob.config.inactivityThresholdDays, cohorts);
         break;
         
       case 'emailReminder':
-        result = await runEmailReminder(cronJob.config);
+        result = await runEmailReminder({ ...cronJob.toObject().config, cohorts });
         break;
         
       default:
@@ -237,6 +294,8 @@ exports.triggerCronJob = async (req, res, next) => {
 // Reset all cron jobs to default settings
 exports.resetCronJobs = async (req, res, next) => {
   try {
+    const before = snapshotCronJobs(await CronJob.find().lean());
+    
     // Delete all existing cron jobs
     await CronJob.deleteMany({});
     
@@ -249,6 +308,14 @@ exports.resetCronJobs = async (req, res, next) => {
     // Get the newly created jobs
     const cronJobs = await CronJob.find().sort({ name: 1 });
     
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.RESET,
+      targetType: AUDIT.TARGETS.CRON_JOB,
+      targetLabel: 'All cron jobs',
+      before,
+      after: snapshotCronJobs(cronJobs)
+    });
+    
     res.status(200).json({
       success: true,
       message: 'All cron jobs reset to default settings',
@@ -290,6 +357,71 @@ exports.getCronSyncStatus = async (req, res, next) => {
 };
 
 
+// Get the depth and counters of the shared Codeforces request queue
+exports.getRequestQueueStatus = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getQueueStats()
+  });
+};
+
+// Get the Codeforces response cache counters and its entries per API method
+exports.getApiCacheStatus = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await responseCache.getStats()
+    });
+  } catch (error) {
+    logger.error('Error fetching response cache status:', error);
+    next(error);
+  }
+};
+
+// List the stored responses without their bodies (?method= to filter)
+exports.getApiCacheEntries = async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || CODEFORCES.RESPONSE_CACHE.ENTRY_PAGE_SIZE;
+    const { entries, total } = await responseCache.listEntries({ method: req.query.method, page, limit });
+    
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      totalCount: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error listing response cache entries:', error);
+    next(error);
+  }
+};
+
+// Purge the response cache; ?method= or ?key= purge part of it
+exports.purgeApiCache = async (req, res, next) => {
+  try {
+    const { method, key } = req.query;
+    const deletedCount = await responseCache.purge({ method, key });
+    
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.PURGE,
+      targetType: AUDIT.TARGETS.API_CACHE,
+      targetLabel: key || method || 'All cached responses',
+      metadata: { method: method || null, key: key || null, deletedCount }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Purged ${deletedCount} cached responses`,
+      data: { deletedCount }
+    });
+  } catch (error) {
+    logger.error('Error purging response cache:', error);
+    next(error);
+  }
+};
 
 exports.getCronSettings = async (req, res, next) => {
   try {
@@ -335,50 +467,21 @@ exports.getCronJobHistory = async (req, res, next) => {
 
 // Helper functions
 
-// Run Codeforces data sync job
-async function runCodeforcesSync(students, batchSize) {
+// Run Codeforces data sync job; the students are queued and synced by the sync worker
+async function runCodeforcesSync(students) {
   try {
-    logger.info(`Starting manual Codeforces sync for ${students.length} students`);
-    
-    // Import the service dynamically to avoid circular dependencies
-    const codeforcesService = require('../services/codeforcesService');
-    
-    // Process students in batches
-    const batchCount = Math.ceil(students.length / batchSize);
-    let processedCount = 0;
-    let successCount = 0;
-    let failedCount = 0;
-    
-    for (let i = 0; i < batchCount; i++) {
-      const batch = students.slice(i * batchSize, (i + 1) * batchSize);
-      
-      // Process each student in the batch
-      const results = await Promise.allSettled(
-        batch.map(student => 
-          codeforcesService.syncStudentCodeforcesData(student._id, student.codeforcesHandle)
-        )
-      );
-      
-      // Count successes and failures
-      results.forEach(result => {
-        if (result.status === 'fulfilled') {
-          successCount++;
-        } else {
-          failedCount++;
-          logger.error('Sync error:', result.reason);
-        }
-      });
-      
-      processedCount += batch.length;
-      logger.info(`Processed ${processedCount}/${students.length} students`);
-    }
+    logger.info(`Queueing manual Codeforces sync for ${students.length} students`);
+    
+    const queuedCount = await enqueueStudentSyncs(
+      students.map(student => student._id),
+      { reason: SYNC_QUEUE.REASONS.SCHEDULED }
+    );
     
     return {
       success: true,
-      message: `Codeforces sync completed: ${successCount} succeeded, ${failedCount} failed`,
-      processedCount,
-      successCount,
-      failedCount
+      message: `Codeforces sync queued for ${queuedCount} students`,
+      processedCount: queuedCount,
+      queuedCount
     };
   } catch (error) {
     logger.error('Error in manual Codeforces sync:', error);
@@ -391,12 +494,86 @@ async function runCodeforcesSync(students, batchSize) {
   }
 }
 
+// Run rating refresh job
+async function runRatingRefresh() {
+  try {
+    logger.info('Starting manual rating refresh');
+    
+    const result = await refreshStudentRatings();
+    
+    return {
+      success: true,
+      message: `Rating refresh completed: ${result.updatedCount} students updated, ${result.notFoundCount} not found`,
+      processedCount: result.totalCount,
+      updatedCount: result.updatedCount
+    };
+  } catch (error) {
+    logger.error('Error in manual rating refresh:', error);
+    return {
+      success: false,
+      message: 'Rating refresh failed',
+      error: error.message,
+      processedCount: 0
+    };
+  }
+}
+
+// Run catalog sync job
+async function runCatalogSync() {
+  try {
+    logger.info('Starting manual catalog sync');
+    
+    const result = await syncCatalog();
+    
+    return {
+      success: true,
+      message: `Catalog sync completed: ${result.contestCount} contests and ${result.problemCount} problems`,
+      processedCount: result.contestCount + result.problemCount,
+      contestCount: result.contestCount,
+      problemCount: result.problemCount
+    };
+  } catch (error) {
+    logger.error('Error in manual catalog sync:', error);
+    return {
+      success: false,
+      message: 'Catalog sync failed',
+      error: error.message,
+      processedCount: 0
+    };
+  }
+}
+
+// Run private group contest sync job
+async function runGroupContestSync() {
+  try {
+    logger.info('Starting manual group contest sync');
+    
+    const result = await syncGroupContests();
+    
+    return {
+      success: true,
+      message: `Group contest sync completed: ${result.contestCount} contests from ${result.groupCount} groups, ${result.failedCount} failed`,
+      processedCount: result.contestCount,
+      resultCount: result.resultCount,
+      failedCount: result.failedCount
+    };
+  } catch (error) {
+    logger.error('Error in manual group contest sync:', error);
+    return {
+      success: false,
+      message: 'Group contest sync failed',
+      error: error.message,
+      processedCount: 0
+    };
+  }
+}
+
 // Run inactivity check job
-async function runInactivityCheck(thresholdDays) {
+async function runInactivityCheck(thresholdDays, cohorts) {
   try {
     logger.info(`Starting manual inactivity check with threshold of ${thresholdDays} days`);
     
-    const result = await checkStudentInactivity(thresholdDays);
+    const result = await checkStudentInactivity(thresholdDays, cohorts);
     
     return {
       success: true,
@@ -4,14 +4,19 @@ const CodeforcesData = require('../models/CodeforcesData');
 const EmailLog = require('../models/EmailLog');
 const logger = require('../utils/logger');
 const { subDays } = require('date-fns');
+const { getStudentScope, findAccessibleStudent, getAccessibleStudentIds } = require('../utils/studentAccess');
+const { recordAudit, getStudentLabel } = require('../services/auditService');
+const { AUDIT } = require('../utils/constants');
+const { buildCohortFilter, buildArchivedFilter } = require('../utils/helpers');
+const { buildStudentListFilter, buildStudentSort } = require('../utils/studentFilters');
 
 /**
  * Export Controller
  * Handles all data export functionality for the Student Progress Management System
  */
 
-// Helper function to send CSV response
-const sendCsvResponse = (res, data, fields, filename) => {
+// Helper function to send CSV response; every download is recorded in the audit log
+const sendCsvResponse = async (req, res, data, fields, filename, target) => {
   try {
     // Create CSV parser with options
     const parser = new Parser({ fields });
@@ -19,6 +24,19 @@ const sendCsvResponse = (res, data, fields, filename) => {
     // Parse data to CSV
     const csv = parser.parse(data);
     
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.EXPORT,
+      targetType: target.targetType,
+      targetId: target.targetId,
+      targetLabel: target.targetLabel,
+      metadata: {
+        exportType: target.exportType,
+        filename,
+        recordCount: data.length,
+        query: req.query
+      }
+    });
+    
     // Set headers for file download
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
@@ -38,8 +56,10 @@ const sendCsvResponse = (res, data, fields, filename) => {
 // Export all students as CSV
 exports.exportStudentsCSV = async (req, res, next) => {
   try {
-    // Get all students
-    const students = await Student.find().lean();
+    // Export the students the list shows for the same filters and sort (?archived=true for archived students)
+    const students = await Student.find(await buildStudentListFilter(req.query, req.user))
+      .sort(buildStudentSort(req.query))
+      .lean();
     
     if (students.length === 0) {
       return res.status(404).json({
@@ -56,6 +76,7 @@ exports.exportStudentsCSV = async (req, res, next) => {
       { label: 'Codeforces Handle', value: 'codeforcesHandle' },
       { label: 'Current Rating', value: 'currentRating' },
       { label: 'Max Rating', value: 'maxRating' },
+      { label: 'Tags', value: row => (row.tags || []).join(', ') },
       { label: 'Last Data Update', value: row => row.lastDataUpdate ? new Date(row.lastDataUpdate).toISOString() : 'Never' },
       { label: 'Reminders Enabled', value: row => row.emailReminders.enabled ? 'Yes' : 'No' },
       { label: 'Reminder Count', value: 'emailReminders.count' },
@@ -68,7 +89,11 @@ exports.exportStudentsCSV = async (req, res, next) => {
     const filename = `students_export_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, students, fields, filename);
+    await sendCsvResponse(req, res, students, fields, filename, {
+      exportType: 'students',
+      targetType: AUDIT.TARGETS.STUDENTS,
+      targetLabel: 'All students'
+    });
   } catch (error) {
     logger.error('Error exporting students:', error);
     next(error);
@@ -81,7 +106,7 @@ exports.exportStudentCodeforcesDataCSV = async (req, res, next) => {
     const { id } = req.params;
     
     // Find student
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -90,7 +115,7 @@ exports.exportStudentCodeforcesDataCSV = async (req, res, next) => {
     }
     
     // Get Codeforces data
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    const codeforcesData = await CodeforcesData.findCurrent(id);
     if (!codeforcesData) {
       return res.status(404).json({
         success: false,
@@ -140,7 +165,12 @@ exports.exportStudentCodeforcesDataCSV = async (req, res, next) => {
     const filename = `codeforces_data_${student.codeforcesHandle}_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, exportData, fields, filename);
+    await sendCsvResponse(req, res, exportData, fields, filename, {
+      exportType: 'codeforces',
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student)
+    });
   } catch (error) {
     logger.error(`Error exporting Codeforces data for student ${req.params.id}:`, error);
     next(error);
@@ -154,7 +184,7 @@ exports.exportStudentContestsCSV = async (req, res, next) => {
     const { days } = req.query; // Optional filter by days
     
     // Find student
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -162,8 +192,8 @@ exports.exportStudentContestsCSV = async (req, res, next) => {
       });
     }
     
-    // Get Codeforces data
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    // Get Codeforces data from the current and any previous handles
+    const codeforcesData = await CodeforcesData.findMerged(id);
     if (!codeforcesData || !codeforcesData.contests || codeforcesData.contests.length === 0) {
       return res.status(404).json({
         success: false,
@@ -188,6 +218,7 @@ exports.exportStudentContestsCSV = async (req, res, next) => {
     
     // Prepare data for export
     const exportData = contests.map(contest => ({
+      handle: contest.handle,
       contestId: contest.contestId,
       contestName: contest.contestName,
       date: new Date(contest.date).toISOString(),
@@ -200,6 +231,7 @@ exports.exportStudentContestsCSV = async (req, res, next) => {
     
     // Define CSV fields
     const fields = [
+      { label: 'Handle', value: 'handle' },
       { label: 'Contest ID', value: 'contestId' },
       { label: 'Contest Name', value: 'contestName' },
       { label: 'Date', value: 'date' },
@@ -214,7 +246,12 @@ exports.exportStudentContestsCSV = async (req, res, next) => {
     const filename = `contests_${student.codeforcesHandle}_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, exportData, fields, filename);
+    await sendCsvResponse(req, res, exportData, fields, filename, {
+      exportType: 'contests',
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student)
+    });
   } catch (error) {
     logger.error(`Error exporting contests for student ${req.params.id}:`, error);
     next(error);
@@ -228,7 +265,7 @@ exports.exportStudentSubmissionsCSV = async (req, res, next) => {
     const { days, verdict } = req.query; // Optional filters
     
     // Find student
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -236,8 +273,8 @@ exports.exportStudentSubmissionsCSV = async (req, res, next) => {
       });
     }
     
-    // Get Codeforces data
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    // Get Codeforces data from the current and any previous handles
+    const codeforcesData = await CodeforcesData.findMerged(id);
     if (!codeforcesData || !codeforcesData.submissions || codeforcesData.submissions.length === 0) {
       return res.status(404).json({
         success: false,
@@ -272,6 +309,7 @@ exports.exportStudentSubmissionsCSV = async (req, res, next) => {
     // Prepare data for export
     const exportData = submissions.map(submission => ({
       submissionId: submission.submissionId,
+      handle: submission.handle,
       problemId: submission.problemId,
       problemName: submission.problemName,
       contestId: submission.contestId || 'N/A',
@@ -285,6 +323,7 @@ exports.exportStudentSubmissionsCSV = async (req, res, next) => {
     // Define CSV fields
     const fields = [
       { label: 'Submission ID', value: 'submissionId' },
+      { label: 'Handle', value: 'handle' },
       { label: 'Problem ID', value: 'problemId' },
       { label: 'Problem Name', value: 'problemName' },
       { label: 'Contest ID', value: 'contestId' },
@@ -299,7 +338,12 @@ exports.exportStudentSubmissionsCSV = async (req, res, next) => {
     const filename = `submissions_${student.codeforcesHandle}_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, exportData, fields, filename);
+    await sendCsvResponse(req, res, exportData, fields, filename, {
+      exportType: 'submissions',
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student)
+    });
   } catch (error) {
     logger.error(`Error exporting submissions for student ${req.params.id}:`, error);
     next(error);
@@ -313,7 +357,7 @@ exports.exportStudentProblemsCSV = async (req, res, next) => {
     const { days } = req.query; // Optional filter by days
     
     // Find student
-    const student = await Student.findById(id);
+    const student = await findAccessibleStudent(req.user, id);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -321,8 +365,8 @@ exports.exportStudentProblemsCSV = async (req, res, next) => {
       });
     }
     
-    // Get Codeforces data
-    const codeforcesData = await CodeforcesData.findOne({ student: id });
+    // Get Codeforces data from the current and any previous handles
+    const codeforcesData = await CodeforcesData.findMerged(id);
     if (!codeforcesData || !codeforcesData.submissions || codeforcesData.submissions.length === 0) {
       return res.status(404).json({
         success: false,
@@ -384,7 +428,12 @@ exports.exportStudentProblemsCSV = async (req, res, next) => {
     const filename = `solved_problems_${student.codeforcesHandle}_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, exportData, fields, filename);
+    await sendCsvResponse(req, res, exportData, fields, filename, {
+      exportType: 'solved-problems',
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student)
+    });
   } catch (error) {
     logger.error(`Error exporting solved problems for student ${req.params.id}:`, error);
     next(error);
@@ -399,6 +448,9 @@ exports.exportInactiveStudentsCSV = async (req, res, next) => {
     
     // Find inactive students
     const inactiveStudents = await Student.find({
+      ...getStudentScope(req.user),
+      ...buildArchivedFilter(),
+      ...buildCohortFilter(req.query.cohort),
       'inactivityStatus.isInactive': true
     }).lean();
     
@@ -412,7 +464,7 @@ exports.exportInactiveStudentsCSV = async (req, res, next) => {
     // Prepare data for export
     const exportData = await Promise.all(inactiveStudents.map(async (student) => {
       // Get last submission date from Codeforces data
-      const codeforcesData = await CodeforcesData.findOne({ student: student._id });
+      const codeforcesData = await CodeforcesData.findCurrent(student._id);
       const lastSubmissionDate = codeforcesData?.lastSubmissionDate || null;
       
       // Calculate days since last submission
@@ -477,7 +529,11 @@ exports.exportInactiveStudentsCSV = async (req, res, next) => {
     const filename = `inactive_students_${daysNum}days_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, exportData, fields, filename);
+    await sendCsvResponse(req, res, exportData, fields, filename, {
+      exportType: 'inactive-students',
+      targetType: AUDIT.TARGETS.STUDENTS,
+      targetLabel: 'Inactive students'
+    });
   } catch (error) {
     logger.error('Error exporting inactive students:', error);
     next(error);
@@ -492,8 +548,24 @@ exports.exportEmailHistoryCSV = async (req, res, next) => {
     // Build filter
     const filter = { emailType: 'inactivityReminder' };
     
+    // Restrict to students visible to the current user and in the requested cohort;
+    // archived students are only included when asked for by ID
+    const accessibleIds = await getAccessibleStudentIds(req.user, {
+      ...(studentId ? {} : buildArchivedFilter(req.query.archived)),
+      ...buildCohortFilter(req.query.cohort)
+    });
+    if (accessibleIds) {
+      filter.student = { $in: accessibleIds };
+    }
+    
     // Filter by student if provided
     if (studentId) {
+      if (accessibleIds && !accessibleIds.some(accessibleId => accessibleId.equals(studentId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
       filter.student = studentId;
     }
     
@@ -547,7 +619,12 @@ exports.exportEmailHistoryCSV = async (req, res, next) => {
     const filename = `email_history_${new Date().toISOString().split('T')[0]}.csv`;
     
     // Send CSV response
-    sendCsvResponse(res, exportData, fields, filename);
+    await sendCsvResponse(req, res, exportData, fields, filename, {
+      exportType: 'email-history',
+      targetType: studentId ? AUDIT.TARGETS.STUDENT : AUDIT.TARGETS.STUDENTS,
+      targetId: studentId,
+      targetLabel: studentId ? exportData[0].studentName : 'All students'
+    });
   } catch (error) {
     logger.error('Error exporting email history:', error);
     next(error);
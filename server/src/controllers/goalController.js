@@ -0,0 +1,201 @@
+const Goal = require('../models/Goal');
+const logger = require('../utils/logger');
+const { findAccessibleStudent } = require('../utils/studentAccess');
+const { recordAudit, getStudentLabel } = require('../services/auditService');
+const { evaluateStudentGoals } = require('../services/goalService');
+const { AUDIT, GOALS } = require('../utils/constants');
+
+/**
+ * Goal Controller
+ * Handles the goals mentors set for each student
+ */
+
+// Fields a mentor can set on a goal
+const GOAL_FIELDS = ['type', 'target', 'minProblemRating', 'period', 'deadline'];
+
+// Fields compared in goal audit entries
+const GOAL_AUDIT_FIELDS = [...GOAL_FIELDS, 'status'];
+
+// Copy the editable fields present in the request body
+const pickGoalFields = (body) => GOAL_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field] === '' ? null : body[field];
+  }
+  return fields;
+}, {});
+
+// Get a student's goals, newest first (?status= to filter)
+exports.getGoals = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id, '_id');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const filter = { student: student._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const goals = await Goal.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: goals.length,
+      data: goals
+    });
+  } catch (error) {
+    logger.error(`Error fetching goals for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Set a new goal for a student
+exports.createGoal = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const goal = await Goal.create({
+      ...pickGoalFields(req.body),
+      student: student._id,
+      createdBy: req.user.id,
+      startValue: student.currentRating || 0
+    });
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.CREATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      after: goal,
+      fields: GOAL_AUDIT_FIELDS,
+      metadata: { goalId: goal._id }
+    });
+
+    // Work out progress straight away rather than waiting for the next sync
+    await evaluateStudentGoals(student._id);
+
+    const evaluated = await Goal.findById(goal._id).populate('createdBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: evaluated
+    });
+  } catch (error) {
+    logger.error(`Error creating goal for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Update a goal's target, period or deadline
+exports.updateGoal = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.goalId, student: student._id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const before = goal.toObject();
+    goal.set(pickGoalFields(req.body));
+
+    // A changed goal is judged again from scratch
+    goal.status = GOALS.STATUS.ACTIVE;
+    goal.achievedAt = null;
+    await goal.save();
+
+    await evaluateStudentGoals(student._id);
+
+    const evaluated = await Goal.findById(goal._id).populate('createdBy', 'name email');
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before,
+      after: evaluated,
+      fields: GOAL_AUDIT_FIELDS,
+      metadata: { goalId: goal._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: evaluated
+    });
+  } catch (error) {
+    logger.error(`Error updating goal ${req.params.goalId} for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Delete a goal
+exports.deleteGoal = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.goalId, student: student._id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    await goal.deleteOne();
+
+    // Refresh the student's goal status without the deleted goal
+    await evaluateStudentGoals(student._id);
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.DELETE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before: goal,
+      fields: GOAL_AUDIT_FIELDS,
+      metadata: { goalId: goal._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting goal ${req.params.goalId} for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
@@ -0,0 +1,218 @@
+const Student = require('../models/Student');
+const StudentNote = require('../models/StudentNote');
+const logger = require('../utils/logger');
+const { findAccessibleStudent } = require('../utils/studentAccess');
+const { recordAudit, getStudentLabel } = require('../services/auditService');
+const { AUDIT, USER_ROLES } = require('../utils/constants');
+
+/**
+ * Note Controller
+ * Handles the notes thread mentors keep on each student
+ */
+
+// Fields compared in note audit entries
+const NOTE_AUDIT_FIELDS = ['body', 'category', 'pinned'];
+
+// Admins may change any note; mentors only their own
+const canEditNote = (user, note) => (
+  user.role === USER_ROLES.ADMIN || (note.author && note.author.toString() === user.id)
+);
+
+// Student.notes used to be a single text field; turn leftover text into the first note of the thread
+const migrateLegacyNote = async (studentId) => {
+  const legacy = await Student.findOneAndUpdate(
+    { _id: studentId, notes: { $type: 'string', $ne: '' } },
+    { $unset: { notes: 1 } },
+    { strict: false }
+  ).lean();
+
+  if (legacy) {
+    await StudentNote.create({ student: studentId, body: legacy.notes });
+  }
+};
+
+// Get a student's notes, pinned first and then newest first
+exports.getNotes = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id, '_id');
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    await migrateLegacyNote(student._id);
+    
+    const filter = { student: student._id };
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+    
+    const notes = await StudentNote.find(filter)
+      .populate('author', 'name email')
+      .sort({ pinned: -1, createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes
+    });
+  } catch (error) {
+    logger.error(`Error fetching notes for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Add a note to a student
+exports.createNote = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const note = await StudentNote.create({
+      student: student._id,
+      author: req.user.id,
+      body: req.body.body,
+      category: req.body.category || null,
+      pinned: Boolean(req.body.pinned)
+    });
+    
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.CREATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      after: note,
+      fields: NOTE_AUDIT_FIELDS,
+      metadata: { noteId: note._id }
+    });
+    
+    await note.populate('author', 'name email');
+    
+    res.status(201).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    logger.error(`Error adding note for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Update a note's text, category or pinned state
+exports.updateNote = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const note = await StudentNote.findOne({ _id: req.params.noteId, student: student._id });
+    
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+    
+    const editsContent = req.body.body !== undefined || req.body.category !== undefined;
+    
+    // Anyone working with the student may pin a note, but only its author or an admin may reword it
+    if (editsContent && !canEditNote(req.user, note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can edit this note'
+      });
+    }
+    
+    const before = note.toObject();
+    if (req.body.body !== undefined) note.body = req.body.body;
+    if (req.body.category !== undefined) note.category = req.body.category || null;
+    if (req.body.pinned !== undefined) note.pinned = Boolean(req.body.pinned);
+    await note.save();
+    
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before,
+      after: note,
+      fields: NOTE_AUDIT_FIELDS,
+      metadata: { noteId: note._id }
+    });
+    
+    await note.populate('author', 'name email');
+    
+    res.status(200).json({
+      success: true,
+      data: note
+    });
+  } catch (error) {
+    logger.error(`Error updating note ${req.params.noteId} for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Delete a note
+exports.deleteNote = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const note = await StudentNote.findOne({ _id: req.params.noteId, student: student._id });
+    
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+    
+    if (!canEditNote(req.user, note)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author or an admin can delete this note'
+      });
+    }
+    
+    await note.deleteOne();
+    
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.DELETE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before: note,
+      fields: NOTE_AUDIT_FIELDS,
+      metadata: { noteId: note._id }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting note ${req.params.noteId} for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
@@ -0,0 +1,175 @@
+const Student = require('../models/Student');
+const logger = require('../utils/logger');
+const emailService = require('../services/emailService');
+const { generateToken } = require('../middleware/auth');
+const { STUDENT_PORTAL } = require('../utils/constants');
+
+/**
+ * Portal Controller
+ * Handles student self-service: magic-link sign in, profile and reminder preferences
+ */
+
+// Fields a student may see on their own profile
+const PORTAL_PROFILE_FIELDS = 'name email phoneNumber codeforcesHandle currentRating maxRating lastDataUpdate emailReminders inactivityStatus';
+
+// Email a one-time login link to a student
+exports.requestLoginLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const student = await Student.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (student) {
+      const token = student.createPortalLoginToken();
+      await student.save();
+
+      const loginLink = `${process.env.CLIENT_URL || 'http://localhost:3000'}/portal/verify?token=${token}`;
+      const result = await emailService.sendPortalLoginLink(student, loginLink);
+
+      if (!result.success) {
+        logger.warn(`Portal login link could not be sent to ${student.email}`);
+      }
+    } else {
+      logger.info(`Portal login link requested for unknown email ${email}`);
+    }
+
+    // Respond the same way whether or not the email belongs to a student
+    res.status(200).json({
+      success: true,
+      message: 'If that email belongs to a student, a login link is on its way'
+    });
+  } catch (error) {
+    logger.error('Error requesting portal login link:', error);
+    next(error);
+  }
+};
+
+// Exchange a login link token for a portal session
+exports.verifyLoginLink = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Login token is required'
+      });
+    }
+
+    const student = await Student.redeemPortalLoginToken(String(token));
+
+    if (!student) {
+      return res.status(401).json({
+        success: false,
+        message: 'This login link is invalid or has expired'
+      });
+    }
+
+    const sessionToken = generateToken({
+      id: student._id,
+      role: STUDENT_PORTAL.ROLE,
+      tokenVersion: student.portalAccess.tokenVersion
+    }, STUDENT_PORTAL.SESSION_EXPIRY);
+
+    logger.info(`Student ${student.email} signed in to the portal`);
+
+    const profile = await Student.findById(student._id).select(PORTAL_PROFILE_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      token: sessionToken,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error verifying portal login link:', error);
+    next(error);
+  }
+};
+
+// Sign out of the portal and invalidate issued sessions
+exports.logout = async (req, res, next) => {
+  try {
+    await Student.findByIdAndUpdate(req.user.id, { $inc: { 'portalAccess.tokenVersion': 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Error during portal logout:', error);
+    next(error);
+  }
+};
+
+// Get the signed in student's profile
+exports.getProfile = async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.user.id).select(PORTAL_PROFILE_FIELDS);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: student
+    });
+  } catch (error) {
+    logger.error(`Error fetching portal profile for student ${req.user.id}:`, error);
+    next(error);
+  }
+};
+
+// Update the signed in student's phone number and reminder preferences
+exports.updateProfile = async (req, res, next) => {
+  try {
+    const { phoneNumber, emailReminders } = req.body;
+    const updates = {};
+
+    // Students may only change these fields on their own record
+    if (phoneNumber !== undefined) updates.phoneNumber = phoneNumber;
+    if (emailReminders && typeof emailReminders.enabled === 'boolean') {
+      updates['emailReminders.enabled'] = emailReminders.enabled;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    const student = await Student.findByIdAndUpdate(
+      req.user.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select(PORTAL_PROFILE_FIELDS);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    logger.info(`Student ${student.email} updated their portal preferences`);
+
+    res.status(200).json({
+      success: true,
+      data: student
+    });
+  } catch (error) {
+    logger.error(`Error updating portal profile for student ${req.user.id}:`, error);
+    next(error);
+  }
+};
@@ -0,0 +1,83 @@
+const CodeforcesSettings = require('../models/CodeforcesSettings');
+const logger = require('../utils/logger');
+const { recordAudit } = require('../services/auditService');
+const { AUDIT } = require('../utils/constants');
+
+/**
+ * Settings Controller
+ * Handles application settings such as the Codeforces API key (admin only)
+ */
+
+// Fields an admin may set on the Codeforces settings; the secret is handled separately
+const CODEFORCES_FIELDS = ['apiKey', 'groupCodes', 'contestIds'];
+
+// Stands in for the secret in audit entries, which only record that it was replaced
+const SECRET_PLACEHOLDER = '[updated]';
+
+// Shape the settings for a response, telling whether a secret is stored without returning it
+const toCodeforcesResponse = (settings, hasApiSecret) => ({
+  apiKey: settings.apiKey,
+  hasApiSecret,
+  groupCodes: settings.groupCodes,
+  contestIds: settings.contestIds,
+  updatedBy: settings.updatedBy,
+  updatedAt: settings.updatedAt
+});
+
+// Get the Codeforces API settings
+exports.getCodeforcesSettings = async (req, res, next) => {
+  try {
+    const settings = await CodeforcesSettings.getSettings();
+    const credentials = await CodeforcesSettings.getCredentials();
+
+    res.status(200).json({
+      success: true,
+      data: toCodeforcesResponse(settings, !!credentials)
+    });
+  } catch (error) {
+    logger.error('Error fetching Codeforces settings:', error);
+    next(error);
+  }
+};
+
+// Update the Codeforces API settings
+exports.updateCodeforcesSettings = async (req, res, next) => {
+  try {
+    const settings = await CodeforcesSettings.getSettings();
+    const before = settings.toObject();
+
+    CODEFORCES_FIELDS.forEach(field => {
+      const value = req.body[field];
+      if (value !== undefined) settings[field] = Array.isArray(value) ? [...new Set(value)] : value;
+    });
+
+    // A blank secret keeps the stored one, so the form does not need to show it
+    const apiSecretChanged = !!req.body.apiSecret;
+    if (apiSecretChanged) {
+      settings.apiSecret = req.body.apiSecret;
+    }
+
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    logger.info(`User ${req.user.email} updated the Codeforces settings`);
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.SETTINGS,
+      targetId: 'codeforces',
+      targetLabel: 'Codeforces API',
+      before,
+      after: { ...settings.toObject(), apiSecret: apiSecretChanged ? SECRET_PLACEHOLDER : undefined },
+      fields: [...CODEFORCES_FIELDS, 'apiSecret']
+    });
+
+    res.status(200).json({
+      success: true,
+      data: toCodeforcesResponse(settings, !!(await CodeforcesSettings.getCredentials()))
+    });
+  } catch (error) {
+    logger.error('Error updating Codeforces settings:', error);
+    next(error);
+  }
+};
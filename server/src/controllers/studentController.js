@@ -1,10 +1,71 @@
 const Student = require('../models/Student');
 const CodeforcesData = require('../models/CodeforcesData');
+const Submission = require('../models/Submission');
+const PlatformData = require('../models/PlatformData');
+const StudentNote = require('../models/StudentNote');
+const Goal = require('../models/Goal');
 const EmailLog = require('../models/EmailLog');
+const Cohort = require('../models/Cohort');
+const SyncTask = require('../models/SyncTask');
+const GroupContest = require('../models/GroupContest');
 const logger = require('../utils/logger');
-const { fetchUserInfo, fetchUserSubmissions, fetchUserContests } = require('../services/codeforcesService');
-const { calculateStatistics } = require('../utils/helpers');
-const { calculateProblemSolvingStats } = require('../utils/calculateProblemSolvingStats');
+const { fetchUserContests } = require('../services/codeforcesService');
+const { getAdapter } = require('../services/platforms');
+const { buildArchivedFilter } = require('../utils/helpers');
+const { findAccessibleStudent } = require('../utils/studentAccess');
+const { buildStudentListFilter, buildStudentSort, encodeCursor, buildCursorFilter } = require('../utils/studentFilters');
+const { recordAudit, getStudentLabel } = require('../services/auditService');
+const { syncStudentPlatforms, getPlatformSummaries } = require('../services/platformService');
+const { withUnsolvedCounts, findGroupContestHistory } = require('../services/upsolveService');
+const { enqueueStudentSync } = require('../services/studentSyncQueue');
+const { parseStudentCsv, buildImportReport, commitImport, summarizeReport, ROW_STATUS } = require('../services/studentImportService');
+const { USER_ROLES, AUDIT, STUDENT_IMPORT, SYNC_QUEUE, CODEFORCES, PLATFORMS } = require('../utils/constants');
+
+const { PRIORITIES } = CODEFORCES.REQUEST_QUEUE;
+
+// Fields a request may set when creating or updating a student; archive state,
+// handle history and status, and synced data only change through their own
+// endpoints and jobs
+const EDITABLE_FIELDS = [
+  'name',
+  'email',
+  'phoneNumber',
+  'codeforcesHandle',
+  'emailReminders',
+  'tags',
+  'cohorts',
+  'platformAccounts'
+];
+
+/**
+ * Copy the fields a request may set from its body
+ * @param {Object} user - Signed-in user
+ * @param {Object} body - Request body
+ * @returns {Object} Student fields
+ */
+const pickEditableFields = (user, body) => {
+  // Mentor assignments are managed by admins only
+  const fields = user.role === USER_ROLES.ADMIN
+    ? [...EDITABLE_FIELDS, 'mentors']
+    : EDITABLE_FIELDS;
+
+  const data = {};
+  fields
+    .filter(field => body[field] !== undefined)
+    .forEach(field => { data[field] = body[field]; });
+
+  // Only the opt-in is editable; the reminder count and last send are kept by the reminder job
+  if (data.emailReminders) {
+    const { enabled } = data.emailReminders;
+    if (enabled === undefined) {
+      delete data.emailReminders;
+    } else {
+      data.emailReminders = { enabled };
+    }
+  }
+
+  return data;
+};
 
 /**
  * Student Controller
@@ -21,41 +82,79 @@ exports.handleNewStudentRequest = (req, res) => {
   });
 };
 
+// Get students whose Codeforces sync keeps failing or whose handle no longer exists
+exports.getStudentsNeedingAttention = async (req, res, next) => {
+  try {
+    const students = await Student.find({ ...Student.needsAttentionFilter(), ...buildArchivedFilter() })
+      .select('name email codeforcesHandle handleStatus lastDataUpdate')
+      .sort({ 'handleStatus.failureCount': -1, name: 1 })
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      count: students.length,
+      data: students
+    });
+  } catch (error) {
+    logger.error('Error fetching students needing attention:', error);
+    next(error);
+  }
+};
+
 // Get all students with pagination and filtering
+// Pages follow ?cursor= (the nextCursor of the previous page); ?page= keeps the older offset paging
 exports.getStudents = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
     
-    // Build filter object from query parameters
-    const filter = {};
-    if (req.query.name) filter.name = { $regex: req.query.name, $options: 'i' };
-    if (req.query.email) filter.email = { $regex: req.query.email, $options: 'i' };
-    if (req.query.codeforcesHandle) filter.codeforcesHandle = { $regex: req.query.codeforcesHandle, $options: 'i' };
-    if (req.query.inactive === 'true') filter['inactivityStatus.isInactive'] = true;
+    // Build filter and sort from query parameters, limited to the user's students
+    const filter = await buildStudentListFilter(req.query, req.user);
+    const sort = buildStudentSort(req.query);
     
-    // Sort options
-    const sortField = req.query.sortField || 'createdAt';
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
-    const sort = { [sortField]: sortOrder };
+    // Get total count before the cursor narrows the filter
+    const totalCount = await Student.countDocuments(filter);
     
-    // Execute query with pagination
+    if (req.query.page) {
+      const page = parseInt(req.query.page, 10);
+      const students = await Student.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+      
+      return res.status(200).json({
+        success: true,
+        count: students.length,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit),
+        currentPage: page,
+        nextCursor: page * limit < totalCount && students.length > 0
+          ? encodeCursor(students[students.length - 1], sort)
+          : null,
+        data: students
+      });
+    }
+    
+    if (req.query.cursor) {
+      filter.$and = [...(filter.$and || []), buildCursorFilter(req.query.cursor, sort)];
+    }
+    
+    // Fetch one extra student to tell whether another page follows
     const students = await Student.find(filter)
       .sort(sort)
-      .skip(skip)
-      .limit(limit)
+      .limit(limit + 1)
       .lean();
     
-    // Get total count for pagination
-    const totalCount = await Student.countDocuments(filter);
+    const hasMore = students.length > limit;
+    if (hasMore) {
+      students.pop();
+    }
     
     res.status(200).json({
       success: true,
       count: students.length,
       totalCount,
-      totalPages: Math.ceil(totalCount / limit),
-      currentPage: page,
+      nextCursor: hasMore ? encodeCursor(students[students.length - 1], sort) : null,
       data: students
     });
   } catch (error) {
@@ -67,7 +166,8 @@ exports.getStudents = async (req, res, next) => {
 // Get a single student by ID
 exports.getStudent = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id)
+      .populate('handleHistory.changedBy', 'name email');
     
     if (!student) {
       return res.status(404).json({
@@ -89,10 +189,17 @@ exports.getStudent = async (req, res, next) => {
 // Create a new student
 exports.createStudent = async (req, res, next) => {
   try {
+    const studentData = pickEditableFields(req.user, req.body);
+    
+    // A mentor's new students are assigned to them
+    if (req.user.role === USER_ROLES.MENTOR) {
+      studentData.mentors = [req.user.id];
+    }
+    
     // Validate Codeforces handle before creating student
     try {
-      const userInfo = await fetchUserInfo(req.body.codeforcesHandle);
-      if (!userInfo) {
+      const profile = await getAdapter(PLATFORMS.CODEFORCES).fetchProfile(studentData.codeforcesHandle);
+      if (!profile) {
         return res.status(400).json({
           success: false,
           message: 'Invalid Codeforces handle. User not found on Codeforces.'
@@ -100,21 +207,29 @@ exports.createStudent = async (req, res, next) => {
       }
       
       // Add Codeforces rating data if available
-      if (userInfo.rating) {
-        req.body.currentRating = userInfo.rating;
-        req.body.maxRating = userInfo.maxRating || userInfo.rating;
+      if (profile.rating) {
+        studentData.currentRating = profile.rating;
+        studentData.maxRating = profile.maxRating;
       }
     } catch (cfError) {
-      logger.warn(`Could not validate Codeforces handle ${req.body.codeforcesHandle}:`, cfError);
+      logger.warn(`Could not validate Codeforces handle ${studentData.codeforcesHandle}:`, cfError);
       // Continue with creation even if CF validation fails
     }
     
     // Create the student
-    const student = await Student.create(req.body);
+    const student = await Student.create(studentData);
+    
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.CREATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      after: student
+    });
     
-    // Schedule Codeforces data fetch (async)
-    fetchCodeforcesDataForStudent(student._id, student.codeforcesHandle)
-      .catch(err => logger.error(`Failed to fetch initial Codeforces data for ${student.codeforcesHandle}:`, err));
+    // Queue the first sync; it runs in the background
+    await enqueueStudentSync(student._id, { reason: SYNC_QUEUE.REASONS.CREATED, priority: PRIORITIES.INTERACTIVE })
+      .catch(err => logger.error(`Failed to queue initial sync for ${student.codeforcesHandle}:`, err));
     
     res.status(201).json({
       success: true,
@@ -136,10 +251,79 @@ exports.createStudent = async (req, res, next) => {
   }
 };
 
+// Import students from a CSV file; dry-run returns the report, commit also creates the students
+exports.importStudents = async (req, res, next) => {
+  try {
+    const mode = req.body.mode || STUDENT_IMPORT.MODES.DRY_RUN;
+    
+    if (!Object.values(STUDENT_IMPORT.MODES).includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${Object.values(STUDENT_IMPORT.MODES).join(', ')}`
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is required'
+      });
+    }
+    
+    let cohorts = [];
+    if (req.body.cohort) {
+      const cohort = await Cohort.findById(req.body.cohort);
+      if (!cohort) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cohort not found'
+        });
+      }
+      cohorts = [cohort._id];
+    }
+    
+    const { rows, missingColumns } = await parseStudentCsv(req.file.buffer);
+    
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV file is missing required columns: ${missingColumns.join(', ')}`
+      });
+    }
+    
+    if (rows.length === 0 || rows.length > STUDENT_IMPORT.MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV file must contain between 1 and ${STUDENT_IMPORT.MAX_ROWS} students`
+      });
+    }
+    
+    let report = await buildImportReport(rows);
+    
+    if (mode === STUDENT_IMPORT.MODES.COMMIT) {
+      // A mentor's imported students are assigned to them, as on the create form
+      const mentors = req.user.role === USER_ROLES.MENTOR ? [req.user.id] : [];
+      report = await commitImport(req, report, { mentors, cohorts });
+      
+      logger.info(`User ${req.user.email} imported ${report.filter(entry => entry.status === ROW_STATUS.CREATED).length} students from ${req.file.originalname}`);
+    }
+    
+    res.status(mode === STUDENT_IMPORT.MODES.COMMIT ? 201 : 200).json({
+      success: true,
+      mode,
+      summary: summarizeReport(report),
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error importing students:', error);
+    next(error);
+  }
+};
+
 // Update a student
 exports.updateStudent = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id);
     
     if (!student) {
       return res.status(404).json({
@@ -148,16 +332,24 @@ exports.updateStudent = async (req, res, next) => {
       });
     }
     
+    const updates = pickEditableFields(req.user, req.body);
+    
+    // Set the opt-in alone, so the reminder count and last send are kept
+    if (updates.emailReminders) {
+      updates['emailReminders.enabled'] = updates.emailReminders.enabled;
+      delete updates.emailReminders;
+    }
+    
     // Check if Codeforces handle is being updated
     const handleChanged = 
-      req.body.codeforcesHandle && 
-      req.body.codeforcesHandle !== student.codeforcesHandle;
+      updates.codeforcesHandle && 
+      updates.codeforcesHandle !== student.codeforcesHandle;
     
     if (handleChanged) {
       // Validate new Codeforces handle
       try {
-        const userInfo = await fetchUserInfo(req.body.codeforcesHandle);
-        if (!userInfo) {
+        const profile = await getAdapter(PLATFORMS.CODEFORCES).fetchProfile(updates.codeforcesHandle);
+        if (!profile) {
           return res.status(400).json({
             success: false,
             message: 'Invalid Codeforces handle. User not found on Codeforces.'
@@ -165,12 +357,12 @@ exports.updateStudent = async (req, res, next) => {
         }
         
         // Update rating information from Codeforces
-        if (userInfo.rating) {
-          req.body.currentRating = userInfo.rating;
-          req.body.maxRating = userInfo.maxRating || userInfo.rating;
+        if (profile.rating) {
+          updates.currentRating = profile.rating;
+          updates.maxRating = profile.maxRating;
         }
       } catch (cfError) {
-        logger.warn(`Could not validate new Codeforces handle ${req.body.codeforcesHandle}:`, cfError);
+        logger.warn(`Could not validate new Codeforces handle ${updates.codeforcesHandle}:`, cfError);
         // Continue with update even if CF validation fails
       }
     }
@@ -178,24 +370,51 @@ exports.updateStudent = async (req, res, next) => {
     // Update the student
     const updatedStudent = await Student.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
     
     // If handle changed, fetch new Codeforces data
     if (handleChanged) {
-      // Delete old Codeforces data
-      await CodeforcesData.deleteOne({ student: student._id });
+      const changedAt = new Date();
+      
+      // Keep the data synced under the old handle so the profile history stays complete
+      await CodeforcesData.updateMany(
+        { student: student._id, supersededAt: null },
+        { supersededAt: changedAt }
+      );
       
-      // Schedule fetch of new data (async)
-      fetchCodeforcesDataForStudent(student._id, req.body.codeforcesHandle)
-        .catch(err => logger.error(`Failed to fetch Codeforces data for updated handle ${req.body.codeforcesHandle}:`, err));
+      // The old handle was in use from the previous change, or since the student was added
+      const previousChange = student.handleHistory[student.handleHistory.length - 1];
+      updatedStudent.handleHistory.push({
+        handle: student.codeforcesHandle,
+        from: previousChange ? previousChange.to : student.createdAt,
+        to: changedAt,
+        changedBy: req.user.id
+      });
       
       // Update lastDataUpdate to null to indicate data is being refreshed
       updatedStudent.lastDataUpdate = null;
       await updatedStudent.save();
+      
+      // Queue a sync of the new handle once the change is saved
+      await enqueueStudentSync(student._id, { reason: SYNC_QUEUE.REASONS.HANDLE_CHANGED, priority: PRIORITIES.INTERACTIVE })
+        .catch(err => logger.error(`Failed to queue sync for updated handle ${updates.codeforcesHandle}:`, err));
+    } else if (updates.platformAccounts) {
+      // Pick up newly linked accounts and drop data for removed ones (async)
+      syncStudentPlatforms(student._id)
+        .catch(err => logger.error(`Failed to sync platform accounts for student ${student._id}:`, err));
     }
     
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(updatedStudent),
+      before: student,
+      after: updatedStudent
+    });
+    
     res.status(200).json({
       success: true,
       data: updatedStudent
@@ -216,10 +435,10 @@ exports.updateStudent = async (req, res, next) => {
   }
 };
 
-// Delete a student
-exports.deleteStudent = async (req, res, next) => {
+// Archive a student; their history is kept and they can be restored later
+exports.archiveStudent = async (req, res, next) => {
   try {
-    const student = await Student.findByIdAndDelete(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id);
 
     if (!student) {
       return res.status(404).json({
@@ -228,18 +447,122 @@ exports.deleteStudent = async (req, res, next) => {
       });
     }
 
-    // Also remove associated Codeforces data and email logs
+    if (student.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is already archived'
+      });
+    }
+
+    student.archivedAt = new Date();
+    await student.save();
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.ARCHIVE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: student
+    });
+  } catch (error) {
+    logger.error(`Error archiving student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Restore an archived student
+exports.restoreStudent = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (!student.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not archived'
+      });
+    }
+
+    student.archivedAt = null;
+    await student.save();
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.RESTORE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: student
+    });
+  } catch (error) {
+    logger.error(`Error restoring student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Permanently delete an archived student and every document related to them
+exports.purgeStudent = async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // Purging is irreversible, so only students that were archived first can be purged
+    if (!student.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive the student before purging them'
+      });
+    }
+
+    // Audit entries are kept; they are the record of who purged the student
     await Promise.all([
       CodeforcesData.deleteMany({ student: student._id }),
-      EmailLog.deleteMany({ student: student._id })
+      Submission.deleteMany({ student: student._id }),
+      PlatformData.deleteMany({ student: student._id }),
+      StudentNote.deleteMany({ student: student._id }),
+      Goal.deleteMany({ student: student._id }),
+      EmailLog.deleteMany({ student: student._id }),
+      SyncTask.deleteMany({ student: student._id }),
+      GroupContest.updateMany(
+        { 'results.student': student._id },
+        { $pull: { results: { student: student._id } } }
+      )
     ]);
+    await student.deleteOne();
+
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.PURGE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before: student
+    });
 
     res.status(200).json({
       success: true,
       data: {}
     });
   } catch (error) {
-    logger.error(`Error deleting student with ID ${req.params.id}:`, error);
+    logger.error(`Error purging student with ID ${req.params.id}:`, error);
     next(error);
   }
 };
@@ -247,7 +570,7 @@ exports.deleteStudent = async (req, res, next) => {
 // Get student with Codeforces data
 exports.getStudentWithCodeforcesData = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id);
     
     if (!student) {
       return res.status(404).json({
@@ -256,14 +579,18 @@ exports.getStudentWithCodeforcesData = async (req, res, next) => {
       });
     }
     
-    // Get Codeforces data
-    const codeforcesData = await CodeforcesData.findOne({ student: student._id });
+    // Get Codeforces data for the current handle and any previous ones
+    const [codeforcesData, previousHandleData] = await Promise.all([
+      CodeforcesData.findCurrent(student._id),
+      CodeforcesData.findSuperseded(student._id)
+    ]);
     
     res.status(200).json({
       success: true,
       data: {
         student,
-        codeforcesData: codeforcesData || null
+        codeforcesData: codeforcesData || null,
+        previousHandleData
       }
     });
   } catch (error) {
@@ -272,10 +599,76 @@ exports.getStudentWithCodeforcesData = async (req, res, next) => {
   }
 };
 
+// Get the state of the student's queued sync
+exports.getSyncStatus = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id, '_id');
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    // Students that were never queued have no task
+    const task = await SyncTask.findOne({ student: student._id })
+      .select('-_id -student -__v')
+      .lean();
+    
+    res.status(200).json({
+      success: true,
+      data: task ? { ...task, maxAttempts: SYNC_QUEUE.MAX_ATTEMPTS } : null
+    });
+  } catch (error) {
+    logger.error(`Error fetching sync status for student ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Get a summary of the student's linked platform accounts
+exports.getStudentPlatforms = async (req, res, next) => {
+  try {
+    const student = await findAccessibleStudent(req.user, req.params.id, 'platformAccounts');
+    
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const summaries = await getPlatformSummaries(student._id);
+    
+    // Accounts that have not been synced yet are listed without data
+    const platforms = student.platformAccounts.map(account =>
+      summaries.find(summary => summary.platform === account.platform) || {
+        platform: account.platform,
+        handle: account.handle,
+        profile: {},
+        solvedCount: 0,
+        contestCount: 0,
+        lastSubmissionDate: null,
+        lastUpdated: null,
+        lastError: null
+      }
+    );
+    
+    res.status(200).json({
+      success: true,
+      count: platforms.length,
+      data: platforms
+    });
+  } catch (error) {
+    logger.error(`Error fetching platform accounts for student with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
 // Toggle email reminders for a student
 exports.toggleEmailReminders = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id);
     
     if (!student) {
       return res.status(404).json({
@@ -285,9 +678,19 @@ exports.toggleEmailReminders = async (req, res, next) => {
     }
     
     // Toggle the enabled flag
+    const before = student.toObject();
     student.emailReminders.enabled = !student.emailReminders.enabled;
     await student.save();
     
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before,
+      after: student
+    });
+    
     res.status(200).json({
       success: true,
       data: student
@@ -301,7 +704,7 @@ exports.toggleEmailReminders = async (req, res, next) => {
 // Get email reminder history for a student
 exports.getEmailReminderHistory = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id);
     
     if (!student) {
       return res.status(404).json({
@@ -330,14 +733,14 @@ exports.getEmailReminderHistory = async (req, res, next) => {
 // GET /api/students/:id/problem-solving-stats - Get problem solving statistics for a student
 exports.getProblemSolvingStats = async (req, res, next) => {
   try { 
-    const student = await Student.findById(req.params.id).select('codeforcesHandle');
+    const student = await findAccessibleStudent(req.user, req.params.id, 'codeforcesHandle');
 
     if (!student) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
 
-    const submissions = await codeforcesService.fetchUserSubmissions(student.codeforcesHandle);
-    const problemSolvingStats = calculateProblemSolvingStats(submissions);
+    // Stored submissions cover every handle the student has used
+    const problemSolvingStats = await Submission.getProblemSolvingStats(student._id);
 
     res.status(200).json({
       success: true,
@@ -352,22 +755,35 @@ exports.getProblemSolvingStats = async (req, res, next) => {
 // GET /api/students/:id/contest-history - Get contest history for a student
 exports.getContestHistory = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id).select('codeforcesHandle');
+    const student = await findAccessibleStudent(req.user, req.params.id, 'codeforcesHandle');
 
     if (!student) {
       return res.status(404).json({ success: false, message: 'Student not found' });
     }
 
-    const contestHistoryData = await codeforcesService.fetchUserContests(student.codeforcesHandle);
+    const [contestHistoryData, previousHandleData, groupContestHistory] = await Promise.all([
+      fetchUserContests(student.codeforcesHandle),
+      CodeforcesData.findSuperseded(student._id),
+      findGroupContestHistory(student._id)
+    ]);
 
-    const contestHistory = await Promise.all(contestHistoryData.map(async (contest) => {
-      const unsolvedProblems = await codeforcesService.getUnsolvedProblemsForContest(student.codeforcesHandle, contest.contestId);
-      return {
-        ...contest,
-        unsolvedProblems
-      };
+    // Unsolved counts come from the stored submissions and the contest catalog
+    const contestHistory = (await withUnsolvedCounts(student._id, contestHistoryData)).map(contest => ({
+      ...contest,
+      handle: student.codeforcesHandle
     }));
 
+    // Contests from previous handles come from the stored data
+    previousHandleData.forEach(data => {
+      data.contests.forEach(contest => {
+        contestHistory.push({ ...contest.toObject(), handle: data.handle });
+      });
+    });
+    
+    // Private group contests and mashups are unrated, so they have a rank but no rating change
+    contestHistory.push(...groupContestHistory);
+    contestHistory.sort((a, b) => new Date(a.date) - new Date(b.date));
+
     res.status(200).json({
       success: true,
       count: contestHistory.length,
@@ -382,7 +798,7 @@ exports.getContestHistory = async (req, res, next) => {
 // Force refresh Codeforces data for a student
 exports.refreshCodeforcesData = async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await findAccessibleStudent(req.user, req.params.id);
     
     if (!student) {
       return res.status(404).json({
@@ -391,14 +807,24 @@ exports.refreshCodeforcesData = async (req, res, next) => {
       });
     }
     
-    // Start async data fetch
-    fetchCodeforcesDataForStudent(student._id, student.codeforcesHandle)
-      .catch(err => logger.error(`Failed to refresh Codeforces data for ${student.codeforcesHandle}:`, err));
-    
     // Update lastDataUpdate to null to indicate data is being refreshed
+    const before = student.toObject();
     student.lastDataUpdate = null;
     await student.save();
     
+    // Queue the sync ahead of scheduled ones
+    await enqueueStudentSync(student._id, { reason: SYNC_QUEUE.REASONS.REFRESH, priority: PRIORITIES.INTERACTIVE });
+    
+    await recordAudit(req, {
+      action: AUDIT.ACTIONS.UPDATE,
+      targetType: AUDIT.TARGETS.STUDENT,
+      targetId: student._id,
+      targetLabel: getStudentLabel(student),
+      before,
+      after: student,
+      metadata: { reason: 'codeforces-refresh' }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Codeforces data refresh initiated',
@@ -409,81 +835,3 @@ exports.refreshCodeforcesData = async (req, res, next) => {
     next(error);
   }
 };
-
-// Helper function to fetch Codeforces data for a student
-async function fetchCodeforcesDataForStudent(studentId, handle) {
-  try {
-    logger.info(`Fetching Codeforces data for handle: ${handle}`);
-    
-    // Fetch user info, submissions and contests in parallel
-    const [userInfo, submissions, contests] = await Promise.all([
-      fetchUserInfo(handle),
-      fetchUserSubmissions(handle),
-      fetchUserContests(handle)
-    ]);
-    
-    if (!userInfo) {
-      throw new Error(`User info not found for handle: ${handle}`);
-    }
-    
-    // Calculate statistics from the fetched data
-    const statistics = calculateStatistics(submissions);
-    
-    // Find existing data or create new
-    let codeforcesData = await CodeforcesData.findOne({ student: studentId });
-    
-    if (codeforcesData) {
-      // Update existing data
-      codeforcesData.handle = handle;
-      codeforcesData.contests = contests;
-      codeforcesData.submissions = submissions;
-      codeforcesData.statistics = statistics;
-      codeforcesData.userInfo = userInfo;
-      codeforcesData.lastUpdated = new Date();
-      codeforcesData.lastSubmissionDate = submissions.length > 0 ? 
-        new Date(Math.max(...submissions.map(s => new Date(s.submissionTime)))) : null;
-    } else {
-      // Create new data
-      codeforcesData = new CodeforcesData({
-        student: studentId,
-        handle,
-        contests,
-        submissions,
-        statistics,
-        userInfo,
-        lastUpdated: new Date(),
-        lastSubmissionDate: submissions.length > 0 ? 
-          new Date(Math.max(...submissions.map(s => new Date(s.submissionTime)))) : null
-      });
-    }
-    
-    // Save the data
-    await codeforcesData.save();
-    
-    // Update student with latest rating data
-    const student = await Student.findById(studentId);
-    if (student) {
-      student.currentRating = userInfo.rating || 0;
-      student.maxRating = userInfo.maxRating || userInfo.rating || 0;
-      student.lastDataUpdate = new Date();
-      
-      // Check for inactivity
-      const isInactive = codeforcesData.isInactiveForDays(7);
-      if (isInactive && !student.inactivityStatus.isInactive) {
-        student.inactivityStatus.isInactive = true;
-        student.inactivityStatus.inactiveSince = new Date();
-      } else if (!isInactive && student.inactivityStatus.isInactive) {
-        student.inactivityStatus.isInactive = false;
-        student.inactivityStatus.inactiveSince = null;
-      }
-      
-      await student.save();
-    }
-    
-    logger.info(`Successfully updated Codeforces data for ${handle}`);
-    return codeforcesData;
-  } catch (error) {
-    logger.error(`Error fetching Codeforces data for handle ${handle}:`, error);
-    throw error;
-  }
-}
@@ -0,0 +1,238 @@
+const User = require('../models/User');
+const Student = require('../models/Student');
+const logger = require('../utils/logger');
+const { USER_ROLES } = require('../utils/constants');
+const { buildArchivedFilter } = require('../utils/helpers');
+
+/**
+ * User Controller
+ * Handles staff account management and mentor-student assignments (admin only)
+ */
+
+// Get all users with the number of students assigned to each
+exports.getUsers = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+
+    const users = await User.find(filter).sort({ name: 1 });
+
+    // Count assigned students per mentor in a single query
+    const assignmentCounts = await Student.aggregate([
+      { $match: buildArchivedFilter() },
+      { $unwind: '$mentors' },
+      { $group: { _id: '$mentors', count: { $sum: 1 } } }
+    ]);
+    const countByUser = new Map(assignmentCounts.map(item => [item._id.toString(), item.count]));
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users.map(user => ({
+        ...user.toJSON(),
+        assignedStudentCount: countByUser.get(user._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching users:', error);
+    next(error);
+  }
+};
+
+// Create a new user
+exports.createUser = async (req, res, next) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    const user = await User.create({ name, email, password, role });
+
+    logger.info(`User ${req.user.email} created account for ${user.email} (${user.role})`);
+
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error('Error creating user:', error);
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists.'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// Update a user's profile, role, status or password
+exports.updateUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { name, email, password, role, isActive } = req.body;
+
+    // Prevent admins from locking themselves out
+    if (user._id.toString() === req.user.id && ((role && role !== USER_ROLES.ADMIN) || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin access'
+      });
+    }
+
+    if (name) user.name = name;
+    if (email) user.email = email;
+    if (role) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+
+    // Changing the password signs the user out everywhere
+    if (password) {
+      user.password = password;
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+
+    // Mentor assignments only apply to mentors
+    if (user.role !== USER_ROLES.MENTOR) {
+      await Student.updateMany({ mentors: user._id }, { $pull: { mentors: user._id } });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error(`Error updating user with ID ${req.params.id}:`, error);
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists.'
+      });
+    }
+
+    next(error);
+  }
+};
+
+// Delete a user and remove their student assignments
+exports.deleteUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Student.updateMany({ mentors: user._id }, { $pull: { mentors: user._id } });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Error deleting user with ID ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Get the students assigned to a mentor
+exports.getAssignedStudents = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const students = await Student.find({ ...buildArchivedFilter(), mentors: user._id })
+      .select('name email codeforcesHandle currentRating')
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: students.length,
+      data: students
+    });
+  } catch (error) {
+    logger.error(`Error fetching students assigned to user ${req.params.id}:`, error);
+    next(error);
+  }
+};
+
+// Replace the set of students assigned to a mentor
+exports.updateAssignedStudents = async (req, res, next) => {
+  try {
+    const { studentIds } = req.body;
+
+    if (!Array.isArray(studentIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'studentIds must be an array'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role !== USER_ROLES.MENTOR) {
+      return res.status(400).json({
+        success: false,
+        message: 'Students can only be assigned to mentors'
+      });
+    }
+
+    // Remove the mentor from students no longer in the list, then add to the new ones;
+    // archived students are not listed in the picker, so their assignments are left alone
+    await Student.updateMany(
+      { ...buildArchivedFilter(), mentors: user._id, _id: { $nin: studentIds } },
+      { $pull: { mentors: user._id } }
+    );
+    const result = await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $addToSet: { mentors: user._id } }
+    );
+
+    logger.info(`User ${req.user.email} assigned ${studentIds.length} students to mentor ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Assigned ${result.matchedCount} students to ${user.name}`,
+      data: { assignedCount: result.matchedCount }
+    });
+  } catch (error) {
+    logger.error(`Error updating students assigned to user ${req.params.id}:`, error);
+    next(error);
+  }
+};
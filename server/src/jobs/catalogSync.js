@@ -0,0 +1,137 @@
+/**
+ * Student Progress Management System
+ * Catalog sync job
+ *
+ * This job copies the Codeforces contest list and problemset into the Contest
+ * and Problem collections, so analytics and the UI can show contest names,
+ * divisions and problem ratings and tags without calling Codeforces live.
+ */
+
+const logger = require('../utils/logger');
+const Contest = require('../models/Contest');
+const Problem = require('../models/Problem');
+const { fetchContestList, fetchProblemset } = require('../services/codeforcesService');
+const { runInBackground } = require('../services/codeforcesRequestQueue');
+const { CODEFORCES } = require('../utils/constants');
+
+/**
+ * Find the division of a contest from its name
+ * @param {string} name - Contest name
+ * @returns {string|null} Division name or null for other contests
+ */
+const parseDivision = (name) => {
+  const division = CODEFORCES.CONTEST_DIVISIONS.find(({ pattern }) => pattern.test(name));
+  return division ? division.name : null;
+};
+
+/**
+ * Sync the contest and problem catalog from Codeforces
+ * @returns {Promise<Object>} Result with counts
+ */
+exports.syncCatalog = async () => {
+  try {
+    const startTime = Date.now();
+    logger.info('Starting Codeforces catalog sync');
+
+    const { contests, problemset } = await runInBackground(async () => ({
+      contests: await fetchContestList(),
+      problemset: await fetchProblemset()
+    }));
+
+    const now = new Date();
+
+    // Problemset statistics are listed separately from the problems
+    const solvedCounts = new Map(problemset.problemStatistics.map(statistics => [
+      `${statistics.contestId}${statistics.index}`,
+      statistics.solvedCount
+    ]));
+
+    const problemsByContest = new Map();
+    const problemUpdates = problemset.problems
+      .filter(problem => problem.contestId)
+      .map(problem => {
+        const problemId = `${problem.contestId}${problem.index}`;
+        const entry = {
+          index: problem.index,
+          name: problem.name,
+          type: problem.type,
+          points: problem.points,
+          rating: problem.rating,
+          tags: problem.tags || []
+        };
+
+        if (!problemsByContest.has(problem.contestId)) {
+          problemsByContest.set(problem.contestId, []);
+        }
+        problemsByContest.get(problem.contestId).push(entry);
+
+        return {
+          updateOne: {
+            filter: { problemId },
+            update: {
+              $set: {
+                ...entry,
+                contestId: problem.contestId,
+                url: `https://codeforces.com/problemset/problem/${problem.contestId}/${problem.index}`,
+                solvedCount: solvedCounts.get(problemId) || 0,
+                lastUpdated: now
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+    // bulkWrite skips the save hook, so the start and end dates are set here
+    const contestUpdates = contests.map(contest => {
+      const update = {
+        name: contest.name,
+        type: contest.type,
+        division: parseDivision(contest.name),
+        phase: contest.phase,
+        frozen: contest.frozen,
+        durationSeconds: contest.durationSeconds,
+        startTimeSeconds: contest.startTimeSeconds,
+        startTime: contest.startTimeSeconds ? new Date(contest.startTimeSeconds * 1000) : null,
+        endTime: contest.startTimeSeconds
+          ? new Date((contest.startTimeSeconds + contest.durationSeconds) * 1000)
+          : null,
+        difficulty: contest.difficulty,
+        url: `https://codeforces.com/contest/${contest.id}`,
+        lastUpdated: now
+      };
+
+      // Problems are only published once the contest has started
+      if (problemsByContest.has(contest.id)) {
+        update.problems = problemsByContest.get(contest.id);
+      }
+
+      return {
+        updateOne: {
+          filter: { contestId: contest.id },
+          update: { $set: update },
+          upsert: true
+        }
+      };
+    });
+
+    if (contestUpdates.length > 0) {
+      await Contest.bulkWrite(contestUpdates, { ordered: false });
+    }
+    if (problemUpdates.length > 0) {
+      await Problem.bulkWrite(problemUpdates, { ordered: false });
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Catalog sync completed in ${duration}ms: ${contestUpdates.length} contests, ${problemUpdates.length} problems`);
+
+    return {
+      contestCount: contestUpdates.length,
+      problemCount: problemUpdates.length,
+      duration
+    };
+  } catch (error) {
+    logger.error('Error in catalog sync job:', error);
+    throw error;
+  }
+};
@@ -2,7 +2,13 @@ const cron = require('node-cron');
 const logger = require('../utils/logger');
 const Student = require('../models/Student');
 const CronJob = require('../models/CronJob');
-const { syncStudentCodeforcesData } = require('../services/codeforcesService');
+const { syncStudentActivity } = require('../services/platformService');
+const { enqueueStudentSyncs } = require('../services/studentSyncQueue');
+const { refreshStudentRatings } = require('./ratingRefresh');
+const { syncCatalog } = require('./catalogSync');
+const { syncGroupContests } = require('./groupContestSync');
+const { buildArchivedFilter } = require('../utils/helpers');
+const { SYNC_QUEUE } = require('../utils/constants');
 
 // Store active cron jobs
 const activeCronJobs = new Map();
@@ -63,19 +69,19 @@ exports.scheduleCronJob = async (job) => {
           const startTime = Date.now();
           
           try {
-            const result = await syncCodeforcesData(job.config.batchSize);
+            const result = await syncCodeforcesData();
             const duration = Date.now() - startTime;
             
             // Update job status
             await job.updateAfterRun(
               true,
-              `Synced data for ${result.processedCount} students (${result.successCount} succeeded, ${result.failedCount} failed)`,
+              `Queued sync for ${result.queuedCount} students`,
               null,
               result.processedCount,
               duration
             );
             
-            logger.info(`Codeforces sync completed in ${duration}ms`);
+            logger.info(`Codeforces sync queued in ${duration}ms`);
           } catch (error) {
             const duration = Date.now() - startTime;
             await job.updateAfterRun(false, null, error.message, 0, duration);
@@ -84,6 +90,69 @@ exports.scheduleCronJob = async (job) => {
         };
         break;
         
+      case 'ratingRefresh':
+        task = async () => {
+          const startTime = Date.now();
+          
+          try {
+            const result = await refreshStudentRatings();
+            
+            await job.updateAfterRun(
+              true,
+              `Refreshed ratings for ${result.updatedCount} students (${result.notFoundCount} not found)`,
+              null,
+              result.totalCount,
+              Date.now() - startTime
+            );
+          } catch (error) {
+            await job.updateAfterRun(false, null, error.message, 0, Date.now() - startTime);
+            logger.error('Error in rating refresh cron job:', error);
+          }
+        };
+        break;
+        
+      case 'catalogSync':
+        task = async () => {
+          const startTime = Date.now();
+          
+          try {
+            const result = await syncCatalog();
+            
+            await job.updateAfterRun(
+              true,
+              `Synced ${result.contestCount} contests and ${result.problemCount} problems`,
+              null,
+              result.contestCount + result.problemCount,
+              Date.now() - startTime
+            );
+          } catch (error) {
+            await job.updateAfterRun(false, null, error.message, 0, Date.now() - startTime);
+            logger.error('Error in catalog sync cron job:', error);
+          }
+        };
+        break;
+        
+      case 'groupContestSync':
+        task = async () => {
+          const startTime = Date.now();
+          
+          try {
+            const result = await syncGroupContests();
+            
+            await job.updateAfterRun(
+              true,
+              `Synced ${result.contestCount} contests from ${result.groupCount} groups (${result.resultCount} student results, ${result.failedCount} failed)`,
+              null,
+              result.contestCount,
+              Date.now() - startTime
+            );
+          } catch (error) {
+            await job.updateAfterRun(false, null, error.message, 0, Date.now() - startTime);
+            logger.error('Error in group contest sync cron job:', error);
+          }
+        };
+        break;
+        
       case 'inactivityCheck':
         // This will be implemented in inactivityCheck.js
         task = () => logger.info(`Inactivity check would run here (${job.name})`);
@@ -142,67 +211,22 @@ exports.stopAllCronJobs = () => {
 };
 
 /**
- * Sync Codeforces data for all students
- * @param {number} batchSize - Number of students to process in each batch
+ * Queue the Codeforces sync of every current student
+ * The sync worker runs the tasks, retrying failed ones, and carries on after a restart
  * @returns {Promise<Object>} Result with counts
  */
-async function syncCodeforcesData(batchSize = 50) {
+async function syncCodeforcesData() {
   try {
-    logger.info(`Starting Codeforces data sync with batch size ${batchSize}`);
-    
-    // Get all students
-    const students = await Student.find().select('_id codeforcesHandle');
-    const totalCount = students.length;
-    
-    if (totalCount === 0) {
-      logger.info('No students found to sync');
-      return { processedCount: 0, successCount: 0, failedCount: 0 };
-    }
-    
-    logger.info(`Found ${totalCount} students to sync`);
-    
-    // Process students in batches to avoid overloading the Codeforces API
-    const batchCount = Math.ceil(totalCount / batchSize);
-    let processedCount = 0;
-    let successCount = 0;
-    let failedCount = 0;
-    
-    for (let i = 0; i < batchCount; i++) {
-      const startIdx = i * batchSize;
-      const endIdx = Math.min((i + 1) * batchSize, totalCount);
-      const batch = students.slice(startIdx, endIdx);
-      
-      logger.info(`Processing batch ${i + 1}/${batchCount} (${batch.length} students)`);
-      
-      // Process each student in the batch with Promise.allSettled to handle errors
-      const results = await Promise.allSettled(
-        batch.map(student => 
-          syncStudentCodeforcesData(student._id, student.codeforcesHandle)
-        )
-      );
-      
-      // Count successes and failures
-      results.forEach(result => {
-        if (result.status === 'fulfilled') {
-          successCount++;
-        } else {
-          failedCount++;
-          logger.error('Error syncing student data:', result.reason);
-        }
-      });
-      
-      processedCount += batch.length;
-      logger.info(`Batch ${i + 1} complete. Progress: ${processedCount}/${totalCount}`);
-      
-      // Add a delay between batches to avoid rate limiting
-      if (i < batchCount - 1) {
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      }
-    }
+    // Archived students keep their last synced data
+    const students = await Student.find(buildArchivedFilter()).select('_id');
+    const queuedCount = await enqueueStudentSyncs(
+      students.map(student => student._id),
+      { reason: SYNC_QUEUE.REASONS.SCHEDULED }
+    );
     
-    logger.info(`Codeforces sync completed: ${successCount} succeeded, ${failedCount} failed`);
+    logger.info(`Queued Codeforces sync for ${queuedCount} students`);
     
-    return { processedCount, successCount, failedCount };
+    return { processedCount: queuedCount, queuedCount };
   } catch (error) {
     logger.error('Error in syncCodeforcesData:', error);
     throw error;
@@ -244,13 +268,12 @@ function getNextCronRunDate(expression, timezone = 'UTC') {
 
 /**
  * Manually trigger Codeforces data sync for all students
- * @param {number} batchSize - Number of students to process in each batch
  * @returns {Promise<Object>} Result with counts
  */
-exports.manualSyncCodeforcesData = async (batchSize = 50) => {
+exports.manualSyncCodeforcesData = async () => {
   try {
     logger.info('Manually triggering Codeforces data sync');
-    return await syncCodeforcesData(batchSize);
+    return await syncCodeforcesData();
   } catch (error) {
     logger.error('Error in manual Codeforces sync:', error);
     throw error;
@@ -272,7 +295,7 @@ exports.manualSyncStudentData = async (studentId) => {
       throw new Error(`Student not found with ID: ${studentId}`);
     }
     
-    const result = await syncStudentCodeforcesData(studentId, student.codeforcesHandle);
+    const result = await syncStudentActivity(studentId, student.codeforcesHandle);
     
     return {
       success: true,
@@ -9,8 +9,11 @@
 const logger = require('../utils/logger');
 const Student = require('../models/Student');
 const EmailLog = require('../models/EmailLog');
+const Goal = require('../models/Goal');
 const { getInactiveStudents } = require('./inactivityCheck');
+const { buildArchivedFilter } = require('../utils/helpers');
 const emailService = require('../services/emailService');
+const { describeGoal } = require('../services/goalService');
 const { subDays } = require('date-fns');
 
 /**
@@ -20,6 +23,7 @@ const { subDays } = require('date-fns');
  * @param {string} config.reminderSubject - Email subject line
  * @param {number} config.inactivityThresholdDays - Days of inactivity to trigger reminder (default: 7)
  * @param {number} config.reminderFrequencyDays - Minimum days between reminders (default: 3)
+ * @param {Array<string>} config.cohorts - Only remind students in these cohorts (default: all students)
  * @returns {Promise<Object>} Result with counts
  */
 exports.sendInactivityReminders = async (config = {}) => {
@@ -31,13 +35,14 @@ exports.sendInactivityReminders = async (config = {}) => {
       reminderTemplate: config.reminderTemplate || 'inactivity_reminder',
       reminderSubject: config.reminderSubject || 'Reminder: Get back to problem solving!',
       inactivityThresholdDays: config.inactivityThresholdDays || 7,
-      reminderFrequencyDays: config.reminderFrequencyDays || 3
+      reminderFrequencyDays: config.reminderFrequencyDays || 3,
+      cohorts: config.cohorts || []
     };
     
     logger.info(`Starting email reminder job with threshold of ${reminderConfig.inactivityThresholdDays} days`);
     
     // Get all inactive students
-    const inactiveStudents = await getInactiveStudents(reminderConfig.inactivityThresholdDays);
+    const inactiveStudents = await getInactiveStudents(reminderConfig.inactivityThresholdDays, reminderConfig.cohorts);
     logger.info(`Found ${inactiveStudents.length} inactive students`);
     
     let sentCount = 0;
@@ -71,13 +76,17 @@ exports.sendInactivityReminders = async (config = {}) => {
           Math.floor((new Date() - new Date(student.inactivityStatus.inactiveSince)) / (1000 * 60 * 60 * 24)) :
           reminderConfig.inactivityThresholdDays;
         
+        // Mention the goals the student has fallen behind on
+        const offTrackGoals = await Goal.findOffTrack(student._id);
+        
         // Send the reminder email
         const result = await emailService.sendInactivityReminder(
           student,
           daysSinceInactive,
           {
             template: reminderConfig.reminderTemplate,
-            subject: reminderConfig.reminderSubject
+            subject: reminderConfig.reminderSubject,
+            offTrackGoals: offTrackGoals.map(describeGoal)
           }
         );
         
@@ -162,6 +171,7 @@ exports.getReminderStatistics = async () => {
     
     // Get students who have opted out
     const optedOutStudents = await Student.countDocuments({
+      ...buildArchivedFilter(),
       'emailReminders.enabled': false
     });
     
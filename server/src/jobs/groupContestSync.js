@@ -0,0 +1,193 @@
+/**
+ * Student Progress Management System
+ * Group contest sync job
+ *
+ * This job reads the contests of the private Codeforces groups and the mashups
+ * configured in the Codeforces settings with signed API calls. Students' rows
+ * in the standings are stored as GroupContest results, which show in contest
+ * history next to rated rounds, and their submissions are imported, as
+ * user.status does not list submissions made in private contests.
+ */
+
+const logger = require('../utils/logger');
+const Student = require('../models/Student');
+const Submission = require('../models/Submission');
+const GroupContest = require('../models/GroupContest');
+const CodeforcesSettings = require('../models/CodeforcesSettings');
+const {
+  fetchGroupContests,
+  fetchContestStandings,
+  fetchContestSubmissions
+} = require('../services/codeforcesService');
+const { runInBackground } = require('../services/codeforcesRequestQueue');
+const { CODEFORCES } = require('../utils/constants');
+
+/**
+ * Map every handle students use or used to the student
+ * Archived students are included, as the results of a contest are replaced on
+ * every run and they keep their contest history
+ * @returns {Promise<Map>} Lowercased handle to { _id, archivedAt } of the student
+ */
+const buildHandleMap = async () => {
+  const students = await Student.find().select('_id codeforcesHandle handleHistory archivedAt').lean();
+  const studentsByHandle = new Map();
+
+  students.forEach(({ handleHistory, codeforcesHandle, ...student }) => {
+    (handleHistory || []).forEach(entry => {
+      if (entry.handle) studentsByHandle.set(entry.handle.toLowerCase(), student);
+    });
+    studentsByHandle.set(codeforcesHandle.toLowerCase(), student);
+  });
+
+  return studentsByHandle;
+};
+
+/**
+ * Store the standings rows of students in one contest and import their submissions
+ * @param {number} contestId - Codeforces contest ID
+ * @param {string|null} groupCode - Group of the contest; null for mashups
+ * @param {Map} studentsByHandle - Lowercased handle to student, see buildHandleMap
+ * @returns {Promise<number>} Number of stored results
+ */
+const syncContest = async (contestId, groupCode, studentsByHandle) => {
+  const { contest, problems, rows } = await fetchContestStandings(contestId);
+
+  const results = [];
+  let hasStudentSubmissions = false;
+
+  rows.forEach(row => {
+    row.party.members.forEach(member => {
+      const student = studentsByHandle.get(member.handle.toLowerCase());
+      if (!student) return;
+
+      // Practice rows are not results, but their submissions are still imported;
+      // archived students keep their results but are no longer synced otherwise
+      hasStudentSubmissions = hasStudentSubmissions || !student.archivedAt;
+      if (!CODEFORCES.GROUP_CONTEST_PARTICIPANT_TYPES.includes(row.party.participantType)) return;
+
+      results.push({
+        student: student._id,
+        handle: member.handle.toLowerCase(),
+        rank: row.rank,
+        points: row.points,
+        penalty: row.penalty,
+        solvedCount: row.problemResults.filter(result => result.points > 0).length,
+        participantType: row.party.participantType,
+        startTime: row.party.startTimeSeconds ? new Date(row.party.startTimeSeconds * 1000) : null
+      });
+    });
+  });
+
+  await GroupContest.findOneAndUpdate(
+    { contestId },
+    {
+      $set: {
+        groupCode,
+        name: contest.name,
+        type: contest.type,
+        phase: contest.phase,
+        startTime: contest.startTimeSeconds ? new Date(contest.startTimeSeconds * 1000) : null,
+        durationSeconds: contest.durationSeconds,
+        problemCount: problems.length,
+        results,
+        syncedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  if (hasStudentSubmissions) {
+    const submissionsByAuthor = new Map();
+
+    (await fetchContestSubmissions(contestId)).forEach(({ handles, ...submission }) => {
+      const handle = handles.find(member => studentsByHandle.has(member) && !studentsByHandle.get(member).archivedAt);
+      if (!handle) return;
+
+      if (!submissionsByAuthor.has(handle)) {
+        submissionsByAuthor.set(handle, []);
+      }
+      submissionsByAuthor.get(handle).push(submission);
+    });
+
+    for (const [handle, submissions] of submissionsByAuthor) {
+      await Submission.upsertProcessed(studentsByHandle.get(handle)._id, handle, submissions, {
+        fromContestStatus: true,
+        groupCode
+      });
+    }
+  }
+
+  return results.length;
+};
+
+/**
+ * Sync the contests of the configured private groups and mashups
+ * Finished contests are synced again on every run, as virtual participations
+ * can be added to them at any time
+ * @returns {Promise<Object>} Result with counts
+ */
+exports.syncGroupContests = async () => {
+  try {
+    const startTime = Date.now();
+    const settings = await CodeforcesSettings.getSettings();
+
+    if (settings.groupCodes.length === 0 && settings.contestIds.length === 0) {
+      logger.info('No Codeforces groups or mashups configured; skipping group contest sync');
+      return { groupCount: 0, contestCount: 0, resultCount: 0, failedCount: 0, duration: 0 };
+    }
+
+    if (!(await CodeforcesSettings.getCredentials())) {
+      throw new Error('Codeforces API credentials are not configured');
+    }
+
+    logger.info(`Starting group contest sync for ${settings.groupCodes.length} groups and ${settings.contestIds.length} mashups`);
+
+    const studentsByHandle = await buildHandleMap();
+
+    // A group or contest that fails, e.g. one the key's account has left, is
+    // logged and skipped so the rest are still synced
+    const { contestCount, resultCount, failedCount } = await runInBackground(async () => {
+      // Contest ID to group code; a mashup that is also in a group keeps its group
+      const contests = new Map(settings.contestIds.map(contestId => [contestId, null]));
+      let failedCount = 0;
+
+      for (const groupCode of settings.groupCodes) {
+        try {
+          const groupContests = await fetchGroupContests(groupCode);
+          groupContests
+            .filter(contest => contest.phase !== 'BEFORE')
+            .forEach(contest => contests.set(contest.id, groupCode));
+        } catch (error) {
+          failedCount++;
+          logger.error(`Error fetching the contests of Codeforces group ${groupCode}:`, error);
+        }
+      }
+
+      let resultCount = 0;
+      for (const [contestId, groupCode] of contests) {
+        try {
+          resultCount += await syncContest(contestId, groupCode, studentsByHandle);
+        } catch (error) {
+          failedCount++;
+          logger.error(`Error syncing group contest ${contestId}:`, error);
+        }
+      }
+
+      return { contestCount: contests.size, resultCount, failedCount };
+    });
+
+    const duration = Date.now() - startTime;
+    logger.info(`Group contest sync completed in ${duration}ms: ${contestCount} contests, ${resultCount} student results, ${failedCount} failed`);
+
+    return {
+      groupCount: settings.groupCodes.length,
+      contestCount,
+      resultCount,
+      failedCount,
+      duration
+    };
+  } catch (error) {
+    logger.error('Error in group contest sync job:', error);
+    throw error;
+  }
+};
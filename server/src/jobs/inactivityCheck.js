@@ -2,21 +2,24 @@
  * Student Progress Management System
  * Inactivity check job
  * 
- * This job checks for students who haven't made Codeforces submissions
- * in a specified number of days and marks them as inactive.
+ * This job checks for students who haven't made submissions on Codeforces
+ * or any linked platform in a specified number of days and marks them as inactive.
  */
 
 const logger = require('../utils/logger');
 const Student = require('../models/Student');
 const CodeforcesData = require('../models/CodeforcesData');
+const PlatformData = require('../models/PlatformData');
 const { subDays } = require('date-fns');
+const { buildCohortFilter, buildArchivedFilter } = require('../utils/helpers');
 
 /**
  * Check all students for inactivity
  * @param {number} thresholdDays - Number of days to consider as inactive (default: 7)
+ * @param {Array<string>} cohorts - Only check students in these cohorts (default: all students)
  * @returns {Promise<Object>} Result with counts
  */
-exports.checkStudentInactivity = async (thresholdDays = 7) => {
+exports.checkStudentInactivity = async (thresholdDays = 7, cohorts = []) => {
   try {
     logger.info(`Starting inactivity check with threshold of ${thresholdDays} days`);
     
@@ -26,7 +29,7 @@ exports.checkStudentInactivity = async (thresholdDays = 7) => {
     let statusChangedCount = 0;
     
     // Get all students with their Codeforces data
-    const students = await Student.find().select('_id name codeforcesHandle inactivityStatus');
+    const students = await Student.find({ ...buildArchivedFilter(), ...buildCohortFilter(cohorts) }).select('_id name codeforcesHandle inactivityStatus');
     logger.info(`Found ${students.length} students to check for inactivity`);
     
     // Calculate the threshold date
@@ -36,15 +39,17 @@ exports.checkStudentInactivity = async (thresholdDays = 7) => {
     for (const student of students) {
       try {
         // Get Codeforces data for this student
-        const codeforcesData = await CodeforcesData.findOne({ student: student._id });
+        const codeforcesData = await CodeforcesData.findCurrent(student._id);
         
         if (!codeforcesData) {
           logger.warn(`No Codeforces data found for student ${student._id} (${student.codeforcesHandle})`);
           continue;
         }
         
-        // Check if student is inactive
-        const isInactive = isStudentInactive(codeforcesData, thresholdDate);
+        // Check if student is inactive; activity on linked platforms counts too
+        const platformLastSubmission = await PlatformData.getLastSubmissionDate(student._id);
+        const isInactive = isStudentInactive(codeforcesData, thresholdDate) &&
+          (!platformLastSubmission || platformLastSubmission < thresholdDate);
         const statusChanged = isInactive !== student.inactivityStatus.isInactive;
         
         // Update student if status changed
@@ -101,29 +106,28 @@ exports.checkStudentInactivity = async (thresholdDays = 7) => {
  */
 function isStudentInactive(codeforcesData, thresholdDate) {
   // If no submissions at all, student is inactive
-  if (!codeforcesData.submissions || codeforcesData.submissions.length === 0) {
+  if (!codeforcesData.lastSubmissionDate) {
     return true;
   }
   
-  // Find the most recent submission
-  const submissionDates = codeforcesData.submissions.map(s => new Date(s.submissionTime));
-  const lastSubmissionDate = new Date(Math.max(...submissionDates));
-  
   // Student is inactive if last submission is before threshold date
-  return lastSubmissionDate < thresholdDate;
+  return codeforcesData.lastSubmissionDate < thresholdDate;
 }
 
 /**
  * Get inactive students
  * @param {number} thresholdDays - Number of days to consider as inactive
+ * @param {Array<string>} cohorts - Only include students in these cohorts (default: all students)
  * @returns {Promise<Array>} Array of inactive students
  */
-exports.getInactiveStudents = async (thresholdDays = 7) => {
+exports.getInactiveStudents = async (thresholdDays = 7, cohorts = []) => {
   try {
     const thresholdDate = subDays(new Date(), thresholdDays);
     
     // Find students marked as inactive
     const inactiveStudents = await Student.find({
+      ...buildArchivedFilter(),
+      ...buildCohortFilter(cohorts),
       'inactivityStatus.isInactive': true
     }).select('_id name email codeforcesHandle currentRating inactivityStatus emailReminders');
     
@@ -145,6 +149,7 @@ exports.getNewlyInactiveStudents = async (withinDays = 1) => {
     
     // Find students who became inactive within the specified period
     const newlyInactive = await Student.find({
+      ...buildArchivedFilter(),
       'inactivityStatus.isInactive': true,
       'inactivityStatus.inactiveSince': { $gte: startDate }
     }).select('_id name email codeforcesHandle currentRating inactivityStatus emailReminders');
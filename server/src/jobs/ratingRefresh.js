@@ -0,0 +1,83 @@
+/**
+ * Student Progress Management System
+ * Rating refresh job
+ *
+ * This job looks up every student's Codeforces profile with a few batched
+ * user.info calls and updates their rating, rank and avatar. It runs hourly so
+ * ratings are current soon after a contest, without waiting for the full sync.
+ */
+
+const logger = require('../utils/logger');
+const Student = require('../models/Student');
+const { fetchUsersInfo } = require('../services/codeforcesService');
+const { runInBackground } = require('../services/codeforcesRequestQueue');
+const { buildArchivedFilter } = require('../utils/helpers');
+
+/**
+ * Refresh the Codeforces rating, rank and avatar of all current students
+ * @returns {Promise<Object>} Result with counts
+ */
+exports.refreshStudentRatings = async () => {
+  try {
+    const startTime = Date.now();
+
+    // Archived students keep the rating they had when they were archived
+    const students = await Student.find(buildArchivedFilter()).select('_id codeforcesHandle');
+    logger.info(`Refreshing Codeforces ratings for ${students.length} students`);
+
+    if (students.length === 0) {
+      return { totalCount: 0, updatedCount: 0, notFoundCount: 0, duration: 0 };
+    }
+
+    const usersByHandle = await runInBackground(() =>
+      fetchUsersInfo(students.map(student => student.codeforcesHandle))
+    );
+
+    const now = new Date();
+    const updates = [];
+    let notFoundCount = 0;
+
+    students.forEach(student => {
+      const userInfo = usersByHandle.get(student.codeforcesHandle.toLowerCase());
+
+      if (!userInfo) {
+        // Renamed or deleted handles are left for the full sync to report
+        logger.warn(`No Codeforces profile found for ${student.codeforcesHandle} during rating refresh`);
+        notFoundCount++;
+        return;
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: student._id },
+          update: {
+            $set: {
+              currentRating: userInfo.rating || 0,
+              maxRating: userInfo.maxRating || userInfo.rating || 0,
+              codeforcesRank: userInfo.rank || null,
+              avatar: userInfo.titlePhoto || userInfo.avatar || null,
+              ratingUpdatedAt: now
+            }
+          }
+        }
+      });
+    });
+
+    if (updates.length > 0) {
+      await Student.bulkWrite(updates, { ordered: false });
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Rating refresh completed in ${duration}ms: ${updates.length} updated, ${notFoundCount} not found`);
+
+    return {
+      totalCount: students.length,
+      updatedCount: updates.length,
+      notFoundCount,
+      duration
+    };
+  } catch (error) {
+    logger.error('Error in rating refresh job:', error);
+    throw error;
+  }
+};
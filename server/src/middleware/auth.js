@@ -4,6 +4,9 @@
  */
 
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const { STUDENT_PORTAL } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -12,7 +15,7 @@ const logger = require('../utils/logger');
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -31,8 +34,22 @@ const authenticate = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Make sure the account still exists, is active and has not logged out since the token was issued
+    const user = await User.findById(decoded.id).lean();
+    if (!user || !user.isActive || user.tokenVersion !== decoded.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid'
+      });
+    }
+    
     // Attach user data to request
-    req.user = decoded;
+    req.user = {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role
+    };
     
     // Continue to next middleware/route handler
     next();
@@ -60,6 +77,63 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Verify a student portal token and attach the student as the request user
+ * Portal sessions carry the student role, which limits them to their own record
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateStudent = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided'
+      });
+    }
+    
+    const token = authHeader.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    
+    // Reject staff tokens and sessions that were logged out
+    const student = decoded.role === STUDENT_PORTAL.ROLE
+      ? await Student.findById(decoded.id).select('name email portalAccess.tokenVersion').lean()
+      : null;
+    if (!student || student.portalAccess?.tokenVersion !== decoded.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid'
+      });
+    }
+    
+    req.user = {
+      id: student._id.toString(),
+      name: student.name,
+      email: student.email,
+      role: STUDENT_PORTAL.ROLE
+    };
+    
+    next();
+  } catch (error) {
+    logger.error('Student authentication error:', error.message);
+    
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid'
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
 /**
  * Check if user has required role
  * @param {String|Array} roles - Required role(s)
@@ -132,6 +206,7 @@ const generateToken = (payload, expiresIn = process.env.JWT_EXPIRE || '30d') =>
 
 module.exports = {
   authenticate,
+  authenticateStudent,
   authorize,
   optionalAuth,
   generateToken
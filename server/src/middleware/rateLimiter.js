@@ -50,9 +50,6 @@ const createRateLimiter = (options = {}) => {
     keyGenerator: (req) => {
       // Use IP address as default key
       return req.ip;
-    },
-    onLimitReached: (req, res, options) => {
-      logger.warn(`Rate limit reached for IP: ${req.ip} on endpoint: ${req.originalUrl}`);
     }
   });
 };
@@ -0,0 +1,39 @@
+/**
+ * Upload Middleware
+ * Accepts file uploads into memory using multer
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { FILE_UPLOAD } = require('../utils/constants');
+
+/**
+ * Reject anything that is not a CSV file
+ * Browsers report CSV files with several MIME types, so the extension is checked as well
+ * @param {Object} req - Express request object
+ * @param {Object} file - Uploaded file info
+ * @param {Function} cb - Multer callback
+ */
+const csvFileFilter = (req, file, cb) => {
+  const isCsv = path.extname(file.originalname).toLowerCase() === '.csv' ||
+    file.mimetype === 'text/csv';
+
+  if (!isCsv) {
+    const error = new Error('Only CSV files are allowed');
+    error.statusCode = 400;
+    return cb(error);
+  }
+
+  cb(null, true);
+};
+
+// Single CSV file in the "file" field, kept in memory for parsing
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_UPLOAD.MAX_SIZE, files: 1 },
+  fileFilter: csvFileFilter
+}).single('file');
+
+module.exports = {
+  csvUpload
+};
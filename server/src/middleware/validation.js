@@ -5,6 +5,7 @@
 
 const { body, query, param, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { EXTRA_PLATFORMS, PAGINATION, GOALS, CODEFORCES, CATALOG } = require('../utils/constants');
 
 /**
  * Process validation results and handle errors
@@ -21,7 +22,7 @@ const validate = (req, res, next) => {
 
   // Format errors for response
   const extractedErrors = errors.array().map(err => ({
-    field: err.param,
+    field: err.path,
     message: err.msg
   }));
 
@@ -61,6 +62,28 @@ const studentValidation = {
       .isLength({ min: 3, max: 24 }).withMessage('Codeforces handle must be between 3 and 24 characters')
       .matches(/^[a-zA-Z0-9._-]+$/).withMessage('Codeforces handle contains invalid characters'),
     
+    body('platformAccounts')
+      .optional()
+      .isArray({ max: EXTRA_PLATFORMS.length }).withMessage('Platform accounts must be a list with one entry per platform'),
+    
+    body('platformAccounts.*.platform')
+      .isIn(EXTRA_PLATFORMS).withMessage(`Platform must be one of: ${EXTRA_PLATFORMS.join(', ')}`),
+    
+    body('platformAccounts.*.handle')
+      .trim()
+      .notEmpty().withMessage('Platform handle is required')
+      .isLength({ max: 50 }).withMessage('Platform handle must be at most 50 characters'),
+    
+    body('tags')
+      .optional()
+      .isArray({ max: 20 }).withMessage('Tags must be a list of at most 20 entries'),
+    
+    body('tags.*')
+      .isString().withMessage('Tags must be text')
+      .trim()
+      .notEmpty().withMessage('Tags cannot be empty')
+      .isLength({ max: 30 }).withMessage('Tags must be at most 30 characters'),
+    
     validate
   ],
   
@@ -91,6 +114,28 @@ const studentValidation = {
       .isLength({ min: 3, max: 24 }).withMessage('Codeforces handle must be between 3 and 24 characters')
       .matches(/^[a-zA-Z0-9._-]+$/).withMessage('Codeforces handle contains invalid characters'),
     
+    body('platformAccounts')
+      .optional()
+      .isArray({ max: EXTRA_PLATFORMS.length }).withMessage('Platform accounts must be a list with one entry per platform'),
+    
+    body('platformAccounts.*.platform')
+      .isIn(EXTRA_PLATFORMS).withMessage(`Platform must be one of: ${EXTRA_PLATFORMS.join(', ')}`),
+    
+    body('platformAccounts.*.handle')
+      .trim()
+      .notEmpty().withMessage('Platform handle is required')
+      .isLength({ max: 50 }).withMessage('Platform handle must be at most 50 characters'),
+    
+    body('tags')
+      .optional()
+      .isArray({ max: 20 }).withMessage('Tags must be a list of at most 20 entries'),
+    
+    body('tags.*')
+      .isString().withMessage('Tags must be text')
+      .trim()
+      .notEmpty().withMessage('Tags cannot be empty')
+      .isLength({ max: 30 }).withMessage('Tags must be at most 30 characters'),
+    
     validate
   ],
   
@@ -112,18 +157,52 @@ const studentValidation = {
       .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
       .toInt(),
     
+    query('cursor')
+      .optional()
+      .isString()
+      .isLength({ max: 500 }).withMessage('Cursor is not valid'),
+    
     query('sortField')
       .optional()
       .isString()
-      .isIn(['name', 'email', 'codeforcesHandle', 'currentRating', 'maxRating', 'createdAt', 'lastDataUpdate'])
-      .withMessage('Invalid sort field'),
+      .isIn(PAGINATION.SORT_FIELDS)
+      .withMessage(`Sort field must be one of: ${PAGINATION.SORT_FIELDS.join(', ')}`),
     
     query('sortOrder')
       .optional()
       .isString()
-      .isIn(['asc', 'desc'])
+      .isIn(PAGINATION.SORT_ORDERS)
       .withMessage('Sort order must be asc or desc'),
     
+    query('cohort')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('Invalid cohort ID format'),
+    
+    query(['minRating', 'maxRating', 'minMaxRating', 'maxMaxRating'])
+      .optional({ values: 'falsy' })
+      .isInt({ min: 0, max: 5000 }).withMessage('Ratings must be whole numbers between 0 and 5000'),
+    
+    query(['minSolved', 'maxSolved', 'minReminders', 'maxReminders'])
+      .optional({ values: 'falsy' })
+      .isInt({ min: 0 }).withMessage('Counts must be whole numbers of at least 0'),
+    
+    query('solvedDays')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1, max: 365 }).withMessage('Solved days must be between 1 and 365'),
+    
+    query(['lastSubmissionAfter', 'lastSubmissionBefore'])
+      .optional({ values: 'falsy' })
+      .isISO8601().withMessage('Submission dates must be ISO 8601 dates'),
+    
+    query('goalStatus')
+      .optional({ values: 'falsy' })
+      .isIn(Object.values(GOALS.TRACKING)).withMessage(`Goal status must be one of: ${Object.values(GOALS.TRACKING).join(', ')}`),
+    
+    query('search')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+    
     validate
   ]
 };
@@ -169,6 +248,80 @@ const codeforcesValidation = {
   ]
 };
 
+/**
+ * Contest and problem catalog validation rules
+ */
+const catalogPagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: PAGINATION.MAX_LIMIT }).withMessage(`Limit must be between 1 and ${PAGINATION.MAX_LIMIT}`)
+    .toInt()
+];
+
+const catalogValidation = {
+  getContests: [
+    ...catalogPagination,
+    
+    query('status')
+      .optional({ values: 'falsy' })
+      .isIn(Object.keys(CATALOG.CONTEST_STATUS_PHASES))
+      .withMessage(`Status must be one of: ${Object.keys(CATALOG.CONTEST_STATUS_PHASES).join(', ')}`),
+    
+    query('division')
+      .optional({ values: 'falsy' })
+      .isIn(CODEFORCES.CONTEST_DIVISIONS.map(division => division.name))
+      .withMessage('Unknown contest division'),
+    
+    query('search')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+    
+    validate
+  ],
+  
+  getContest: [
+    param('contestId')
+      .isInt({ min: 1 }).withMessage('Contest ID must be a positive integer'),
+    
+    validate
+  ],
+  
+  getProblems: [
+    ...catalogPagination,
+    
+    query(['minRating', 'maxRating'])
+      .optional({ values: 'falsy' })
+      .isInt({ min: 0, max: 5000 }).withMessage('Ratings must be whole numbers between 0 and 5000'),
+    
+    query('contestId')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1 }).withMessage('Contest ID must be a positive integer'),
+    
+    query('sortField')
+      .optional()
+      .isIn(CATALOG.PROBLEM_SORT_FIELDS)
+      .withMessage(`Sort field must be one of: ${CATALOG.PROBLEM_SORT_FIELDS.join(', ')}`),
+    
+    query('sortOrder')
+      .optional()
+      .isIn(PAGINATION.SORT_ORDERS)
+      .withMessage('Sort order must be asc or desc'),
+    
+    query('search')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+    
+    validate
+  ]
+};
+
 /**
  * Cron job validation rules
  */
@@ -224,6 +377,69 @@ const cronValidation = {
       .isIn(['codeforcesSync', 'inactivityCheck', 'emailReminder'])
       .withMessage('Invalid cron job name'),
     
+    validate
+  ],
+  
+  getApiCacheEntries: [
+    ...catalogPagination,
+    
+    query('method')
+      .optional({ values: 'falsy' })
+      .isIn(Object.keys(CODEFORCES.RESPONSE_CACHE.TTL_MS))
+      .withMessage('Unknown API method'),
+    
+    validate
+  ],
+  
+  purgeApiCache: [
+    query('method')
+      .optional({ values: 'falsy' })
+      .isIn(Object.keys(CODEFORCES.RESPONSE_CACHE.TTL_MS))
+      .withMessage('Unknown API method'),
+    
+    query('key')
+      .optional({ values: 'falsy' })
+      .isString()
+      .isLength({ max: 2000 }).withMessage('Key must be at most 2000 characters'),
+    
+    validate
+  ]
+};
+
+/**
+ * Settings validation rules
+ */
+const settingsValidation = {
+  updateCodeforcesSettings: [
+    body('apiKey')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 }).withMessage('API key must be at most 100 characters'),
+    
+    body('apiSecret')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 }).withMessage('API secret must be at most 100 characters'),
+    
+    body('groupCodes')
+      .optional()
+      .isArray({ max: 50 }).withMessage('Group codes must be an array of at most 50 codes'),
+    
+    body('groupCodes.*')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9]+$/).withMessage('Group codes may only contain letters and digits'),
+    
+    body('contestIds')
+      .optional()
+      .isArray({ max: 200 }).withMessage('Contest IDs must be an array of at most 200 IDs'),
+    
+    body('contestIds.*')
+      .isInt({ min: 1 }).withMessage('Contest IDs must be positive integers')
+      .toInt(),
+    
     validate
   ]
 };
@@ -268,11 +484,32 @@ const emailValidation = {
   ]
 };
 
+/**
+ * Cohort validation rules
+ */
+const cohortValidation = {
+  updateStudents: [
+    param('id')
+      .isMongoId().withMessage('Invalid cohort ID format'),
+    
+    body('studentIds')
+      .isArray().withMessage('studentIds must be an array'),
+    
+    body('studentIds.*')
+      .isMongoId().withMessage('Invalid student ID format'),
+    
+    validate
+  ]
+};
+
 module.exports = {
   validate,
   studentValidation,
   codeforcesValidation,
+  catalogValidation,
   cronValidation,
+  settingsValidation,
   exportValidation,
-  emailValidation
+  emailValidation,
+  cohortValidation
 };
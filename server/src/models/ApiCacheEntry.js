@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * ApiCacheEntry Schema
+ * A stored Codeforces API response. MongoDB removes entries once they expire.
+ */
+const ApiCacheEntrySchema = new Schema({
+  // Endpoint with its query string, e.g. "user.rating?handle=tourist"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // API method, e.g. "user.rating"
+  method: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // The response body as returned by Codeforces
+  data: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Size of the stored response in bytes
+  size: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Responses are stored as Codeforces sent them
+  minimize: false
+});
+
+const ApiCacheEntry = mongoose.model('ApiCacheEntry', ApiCacheEntrySchema);
+
+module.exports = ApiCacheEntry;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { AUDIT } = require('../utils/constants');
+
+/**
+ * AuditLog Schema
+ * Records who changed or exported what, with a field-level diff for changes
+ */
+const AuditLogSchema = new Schema({
+  // User who performed the action (copied so entries survive account deletion)
+  actor: {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  // What was done
+  action: {
+    type: String,
+    required: true,
+    enum: Object.values(AUDIT.ACTIONS),
+    index: true
+  },
+  // Kind of record the action applied to
+  targetType: {
+    type: String,
+    required: true,
+    enum: Object.values(AUDIT.TARGETS)
+  },
+  // ID or name of the affected record (empty for bulk exports)
+  targetId: {
+    type: String,
+    default: null
+  },
+  // Human readable label for the target, e.g. student name and handle
+  targetLabel: {
+    type: String,
+    default: ''
+  },
+  // Field-level changes
+  changes: [{
+    _id: false,
+    field: String,
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+  }],
+  // Extra context such as export type, filters and row count
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  // Request origin
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the audit query endpoint
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = AuditLog;
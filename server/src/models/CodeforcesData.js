@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const Submission = require('./Submission');
 
 /**
  * CodeforcesData Schema
@@ -50,7 +51,48 @@ const CodeforcesDataSchema = new Schema({
       default: 0
     }
   }],
-  // Submission data
+  // Virtual participations, found from the submissions and scored from the unofficial standings
+  virtualContests: [{
+    contestId: {
+      type: Number,
+      required: true
+    },
+    contestName: {
+      type: String,
+      required: true
+    },
+    // When the student started the virtual contest
+    startTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date
+    },
+    rank: {
+      type: Number
+    },
+    points: {
+      type: Number
+    },
+    penalty: {
+      type: Number
+    },
+    solvedCount: {
+      type: Number,
+      default: 0
+    },
+    problemCount: {
+      type: Number,
+      default: 0
+    },
+    // Participations still running when synced are scored again on the next sync
+    syncedAt: {
+      type: Date
+    }
+  }],
+  // Legacy embedded submissions; synced submissions now live in the Submission collection
+  // Left empty once migrated (scripts/migrateSubmissions.js, or the student's next sync)
   submissions: [{
     submissionId: {
       type: Number,
@@ -139,6 +181,16 @@ const CodeforcesDataSchema = new Schema({
   lastSubmissionDate: {
     type: Date,
     default: null
+  },
+  // Highest submission ID synced with a final verdict; later syncs only fetch newer submissions
+  lastSubmissionId: {
+    type: Number,
+    default: null
+  },
+  // Set when the student switches to another handle; the data is kept for their profile history
+  supersededAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -147,6 +199,7 @@ const CodeforcesDataSchema = new Schema({
 // Create compound indexes for efficient querying
 CodeforcesDataSchema.index({ handle: 1, 'submissions.submissionTime': 1 });
 CodeforcesDataSchema.index({ handle: 1, 'contests.date': 1 });
+CodeforcesDataSchema.index({ student: 1, supersededAt: 1 });
 
 // Method to check if user has been inactive (no submissions) for given days
 CodeforcesDataSchema.methods.isInactiveForDays = function(days) {
@@ -178,6 +231,52 @@ CodeforcesDataSchema.methods.getContestsInRange = function(startDate, endDate) {
   });
 };
 
+// Find the data synced under the student's current handle
+CodeforcesDataSchema.statics.findCurrent = function(studentId) {
+  return this.findOne({ student: studentId, supersededAt: null });
+};
+
+// Find the data kept from the student's previous handles, oldest first
+CodeforcesDataSchema.statics.findSuperseded = function(studentId) {
+  return this.find({ student: studentId, supersededAt: { $ne: null } }).sort({ supersededAt: 1 });
+};
+
+// Combine contests, virtual participations and submissions from every handle the student has used
+// Each entry is tagged with its handle; resolves to null when nothing has been synced
+CodeforcesDataSchema.statics.findMerged = async function(studentId) {
+  const [documents, submissions] = await Promise.all([
+    this.find({ student: studentId }).select('-submissions').sort({ createdAt: 1 }),
+    Submission.findFlat({ student: studentId })
+  ]);
+  if (documents.length === 0) {
+    return null;
+  }
+
+  const contests = new Map();
+  const virtualContests = new Map();
+
+  // Later documents win, so a handle the student switched back to is not counted twice
+  documents.forEach(document => {
+    document.contests.forEach(contest => {
+      contests.set(`${document.handle}:${contest.contestId}`, { ...contest.toObject(), handle: document.handle });
+    });
+    document.virtualContests.forEach(contest => {
+      virtualContests.set(
+        `${document.handle}:${contest.contestId}:${contest.startTime.getTime()}`,
+        { ...contest.toObject(), handle: document.handle }
+      );
+    });
+  });
+
+  return {
+    current: documents.find(document => !document.supersededAt) || documents[documents.length - 1],
+    handles: [...new Set(documents.map(document => document.handle))],
+    contests: [...contests.values()],
+    virtualContests: [...virtualContests.values()],
+    submissions
+  };
+};
+
 const CodeforcesData = mongoose.model('CodeforcesData', CodeforcesDataSchema);
 
 module.exports = CodeforcesData;
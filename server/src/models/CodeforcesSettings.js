@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * CodeforcesSettings Schema
+ * The single settings document for Codeforces API access: the API key used to
+ * sign requests and the private groups and mashups synced with it
+ */
+const CodeforcesSettingsSchema = new Schema({
+  // Key and secret generated at https://codeforces.com/settings/api
+  apiKey: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Never returned unless selected explicitly
+  apiSecret: {
+    type: String,
+    trim: true,
+    default: '',
+    select: false
+  },
+  // Group codes as shown in the group URL, e.g. "Qv2y8xWnoB" for /group/Qv2y8xWnoB
+  groupCodes: {
+    type: [String],
+    default: []
+  },
+  // Gym contests and mashups outside the groups, e.g. 104012 for /gym/104012
+  contestIds: {
+    type: [Number],
+    default: []
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the settings, creating them on first use
+CodeforcesSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne();
+  return settings || this.create({});
+};
+
+// Static method to get the API credentials; null until both the key and secret are set
+CodeforcesSettingsSchema.statics.getCredentials = async function() {
+  const settings = await this.findOne().select('apiKey apiSecret').lean();
+
+  if (!settings || !settings.apiKey || !settings.apiSecret) {
+    return null;
+  }
+
+  return { apiKey: settings.apiKey, apiSecret: settings.apiSecret };
+};
+
+const CodeforcesSettings = mongoose.model('CodeforcesSettings', CodeforcesSettingsSchema);
+
+module.exports = CodeforcesSettings;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Cohort Schema
+ * Groups students into batches such as a yearly intake or a contest team
+ */
+const CohortSchema = new Schema({
+  // Display name, e.g. "2024 Juniors"
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true
+  },
+  // Academic term or season the cohort belongs to
+  term: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Mentor responsible for the cohort
+  mentor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure the cohort does not end before it starts
+CohortSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+const Cohort = mongoose.model('Cohort', CohortSchema);
+
+module.exports = Cohort;
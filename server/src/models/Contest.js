@@ -19,11 +19,17 @@ const ContestSchema = new Schema({
     required: true,
     trim: true
   },
-  // Contest type (e.g., Div. 1, Div. 2, Educational, etc.)
+  // Scoring type reported by Codeforces (CF, IOI or ICPC)
   type: {
     type: String,
     trim: true
   },
+  // Division parsed from the contest name (e.g., Div. 1, Div. 2, Educational, etc.)
+  division: {
+    type: String,
+    trim: true,
+    index: true
+  },
   // Contest phase (BEFORE, CODING, PENDING_SYSTEM_TEST, SYSTEM_TEST, FINISHED)
   phase: {
     type: String,
@@ -67,7 +73,8 @@ const ContestSchema = new Schema({
   problems: [{
     index: String,
     name: String,
-    type: String,
+    // Wrapped so Mongoose does not read it as the type of the whole entry
+    type: { type: String },
     points: Number,
     rating: Number,
     tags: [String]
@@ -92,7 +99,6 @@ const ContestSchema = new Schema({
 });
 
 // Create indexes for efficient querying
-ContestSchema.index({ contestId: 1 });
 ContestSchema.index({ startTime: -1 });
 ContestSchema.index({ phase: 1, startTime: -1 });
 
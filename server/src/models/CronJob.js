@@ -11,7 +11,7 @@ const CronJobSchema = new Schema({
     type: String,
     required: true,
     unique: true,
-    enum: ['codeforcesSync', 'inactivityCheck', 'emailReminder'],
+    enum: ['codeforcesSync', 'ratingRefresh', 'catalogSync', 'groupContestSync', 'inactivityCheck', 'emailReminder'],
     trim: true
   },
   // Cron schedule expression (e.g. "0 2 * * *" for 2 AM daily)
@@ -52,7 +52,12 @@ const CronJobSchema = new Schema({
     reminderSubject: {
       type: String,
       default: 'Reminder: Get back to problem solving!'
-    }
+    },
+    // For inactivityCheck and emailReminder: limit the job to these cohorts (empty means all students)
+    cohorts: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Cohort'
+    }]
   },
   // Execution tracking
   lastRunAt: {
@@ -154,6 +159,21 @@ CronJobSchema.statics.initializeDefaultJobs = async function() {
         batchSize: 50
       }
     },
+    {
+      name: 'ratingRefresh',
+      schedule: '0 * * * *', // Every hour
+      enabled: true
+    },
+    {
+      name: 'catalogSync',
+      schedule: '30 */6 * * *', // Every 6 hours
+      enabled: true
+    },
+    {
+      name: 'groupContestSync',
+      schedule: '45 */6 * * *', // Every 6 hours
+      enabled: true
+    },
     {
       name: 'inactivityCheck',
       schedule: '0 3 * * *', // 3 AM daily
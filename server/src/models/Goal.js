@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { GOALS } = require('../utils/constants');
+
+/**
+ * Goal Schema
+ * A target a mentor sets for a student, e.g. "reach 1600 rating by 2026-12-31" or
+ * "solve 20 problems rated 1400+ every month". Progress is worked out after every sync.
+ */
+const GoalSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.values(GOALS.TYPES),
+    required: [true, 'Goal type is required']
+  },
+  // Rating to reach, or number of problems/contests to complete
+  target: {
+    type: Number,
+    required: [true, 'Goal target is required'],
+    min: [1, 'Goal target must be at least 1']
+  },
+  // Problem goals only count problems rated at least this much
+  minProblemRating: {
+    type: Number,
+    default: null
+  },
+  // Recurring goals restart every week or month; one-off goals need a deadline
+  period: {
+    type: String,
+    enum: [...Object.values(GOALS.PERIODS), null],
+    default: null
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  // Rating when a rating goal was set, used to work out the expected pace
+  startValue: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: Object.values(GOALS.STATUS),
+    default: GOALS.STATUS.ACTIVE
+  },
+  achievedAt: {
+    type: Date,
+    default: null
+  },
+  // Latest evaluation, for the current period of recurring goals
+  progress: {
+    current: {
+      type: Number,
+      default: 0
+    },
+    expected: {
+      type: Number,
+      default: 0
+    },
+    periodStart: Date,
+    periodEnd: Date,
+    onTrack: {
+      type: Boolean,
+      default: true
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+GoalSchema.index({ student: 1, status: 1 });
+
+GoalSchema.pre('validate', function(next) {
+  if (!this.period && !this.deadline) {
+    this.invalidate('deadline', 'A deadline is required for goals that do not repeat');
+  }
+  if (this.type === GOALS.TYPES.RATING && this.period) {
+    this.invalidate('period', 'Rating goals cannot repeat');
+  }
+  if (this.type !== GOALS.TYPES.PROBLEMS) {
+    this.minProblemRating = null;
+  }
+  next();
+});
+
+// Active goals that were behind pace at their last evaluation
+GoalSchema.statics.findOffTrack = function(studentId) {
+  return this.find({ student: studentId, status: GOALS.STATUS.ACTIVE, 'progress.onTrack': false });
+};
+
+const Goal = mongoose.model('Goal', GoalSchema);
+
+module.exports = Goal;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * GroupContest Schema
+ * A contest from a private Codeforces group or a mashup, which only the
+ * authenticated API can see, with the results of the students who took part
+ */
+const GroupContestSchema = new Schema({
+  // Codeforces contest ID; group contests and mashups are gym contests
+  contestId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Group the contest belongs to; null for mashups configured by contest ID
+  groupCode: {
+    type: String,
+    default: null,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Scoring type reported by Codeforces (CF, IOI or ICPC)
+  type: {
+    type: String,
+    trim: true
+  },
+  // Contest phase (BEFORE, CODING, PENDING_SYSTEM_TEST, SYSTEM_TEST, FINISHED)
+  phase: {
+    type: String,
+    default: 'FINISHED'
+  },
+  startTime: {
+    type: Date,
+    default: null
+  },
+  durationSeconds: {
+    type: Number
+  },
+  problemCount: {
+    type: Number,
+    default: 0
+  },
+  // Standings rows of students, one per handle and participation
+  results: [{
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    handle: {
+      type: String,
+      required: true
+    },
+    rank: Number,
+    points: Number,
+    penalty: Number,
+    solvedCount: Number,
+    // CONTESTANT, VIRTUAL or OUT_OF_COMPETITION
+    participantType: String,
+    // When the participation started; differs from the contest start for virtual participations
+    startTime: Date
+  }],
+  syncedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+GroupContestSchema.index({ 'results.student': 1 });
+
+// Link to the contest on Codeforces
+GroupContestSchema.virtual('url').get(function() {
+  return this.groupCode
+    ? `https://codeforces.com/group/${this.groupCode}/contest/${this.contestId}`
+    : `https://codeforces.com/gym/${this.contestId}`;
+});
+
+// Static method to get a student's results as contest history entries, oldest first
+GroupContestSchema.statics.findStudentResults = async function(studentId, { since = null, until = null } = {}) {
+  const contests = await this.find({ 'results.student': studentId });
+
+  // Virtual participations are dated by when they started, not by the contest
+  return contests.flatMap(contest => contest.results
+    .filter(result => result.student.equals(studentId))
+    .map(result => ({
+      contestId: contest.contestId,
+      contestName: contest.name,
+      groupCode: contest.groupCode,
+      url: contest.url,
+      date: result.startTime || contest.startTime,
+      rank: result.rank,
+      handle: result.handle,
+      participantType: result.participantType,
+      points: result.points,
+      penalty: result.penalty,
+      solvedCount: result.solvedCount,
+      problemCount: contest.problemCount
+    })))
+    .filter(entry => (!since || entry.date >= since) && (!until || entry.date <= until))
+    .sort((a, b) => a.date - b.date);
+};
+
+const GroupContest = mongoose.model('GroupContest', GroupContestSchema);
+
+module.exports = GroupContest;
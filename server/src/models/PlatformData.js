@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { EXTRA_PLATFORMS } = require('../utils/constants');
+
+/**
+ * PlatformData Schema
+ * Stores profile, submission and contest data synced from a student's
+ * non-Codeforces accounts (one document per student and platform)
+ */
+const PlatformDataSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    enum: EXTRA_PLATFORMS,
+    required: true
+  },
+  handle: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Profile as reported by the platform adapter
+  profile: {
+    rating: Number,
+    maxRating: Number,
+    rank: String
+  },
+  // Submissions in the shared adapter format; IDs are strings since platforms differ
+  submissions: [{
+    submissionId: {
+      type: String,
+      required: true
+    },
+    problemId: {
+      type: String,
+      required: true
+    },
+    problemName: {
+      type: String,
+      required: true
+    },
+    problemUrl: String,
+    problemRating: Number,
+    // Accepted submissions use the Codeforces verdict 'OK' on every platform
+    verdict: {
+      type: String,
+      required: true
+    },
+    language: String,
+    submissionTime: {
+      type: Date,
+      required: true
+    }
+  }],
+  contests: [{
+    contestId: {
+      type: String,
+      required: true
+    },
+    contestName: {
+      type: String,
+      required: true
+    },
+    rank: Number,
+    oldRating: Number,
+    newRating: Number,
+    ratingChange: Number,
+    date: {
+      type: Date,
+      required: true
+    }
+  }],
+  lastSubmissionDate: {
+    type: Date,
+    default: null
+  },
+  lastUpdated: {
+    type: Date,
+    default: null
+  },
+  // Message from the last failed sync, cleared on success
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PlatformDataSchema.index({ student: 1, platform: 1 }, { unique: true });
+
+// Latest submission on any of the student's extra platforms, or null
+PlatformDataSchema.statics.getLastSubmissionDate = async function(studentId) {
+  const latest = await this.findOne({ student: studentId, lastSubmissionDate: { $ne: null } })
+    .sort({ lastSubmissionDate: -1 })
+    .select('lastSubmissionDate')
+    .lean();
+
+  return latest ? latest.lastSubmissionDate : null;
+};
+
+const PlatformData = mongoose.model('PlatformData', PlatformDataSchema);
+
+module.exports = PlatformData;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Problem Schema
+ * Stores the Codeforces problemset catalog with ratings, tags and solved counts
+ */
+const ProblemSchema = new Schema({
+  // Problem ID in format contestId + index (e.g., "1234A")
+  problemId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Contest ID the problem belongs to
+  contestId: {
+    type: Number,
+    index: true
+  },
+  // Problem index in the contest (e.g., "A", "B1", etc.)
+  index: {
+    type: String,
+    required: true
+  },
+  // Problem name
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Problem type (PROGRAMMING or QUESTION)
+  type: {
+    type: String
+  },
+  // Maximum points for the problem (if the contest is scored by points)
+  points: {
+    type: Number
+  },
+  // Problem difficulty rating
+  rating: {
+    type: Number,
+    index: true
+  },
+  // Problem tags
+  tags: [{
+    type: String
+  }],
+  // Problem URL
+  url: {
+    type: String
+  },
+  // Number of users who solved the problem
+  solvedCount: {
+    type: Number,
+    default: 0
+  },
+  // When the problem data was last updated
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for efficient querying
+ProblemSchema.index({ tags: 1, rating: 1 });
+ProblemSchema.index({ contestId: 1, index: 1 });
+
+// Static method to find the problems of a contest in problem order
+ProblemSchema.statics.findByContest = function(contestId) {
+  return this.find({ contestId }).sort({ index: 1 });
+};
+
+const Problem = mongoose.model('Problem', ProblemSchema);
+
+module.exports = Problem;
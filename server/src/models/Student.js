@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const crypto = require('crypto');
+const { STUDENT_PORTAL, EXTRA_PLATFORMS, GOALS, HANDLE_STATUS } = require('../utils/constants');
 
 /**
  * Student Schema
@@ -40,6 +42,19 @@ const StudentSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Codeforces rank and avatar, kept current by the full sync and the hourly rating refresh
+  codeforcesRank: {
+    type: String,
+    default: null
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  ratingUpdatedAt: {
+    type: Date,
+    default: null
+  },
   lastDataUpdate: {
     type: Date,
     default: null
@@ -68,16 +83,143 @@ const StudentSchema = new Schema({
       default: null
     }
   },
-  notes: {
+  // Summary of the student's active goals, refreshed after every sync
+  goalStatus: {
+    tracking: {
+      type: String,
+      enum: Object.values(GOALS.TRACKING),
+      default: GOALS.TRACKING.NONE
+    },
+    active: {
+      type: Number,
+      default: 0
+    },
+    offTrack: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Free-form labels mentors use to group students, e.g. "icpc" or "beginner"
+  tags: [{
     type: String,
-    default: ''
+    trim: true,
+    lowercase: true
+  }],
+  // Mentor accounts responsible for this student
+  mentors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
+  // Cohorts (batches) the student belongs to
+  cohorts: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Cohort',
+    index: true
+  }],
+  // Accounts on platforms other than Codeforces, synced into PlatformData
+  platformAccounts: [{
+    _id: false,
+    platform: {
+      type: String,
+      enum: EXTRA_PLATFORMS,
+      required: true
+    },
+    handle: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  // Health of the Codeforces handle, updated after every sync attempt
+  handleStatus: {
+    status: {
+      type: String,
+      enum: Object.values(HANDLE_STATUS.STATUSES),
+      default: HANDLE_STATUS.STATUSES.OK
+    },
+    // Error message of the latest failed sync
+    message: {
+      type: String,
+      default: null
+    },
+    // Failed syncs in a row; reset by a successful sync
+    failureCount: {
+      type: Number,
+      default: 0
+    },
+    // Handle the sync renamed the student from, when the status is renamed
+    renamedFrom: {
+      type: String,
+      default: null
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null
+    },
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Handles the student used before their current one, oldest first
+  handleHistory: [{
+    handle: {
+      type: String,
+      trim: true
+    },
+    // When the handle was in use
+    from: Date,
+    to: Date,
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Set when the student is archived (e.g. graduated); archived students are left out of lists, jobs and exports
+  archivedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Self-service portal login state
+  portalAccess: {
+    // SHA-256 hash of the outstanding one-time login token
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    tokenExpiresAt: {
+      type: Date,
+      select: false
+    },
+    // Incremented on portal logout to invalidate issued sessions
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
+// A student links at most one account per platform
+StudentSchema.path('platformAccounts').validate(function(accounts) {
+  return new Set(accounts.map(account => account.platform)).size === accounts.length;
+}, 'Only one account per platform can be linked');
+
 // Create index for faster queries
 StudentSchema.index({ email: 1, codeforcesHandle: 1 });
+StudentSchema.index({ tags: 1 });
+StudentSchema.index({ 'handleStatus.status': 1, 'handleStatus.failureCount': 1 });
 
 // Virtual for full name if needed later
 StudentSchema.virtual('fullName').get(function() {
@@ -95,6 +237,74 @@ StudentSchema.methods.isInactiveForDays = function(days) {
   return inactiveDays >= days;
 };
 
+// Method to record a successful sync; the caller must save the student
+StudentSchema.methods.markHandleSynced = function(renamedFrom = null) {
+  this.handleStatus = {
+    status: renamedFrom ? HANDLE_STATUS.STATUSES.RENAMED : HANDLE_STATUS.STATUSES.OK,
+    message: null,
+    failureCount: 0,
+    renamedFrom,
+    lastFailureAt: null,
+    checkedAt: new Date()
+  };
+};
+
+// Static method to record a failed sync
+StudentSchema.statics.recordSyncFailure = function(studentId, status, message) {
+  const now = new Date();
+  return this.updateOne(
+    { _id: studentId },
+    {
+      $set: {
+        'handleStatus.status': status,
+        'handleStatus.message': message,
+        'handleStatus.lastFailureAt': now,
+        'handleStatus.checkedAt': now
+      },
+      $inc: { 'handleStatus.failureCount': 1 }
+    }
+  );
+};
+
+// Static method to build the filter for students whose sync needs an admin's attention
+// Unknown handles need attention right away; other failures only once they keep happening
+StudentSchema.statics.needsAttentionFilter = function() {
+  return {
+    $or: [
+      { 'handleStatus.status': HANDLE_STATUS.STATUSES.NOT_FOUND },
+      { 'handleStatus.failureCount': { $gte: HANDLE_STATUS.ATTENTION_FAILURE_COUNT } }
+    ]
+  };
+};
+
+// Hash a portal login token for storage and lookup
+const hashPortalToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Method to issue a one-time portal login token; the caller must save the student
+StudentSchema.methods.createPortalLoginToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.portalAccess.tokenHash = hashPortalToken(token);
+  this.portalAccess.tokenExpiresAt = new Date(Date.now() + STUDENT_PORTAL.LOGIN_LINK_TTL_MINUTES * 60 * 1000);
+
+  return token;
+};
+
+// Static method to redeem a portal login token, consuming it so the link works only once
+StudentSchema.statics.redeemPortalLoginToken = async function(token) {
+  return this.findOneAndUpdate(
+    {
+      'portalAccess.tokenHash': hashPortalToken(token),
+      'portalAccess.tokenExpiresAt': { $gt: new Date() }
+    },
+    {
+      $unset: { 'portalAccess.tokenHash': 1, 'portalAccess.tokenExpiresAt': 1 },
+      $set: { 'portalAccess.lastLoginAt': new Date() }
+    },
+    { new: true }
+  );
+};
+
 // Pre-save hook to ensure handle is lowercase
 StudentSchema.pre('save', function(next) {
   if (this.isModified('codeforcesHandle')) {
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { STUDENT_NOTES } = require('../utils/constants');
+
+/**
+ * StudentNote Schema
+ * A timestamped note a mentor keeps about a student, e.g. the outcome of a 1:1 meeting
+ */
+const StudentNoteSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // Null for text carried over from the old single notes field
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [STUDENT_NOTES.MAX_LENGTH, `Notes are limited to ${STUDENT_NOTES.MAX_LENGTH} characters`]
+  },
+  category: {
+    type: String,
+    enum: [...Object.values(STUDENT_NOTES.CATEGORIES), null],
+    default: null
+  },
+  // Pinned notes are listed first
+  pinned: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+StudentNoteSchema.index({ student: 1, pinned: -1, createdAt: -1 });
+
+const StudentNote = mongoose.model('StudentNote', StudentNoteSchema);
+
+module.exports = StudentNote;
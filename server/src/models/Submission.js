@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { CODEFORCES } = require('../utils/constants');
 
 /**
  * Submission Schema
@@ -92,6 +93,18 @@ const SubmissionSchema = new Schema({
     type: Number,
     default: 0
   },
+  // How the author took part (CONTESTANT, PRACTICE, VIRTUAL, MANAGER or OUT_OF_COMPETITION)
+  // Null for submissions stored before it was kept
+  participantType: {
+    type: String,
+    enum: [...Object.values(CODEFORCES.PARTICIPANT_TYPES), null],
+    default: null
+  },
+  // When the author's participation started; for virtual participations this is when they began the contest
+  participationStartTime: {
+    type: Date,
+    default: null
+  },
   // Whether this is the first accepted submission for this problem by this student
   isFirstAccepted: {
     type: Boolean,
@@ -102,6 +115,11 @@ const SubmissionSchema = new Schema({
   url: {
     type: String
   },
+  // Fetched with contest.status from a private group contest or mashup, which user.status does not list
+  fromContestStatus: {
+    type: Boolean,
+    default: false
+  },
   // Source code (may be omitted to save space)
   sourceCode: {
     type: String
@@ -117,9 +135,22 @@ const SubmissionSchema = new Schema({
 
 // Create compound indexes for efficient querying
 SubmissionSchema.index({ student: 1, submissionTime: -1 });
+SubmissionSchema.index({ student: 1, 'problem.problemId': 1, verdict: 1 });
 SubmissionSchema.index({ handle: 1, submissionTime: -1 });
-SubmissionSchema.index({ handle: 1, problem: 1 });
+SubmissionSchema.index({ handle: 1, 'problem.problemId': 1 });
 SubmissionSchema.index({ verdict: 1, submissionTime: -1 });
+SubmissionSchema.index({ student: 1, participantType: 1 });
+
+// Verdicts Codeforces reports while a submission is still being judged
+const PENDING_VERDICTS = [CODEFORCES.VERDICTS.TESTING];
+
+// Link to a submission on Codeforces; gym contests have IDs from 100000 up
+const buildSubmissionUrl = (contestId, submissionId, groupCode = null) => {
+  if (!contestId) return null;
+  if (groupCode) return `https://codeforces.com/group/${groupCode}/contest/${contestId}/submission/${submissionId}`;
+  const section = contestId >= 100000 ? 'gym' : 'contest';
+  return `https://codeforces.com/${section}/${contestId}/submission/${submissionId}`;
+};
 
 // Pre-save hook to ensure submissionTime is set from submissionTimeSeconds
 SubmissionSchema.pre('save', function(next) {
@@ -164,7 +195,7 @@ SubmissionSchema.statics.findInDateRange = function(handle, startDate, endDate)
 // Static method to get problem counts by rating for a student
 SubmissionSchema.statics.getProblemCountsByRating = async function(studentId) {
   const result = await this.aggregate([
-    { $match: { student: mongoose.Types.ObjectId(studentId), verdict: 'OK' } },
+    { $match: { student: new mongoose.Types.ObjectId(studentId), verdict: 'OK' } },
     { $group: { _id: '$problem.problemId', rating: { $first: '$problem.rating' } } },
     { $group: { _id: '$rating', count: { $sum: 1 } } },
     { $sort: { _id: 1 } }
@@ -176,16 +207,13 @@ SubmissionSchema.statics.getProblemCountsByRating = async function(studentId) {
   }));
 };
 
-// Static method to get submission counts by day for heatmap
-SubmissionSchema.statics.getSubmissionCountsByDay = async function(handle, days = 365) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  
+// Static method to get submission counts by day for heatmap, across all of the student's handles
+SubmissionSchema.statics.getSubmissionCountsByDay = async function(studentId, startDate, endDate = new Date()) {
   return this.aggregate([
     {
       $match: {
-        handle,
-        submissionTime: { $gte: startDate }
+        student: new mongoose.Types.ObjectId(studentId),
+        submissionTime: { $gte: startDate, $lte: endDate }
       }
     },
     {
@@ -213,6 +241,267 @@ SubmissionSchema.statics.getSubmissionCountsByDay = async function(handle, days
   ]);
 };
 
+// Static method to list the problems a student solved, once per problem
+// Each problem has the first and the latest accepted time inside the optional date range;
+// handle limits the list to the submissions of one of the student's handles
+SubmissionSchema.statics.getSolvedProblems = async function(studentId, { since = null, until = null, handle = null } = {}) {
+  const match = { student: new mongoose.Types.ObjectId(studentId), verdict: 'OK' };
+  if (handle) match.handle = handle;
+  if (since || until) {
+    match.submissionTime = {};
+    if (since) match.submissionTime.$gte = since;
+    if (until) match.submissionTime.$lte = until;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { submissionTime: 1 } },
+    {
+      $group: {
+        _id: '$problem.problemId',
+        problemName: { $first: '$problem.name' },
+        contestId: { $first: '$problem.contestId' },
+        rating: { $first: '$problem.rating' },
+        tags: { $first: '$problem.tags' },
+        solvedOn: { $first: '$submissionTime' },
+        lastSolvedOn: { $last: '$submissionTime' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        problemId: '$_id',
+        problemName: 1,
+        contestId: 1,
+        rating: 1,
+        tags: 1,
+        solvedOn: 1,
+        lastSolvedOn: 1
+      }
+    }
+  ]);
+};
+
+// Static method to get the problem solving statistics of a student across all of their handles
+// Problems are counted once; the heatmap counts every accepted submission per day
+SubmissionSchema.statics.getProblemSolvingStats = async function(studentId) {
+  const solvedOnce = [
+    { $match: { verdict: 'OK' } },
+    { $sort: { submissionTime: 1 } },
+    { $group: { _id: '$problem.problemId', problem: { $first: '$problem' }, submissionTime: { $first: '$submissionTime' } } }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: { student: new mongoose.Types.ObjectId(studentId) } },
+    {
+      $facet: {
+        firstSubmission: [
+          { $group: { _id: null, submissionTime: { $min: '$submissionTime' } } }
+        ],
+        // Unrated problems sort last, so the first problem is the highest rated one
+        solved: [
+          ...solvedOnce,
+          { $sort: { 'problem.rating': -1, submissionTime: 1 } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              averageRating: { $avg: '$problem.rating' },
+              mostDifficultProblem: { $first: { problem: '$problem', submissionTime: '$submissionTime' } }
+            }
+          }
+        ],
+        byRating: [
+          ...solvedOnce,
+          { $group: { _id: { $ifNull: ['$problem.rating', 'unrated'] }, count: { $sum: 1 } } }
+        ],
+        byDay: [
+          { $match: { verdict: 'OK' } },
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$submissionTime' } }, count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const [solved] = result.solved;
+  const [first] = result.firstSubmission;
+  const daysActive = first ? (Date.now() - first.submissionTime.getTime()) / (1000 * 60 * 60 * 24) : 0;
+  const totalProblemsSolved = solved ? solved.total : 0;
+
+  return {
+    mostDifficultProblem: solved ? solved.mostDifficultProblem : null,
+    totalProblemsSolved,
+    averageRating: solved ? Math.round(solved.averageRating || 0) : 0,
+    averageProblemsPerDay: daysActive > 0 ? parseFloat((totalProblemsSolved / daysActive).toFixed(2)) : 0,
+    problemsPerRating: Object.fromEntries(result.byRating.map(entry => [entry._id, entry.count])),
+    submissionHeatmap: Object.fromEntries(result.byDay.map(entry => [entry._id, entry.count]))
+  };
+};
+
+// Static method to get the latest submission time of one of a student's handles
+SubmissionSchema.statics.getLastSubmissionDate = async function(studentId, handle) {
+  const latest = await this.findOne({ student: studentId, handle })
+    .sort({ submissionTime: -1 })
+    .select('submissionTime')
+    .lean();
+
+  return latest ? latest.submissionTime : null;
+};
+
+// Static method to count the distinct problems each student solved since a date
+SubmissionSchema.statics.countSolvedByStudentSince = async function(since) {
+  const counts = await this.aggregate([
+    { $match: { verdict: 'OK', submissionTime: { $gte: since } } },
+    { $group: { _id: { student: '$student', problem: '$problem.problemId' } } },
+    { $group: { _id: '$_id.student', solved: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.solved]));
+};
+
+// Static method to get the ID up to which a handle's submissions are fully stored
+// Submissions still being judged are fetched again on the next sync so their verdict is updated
+// Submissions from contest.status are left out, as user.status may not have reached them yet
+SubmissionSchema.statics.getHighWaterMark = async function(studentId, handle) {
+  const filter = { student: studentId, handle, fromContestStatus: { $ne: true } };
+  const [pending, latest] = await Promise.all([
+    this.findOne({ ...filter, verdict: { $in: PENDING_VERDICTS } }).sort({ submissionId: 1 }).select('submissionId').lean(),
+    this.findOne(filter).sort({ submissionId: -1 }).select('submissionId').lean()
+  ]);
+
+  if (pending) return pending.submissionId - 1;
+  return latest ? latest.submissionId : null;
+};
+
+// Static method to check whether a handle has submissions stored before participant types were kept
+SubmissionSchema.statics.hasMissingParticipantTypes = async function(studentId, handle) {
+  return !!(await this.exists({ student: studentId, handle, participantType: null, fromContestStatus: { $ne: true } }));
+};
+
+// Static method to upsert submissions processed by codeforcesService for one handle
+// Submissions fetched with contest.status pass fromContestStatus, and groupCode for group contests
+SubmissionSchema.statics.upsertProcessed = async function(studentId, handle, submissions, { fromContestStatus = false, groupCode = null } = {}) {
+  if (submissions.length === 0) {
+    return 0;
+  }
+
+  const operations = submissions.map(submission => {
+    const submissionTime = new Date(submission.submissionTime);
+
+    return {
+      updateOne: {
+        filter: { submissionId: submission.submissionId },
+        update: {
+          $set: {
+            student: studentId,
+            handle,
+            problem: {
+              problemId: submission.problemId,
+              name: submission.problemName,
+              contestId: submission.contestId,
+              // Submissions stored before the index was kept only have it inside the problem ID
+              index: submission.problemIndex ||
+                (submission.contestId ? submission.problemId.slice(String(submission.contestId).length) : null),
+              rating: submission.problemRating,
+              tags: submission.tags || []
+            },
+            verdict: submission.verdict,
+            language: submission.language,
+            submissionTimeSeconds: Math.floor(submissionTime.getTime() / 1000),
+            submissionTime,
+            memoryConsumedBytes: submission.memoryConsumedBytes,
+            timeConsumedMillis: submission.timeConsumedMillis,
+            points: submission.points || 0,
+            // Embedded submissions moved from CodeforcesData do not have these yet
+            ...(submission.participantType && {
+              participantType: submission.participantType,
+              participationStartTime: submission.participationStartTime
+            }),
+            url: buildSubmissionUrl(submission.contestId, submission.submissionId, groupCode),
+            // A submission user.status lists as well stays marked
+            ...(fromContestStatus && { fromContestStatus })
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  await this.markFirstAccepted(studentId, [...new Set(submissions.map(submission => submission.problemId))]);
+
+  return result.upsertedCount + result.modifiedCount;
+};
+
+// Static method to set isFirstAccepted on the earliest accepted submission of each problem
+SubmissionSchema.statics.markFirstAccepted = async function(studentId, problemIds = null) {
+  const match = { student: new mongoose.Types.ObjectId(studentId), verdict: 'OK' };
+  if (problemIds) {
+    match['problem.problemId'] = { $in: problemIds };
+  }
+
+  const firsts = await this.aggregate([
+    { $match: match },
+    { $sort: { submissionTime: 1, submissionId: 1 } },
+    { $group: { _id: '$problem.problemId', first: { $first: '$_id' } } }
+  ]);
+  const firstIds = firsts.map(entry => entry.first);
+
+  const scope = { student: studentId };
+  if (problemIds) {
+    scope['problem.problemId'] = { $in: problemIds };
+  }
+
+  await Promise.all([
+    this.updateMany({ ...scope, isFirstAccepted: true, _id: { $nin: firstIds } }, { isFirstAccepted: false }),
+    this.updateMany({ _id: { $in: firstIds }, isFirstAccepted: false }, { isFirstAccepted: true })
+  ]);
+};
+
+// Static method to read submissions in the flat format codeforcesService produces, newest first
+SubmissionSchema.statics.findFlat = async function(filter) {
+  const submissions = await this.find(filter).sort({ submissionTime: -1 }).lean();
+
+  return submissions.map(submission => ({
+    submissionId: submission.submissionId,
+    handle: submission.handle,
+    problemId: submission.problem.problemId,
+    problemName: submission.problem.name,
+    contestId: submission.problem.contestId,
+    problemIndex: submission.problem.index,
+    problemRating: submission.problem.rating || null,
+    verdict: submission.verdict,
+    language: submission.language,
+    submissionTime: submission.submissionTime,
+    tags: submission.problem.tags || [],
+    memoryConsumedBytes: submission.memoryConsumedBytes,
+    timeConsumedMillis: submission.timeConsumedMillis,
+    isFirstAccepted: submission.isFirstAccepted,
+    participantType: submission.participantType,
+    participationStartTime: submission.participationStartTime,
+    fromContestStatus: submission.fromContestStatus,
+    url: submission.url
+  }));
+};
+
+// Static method to move the submissions embedded in a CodeforcesData document into this collection
+// Used by the migration script and, for documents it has not reached yet, by the next sync
+SubmissionSchema.statics.importEmbedded = async function(codeforcesData) {
+  const embedded = (codeforcesData.submissions || []).map(submission =>
+    (submission.toObject ? submission.toObject() : submission)
+  );
+  if (embedded.length === 0) {
+    return 0;
+  }
+
+  const imported = await this.upsertProcessed(codeforcesData.student, codeforcesData.handle, embedded);
+
+  await codeforcesData.constructor.updateOne({ _id: codeforcesData._id }, { $set: { submissions: [] } });
+  codeforcesData.submissions = [];
+
+  return imported;
+};
+
 const Submission = mongoose.model('Submission', SubmissionSchema);
 
 module.exports = Submission;
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { SYNC_QUEUE, CODEFORCES, HANDLE_STATUS } = require('../utils/constants');
+
+const { STATUSES } = SYNC_QUEUE;
+const { PRIORITIES } = CODEFORCES.REQUEST_QUEUE;
+
+/**
+ * SyncTask Schema
+ * The sync state of one student, worked off by the sync worker. Tasks outlive the
+ * process, so syncs that were queued or running when the server stopped carry on
+ * after a restart.
+ */
+const SyncTaskSchema = new Schema({
+  student: {
+    type: Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUSES),
+    default: STATUSES.QUEUED
+  },
+  // Interactive tasks (a mentor pressed refresh) run before scheduled ones
+  priority: {
+    type: String,
+    enum: Object.values(PRIORITIES),
+    default: PRIORITIES.BACKGROUND
+  },
+  // Why the sync was last queued
+  reason: {
+    type: String,
+    enum: Object.values(SYNC_QUEUE.REASONS),
+    default: SYNC_QUEUE.REASONS.SCHEDULED
+  },
+  // Attempts since the task was last queued
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When a queued or failed task may run next
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the sync is queued again while it is running, so it runs once more with the latest data
+  rerunRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Error of the latest failed attempt; cleared by a successful sync
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastErrorAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  lastSucceededAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SyncTaskSchema.index({ status: 1, priority: 1, nextRunAt: 1 });
+
+// Fields that put a task back in the queue to run as soon as possible
+const queuedFields = () => ({
+  status: STATUSES.QUEUED,
+  attempts: 0,
+  nextRunAt: new Date(),
+  rerunRequested: false
+});
+
+// Update that puts a task back in the queue
+const queuedUpdate = ({ reason, priority }) => ({
+  $set: { ...queuedFields(), priority, reason }
+});
+
+/**
+ * Record the outcome of an attempt
+ * The rerun flag is read in the database, not from the claimed document, as
+ * enqueue sets it there while the sync runs. Only the running attempt clears the
+ * flag of a running task, so when the first update misses, the second one matches.
+ * @param {Object} task - SyncTask document in the running state
+ * @param {Object} fields - Fields to set in either case
+ * @param {Object} settled - Fields to set when no rerun was requested
+ * @returns {Promise<Object|null>} Updated task; null when it was deleted meanwhile
+ */
+const finishAttempt = async (task, fields, settled) => {
+  const Model = task.constructor;
+
+  const finished = await Model.findOneAndUpdate(
+    { _id: task._id, rerunRequested: false },
+    { $set: { ...fields, ...settled } },
+    { new: true }
+  );
+  if (finished) return finished;
+
+  // Queued again while running, so it runs once more with the latest data
+  return Model.findOneAndUpdate(
+    { _id: task._id, rerunRequested: true },
+    { $set: { ...fields, ...queuedFields() } },
+    { new: true }
+  );
+};
+
+// Method to record a successful attempt
+SyncTaskSchema.methods.markSucceeded = function() {
+  const now = new Date();
+
+  return finishAttempt(this, {
+    lastError: null,
+    lastErrorAt: null,
+    finishedAt: now,
+    lastSucceededAt: now
+  }, {
+    status: STATUSES.SUCCEEDED
+  });
+};
+
+// Method to record a failed attempt and schedule the retry
+// handleStatus is the classified failure; a handle that does not exist is not retried
+SyncTaskSchema.methods.markFailed = function(error, handleStatus) {
+  const now = new Date();
+  let settled;
+
+  if (handleStatus === HANDLE_STATUS.STATUSES.NOT_FOUND || this.attempts >= SYNC_QUEUE.MAX_ATTEMPTS) {
+    settled = { status: STATUSES.DEAD };
+  } else {
+    const backoff = Math.min(SYNC_QUEUE.BACKOFF_BASE_MS * 2 ** (this.attempts - 1), SYNC_QUEUE.BACKOFF_MAX_MS);
+    settled = { status: STATUSES.FAILED, nextRunAt: new Date(now.getTime() + backoff) };
+  }
+
+  return finishAttempt(this, {
+    lastError: error.message || String(error),
+    lastErrorAt: now,
+    finishedAt: now
+  }, settled);
+};
+
+// Duplicate key error; a task that is not running is upserted, so on a running
+// task the upsert collides with it on the unique student index
+const isDuplicateKey = (error) => error.code === 11000;
+
+// Static method to queue a student's sync
+// A sync that is already running finishes first and then runs again
+SyncTaskSchema.statics.enqueue = async function(studentId, { reason, priority = PRIORITIES.BACKGROUND } = {}) {
+  try {
+    return await this.findOneAndUpdate(
+      { student: studentId, status: { $ne: STATUSES.RUNNING } },
+      queuedUpdate({ reason, priority }),
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+  }
+
+  const running = await this.findOneAndUpdate(
+    { student: studentId, status: STATUSES.RUNNING },
+    { rerunRequested: true, reason },
+    { new: true }
+  );
+
+  // The running sync finished in between, so it can be queued again
+  return running || this.enqueue(studentId, { reason, priority });
+};
+
+// Static method to queue the syncs of many students at once
+SyncTaskSchema.statics.enqueueMany = async function(studentIds, { reason, priority = PRIORITIES.BACKGROUND } = {}) {
+  if (studentIds.length === 0) return 0;
+
+  const update = queuedUpdate({ reason, priority });
+  const operations = studentIds.map(studentId => ({
+    updateOne: {
+      filter: { student: studentId, status: { $ne: STATUSES.RUNNING } },
+      update,
+      upsert: true
+    }
+  }));
+
+  try {
+    await this.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || !writeErrors.every(isDuplicateKey)) throw error;
+
+    // The students whose sync is running are queued one by one, which asks for a rerun
+    for (const { index } of writeErrors) {
+      await this.enqueue(studentIds[index], { reason, priority });
+    }
+  }
+
+  return studentIds.length;
+};
+
+// Static method to claim the next task that is due, interactive tasks first
+SyncTaskSchema.statics.claimNext = async function() {
+  for (const priority of [PRIORITIES.INTERACTIVE, PRIORITIES.BACKGROUND]) {
+    const now = new Date();
+    const task = await this.findOneAndUpdate(
+      { status: { $in: [STATUSES.QUEUED, STATUSES.FAILED] }, priority, nextRunAt: { $lte: now } },
+      { $set: { status: STATUSES.RUNNING, startedAt: now, rerunRequested: false }, $inc: { attempts: 1 } },
+      { sort: { nextRunAt: 1 }, new: true }
+    );
+    if (task) return task;
+  }
+
+  return null;
+};
+
+// Static method to put back the tasks that were running when the process stopped
+// The interrupted attempt is not counted against the task
+SyncTaskSchema.statics.resumeInterrupted = async function() {
+  const result = await this.updateMany(
+    { status: STATUSES.RUNNING },
+    { $set: { status: STATUSES.QUEUED, nextRunAt: new Date() }, $inc: { attempts: -1 } }
+  );
+
+  return result.modifiedCount;
+};
+
+const SyncTask = mongoose.model('SyncTask', SyncTaskSchema);
+
+module.exports = SyncTask;
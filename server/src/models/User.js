@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const logger = require('../utils/logger');
+const { USER_ROLES } = require('../utils/constants');
+const { Schema } = mongoose;
+
+// Cost factor used when hashing passwords
+const SALT_ROUNDS = 10;
+
+/**
+ * User Schema
+ * Stores staff accounts that can sign in to the management dashboard
+ */
+const UserSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email address'
+    ]
+  },
+  // Hashed password (never returned by default)
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  // admin: full access, mentor: assigned students only, viewer: read-only
+  role: {
+    type: String,
+    enum: Object.values(USER_ROLES),
+    default: USER_ROLES.VIEWER
+  },
+  // Disabled accounts cannot sign in and their tokens are rejected
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Incremented on logout so previously issued tokens stop working
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save hook to hash the password whenever it changes
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare a plain text password with the stored hash
+UserSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to build the payload embedded in issued tokens
+UserSchema.methods.getTokenPayload = function() {
+  return {
+    id: this._id.toString(),
+    role: this.role,
+    tokenVersion: this.tokenVersion
+  };
+};
+
+// Remove sensitive fields when serializing
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Static method to create the initial admin account from environment settings
+UserSchema.statics.initializeDefaultAdmin = async function() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    logger.warn('ADMIN_EMAIL/ADMIN_PASSWORD not set, skipping default admin creation');
+    return null;
+  }
+
+  const existing = await this.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    return existing;
+  }
+
+  const admin = await this.create({
+    name: process.env.ADMIN_NAME || 'Administrator',
+    email,
+    password,
+    role: USER_ROLES.ADMIN
+  });
+
+  logger.info(`Created default admin account for ${admin.email}`);
+  return admin;
+};
+
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * Audit routes
+ * Handles all API endpoints for reviewing the audit log
+ */
+
+// All routes below are restricted to admins
+router.use(authenticate, authorize(USER_ROLES.ADMIN));
+
+// GET /api/audit - Get audit log entries with filtering
+router.get('/', auditController.getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimiter');
+
+/**
+ * Auth routes
+ * Handles all API endpoints for signing in and out
+ */
+
+// POST /api/auth/login - Log in with email and password
+router.post('/login', limiters.auth, authController.login);
+
+// POST /api/auth/logout - Log out and invalidate issued tokens
+router.post('/logout', authenticate, authController.logout);
+
+// GET /api/auth/me - Get the currently authenticated user
+router.get('/me', authenticate, authController.getMe);
+
+module.exports = router;
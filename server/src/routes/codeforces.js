@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const codeforcesController = require('../controllers/codeforcesController');
+const { authenticate } = require('../middleware/auth');
 
 /**
  * Codeforces routes
  * Handles all API endpoints for Codeforces data operations
  */
 
+// All routes below require an authenticated user
+router.use(authenticate);
+
 // GET /api/codeforces/students/:id/contests - Get contest history with filtering
 router.get('/students/:id/contests', codeforcesController.getContestHistory);
 
@@ -16,7 +20,7 @@ router.get('/students/:id/problems', codeforcesController.getProblemSolvingData)
 // GET /api/codeforces/students/:id/heatmap - Get submission heatmap data
 router.get('/students/:id/heatmap', codeforcesController.getSubmissionHeatmap);
 
-// GET /api/codeforces/students/:id/unsolved - Get unsolved problems from contests
+// GET /api/codeforces/students/:id/unsolved - Get the upsolve list for the contests a student entered
 router.get('/students/:id/unsolved', codeforcesController.getUnsolvedProblems);
 
 // GET /api/codeforces/students/:id/distribution - Get rating distribution of problems solved
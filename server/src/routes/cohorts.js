@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const cohortController = require('../controllers/cohortController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { cohortValidation } = require('../middleware/validation');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * Cohort routes
+ * Handles all API endpoints for cohort management and dashboards
+ */
+
+// All routes below require a signed in user
+router.use(authenticate);
+
+// GET /api/cohorts - Get all cohorts
+router.get('/', cohortController.getCohorts);
+
+// POST /api/cohorts - Create a new cohort
+router.post('/', authorize(USER_ROLES.ADMIN), cohortController.createCohort);
+
+// GET /api/cohorts/:id - Get a cohort by ID
+router.get('/:id', cohortController.getCohort);
+
+// PUT /api/cohorts/:id - Update a cohort
+router.put('/:id', authorize(USER_ROLES.ADMIN), cohortController.updateCohort);
+
+// DELETE /api/cohorts/:id - Delete a cohort
+router.delete('/:id', authorize(USER_ROLES.ADMIN), cohortController.deleteCohort);
+
+// GET /api/cohorts/:id/dashboard - Get aggregate figures for a cohort
+router.get('/:id/dashboard', cohortController.getCohortDashboard);
+
+// GET /api/cohorts/:id/students - Get students in a cohort
+router.get('/:id/students', cohortController.getCohortStudents);
+
+// PUT /api/cohorts/:id/students - Replace students in a cohort
+router.put('/:id/students', authorize(USER_ROLES.ADMIN), cohortValidation.updateStudents, cohortController.updateCohortStudents);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+const { authenticate } = require('../middleware/auth');
+const { catalogValidation } = require('../middleware/validation');
+
+/**
+ * Contest routes
+ * Handles all API endpoints for the Codeforces contest catalog
+ */
+
+// All routes below require an authenticated user
+router.use(authenticate);
+
+// GET /api/contests - Get contests with filtering by status, division and name
+router.get('/', catalogValidation.getContests, catalogController.getContests);
+
+// GET /api/contests/:contestId - Get a contest with its problems
+router.get('/:contestId', catalogValidation.getContest, catalogController.getContest);
+
+module.exports = router;
@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const cronController = require('../controllers/cronController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { cronValidation } = require('../middleware/validation');
+const { USER_ROLES } = require('../utils/constants');
 
 /**
  * Cron routes
  * Handles all API endpoints for cron job management
  */
 
+// All routes below require an authenticated user
+router.use(authenticate);
+
 // GET /api/cron - Get all cron jobs
 router.get('/', cronController.getCronJobs);
 
@@ -14,25 +20,37 @@ router.get('/', cronController.getCronJobs);
 router.get('/settings', cronController.getCronSettings);
 
 // PUT /api/cron/settings - Update multiple cron job settings
-router.put('/settings', cronController.updateCronSettings);
+router.put('/settings', authorize(USER_ROLES.ADMIN), cronController.updateCronSettings);
 
 // GET /api/cron/sync-status - Get the sync status of cron jobs
 router.get('/sync-status', cronController.getCronSyncStatus);
 
+// GET /api/cron/request-queue - Get the Codeforces request queue depth for monitoring
+router.get('/request-queue', authorize(USER_ROLES.ADMIN), cronController.getRequestQueueStatus);
+
+// GET /api/cron/api-cache - Get the Codeforces response cache counters and entries per API method
+router.get('/api-cache', authorize(USER_ROLES.ADMIN), cronController.getApiCacheStatus);
+
+// GET /api/cron/api-cache/entries - List cached responses (?method= to filter)
+router.get('/api-cache/entries', authorize(USER_ROLES.ADMIN), cronValidation.getApiCacheEntries, cronController.getApiCacheEntries);
+
+// DELETE /api/cron/api-cache - Purge cached responses (?method= or ?key= to purge part of the cache)
+router.delete('/api-cache', authorize(USER_ROLES.ADMIN), cronValidation.purgeApiCache, cronController.purgeApiCache);
+
 // GET /api/cron/:name - Get a single cron job by name
 router.get('/:name', cronController.getCronJob);
 
 // PUT /api/cron/:name - Update cron job schedule and configuration
-router.put('/:name', cronController.updateCronJob);
+router.put('/:name', authorize(USER_ROLES.ADMIN), cronController.updateCronJob);
 
 // POST /api/cron/:name/trigger - Manually trigger a cron job
-router.post('/:name/trigger', cronController.triggerCronJob);
+router.post('/:name/trigger', authorize(USER_ROLES.ADMIN), cronController.triggerCronJob);
 
 // POST /api/cron/manual-sync - Manually trigger the main data sync
-router.post('/manual-sync', cronController.triggerManualSync);
+router.post('/manual-sync', authorize(USER_ROLES.ADMIN), cronController.triggerManualSync);
 
 // POST /api/cron/reset - Reset all cron jobs to default settings
-router.post('/reset', cronController.resetCronJobs);
+router.post('/reset', authorize(USER_ROLES.ADMIN), cronController.resetCronJobs);
 
 // GET /api/cron/:name/history - Get cron job execution history
 router.get('/:name/history', cronController.getCronJobHistory);
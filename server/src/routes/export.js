@@ -1,14 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const exportController = require('../controllers/exportController');
+const { authenticate } = require('../middleware/auth');
+const { studentValidation } = require('../middleware/validation');
 
 /**
  * Export routes
  * Handles all API endpoints for data export functionality
  */
 
-// GET /api/export/students-csv - Export all students as CSV
-router.get('/students-csv', exportController.exportStudentsCSV);
+// All routes below require an authenticated user
+router.use(authenticate);
+
+// GET /api/export/students-csv - Export all students as CSV (accepts the student list filters)
+router.get('/students-csv', studentValidation.getAll, exportController.exportStudentsCSV);
 
 // GET /api/export/students/:id/codeforces - Export a student's Codeforces data as CSV
 router.get('/students/:id/codeforces', exportController.exportStudentCodeforcesDataCSV);
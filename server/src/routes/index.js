@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
+const portalRoutes = require('./portal');
+const auditRoutes = require('./audit');
 const studentRoutes = require('./students');
+const cohortRoutes = require('./cohorts');
 const codeforcesRoutes = require('./codeforces');
+const contestRoutes = require('./contests');
+const problemRoutes = require('./problems');
 const cronRoutes = require('./cron');
 const exportRoutes = require('./export');
+const settingsRoutes = require('./settings');
 const { version } = require('../../package.json');
 
 /**
@@ -31,9 +39,17 @@ router.get('/health', (req, res) => {
 });
 
 // Register all route modules
+router.use('/auth', authRoutes);
+router.use('/users', userRoutes);
+router.use('/portal', portalRoutes);
+router.use('/audit', auditRoutes);
 router.use('/students', studentRoutes);
+router.use('/cohorts', cohortRoutes);
 router.use('/codeforces', codeforcesRoutes);
+router.use('/contests', contestRoutes);
+router.use('/problems', problemRoutes);
 router.use('/cron', cronRoutes);
 router.use('/export', exportRoutes);
+router.use('/settings', settingsRoutes);
 
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const portalController = require('../controllers/portalController');
+const codeforcesController = require('../controllers/codeforcesController');
+const studentController = require('../controllers/studentController');
+const { authenticateStudent } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimiter');
+
+/**
+ * Portal routes
+ * Handles all API endpoints for the student self-service portal
+ * Data routes reuse the staff handlers; the student scope limits them to the student's own record
+ */
+
+// POST /api/portal/request-link - Email a one-time login link to a student
+router.post('/request-link', limiters.auth, portalController.requestLoginLink);
+
+// POST /api/portal/verify - Exchange a login link token for a portal session
+router.post('/verify', limiters.auth, portalController.verifyLoginLink);
+
+// All routes below require a signed in student
+router.use(authenticateStudent);
+
+// POST /api/portal/logout - Log out and invalidate issued portal sessions
+router.post('/logout', portalController.logout);
+
+// GET /api/portal/me - Get the signed in student's profile
+router.get('/me', portalController.getProfile);
+
+// PUT /api/portal/me - Update phone number and reminder preferences
+router.put('/me', portalController.updateProfile);
+
+// GET /api/portal/students/:id/contests - Get own contest history
+router.get('/students/:id/contests', codeforcesController.getContestHistory);
+
+// GET /api/portal/students/:id/problems - Get own problem solving data
+router.get('/students/:id/problems', codeforcesController.getProblemSolvingData);
+
+// GET /api/portal/students/:id/heatmap - Get own submission heatmap data
+router.get('/students/:id/heatmap', codeforcesController.getSubmissionHeatmap);
+
+// GET /api/portal/students/:id/email-history - Get own reminder history
+router.get('/students/:id/email-history', studentController.getEmailReminderHistory);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+const { authenticate } = require('../middleware/auth');
+const { catalogValidation } = require('../middleware/validation');
+
+/**
+ * Problem routes
+ * Handles all API endpoints for the Codeforces problem catalog
+ */
+
+// All routes below require an authenticated user
+router.use(authenticate);
+
+// GET /api/problems - Get problems with filtering by tags, rating, contest and name
+router.get('/', catalogValidation.getProblems, catalogController.getProblems);
+
+// GET /api/problems/tags - Get every tag used in the problem catalog
+router.get('/tags', catalogController.getProblemTags);
+
+module.exports = router;
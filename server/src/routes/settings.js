@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { settingsValidation } = require('../middleware/validation');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * Settings routes
+ * Handles all API endpoints for application settings
+ */
+
+// All routes below are restricted to admins
+router.use(authenticate, authorize(USER_ROLES.ADMIN));
+
+// GET /api/settings/codeforces - Get the Codeforces API settings (the secret is never returned)
+router.get('/codeforces', settingsController.getCodeforcesSettings);
+
+// PUT /api/settings/codeforces - Update the Codeforces API key and the synced groups and mashups
+router.put('/codeforces', settingsValidation.updateCodeforcesSettings, settingsController.updateCodeforcesSettings);
+
+module.exports = router;
@@ -1,46 +1,97 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
+const noteController = require('../controllers/noteController');
+const goalController = require('../controllers/goalController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { csvUpload } = require('../middleware/upload');
+const { studentValidation } = require('../middleware/validation');
+const { USER_ROLES } = require('../utils/constants');
 
 /**
  * Student routes
  * Handles all API endpoints for student management
  */
 
-// GET /api/students - Get all students with pagination and filtering
-router.get('/', studentController.getStudents);
+// All routes below require an authenticated user
+router.use(authenticate);
+
+// GET /api/students - Get all students with pagination, filtering and sorting (?archived=true for archived students)
+router.get('/', studentValidation.getAll, studentController.getStudents);
 
 // GET /api/students/new - Handle request for new student form
 router.get('/new', studentController.handleNewStudentRequest);
 
+// POST /api/students/import - Validate (dry-run) or import students from a CSV file
+router.post('/import', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), csvUpload, studentController.importStudents);
+
+// GET /api/students/needs-attention - Get students whose Codeforces sync needs an admin's attention
+router.get('/needs-attention', authorize(USER_ROLES.ADMIN), studentController.getStudentsNeedingAttention);
+
 // GET /api/students/:id - Get a single student by ID
 router.get('/:id', studentController.getStudent);
 
 // POST /api/students - Create a new student
-router.post('/', studentController.createStudent);
+router.post('/', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), studentController.createStudent);
 
 // PUT /api/students/:id - Update a student
-router.put('/:id', studentController.updateStudent);
+router.put('/:id', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), studentController.updateStudent);
+
+// DELETE /api/students/:id - Archive a student (soft delete)
+router.delete('/:id', authorize(USER_ROLES.ADMIN), studentController.archiveStudent);
 
-// DELETE /api/students/:id - Delete a student
-router.delete('/:id', studentController.deleteStudent);
+// POST /api/students/:id/restore - Restore an archived student
+router.post('/:id/restore', authorize(USER_ROLES.ADMIN), studentController.restoreStudent);
+
+// DELETE /api/students/:id/purge - Permanently delete an archived student and their data
+router.delete('/:id/purge', authorize(USER_ROLES.ADMIN), studentController.purgeStudent);
 
 // GET /api/students/:id/codeforces - Get student with Codeforces data
 router.get('/:id/codeforces', studentController.getStudentWithCodeforcesData);
 
+// GET /api/students/:id/sync-status - Get the state of the student's queued sync and its last error
+router.get('/:id/sync-status', studentController.getSyncStatus);
+
+// GET /api/students/:id/platforms - Get the student's linked platform accounts (AtCoder, CodeChef, LeetCode)
+router.get('/:id/platforms', studentController.getStudentPlatforms);
+
 // GET /api/students/:id/contest-history - Get contest history for a student
 router.get('/:id/contest-history', studentController.getContestHistory);
 
 // GET /api/students/:id/problem-solving-stats - Get problem solving statistics for a student
 router.get('/:id/problem-solving-stats', studentController.getProblemSolvingStats);
 
+// GET /api/students/:id/notes - Get the student's notes thread (?category= to filter)
+router.get('/:id/notes', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), noteController.getNotes);
+
+// POST /api/students/:id/notes - Add a note
+router.post('/:id/notes', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), noteController.createNote);
+
+// PUT /api/students/:id/notes/:noteId - Edit or pin a note
+router.put('/:id/notes/:noteId', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), noteController.updateNote);
+
+// DELETE /api/students/:id/notes/:noteId - Delete a note
+router.delete('/:id/notes/:noteId', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), noteController.deleteNote);
+
+// GET /api/students/:id/goals - Get the student's goals with their progress (?status= to filter)
+router.get('/:id/goals', goalController.getGoals);
+
+// POST /api/students/:id/goals - Set a goal
+router.post('/:id/goals', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), goalController.createGoal);
+
+// PUT /api/students/:id/goals/:goalId - Update a goal
+router.put('/:id/goals/:goalId', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), goalController.updateGoal);
+
+// DELETE /api/students/:id/goals/:goalId - Delete a goal
+router.delete('/:id/goals/:goalId', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), goalController.deleteGoal);
+
 // PATCH /api/students/:id/toggle-reminders - Toggle email reminders for a student
-router.patch('/:id/toggle-reminders', studentController.toggleEmailReminders);
+router.patch('/:id/toggle-reminders', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), studentController.toggleEmailReminders);
 
 // GET /api/students/:id/email-history - Get email reminder history for a student
 router.get('/:id/email-history', studentController.getEmailReminderHistory);
 
 // POST /api/students/:id/refresh-cf-data - Manually refresh Codeforces data for a student
-router.post('/:id/refresh-cf-data', studentController.refreshCodeforcesData);
+router.post('/:id/refresh-cf-data', authorize([USER_ROLES.ADMIN, USER_ROLES.MENTOR]), studentController.refreshCodeforcesData);
 
 module.exports = router;
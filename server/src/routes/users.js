@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * User routes
+ * Handles all API endpoints for account and mentor assignment management
+ */
+
+// All routes below are restricted to admins
+router.use(authenticate, authorize(USER_ROLES.ADMIN));
+
+// GET /api/users - Get all users
+router.get('/', userController.getUsers);
+
+// POST /api/users - Create a new user
+router.post('/', userController.createUser);
+
+// PUT /api/users/:id - Update a user
+router.put('/:id', userController.updateUser);
+
+// DELETE /api/users/:id - Delete a user
+router.delete('/:id', userController.deleteUser);
+
+// GET /api/users/:id/students - Get students assigned to a mentor
+router.get('/:id/students', userController.getAssignedStudents);
+
+// PUT /api/users/:id/students - Replace students assigned to a mentor
+router.put('/:id/students', userController.updateAssignedStudents);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * Student Progress Management System
+ * Codeforces API stub server
+ *
+ * Serves the responses recorded with CODEFORCES_API_MODE=record under the same
+ * paths as the Codeforces API, e.g. /api/user.info?handles=tourist. Point a
+ * server at it with CODEFORCES_API_BASE_URL=http://localhost:8090/api to sync
+ * without network access.
+ *
+ * Usage: npm run stub:codeforces
+ */
+
+require('dotenv').config();
+const express = require('express');
+const logger = require('../utils/logger');
+const { readFixture, getFixturePath, stripSignature } = require('../services/codeforcesFixtures');
+const { CODEFORCES } = require('../utils/constants');
+
+const PORT = parseInt(process.env.CODEFORCES_STUB_PORT, 10) || CODEFORCES.STUB_PORT;
+
+const app = express();
+
+// GET /api/:method - Serve the recorded response of an API call
+app.get('/api/:method', async (req, res) => {
+  // The endpoint as codeforcesService requests it, e.g. "/user.rating?handle=tourist";
+  // signed requests are served the response recorded for the unsigned endpoint
+  const endpoint = stripSignature(req.originalUrl.replace(/^\/api/, ''));
+
+  try {
+    const fixture = await readFixture(endpoint);
+
+    if (!fixture) {
+      logger.warn(`No recorded response for ${endpoint}`);
+      return res.status(404).json({
+        status: 'FAILED',
+        comment: `No recorded response for ${endpoint} (expected ${getFixturePath(endpoint)})`
+      });
+    }
+
+    logger.debug(`Serving recorded response for ${endpoint}`);
+    res.status(fixture.status).json(fixture.data);
+  } catch (error) {
+    logger.error(`Error reading recorded response for ${endpoint}:`, error);
+    res.status(500).json({ status: 'FAILED', comment: error.message });
+  }
+});
+
+app.listen(PORT, () => {
+  logger.info(`Codeforces stub server serving recorded responses on port ${PORT}`);
+});
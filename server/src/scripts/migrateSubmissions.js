@@ -0,0 +1,45 @@
+/**
+ * Student Progress Management System
+ * Submission migration
+ *
+ * Moves the submissions embedded in CodeforcesData documents into the
+ * Submission collection. Syncs also do this for each student they touch, so
+ * running it is optional, but it makes the analytics complete right away.
+ *
+ * Usage: npm run migrate:submissions
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const CodeforcesData = require('../models/CodeforcesData');
+const Submission = require('../models/Submission');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/student-progress-db';
+
+const migrateSubmissions = async () => {
+  const cursor = CodeforcesData.find({ 'submissions.0': { $exists: true } }).cursor();
+  let documentCount = 0;
+  let submissionCount = 0;
+
+  for await (const codeforcesData of cursor) {
+    const count = await Submission.importEmbedded(codeforcesData);
+
+    documentCount++;
+    submissionCount += count;
+    logger.info(`Moved ${count} submissions of ${codeforcesData.handle}`);
+  }
+
+  return { documentCount, submissionCount };
+};
+
+mongoose.connect(MONGODB_URI)
+  .then(migrateSubmissions)
+  .then(({ documentCount, submissionCount }) => {
+    logger.info(`Submission migration finished: ${submissionCount} submissions from ${documentCount} handles`);
+  })
+  .catch((error) => {
+    logger.error('Submission migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,132 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { AUDIT } = require('../utils/constants');
+
+/**
+ * Audit Service
+ * Records mutations and data exports together with a before/after field diff
+ */
+
+/**
+ * Convert a Mongoose document or plain object into a plain object
+ * @param {Object|null} value - Document or plain object
+ * @returns {Object} Plain object (empty when no value is given)
+ */
+const toPlainObject = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  // Round-trip through JSON so ObjectIds and Dates compare and store as strings
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Flatten nested objects into dot-separated paths; arrays are kept whole
+ * @param {Object} obj - Plain object
+ * @param {string} prefix - Path prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} Map of path to value
+ */
+const flatten = (obj, prefix = '', result = {}) => {
+  Object.entries(obj).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Compute the field-level differences between two versions of a record
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.fields - Only compare these top-level fields
+ * @returns {Array<Object>} List of { field, before, after }
+ */
+const diffObjects = (before, after, options = {}) => {
+  const beforeFields = flatten(toPlainObject(before));
+  const afterFields = flatten(toPlainObject(after));
+  const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  return [...paths]
+    .filter(path => {
+      const topLevelField = path.split('.')[0];
+      if (AUDIT.IGNORED_FIELDS.includes(topLevelField)) return false;
+      return !options.fields || options.fields.includes(topLevelField);
+    })
+    .filter(path => JSON.stringify(beforeFields[path]) !== JSON.stringify(afterFields[path]))
+    .sort()
+    .map(path => ({
+      field: path,
+      before: beforeFields[path] === undefined ? null : beforeFields[path],
+      after: afterFields[path] === undefined ? null : afterFields[path]
+    }));
+};
+
+/**
+ * Write an audit log entry for the current request
+ * Failures are logged rather than thrown so auditing never undoes a completed change
+ * @param {Object} req - Express request object (provides the actor)
+ * @param {Object} entry - Audit details
+ * @param {string} entry.action - One of AUDIT.ACTIONS
+ * @param {string} entry.targetType - One of AUDIT.TARGETS
+ * @param {string} entry.targetId - ID or name of the affected record
+ * @param {string} entry.targetLabel - Human readable target description
+ * @param {Object} entry.before - Record before the change
+ * @param {Object} entry.after - Record after the change
+ * @param {Array<string>} entry.fields - Only diff these top-level fields
+ * @param {Object} entry.metadata - Extra context
+ * @returns {Promise<Object|null>} Created entry or null
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    const changes = (entry.before || entry.after)
+      ? diffObjects(entry.before, entry.after, { fields: entry.fields })
+      : [];
+
+    // Saving a record without changing anything is not worth an entry
+    if (entry.action === AUDIT.ACTIONS.UPDATE && changes.length === 0) {
+      return null;
+    }
+
+    const user = req.user || {};
+
+    return await AuditLog.create({
+      actor: {
+        user: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId ? String(entry.targetId) : null,
+      targetLabel: entry.targetLabel || '',
+      changes,
+      metadata: entry.metadata || {},
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    logger.error(`Error writing audit log for ${entry.action} on ${entry.targetType}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Build the label stored with student audit entries
+ * @param {Object} student - Student document
+ * @returns {string} Label such as "Jane Doe (tourist)"
+ */
+const getStudentLabel = (student) => `${student.name} (${student.codeforcesHandle})`;
+
+module.exports = {
+  diffObjects,
+  recordAudit,
+  getStudentLabel
+};
@@ -0,0 +1,174 @@
+/**
+ * Codeforces Fixtures
+ * In record mode every Codeforces response is written to a fixture file; in
+ * replay mode responses are read back from those files and Codeforces is never
+ * called, so syncs run offline and give the same results every time. The stub
+ * server (scripts/codeforcesStub.js) serves the same files over HTTP.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { CODEFORCES } = require('../utils/constants');
+
+const { API_MODES } = CODEFORCES;
+
+// Relative paths are resolved from the server directory
+const FIXTURES_DIR = path.resolve(__dirname, '../..', process.env.CODEFORCES_FIXTURES_DIR || CODEFORCES.FIXTURES_DIR);
+
+// Longer file names (e.g. user.info for a batch of handles) are replaced by a hash
+const MAX_FILE_NAME_LENGTH = 100;
+
+// Parameters added when a request is signed; they change on every call
+const SIGNATURE_PARAMS = ['apiKey', 'time', 'apiSig'];
+
+const mode = (() => {
+  const configured = process.env.CODEFORCES_API_MODE || API_MODES.LIVE;
+  if (Object.values(API_MODES).includes(configured)) return configured;
+
+  logger.warn(`Unknown CODEFORCES_API_MODE "${configured}"; calling Codeforces live`);
+  return API_MODES.LIVE;
+})();
+
+if (mode !== API_MODES.LIVE) {
+  logger.info(`Codeforces API mode: ${mode} (fixtures in ${FIXTURES_DIR})`);
+}
+
+/**
+ * Remove the signature parameters from an endpoint
+ * A signed request is then stored and looked up under the same fixture as the
+ * unsigned endpoint, and the API key is never written to a fixture
+ * @param {string} endpoint - API endpoint with its query string
+ * @returns {string} Endpoint without apiKey, time and apiSig
+ */
+const stripSignature = (endpoint) => {
+  const [method, query = ''] = endpoint.split('?');
+  const params = new URLSearchParams(query);
+  if (!SIGNATURE_PARAMS.some(name => params.has(name))) return endpoint;
+
+  SIGNATURE_PARAMS.forEach(name => params.delete(name));
+
+  const search = params.toString();
+  return search ? `${method}?${search}` : method;
+};
+
+/**
+ * Get the fixture file of an endpoint
+ * Query parameters are sorted, so their order does not matter, and signature
+ * parameters are ignored
+ * @param {string} endpoint - API endpoint with its query string, e.g. "/user.rating?handle=tourist"
+ * @returns {string} Absolute path of the fixture file
+ */
+const getFixturePath = (endpoint) => {
+  const [method, query = ''] = stripSignature(endpoint).replace(/^\//, '').split('?');
+  const params = new URLSearchParams(query);
+  params.sort();
+
+  let name = params.toString().replace(/[^\w.=-]+/g, '_') || 'index';
+  if (name.length > MAX_FILE_NAME_LENGTH) {
+    name = crypto.createHash('sha1').update(params.toString()).digest('hex');
+  }
+
+  return path.join(FIXTURES_DIR, method, `${name}.json`);
+};
+
+/**
+ * Read the recorded response of an endpoint
+ * @param {string} endpoint - API endpoint with its query string
+ * @returns {Promise<Object|null>} { endpoint, status, data, recordedAt } or null when nothing was recorded
+ */
+const readFixture = async (endpoint) => {
+  try {
+    return JSON.parse(await fs.readFile(getFixturePath(endpoint), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Write the response of an endpoint to its fixture file
+ * @param {string} endpoint - API endpoint with its query string
+ * @param {number} status - HTTP status of the response
+ * @param {Object} data - Response body
+ * @returns {Promise<void>}
+ */
+const writeFixture = async (endpoint, status, data) => {
+  const fixturePath = getFixturePath(endpoint);
+
+  await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+  await fs.writeFile(fixturePath, JSON.stringify({ endpoint: stripSignature(endpoint), status, data, recordedAt: new Date() }, null, 2));
+
+  logger.debug(`Recorded ${endpoint} to ${fixturePath}`);
+};
+
+/**
+ * Build the error a failed request would have thrown
+ * Callers check the status and the Codeforces comment, so both are kept
+ * @param {string} endpoint - API endpoint
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ * @returns {Error} Error shaped like an axios response error
+ */
+const createResponseError = (endpoint, status, data) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.isAxiosError = true;
+  error.response = { status, data };
+  error.config = { url: endpoint };
+  return error;
+};
+
+exports.getMode = () => mode;
+
+exports.isRecording = () => mode === API_MODES.RECORD;
+
+exports.isReplaying = () => mode === API_MODES.REPLAY;
+
+exports.stripSignature = stripSignature;
+
+exports.getFixturePath = getFixturePath;
+
+exports.readFixture = readFixture;
+
+/**
+ * Make a request and record its response
+ * Codeforces' answers to bad requests (e.g. unknown handles) are recorded too;
+ * rate limits and server errors are not, as they are not part of the data
+ * @param {string} endpoint - API endpoint with its query string
+ * @param {Function} request - Function that makes the request and returns the response body
+ * @returns {Promise<Object>} Response body
+ */
+exports.record = async (endpoint, request) => {
+  let data;
+  try {
+    data = await request();
+  } catch (error) {
+    if (error.response && error.response.status === 400) {
+      await writeFixture(endpoint, 400, error.response.data);
+    }
+    throw error;
+  }
+
+  await writeFixture(endpoint, 200, data);
+  return data;
+};
+
+/**
+ * Replay the recorded response of an endpoint
+ * @param {string} endpoint - API endpoint with its query string
+ * @returns {Promise<Object>} Response body; recorded failures are thrown as errors
+ */
+exports.replay = async (endpoint) => {
+  const fixture = await readFixture(endpoint);
+
+  if (!fixture) {
+    throw new Error(`No recorded Codeforces response for ${endpoint} (expected ${getFixturePath(endpoint)})`);
+  }
+
+  if (fixture.status !== 200) {
+    throw createResponseError(endpoint, fixture.status, fixture.data);
+  }
+
+  return fixture.data;
+};
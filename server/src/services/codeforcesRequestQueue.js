@@ -0,0 +1,139 @@
+/**
+ * Codeforces Request Queue
+ * Every Codeforces API call in the process goes through this queue, which starts
+ * at most one request per interval and serves interactive requests before the
+ * requests of background jobs
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+const { CODEFORCES } = require('../utils/constants');
+
+const { PRIORITIES } = CODEFORCES.REQUEST_QUEUE;
+
+// Minimum time between the start of two requests (in ms)
+const REQUEST_INTERVAL = parseInt(process.env.CODEFORCES_REQUEST_INTERVAL_MS, 10) || CODEFORCES.REQUEST_QUEUE.INTERVAL_MS;
+
+// Pause after the first rate-limit response; doubled for each one that follows (in ms)
+const BACKOFF_BASE = CODEFORCES.REQUEST_QUEUE.BACKOFF_BASE_MS;
+const BACKOFF_MAX = CODEFORCES.REQUEST_QUEUE.BACKOFF_MAX_MS;
+
+// Priority of the code running inside runInBackground
+const priorityStorage = new AsyncLocalStorage();
+
+// Waiting requests by priority, oldest first
+const lanes = {
+  [PRIORITIES.INTERACTIVE]: [],
+  [PRIORITIES.BACKGROUND]: []
+};
+
+let isDraining = false;
+let nextStartAt = 0;
+let consecutiveBackoffs = 0;
+let backoffUntil = 0;
+
+const stats = {
+  completed: 0,
+  failed: 0,
+  rateLimited: 0,
+  lastRateLimitedAt: null
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Interactive requests always go first; background jobs get the gaps between them
+const takeNext = () => lanes[PRIORITIES.INTERACTIVE].shift() || lanes[PRIORITIES.BACKGROUND].shift();
+
+// Start queued requests one at a time, keeping the interval between them
+async function drain() {
+  if (isDraining) return;
+  isDraining = true;
+
+  try {
+    let entry;
+    while ((entry = takeNext())) {
+      // A backoff can start while waiting, so check again after every sleep
+      let wait;
+      while ((wait = Math.max(nextStartAt, backoffUntil) - Date.now()) > 0) {
+        await sleep(wait);
+      }
+
+      nextStartAt = Date.now() + REQUEST_INTERVAL;
+
+      try {
+        entry.resolve(await entry.task());
+        stats.completed++;
+      } catch (error) {
+        entry.reject(error);
+        stats.failed++;
+      }
+    }
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Queue a Codeforces request
+ * @param {Function} task - Function that starts the request and returns a promise
+ * @param {Object} options - Queue options
+ * @param {string} options.priority - One of CODEFORCES.REQUEST_QUEUE.PRIORITIES; defaults to the caller's context
+ * @returns {Promise<*>} Resolves or rejects with the task's result
+ */
+exports.schedule = (task, { priority } = {}) => {
+  const lane = priority || priorityStorage.getStore() || PRIORITIES.INTERACTIVE;
+
+  return new Promise((resolve, reject) => {
+    lanes[lane].push({ task, resolve, reject, queuedAt: Date.now() });
+    drain();
+  });
+};
+
+/**
+ * Run a function whose Codeforces requests wait behind interactive ones
+ * Used by the nightly sync and other bulk jobs
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+exports.runInBackground = (fn) => priorityStorage.run(PRIORITIES.BACKGROUND, fn);
+
+/**
+ * Pause the queue after Codeforces reported that the call limit was hit
+ * Each rate-limit response in a row doubles the pause, up to BACKOFF_MAX
+ * @returns {number} Pause in ms
+ */
+exports.backOff = () => {
+  const delay = Math.min(BACKOFF_BASE * 2 ** consecutiveBackoffs, BACKOFF_MAX);
+  consecutiveBackoffs++;
+  backoffUntil = Math.max(backoffUntil, Date.now() + delay);
+
+  stats.rateLimited++;
+  stats.lastRateLimitedAt = new Date();
+  logger.warn(`Codeforces rate limit hit; pausing requests for ${delay} ms`);
+
+  return delay;
+};
+
+// Clear the backoff once a request goes through again
+exports.recordSuccess = () => {
+  consecutiveBackoffs = 0;
+};
+
+/**
+ * Get the queue depth and counters for monitoring
+ * @returns {Object} Queue status
+ */
+exports.getQueueStats = () => {
+  const oldest = [...lanes[PRIORITIES.INTERACTIVE], ...lanes[PRIORITIES.BACKGROUND]]
+    .reduce((min, entry) => Math.min(min, entry.queuedAt), Infinity);
+
+  return {
+    depth: lanes[PRIORITIES.INTERACTIVE].length + lanes[PRIORITIES.BACKGROUND].length,
+    interactive: lanes[PRIORITIES.INTERACTIVE].length,
+    background: lanes[PRIORITIES.BACKGROUND].length,
+    oldestWaitMs: oldest === Infinity ? 0 : Date.now() - oldest,
+    intervalMs: REQUEST_INTERVAL,
+    pausedUntil: backoffUntil > Date.now() ? new Date(backoffUntil) : null,
+    ...stats
+  };
+};
@@ -0,0 +1,162 @@
+/**
+ * Codeforces Response Cache
+ * Successful Codeforces API responses are stored in MongoDB for a time that
+ * depends on the API method, so repeated refreshes and analytics calls do not
+ * go back to Codeforces. A cache that cannot be read or written is skipped.
+ */
+
+const logger = require('../utils/logger');
+const ApiCacheEntry = require('../models/ApiCacheEntry');
+const { CODEFORCES } = require('../utils/constants');
+
+const { TTL_MS } = CODEFORCES.RESPONSE_CACHE;
+
+// Set CODEFORCES_CACHE_ENABLED=false to always call Codeforces
+const isEnabled = process.env.CODEFORCES_CACHE_ENABLED !== 'false';
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  stores: 0,
+  errors: 0
+};
+
+// "/user.rating?handle=tourist" is stored as "user.rating?handle=tourist"
+const toKey = (endpoint) => endpoint.replace(/^\//, '');
+
+const getMethod = (key) => key.split('?')[0];
+
+/**
+ * Get a stored response
+ * @param {string} endpoint - API endpoint with its query string
+ * @returns {Promise<Object|null>} Response body or null when it is not cached
+ */
+exports.get = async (endpoint) => {
+  const key = toKey(endpoint);
+  if (!isEnabled || !TTL_MS[getMethod(key)]) return null;
+
+  try {
+    // Expired entries can outlive their expiry until MongoDB's next cleanup
+    const entry = await ApiCacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { projection: { data: 1 } }
+    ).lean();
+
+    if (!entry) {
+      stats.misses++;
+      return null;
+    }
+
+    stats.hits++;
+    logger.debug(`Serving ${key} from the response cache`);
+    return entry.data;
+  } catch (error) {
+    stats.errors++;
+    logger.error(`Error reading ${key} from the response cache:`, error);
+    return null;
+  }
+};
+
+/**
+ * Store a response
+ * @param {string} endpoint - API endpoint with its query string
+ * @param {Object} data - Response body
+ * @returns {Promise<void>}
+ */
+exports.set = async (endpoint, data) => {
+  const key = toKey(endpoint);
+  const method = getMethod(key);
+  const ttl = TTL_MS[method] || 0;
+  if (!isEnabled || !ttl || data.status !== 'OK') return;
+
+  try {
+    await ApiCacheEntry.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          method,
+          data,
+          size: Buffer.byteLength(JSON.stringify(data)),
+          expiresAt: new Date(Date.now() + ttl),
+          hits: 0,
+          lastHitAt: null
+        }
+      },
+      { upsert: true }
+    );
+    stats.stores++;
+  } catch (error) {
+    stats.errors++;
+    logger.error(`Error storing ${key} in the response cache:`, error);
+  }
+};
+
+/**
+ * Get the cache counters and the stored entries per method
+ * @returns {Promise<Object>} Cache status
+ */
+exports.getStats = async () => {
+  const methods = await ApiCacheEntry.aggregate([
+    { $match: { expiresAt: { $gt: new Date() } } },
+    {
+      $group: {
+        _id: '$method',
+        entries: { $sum: 1 },
+        size: { $sum: '$size' },
+        hits: { $sum: '$hits' },
+        oldestStoredAt: { $min: '$updatedAt' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    enabled: isEnabled,
+    ttlMs: TTL_MS,
+    methods: methods.map(({ _id, ...method }) => ({ method: _id, ...method })),
+    ...stats
+  };
+};
+
+/**
+ * List stored entries without their response bodies
+ * @param {Object} options - List options
+ * @param {string} options.method - Only entries for this API method
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Entries per page
+ * @returns {Promise<Object>} { entries, total }
+ */
+exports.listEntries = async ({ method, page = 1, limit = CODEFORCES.RESPONSE_CACHE.ENTRY_PAGE_SIZE } = {}) => {
+  const filter = method ? { method } : {};
+
+  const [entries, total] = await Promise.all([
+    ApiCacheEntry.find(filter)
+      .select('-data')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ApiCacheEntry.countDocuments(filter)
+  ]);
+
+  return { entries, total };
+};
+
+/**
+ * Remove stored responses
+ * @param {Object} options - Purge options; without any, the whole cache is purged
+ * @param {string} options.method - Only entries for this API method
+ * @param {string} options.key - Only the entry with this key
+ * @returns {Promise<number>} Number of removed entries
+ */
+exports.purge = async ({ method, key } = {}) => {
+  const filter = {};
+  if (method) filter.method = method;
+  if (key) filter.key = toKey(key);
+
+  const result = await ApiCacheEntry.deleteMany(filter);
+  logger.info(`Purged ${result.deletedCount} entries from the response cache`);
+
+  return result.deletedCount;
+};
@@ -1,11 +1,21 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const logger = require('../utils/logger');
 const Student = require('../models/Student');
 const CodeforcesData = require('../models/CodeforcesData');
+const Submission = require('../models/Submission');
+const PlatformData = require('../models/PlatformData');
+const CodeforcesSettings = require('../models/CodeforcesSettings');
+const { evaluateStudentGoals } = require('./goalService');
+const { withUnsolvedCounts } = require('./upsolveService');
+const requestQueue = require('./codeforcesRequestQueue');
+const responseCache = require('./codeforcesResponseCache');
+const fixtures = require('./codeforcesFixtures');
 const { subDays } = require('date-fns');
+const { CODEFORCES, HANDLE_STATUS } = require('../utils/constants');
 
-// Sleep function for rate limiting
+// Sleep function for retry delays
 const sleep = promisify(setTimeout);
 
 // Base URL for Codeforces API
@@ -14,11 +24,15 @@ const CF_API_BASE_URL = process.env.CODEFORCES_API_BASE_URL || 'https://codeforc
 // Maximum retries for API calls
 const MAX_RETRIES = 3;
 
-// Delay between retries (in ms)
+// Delay before retrying a failed request (in ms); rate-limited requests wait for the queue's backoff instead
 const RETRY_DELAY = 2000;
 
-// Delay between API calls to avoid rate limiting (in ms)
-const API_CALL_DELAY = 500;
+// Maximum number of handles sent in a single user.info request
+const USER_INFO_BATCH_SIZE = 200;
+
+// Number of submissions requested per user.status page
+const SUBMISSION_PAGE_SIZE = 500;
+
 
 /**
  * Fetch user info from Codeforces API
@@ -38,7 +52,7 @@ exports.fetchUserInfo = async (handle) => {
     logger.error(`Error fetching user info for ${handle}:`, error);
     
     // Return null for "not found" errors, but throw other errors
-    if (error.response && error.response.data && error.response.data.comment === 'handles: User with handle handles not found') {
+    if (isHandleNotFound(error)) {
       return null;
     }
     
@@ -46,21 +60,145 @@ exports.fetchUserInfo = async (handle) => {
   }
 };
 
+/**
+ * Fetch user info for many handles at once
+ * Codeforces rejects the whole request when one handle is unknown, so unknown
+ * handles are dropped one at a time and the request is repeated
+ * @param {Array<string>} handles - Codeforces handles
+ * @returns {Promise<Map>} Map of lowercased handle to user info; unknown handles are absent
+ */
+exports.fetchUsersInfo = async (handles) => {
+  const usersByHandle = new Map();
+  let pending = [...new Set(handles.filter(Boolean))];
+
+  for (let start = 0; start < pending.length; start += USER_INFO_BATCH_SIZE) {
+    let batch = pending.slice(start, start + USER_INFO_BATCH_SIZE);
+
+    while (batch.length > 0) {
+      try {
+        const response = await makeApiRequest(`/user.info?handles=${batch.join(';')}`);
+
+        if (response.status === 'OK') {
+          response.result.forEach(user => usersByHandle.set(user.handle.toLowerCase(), user));
+        }
+        break;
+      } catch (error) {
+        const comment = error.response && error.response.data && error.response.data.comment;
+        const match = comment && /User with handle (\S+) not found/.exec(comment);
+
+        if (!match) {
+          logger.error(`Error fetching user info for ${batch.length} handles:`, error);
+          throw error;
+        }
+
+        const missing = match[1].toLowerCase();
+        const remaining = batch.filter(handle => handle.toLowerCase() !== missing);
+
+        // Retrying the same batch would fail the same way forever
+        if (remaining.length === batch.length) {
+          logger.error(`Codeforces reported handle ${match[1]}, which is not in the batch, as not found`);
+          throw error;
+        }
+
+        batch = remaining;
+      }
+    }
+  }
+
+  return usersByHandle;
+};
+
+/**
+ * Look up a student's handle, following a rename on Codeforces
+ * Codeforces answers user.info for a renamed handle with the account under its
+ * new handle; the student is then moved to the new handle the same way as a
+ * manual handle change
+ * @param {string} studentId - MongoDB ObjectId of the student
+ * @param {string} handle - Codeforces handle stored for the student
+ * @returns {Promise<Object>} { userInfo, handle (current handle), renamedFrom (old handle or null) }
+ */
+exports.resolveHandle = async (studentId, handle) => {
+  const userInfo = await exports.fetchUserInfo(handle);
+  
+  if (!userInfo) {
+    throw createSyncError(HANDLE_STATUS.STATUSES.NOT_FOUND, `User info not found for handle: ${handle}`);
+  }
+  
+  if (userInfo.handle.toLowerCase() === handle.toLowerCase()) {
+    return { userInfo, handle, renamedFrom: null };
+  }
+  
+  logger.info(`Codeforces handle ${handle} was renamed to ${userInfo.handle}`);
+  await applyHandleRename(studentId, handle, userInfo.handle);
+  
+  return { userInfo, handle: userInfo.handle.toLowerCase(), renamedFrom: handle };
+};
+
+/**
+ * Work out why a sync failed
+ * @param {Error} error - Error thrown by the sync
+ * @returns {string} One of HANDLE_STATUS.STATUSES
+ */
+exports.classifySyncError = (error) => {
+  if (error.syncStatus) return error.syncStatus;
+  if (isHandleNotFound(error)) return HANDLE_STATUS.STATUSES.NOT_FOUND;
+  if (isRateLimited(error)) return HANDLE_STATUS.STATUSES.RATE_LIMITED;
+  
+  // No response at all, or a server error, means Codeforces is down or unreachable
+  if (error.isAxiosError && (!error.response || error.response.status >= 500)) {
+    return HANDLE_STATUS.STATUSES.API_UNAVAILABLE;
+  }
+  
+  return HANDLE_STATUS.STATUSES.FAILED;
+};
+
+/**
+ * Record a failed sync on the student so the failure is visible in the student list
+ * Failures to record are only logged, so the original error is the one reported
+ * @param {string} studentId - MongoDB ObjectId of the student
+ * @param {Error} error - Error thrown by the sync
+ * @returns {Promise<void>}
+ */
+exports.recordSyncFailure = async (studentId, error) => {
+  const status = exports.classifySyncError(error);
+  
+  await Student.recordSyncFailure(studentId, status, error.message)
+    .catch(err => logger.error(`Failed to record sync failure for student ${studentId}:`, err));
+};
+
 /**
  * Fetch user submissions from Codeforces API
+ * Pages are requested newest first; with afterId, paging stops at the first
+ * submission that is not newer than it
  * @param {string} handle - Codeforces handle
- * @returns {Promise<Array>} Array of submissions
+ * @param {Object} options - Fetch options
+ * @param {number} options.afterId - Only return submissions with a higher ID
+ * @returns {Promise<Array>} Array of submissions, newest first
  */
-exports.fetchUserSubmissions = async (handle) => {
+exports.fetchUserSubmissions = async (handle, { afterId = null } = {}) => {
   try {
-    const response = await makeApiRequest(`/user.status?handle=${handle}&from=1&count=10000`);
+    // Keyed by ID, as a submission made while paging shifts the later pages by one
+    const submissions = new Map();
     
-    if (response.status === 'OK') {
-      // Process and transform submissions
-      return processSubmissions(response.result);
+    for (let from = 1; ; from += SUBMISSION_PAGE_SIZE) {
+      const response = await makeApiRequest(`/user.status?handle=${handle}&from=${from}&count=${SUBMISSION_PAGE_SIZE}`);
+      
+      if (response.status !== 'OK') {
+        break;
+      }
+      
+      const page = response.result;
+      const fresh = afterId === null ? page : page.filter(submission => submission.id > afterId);
+      fresh.forEach(submission => submissions.set(submission.id, submission));
+      
+      // A known submission means every older one is known as well
+      if (fresh.length < page.length || page.length < SUBMISSION_PAGE_SIZE) {
+        break;
+      }
     }
     
-    return [];
+    // Process and transform submissions
+    return processSubmissions([...submissions.values()]);
   } catch (error) {
     logger.error(`Error fetching submissions for ${handle}:`, error);
     throw error;
@@ -68,25 +206,125 @@ exports.fetchUserSubmissions = async (handle) => {
 };
 
 /**
- * Fetch user contest history from Codeforces API
+ * Fetch the submissions made since the last sync and upsert them into the Submission collection
+ * @param {string} studentId - MongoDB ObjectId of the student
  * @param {string} handle - Codeforces handle
- * @returns {Promise<Array>} Array of contests
+ * @param {Object|null} codeforcesData - Current CodeforcesData document, if any
+ * @returns {Promise<Object>} { solvedProblems (one per problem solved with the handle), virtualSubmissions
+ *   (stored submissions from virtual participations), lastSubmissionDate, lastSubmissionId, newCount }
  */
-exports.fetchContestProblems = async (contestId) => {
-  try {
-    const response = await makeApiRequest(`/contest.standings?contestId=${contestId}&from=1&count=1`);
+exports.syncSubmissions = async (studentId, handle, codeforcesData) => {
+  // Documents the migration has not reached yet still embed their submissions
+  if (codeforcesData && codeforcesData.submissions && codeforcesData.submissions.length > 0) {
+    const moved = await Submission.importEmbedded(codeforcesData);
+    logger.info(`Moved ${moved} embedded submissions for ${codeforcesData.handle} into the Submission collection`);
+  }
+  
+  // Submissions stored before participant types were kept are fetched once more to fill them in
+  const afterId = await Submission.hasMissingParticipantTypes(studentId, handle)
+    ? null
+    : await Submission.getHighWaterMark(studentId, handle);
+  const fresh = await exports.fetchUserSubmissions(handle, { afterId });
+  await Submission.upsertProcessed(studentId, handle, fresh);
+  
+  // Only what the statistics and virtual contests need is read back, not every stored submission
+  const [solvedProblems, virtualSubmissions, lastSubmissionDate, lastSubmissionId] = await Promise.all([
+    Submission.getSolvedProblems(studentId, { handle }),
+    Submission.findFlat({
+      student: studentId,
+      handle,
+      participantType: CODEFORCES.PARTICIPANT_TYPES.VIRTUAL,
+      fromContestStatus: { $ne: true }
+    }),
+    Submission.getLastSubmissionDate(studentId, handle),
+    Submission.getHighWaterMark(studentId, handle)
+  ]);
+  
+  logger.info(`Fetched ${fresh.length} new submissions for ${handle} (${solvedProblems.length} problems solved)`);
+  
+  return {
+    solvedProblems,
+    virtualSubmissions,
+    lastSubmissionDate,
+    lastSubmissionId,
+    newCount: fresh.length
+  };
+};
+
+/**
+ * Score a handle's virtual participations from the unofficial contest standings
+ * Participations are found from the stored submissions, so one without any
+ * submission cannot be seen. Private group and mashup participations are left
+ * to the group contest sync.
+ * @param {string} handle - Codeforces handle
+ * @param {Array} submissions - Stored submissions of the handle; only virtual ones are used
+ * @param {Array} previous - Virtual participations stored by the last sync
+ * @returns {Promise<Array>} Virtual participations, oldest first
+ */
+exports.fetchVirtualContests = async (handle, submissions, previous = []) => {
+  const participations = new Map();
+  submissions
+    .filter(submission => submission.participantType === CODEFORCES.PARTICIPANT_TYPES.VIRTUAL &&
+      !submission.fromContestStatus && submission.participationStartTime && submission.contestId)
+    .forEach(submission => {
+      const startTime = new Date(submission.participationStartTime);
+      participations.set(`${submission.contestId}:${startTime.getTime()}`, { contestId: submission.contestId, startTime });
+    });
+  
+  const stored = new Map(previous.map(contest => [
+    `${contest.contestId}:${new Date(contest.startTime).getTime()}`,
+    contest.toObject ? contest.toObject() : contest
+  ]));
+  const virtualContests = [];
+  
+  for (const [key, { contestId, startTime }] of participations) {
+    const known = stored.get(key);
     
-    if (response.status === 'OK') {
-      return response.result.problems;
+    // A participation that had ended when it was scored will not change
+    if (known && known.endTime && known.syncedAt && known.endTime <= known.syncedAt) {
+      virtualContests.push(known);
+      continue;
     }
     
-    return [];
-  } catch (error) {
-    logger.error(`Error fetching problems for contest ${contestId}:`, error);
-    throw error;
+    try {
+      const response = await makeApiRequest(`/contest.standings?contestId=${contestId}&handles=${handle}&showUnofficial=true`);
+      const { contest, problems, rows } = response.result;
+      const row = rows.find(candidate => candidate.party.participantType === CODEFORCES.PARTICIPANT_TYPES.VIRTUAL &&
+        candidate.party.startTimeSeconds * 1000 === startTime.getTime());
+      
+      if (!row) {
+        logger.warn(`No standings row for the virtual participation of ${handle} in contest ${contestId}`);
+        if (known) virtualContests.push(known);
+        continue;
+      }
+      
+      virtualContests.push({
+        contestId,
+        contestName: contest.name,
+        startTime,
+        endTime: new Date(startTime.getTime() + contest.durationSeconds * 1000),
+        rank: row.rank,
+        points: row.points,
+        penalty: row.penalty,
+        solvedCount: row.problemResults.filter(result => result.points > 0).length,
+        problemCount: problems.length,
+        syncedAt: new Date()
+      });
+    } catch (error) {
+      // The participation is scored on the next sync instead
+      logger.warn(`Error scoring the virtual participation of ${handle} in contest ${contestId}:`, error.message);
+      if (known) virtualContests.push(known);
+    }
   }
+  
+  return virtualContests.sort((a, b) => a.startTime - b.startTime);
 };
 
+/**
+ * Fetch user contest history from Codeforces API
+ * @param {string} handle - Codeforces handle
+ * @returns {Promise<Array>} Array of contests
+ */
 exports.fetchUserContests = async (handle) => {
   try {
     const response = await makeApiRequest(`/user.rating?handle=${handle}`);
@@ -109,6 +347,105 @@ exports.fetchUserContests = async (handle) => {
   }
 };
 
+/**
+ * Fetch the list of Codeforces contests (gym contests are not included)
+ * @returns {Promise<Array>} Array of contests as returned by contest.list
+ */
+exports.fetchContestList = async () => {
+  try {
+    const response = await makeApiRequest(`${CODEFORCES.CONTEST_LIST_ENDPOINT}?gym=false`);
+
+    if (response.status === 'OK') {
+      return response.result;
+    }
+
+    return [];
+  } catch (error) {
+    logger.error('Error fetching contest list:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch every problem in the Codeforces problemset
+ * @returns {Promise<Object>} { problems, problemStatistics } as returned by problemset.problems
+ */
+exports.fetchProblemset = async () => {
+  try {
+    const response = await makeApiRequest(CODEFORCES.PROBLEM_SET_ENDPOINT);
+
+    if (response.status === 'OK') {
+      return response.result;
+    }
+
+    return { problems: [], problemStatistics: [] };
+  } catch (error) {
+    logger.error('Error fetching problemset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the contests of a private group
+ * @param {string} groupCode - Group code from the group URL
+ * @returns {Promise<Array>} Array of contests as returned by contest.list
+ */
+exports.fetchGroupContests = async (groupCode) => {
+  try {
+    const response = await makeApiRequest(`${CODEFORCES.CONTEST_LIST_ENDPOINT}?groupCode=${groupCode}`, { authenticated: true });
+
+    if (response.status === 'OK') {
+      return response.result;
+    }
+
+    return [];
+  } catch (error) {
+    logger.error(`Error fetching contests of group ${groupCode}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch the standings of a contest, including virtual and out-of-competition participants
+ * Signed, so private group contests and mashups can be read
+ * @param {number} contestId - Codeforces contest ID
+ * @returns {Promise<Object>} { contest, problems, rows } as returned by contest.standings
+ */
+exports.fetchContestStandings = async (contestId) => {
+  try {
+    const response = await makeApiRequest(`/contest.standings?contestId=${contestId}&showUnofficial=true`, { authenticated: true });
+    return response.result;
+  } catch (error) {
+    logger.error(`Error fetching standings of contest ${contestId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch every submission made in a contest
+ * Signed, so private group contests and mashups can be read
+ * @param {number} contestId - Codeforces contest ID
+ * @returns {Promise<Array>} Processed submissions, each with the handles of its party
+ */
+exports.fetchContestSubmissions = async (contestId) => {
+  try {
+    const response = await makeApiRequest(`/contest.status?contestId=${contestId}`, { authenticated: true });
+
+    if (response.status !== 'OK') {
+      return [];
+    }
+
+    const submissions = processSubmissions(response.result);
+    return submissions.map((submission, index) => ({
+      ...submission,
+      handles: response.result[index].author.members.map(member => member.handle.toLowerCase())
+    }));
+  } catch (error) {
+    logger.error(`Error fetching submissions of contest ${contestId}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Sync Codeforces data for a student
  * @param {string} studentId - MongoDB ObjectId of the student
@@ -119,49 +456,55 @@ exports.syncStudentCodeforcesData = async (studentId, handle) => {
   try {
     logger.info(`Syncing Codeforces data for student ${studentId} with handle ${handle}`);
     
-    // Fetch all data in parallel
-    const [userInfo, submissions, contests] = await Promise.all([
-      exports.fetchUserInfo(handle),
-      exports.fetchUserSubmissions(handle),
-      exports.fetchUserContests(handle)
-    ]);
+    // Look the handle up first, as a renamed handle changes what is fetched below
+    const { userInfo, handle: currentHandle, renamedFrom } = await exports.resolveHandle(studentId, handle);
     
-    if (!userInfo) {
-      throw new Error(`User info not found for handle: ${handle}`);
-    }
+    // Find the Codeforces data document for the current handle
+    let codeforcesData = await CodeforcesData.findCurrent(studentId);
+    
+    // Fetch the rest in parallel; new submissions go straight into the Submission collection
+    const [{ solvedProblems, virtualSubmissions, lastSubmissionDate, lastSubmissionId }, fetchedContests] = await Promise.all([
+      exports.syncSubmissions(studentId, currentHandle, codeforcesData),
+      exports.fetchUserContests(currentHandle)
+    ]);
     
-    // Calculate statistics from submissions
-    const statistics = calculateStatistics(submissions);
+    // Count the problems left to upsolve now that the new submissions are stored
+    const contests = await withUnsolvedCounts(studentId, fetchedContests);
+    const virtualContests = await exports.fetchVirtualContests(
+      currentHandle,
+      virtualSubmissions,
+      codeforcesData ? codeforcesData.virtualContests : []
+    );
     
-    // Find or create Codeforces data document
-    let codeforcesData = await CodeforcesData.findOne({ student: studentId });
+    // Calculate statistics from the solved problems
+    const statistics = calculateStatistics(solvedProblems);
     
     if (codeforcesData) {
       // Update existing data
-      codeforcesData.handle = handle;
+      codeforcesData.handle = currentHandle;
       codeforcesData.contests = contests;
-      codeforcesData.submissions = submissions;
+      codeforcesData.virtualContests = virtualContests;
+      codeforcesData.lastSubmissionId = lastSubmissionId;
       codeforcesData.statistics = statistics;
       codeforcesData.userInfo = userInfo;
       codeforcesData.lastUpdated = new Date();
       
       // Update last submission date
-      if (submissions.length > 0) {
-        const submissionDates = submissions.map(s => new Date(s.submissionTime));
-        codeforcesData.lastSubmissionDate = new Date(Math.max(...submissionDates));
+      if (lastSubmissionDate) {
+        codeforcesData.lastSubmissionDate = lastSubmissionDate;
       }
     } else {
       // Create new data document
       codeforcesData = new CodeforcesData({
         student: studentId,
-        handle,
+        handle: currentHandle,
         contests,
-        submissions,
+        virtualContests,
+        lastSubmissionId,
         statistics,
         userInfo,
         lastUpdated: new Date(),
-        lastSubmissionDate: submissions.length > 0 ? 
-          new Date(Math.max(...submissions.map(s => new Date(s.submissionTime)))) : null
+        lastSubmissionDate
       });
     }
     
@@ -173,10 +516,16 @@ exports.syncStudentCodeforcesData = async (studentId, handle) => {
     if (student) {
       student.currentRating = userInfo.rating || 0;
       student.maxRating = userInfo.maxRating || userInfo.rating || 0;
+      student.codeforcesRank = userInfo.rank || null;
+      student.avatar = userInfo.titlePhoto || userInfo.avatar || null;
+      student.ratingUpdatedAt = new Date();
       student.lastDataUpdate = new Date();
+      student.markHandleSynced(renamedFrom);
       
-      // Check for inactivity (7 days without submissions)
-      const isInactive = isStudentInactive(submissions, 7);
+      // Check for inactivity (7 days without submissions on Codeforces or any linked platform)
+      const platformLastSubmission = await PlatformData.getLastSubmissionDate(studentId);
+      const isInactive = isStudentInactive(lastSubmissionDate, 7) &&
+        (!platformLastSubmission || platformLastSubmission < subDays(new Date(), 7));
       
       if (isInactive && !student.inactivityStatus.isInactive) {
         student.inactivityStatus.isInactive = true;
@@ -189,47 +538,185 @@ exports.syncStudentCodeforcesData = async (studentId, handle) => {
       await student.save();
     }
     
-    logger.info(`Successfully synced Codeforces data for ${handle}`);
+    // Goal progress follows the freshly synced data
+    await evaluateStudentGoals(studentId)
+      .catch(err => logger.error(`Failed to evaluate goals for student ${studentId}:`, err));
+    
+    logger.info(`Successfully synced Codeforces data for ${currentHandle}`);
     return codeforcesData;
   } catch (error) {
     logger.error(`Error syncing Codeforces data for ${handle}:`, error);
+    await exports.recordSyncFailure(studentId, error);
     throw error;
   }
 };
 
 /**
- * Make an API request with retry logic
+ * Check whether Codeforces rejected a request for exceeding the call limit
+ * @param {Error} error - Request error
+ * @returns {boolean} True for rate-limit responses
+ */
+function isRateLimited(error) {
+  const status = error.response && error.response.status;
+  const comment = error.response && error.response.data && error.response.data.comment;
+  
+  return status === 429 || status === 503 || /call limit exceeded/i.test(comment || '');
+}
+
+/**
+ * Check whether Codeforces reported that a handle does not exist
+ * @param {Error} error - Request error
+ * @returns {boolean} True for "not found" responses
+ */
+function isHandleNotFound(error) {
+  const comment = error.response && error.response.data && error.response.data.comment;
+  return /User with handle \S+ not found/i.test(comment || '');
+}
+
+/**
+ * Create an error that carries the handle status it should be recorded as
+ * @param {string} syncStatus - One of HANDLE_STATUS.STATUSES
+ * @param {string} message - Error message
+ * @returns {Error} Error with a syncStatus property
+ */
+function createSyncError(syncStatus, message) {
+  const error = new Error(message);
+  error.syncStatus = syncStatus;
+  return error;
+}
+
+/**
+ * Move a student to the handle their Codeforces account was renamed to
+ * The data synced under the old handle is kept, as for a manual handle change
+ * @param {string} studentId - MongoDB ObjectId of the student
+ * @param {string} oldHandle - Handle stored for the student
+ * @param {string} newHandle - Handle Codeforces reported for the account
+ * @returns {Promise<void>}
+ */
+async function applyHandleRename(studentId, oldHandle, newHandle) {
+  const student = await Student.findById(studentId);
+  const changedAt = new Date();
+  
+  await CodeforcesData.updateMany(
+    { student: studentId, supersededAt: null },
+    { supersededAt: changedAt }
+  );
+  
+  // The old handle was in use from the previous change, or since the student was added
+  const previousChange = student.handleHistory[student.handleHistory.length - 1];
+  student.handleHistory.push({
+    handle: oldHandle,
+    from: previousChange ? previousChange.to : student.createdAt,
+    to: changedAt,
+    changedBy: null
+  });
+  student.codeforcesHandle = newHandle;
+  
+  await student.save();
+}
+
+/**
+ * Make an API request, serving it from the response cache when possible
+ * Recording and replaying fixtures skip the cache, so every response is recorded
+ * and replays never depend on what was cached. Cache entries and fixtures are
+ * keyed by the unsigned endpoint.
  * @param {string} endpoint - API endpoint
+ * @param {Object} options - Request options
+ * @param {boolean} options.authenticated - Sign the request with the configured API key
  * @returns {Promise<Object>} API response
  */
-async function makeApiRequest(endpoint, retries = 0) {
+async function makeApiRequest(endpoint, { authenticated = false } = {}) {
+  if (fixtures.isReplaying()) {
+    return fixtures.replay(endpoint);
+  }
+  if (fixtures.isRecording()) {
+    return fixtures.record(endpoint, () => requestFromApi(endpoint, { authenticated }));
+  }
+  
+  const cached = await responseCache.get(endpoint);
+  if (cached) return cached;
+  
+  const data = await requestFromApi(endpoint, { authenticated });
+  await responseCache.set(endpoint, data);
+  
+  return data;
+}
+
+/**
+ * Sign an endpoint with an API key
+ * @param {string} endpoint - API endpoint, e.g. "/contest.status?contestId=566"
+ * @param {Object} credentials - { apiKey, apiSecret }
+ * @returns {string} Endpoint with apiKey, time and apiSig added
+ */
+function signEndpoint(endpoint, credentials) {
+  const [method, query = ''] = endpoint.replace(/^\//, '').split('?');
+  const params = [...new URLSearchParams(query).entries()];
+  params.push(['apiKey', credentials.apiKey], ['time', String(Math.floor(Date.now() / 1000))]);
+  
+  // Parameters are signed sorted by name, then value, and without URL encoding
+  params.sort(([nameA, valueA], [nameB, valueB]) => (
+    nameA === nameB ? (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) : (nameA < nameB ? -1 : 1)
+  ));
+  
+  const rand = crypto.randomBytes(3).toString('hex');
+  const signed = `${rand}/${method}?${params.map(([name, value]) => `${name}=${value}`).join('&')}#${credentials.apiSecret}`;
+  const apiSig = rand + crypto.createHash('sha512').update(signed).digest('hex');
+  
+  const search = new URLSearchParams([...params, ['apiSig', apiSig]]);
+  return `/${method}?${search.toString()}`;
+}
+
+/**
+ * Request an endpoint from Codeforces with retry logic
+ * Requests wait their turn in the shared request queue, which keeps the whole
+ * process under the Codeforces rate limit
+ * @param {string} endpoint - API endpoint
+ * @param {Object} options - Request options
+ * @param {boolean} options.authenticated - Sign the request with the configured API key
+ * @param {number} retries - Retries made so far
+ * @returns {Promise<Object>} API response
+ */
+async function requestFromApi(endpoint, { authenticated = false } = {}, retries = 0) {
+  const credentials = authenticated ? await CodeforcesSettings.getCredentials() : null;
+  if (authenticated && !credentials) {
+    throw new Error('Codeforces API credentials are not configured');
+  }
+  
   try {
-    // Add delay to avoid rate limiting
-    if (retries > 0) {
-      await sleep(RETRY_DELAY);
-    } else {
-      await sleep(API_CALL_DELAY);
-    }
-    
-    const url = `${CF_API_BASE_URL}${endpoint}`;
-    logger.debug(`Making API request to: ${url}`);
-    
-    const response = await axios.get(url, {
-      timeout: 10000, // 10 seconds timeout
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Student-Progress-Management-System'
-      }
+    const response = await requestQueue.schedule(() => {
+      // Codeforces rejects signatures more than 5 minutes old, so the request is signed once it leaves the queue
+      const url = `${CF_API_BASE_URL}${authenticated ? signEndpoint(endpoint, credentials) : endpoint}`;
+      // The signed URL carries the API key, so only the unsigned endpoint is logged
+      logger.debug(`Making ${authenticated ? 'signed ' : ''}API request to: ${endpoint}`);
+      
+      return axios.get(url, {
+        timeout: 10000, // 10 seconds timeout
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Student-Progress-Management-System'
+        }
+      });
     });
     
+    requestQueue.recordSuccess();
     return response.data;
   } catch (error) {
     logger.warn(`API request failed: ${endpoint}`, error.message);
     
+    if (isRateLimited(error)) {
+      // Pause every queued request, not just this one
+      requestQueue.backOff();
+    } else if (error.response && error.response.status === 400) {
+      // Codeforces answers bad requests (e.g. unknown handles) with 400; retrying will not help
+      throw error;
+    } else if (retries < MAX_RETRIES) {
+      await sleep(RETRY_DELAY);
+    }
+    
     // Check if we should retry
     if (retries < MAX_RETRIES) {
       logger.info(`Retrying API request (${retries + 1}/${MAX_RETRIES}): ${endpoint}`);
-      return makeApiRequest(endpoint, retries + 1);
+      return requestFromApi(endpoint, { authenticated }, retries + 1);
     }
     
     throw error;
@@ -248,11 +735,20 @@ function processSubmissions(rawSubmissions) {
       problemId: `${submission.problem.contestId}${submission.problem.index}`,
       problemName: submission.problem.name,
       contestId: submission.contestId,
+      problemIndex: submission.problem.index,
       problemRating: submission.problem.rating || null,
-      verdict: submission.verdict,
+      // Submissions waiting in the queue have no verdict yet
+      verdict: submission.verdict || CODEFORCES.VERDICTS.TESTING,
       language: submission.programmingLanguage,
       submissionTime: new Date(submission.creationTimeSeconds * 1000),
-      tags: submission.problem.tags || []
+      tags: submission.problem.tags || [],
+      memoryConsumedBytes: submission.memoryConsumedBytes,
+      timeConsumedMillis: submission.timeConsumedMillis,
+      points: submission.points || 0,
+      participantType: submission.author.participantType,
+      participationStartTime: submission.author.startTimeSeconds
+        ? new Date(submission.author.startTimeSeconds * 1000)
+        : null
     };
   });
 }
@@ -272,86 +768,63 @@ function processContests(rawContests) {
       newRating: contest.newRating,
       ratingChange: contest.newRating - contest.oldRating,
       date: new Date(contest.ratingUpdateTimeSeconds * 1000),
-      unsolvedProblems: 0 // Will be updated later if needed
+      unsolvedProblems: 0 // Filled in by the upsolve tracker once submissions are stored
     };
   });
 }
 
 /**
- * Calculate statistics from submissions
- * @param {Array} submissions - Processed submissions
+ * Calculate statistics from solved problems
+ * @param {Array} solvedProblems - Problems solved, one entry each, from Submission.getSolvedProblems
  * @returns {Object} Statistics object
  */
-function calculateStatistics(submissions) {
-  // Filter accepted submissions only
-  const acceptedSubmissions = submissions.filter(s => s.verdict === 'OK');
-  
-  // Create a set of unique problem IDs
-  const uniqueProblemIds = new Set();
-  acceptedSubmissions.forEach(s => uniqueProblemIds.add(s.problemId));
-  
+function calculateStatistics(solvedProblems) {
   // Count problems by rating
   const solvedByRating = new Map();
-  const problemRatings = new Map();
   
   // Keep track of the most difficult problem
   let mostDifficultProblem = null;
   let highestRating = 0;
   
-  // Process each accepted submission
-  acceptedSubmissions.forEach(submission => {
-    const problemId = submission.problemId;
+  solvedProblems.forEach(problem => {
+    if (!problem.rating) {
+      return;
+    }
     
-    // Only count each problem once
-    if (!problemRatings.has(problemId)) {
-      problemRatings.set(problemId, submission.problemRating);
-      
-      // Count by rating bucket if rating exists
-      if (submission.problemRating) {
-        // Determine rating bucket (800-900, 900-1000, etc.)
-        const lowerBound = Math.floor(submission.problemRating / 100) * 100;
-        const upperBound = lowerBound + 100;
-        const ratingBucket = `${lowerBound}-${upperBound}`;
-        
-        // Increment count for this rating bucket
-        const currentCount = solvedByRating.get(ratingBucket) || 0;
-        solvedByRating.set(ratingBucket, currentCount + 1);
-        
-        // Update most difficult problem if applicable
-        if (submission.problemRating > highestRating) {
-          highestRating = submission.problemRating;
-          mostDifficultProblem = {
-            problemId: submission.problemId,
-            problemName: submission.problemName,
-            rating: submission.problemRating,
-            solvedOn: submission.submissionTime
-          };
-        }
-      }
+    // Determine rating bucket (800-900, 900-1000, etc.)
+    const lowerBound = Math.floor(problem.rating / 100) * 100;
+    const upperBound = lowerBound + 100;
+    const ratingBucket = `${lowerBound}-${upperBound}`;
+    
+    // Increment count for this rating bucket
+    solvedByRating.set(ratingBucket, (solvedByRating.get(ratingBucket) || 0) + 1);
+    
+    // Update most difficult problem if applicable
+    if (problem.rating > highestRating) {
+      highestRating = problem.rating;
+      mostDifficultProblem = {
+        problemId: problem.problemId,
+        problemName: problem.problemName,
+        rating: problem.rating,
+        solvedOn: problem.solvedOn
+      };
     }
   });
   
   // Calculate average rating of solved problems
-  let totalRating = 0;
-  let ratedProblemCount = 0;
-  
-  problemRatings.forEach(rating => {
-    if (rating) {
-      totalRating += rating;
-      ratedProblemCount++;
-    }
-  });
-  
-  const averageRating = ratedProblemCount > 0 ? totalRating / ratedProblemCount : 0;
+  const ratedProblems = solvedProblems.filter(problem => problem.rating);
+  const averageRating = ratedProblems.length > 0
+    ? ratedProblems.reduce((total, problem) => total + problem.rating, 0) / ratedProblems.length
+    : 0;
   
   // Calculate statistics for different time periods
   const now = new Date();
-  const last7Days = getStatsForPeriod(acceptedSubmissions, 7, now);
-  const last30Days = getStatsForPeriod(acceptedSubmissions, 30, now);
-  const last90Days = getStatsForPeriod(acceptedSubmissions, 90, now);
+  const last7Days = getStatsForPeriod(solvedProblems, 7, now);
+  const last30Days = getStatsForPeriod(solvedProblems, 30, now);
+  const last90Days = getStatsForPeriod(solvedProblems, 90, now);
   
   return {
-    totalSolved: uniqueProblemIds.size,
+    totalSolved: solvedProblems.length,
     solvedByRating,
     mostDifficultProblem,
     averageRating,
@@ -363,53 +836,41 @@ function calculateStatistics(submissions) {
 
 /**
  * Get statistics for a specific time period
- * @param {Array} submissions - Accepted submissions
+ * @param {Array} solvedProblems - Problems solved, one entry each
  * @param {number} days - Number of days to look back
  * @param {Date} endDate - End date for the period
  * @returns {Object} Period statistics
  */
-function getStatsForPeriod(submissions, days, endDate) {
+function getStatsForPeriod(solvedProblems, days, endDate) {
   const startDate = subDays(endDate, days);
   
-  // Filter submissions in the time period
-  const periodSubmissions = submissions.filter(s => {
-    const submissionDate = new Date(s.submissionTime);
-    return submissionDate >= startDate && submissionDate <= endDate;
-  });
-  
-  // Count unique problems
-  const uniqueProblemIds = new Set();
-  periodSubmissions.forEach(s => uniqueProblemIds.add(s.problemId));
-  
-  // Calculate average per day
-  const solved = uniqueProblemIds.size;
-  const averagePerDay = solved / days;
+  // A problem counts when it was accepted at some point in the period
+  const solved = solvedProblems.filter(problem => {
+    const lastSolvedOn = new Date(problem.lastSolvedOn);
+    return lastSolvedOn >= startDate && lastSolvedOn <= endDate;
+  }).length;
   
   return {
     solved,
-    averagePerDay
+    averagePerDay: solved / days
   };
 }
 
 /**
- * Check if a student is inactive based on submissions
- * @param {Array} submissions - All submissions
+ * Check if a student is inactive based on their latest submission
+ * @param {Date|null} lastSubmissionDate - Time of the latest submission
  * @param {number} days - Number of days to check for inactivity
  * @returns {boolean} True if student is inactive
  */
-function isStudentInactive(submissions, days) {
-  if (submissions.length === 0) {
+function isStudentInactive(lastSubmissionDate, days) {
+  if (!lastSubmissionDate) {
     return true; // No submissions means inactive
   }
   
-  // Find the most recent submission
-  const submissionDates = submissions.map(s => new Date(s.submissionTime));
-  const lastSubmissionDate = new Date(Math.max(...submissionDates));
-  
   // Calculate days since last submission
   const now = new Date();
   const daysSinceLastSubmission = Math.floor(
-    (now - lastSubmissionDate) / (1000 * 60 * 60 * 24)
+    (now - new Date(lastSubmissionDate)) / (1000 * 60 * 60 * 24)
   );
   
   return daysSinceLastSubmission >= days;
@@ -430,27 +891,4 @@ exports.validateHandle = async (handle) => {
   }
 };
 
-/**
- * Get unsolved problems count for a contest
- * @param {string} handle - Codeforces handle
- * @param {number} contestId - Contest ID
- * @returns {Promise<number>} Number of unsolved problems
- */
-exports.getUnsolvedProblemsForContest = async (handle, contestId) => {
-  try {
-    const [contestProblems, userSubmissions] = await Promise.all([
-      exports.fetchContestProblems(contestId),
-      exports.fetchUserSubmissions(handle)
-    ]);
-
-    const contestSubmissions = userSubmissions.filter(s => s.contestId === contestId && s.verdict === 'OK');
-    const solvedProblems = new Set(contestSubmissions.map(s => s.problemId));
-
-    const unsolvedProblems = contestProblems.filter(p => !solvedProblems.has(`${p.contestId}-${p.index}`));
-
-    return unsolvedProblems.length;
-  } catch (error) {
-    logger.error(`Error getting unsolved problems for contest ${contestId}:`, error);
-    return 0;
-  }
-};
+exports.calculateStatistics = calculateStatistics;
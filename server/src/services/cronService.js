@@ -366,6 +366,18 @@ function getJobHandler(jobName) {
         const { manualSyncCodeforcesData } = require('../jobs/dataSync');
         return manualSyncCodeforcesData;
         
+      case 'ratingRefresh':
+        const { refreshStudentRatings } = require('../jobs/ratingRefresh');
+        return refreshStudentRatings;
+        
+      case 'catalogSync':
+        const { syncCatalog } = require('../jobs/catalogSync');
+        return syncCatalog;
+        
+      case 'groupContestSync':
+        const { syncGroupContests } = require('../jobs/groupContestSync');
+        return syncGroupContests;
+        
       case 'inactivityCheck':
         const { checkStudentInactivity } = require('../jobs/inactivityCheck');
         return checkStudentInactivity;
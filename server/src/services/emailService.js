@@ -5,6 +5,7 @@ const path = require('path');
 const logger = require('../utils/logger');
 const EmailLog = require('../models/EmailLog');
 const Student = require('../models/Student');
+const { STUDENT_PORTAL } = require('../utils/constants');
 
 /**
  * Email Service
@@ -111,6 +112,7 @@ const sendEmail = async (options) => {
  * @param {Object} student - Student document
  * @param {number} daysSinceLastSubmission - Days since last submission
  * @param {Object} options - Additional options
+ * @param {Array<string>} options.offTrackGoals - Descriptions of goals the student is behind on
  * @returns {Promise<Object>} Send result
  */
 exports.sendInactivityReminder = async (student, daysSinceLastSubmission, options = {}) => {
@@ -125,11 +127,16 @@ exports.sendInactivityReminder = async (student, daysSinceLastSubmission, option
     const templateName = options.template || 'inactivity_reminder';
     const template = await loadTemplate(templateName);
     
+    const offTrackGoals = options.offTrackGoals || [];
+    
     // Prepare data for template
     const templateData = {
       name: student.name,
       handle: student.codeforcesHandle,
       days: daysSinceLastSubmission,
+      goals: offTrackGoals.length > 0
+        ? `<p><strong>Goals you are falling behind on:</strong></p><ul>${offTrackGoals.map(goal => `<li>${goal}</li>`).join('')}</ul>`
+        : '',
       currentRating: student.currentRating,
       maxRating: student.maxRating,
       reminderCount: student.emailReminders.count + 1,
@@ -142,7 +149,10 @@ exports.sendInactivityReminder = async (student, daysSinceLastSubmission, option
     const html = fillTemplate(template, templateData);
     
     // Create plain text version
-    const text = `Hi ${student.name},\n\nWe noticed you haven't solved any Codeforces problems in the last ${daysSinceLastSubmission} days. Regular practice is important for improving your programming skills.\n\nYour current rating: ${student.currentRating}\nYour max rating: ${student.maxRating}\n\nKeep coding!\n\nTo unsubscribe from these reminders, visit: ${templateData.unsubscribeLink}`;
+    const goalText = offTrackGoals.length > 0
+      ? `\n\nGoals you are falling behind on:\n${offTrackGoals.map(goal => `- ${goal}`).join('\n')}`
+      : '';
+    const text = `Hi ${student.name},\n\nWe noticed you haven't solved any Codeforces problems in the last ${daysSinceLastSubmission} days. Regular practice is important for improving your programming skills.\n\nYour current rating: ${student.currentRating}\nYour max rating: ${student.maxRating}${goalText}\n\nKeep coding!\n\nTo unsubscribe from these reminders, visit: ${templateData.unsubscribeLink}`;
     
     // Send the email
     const result = await sendEmail({
@@ -204,7 +214,7 @@ exports.sendWelcomeEmail = async (student) => {
     const templateData = {
       name: student.name,
       handle: student.codeforcesHandle,
-      dashboardLink: `${process.env.CLIENT_URL || 'http://localhost:3000'}/students/${student._id}`,
+      dashboardLink: `${process.env.CLIENT_URL || 'http://localhost:3000'}/portal/login`,
       currentDate: new Date().toLocaleDateString(),
       subject: 'Welcome to Student Progress Management System'
     };
@@ -249,6 +259,39 @@ exports.sendWelcomeEmail = async (student) => {
   }
 };
 
+/**
+ * Send a one-time portal login link to a student
+ * The link is not stored in the email log since it grants access to the portal
+ * @param {Object} student - Student document
+ * @param {string} loginLink - Magic link URL containing the login token
+ * @returns {Promise<Object>} Send result
+ */
+exports.sendPortalLoginLink = async (student, loginLink) => {
+  try {
+    const subject = STUDENT_PORTAL.LOGIN_SUBJECT;
+    const ttl = STUDENT_PORTAL.LOGIN_LINK_TTL_MINUTES;
+
+    const html = fillTemplate(await loadTemplate('portal_login'), {
+      name: student.name,
+      loginLink,
+      ttl,
+      subject
+    });
+
+    const text = `Hi ${student.name},\n\nUse the link below to sign in to your Student Progress dashboard. It expires in ${ttl} minutes and can only be used once.\n\n${loginLink}\n\nIf you did not request this link, you can ignore this email.`;
+
+    return await sendEmail({
+      to: student.email,
+      subject,
+      text,
+      html
+    });
+  } catch (error) {
+    logger.error(`Error sending portal login link to ${student.name}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Check if transporter is working
  * @returns {Promise<boolean>} True if working
@@ -366,6 +409,8 @@ exports.ensureTemplatesExist = async () => {
         </ul>
       </div>
       
+      {{goals}}
+      
       <p>Why not take some time today to solve a problem? Consistent practice leads to consistent improvement!</p>
       
       <p style="text-align: center; margin: 30px 0;">
@@ -436,6 +481,44 @@ exports.ensureTemplatesExist = async () => {
     </div>
   </div>
 </body>
+</html>
+      `,
+      'portal_login': `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>{{subject}}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: #4a69bd; color: white; padding: 10px 20px; text-align: center; }
+    .content { padding: 20px; background-color: #f8f9fa; }
+    .footer { font-size: 12px; color: #666; text-align: center; margin-top: 20px; }
+    .button { display: inline-block; background-color: #4a69bd; color: white; padding: 10px 20px; 
+              text-decoration: none; border-radius: 4px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Sign in to Student Progress</h1>
+    </div>
+    <div class="content">
+      <p>Hello {{name}},</p>
+      
+      <p>Click the button below to view your progress dashboard. This link expires in
+      <strong>{{ttl}} minutes</strong> and can only be used once.</p>
+      
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="{{loginLink}}" class="button">Open My Dashboard</a>
+      </p>
+      
+      <p>If you did not request this link, you can safely ignore this email.</p>
+      <p>Student Progress Management Team</p>
+    </div>
+  </div>
+</body>
 </html>
       `
     };
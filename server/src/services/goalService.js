@@ -0,0 +1,205 @@
+/**
+ * Goal Service
+ * Works out progress on students' goals from their synced Codeforces data
+ */
+
+const { startOfWeek, endOfWeek, startOfMonth, endOfMonth } = require('date-fns');
+const Student = require('../models/Student');
+const Goal = require('../models/Goal');
+const CodeforcesData = require('../models/CodeforcesData');
+const GroupContest = require('../models/GroupContest');
+const logger = require('../utils/logger');
+const { GOALS, CODEFORCES } = require('../utils/constants');
+
+/**
+ * Get the time window a goal is measured over
+ * @param {Object} goal - Goal document
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { start, end }
+ */
+const getGoalWindow = (goal, now) => {
+  if (goal.period === GOALS.PERIODS.WEEK) {
+    return { start: startOfWeek(now, { weekStartsOn: 1 }), end: endOfWeek(now, { weekStartsOn: 1 }) };
+  }
+  if (goal.period === GOALS.PERIODS.MONTH) {
+    return { start: startOfMonth(now), end: endOfMonth(now) };
+  }
+  return { start: goal.createdAt || now, end: goal.deadline };
+};
+
+/**
+ * Count problems first solved inside a window
+ * Problems solved before the window do not count again
+ * @param {Array<Object>} submissions - Stored submissions
+ * @param {Object} window - { start, end }
+ * @param {number|null} minRating - Lowest problem rating that counts
+ * @returns {number} Problems solved
+ */
+const countProblemsSolved = (submissions, window, minRating) => {
+  const firstSolved = new Map();
+
+  submissions.forEach(submission => {
+    if (submission.verdict !== 'OK') return;
+    if (minRating && (!submission.problemRating || submission.problemRating < minRating)) return;
+
+    const solvedAt = new Date(submission.submissionTime);
+    const previous = firstSolved.get(submission.problemId);
+    if (!previous || solvedAt < previous) {
+      firstSolved.set(submission.problemId, solvedAt);
+    }
+  });
+
+  return [...firstSolved.values()].filter(date => date >= window.start && date <= window.end).length;
+};
+
+/**
+ * Evaluate a goal against the student's data
+ * @param {Object} goal - Goal document
+ * @param {Object} context - { rating, contests, submissions }
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { progress, status }
+ */
+const evaluateGoal = (goal, context, now = new Date()) => {
+  const window = getGoalWindow(goal, now);
+  const elapsed = Math.min(Math.max((now - window.start) / (window.end - window.start), 0), 1) || 0;
+
+  let current;
+  let expected;
+
+  if (goal.type === GOALS.TYPES.RATING) {
+    current = context.rating;
+    // Expect a steady climb from the rating the goal started at
+    const start = Math.min(goal.startValue || 0, goal.target);
+    expected = Math.round(start + (goal.target - start) * elapsed);
+  } else {
+    current = goal.type === GOALS.TYPES.PROBLEMS
+      ? countProblemsSolved(context.submissions, window, goal.minProblemRating)
+      : context.contests.filter(contest => {
+        const date = new Date(contest.date);
+        return date >= window.start && date <= window.end;
+      }).length;
+    expected = Math.floor(goal.target * elapsed);
+  }
+
+  const reached = current >= goal.target;
+  let status = GOALS.STATUS.ACTIVE;
+
+  // Recurring goals stay active; each period is judged on its own
+  if (!goal.period) {
+    if (reached) {
+      status = GOALS.STATUS.ACHIEVED;
+    } else if (now > window.end) {
+      status = GOALS.STATUS.MISSED;
+    }
+  }
+
+  return {
+    status,
+    progress: {
+      current,
+      expected,
+      periodStart: window.start,
+      periodEnd: window.end,
+      onTrack: reached || current >= expected,
+      updatedAt: now
+    }
+  };
+};
+
+/**
+ * Summarize a student's active goals for the student record
+ * @param {Array<Object>} goals - Evaluated goals
+ * @returns {Object} goalStatus value
+ */
+const summarizeGoals = (goals) => {
+  const active = goals.filter(goal => goal.status === GOALS.STATUS.ACTIVE);
+  const offTrack = active.filter(goal => !goal.progress.onTrack).length;
+
+  let tracking = GOALS.TRACKING.NONE;
+  if (active.length > 0) {
+    tracking = offTrack > 0 ? GOALS.TRACKING.OFF_TRACK : GOALS.TRACKING.ON_TRACK;
+  }
+
+  return {
+    tracking,
+    active: active.length,
+    offTrack,
+    updatedAt: new Date()
+  };
+};
+
+/**
+ * Re-evaluate every active goal of a student and refresh the student's goal status
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array<Object>>} The student's active goals after evaluation
+ */
+const evaluateStudentGoals = async (studentId) => {
+  const student = await Student.findById(studentId).select('currentRating');
+  if (!student) {
+    return [];
+  }
+
+  const goals = await Goal.find({ student: studentId, status: GOALS.STATUS.ACTIVE });
+
+  if (goals.length > 0) {
+    // Goals count activity under every handle the student has used
+    const [merged, groupResults] = await Promise.all([
+      CodeforcesData.findMerged(studentId),
+      GroupContest.findStudentResults(studentId)
+    ]);
+    
+    // Virtual participations count as contests, including those in private groups
+    const virtualContests = [
+      ...(merged ? merged.virtualContests : []).map(contest => ({ ...contest, date: contest.startTime })),
+      ...groupResults.filter(result => result.participantType === CODEFORCES.PARTICIPANT_TYPES.VIRTUAL)
+    ];
+    
+    const context = {
+      rating: student.currentRating || 0,
+      contests: [...(merged ? merged.contests : []), ...virtualContests],
+      submissions: merged ? merged.submissions : []
+    };
+    const now = new Date();
+
+    for (const goal of goals) {
+      const { status, progress } = evaluateGoal(goal, context, now);
+      goal.progress = progress;
+      goal.status = status;
+      if (status === GOALS.STATUS.ACHIEVED) {
+        goal.achievedAt = now;
+        logger.info(`Student ${studentId} achieved ${goal.type} goal ${goal._id}`);
+      }
+      await goal.save();
+    }
+  }
+
+  await Student.updateOne({ _id: studentId }, { goalStatus: summarizeGoals(goals) });
+
+  return goals.filter(goal => goal.status === GOALS.STATUS.ACTIVE);
+};
+
+/**
+ * Describe a goal in a sentence, e.g. for reminder emails
+ * @param {Object} goal - Goal document
+ * @returns {string} Description
+ */
+const describeGoal = (goal) => {
+  const deadline = goal.deadline ? ` by ${goal.deadline.toISOString().slice(0, 10)}` : '';
+  const period = goal.period ? ` this ${goal.period}` : deadline;
+
+  if (goal.type === GOALS.TYPES.RATING) {
+    return `Reach a rating of ${goal.target}${deadline}`;
+  }
+  if (goal.type === GOALS.TYPES.PROBLEMS) {
+    const rating = goal.minProblemRating ? ` rated ${goal.minProblemRating}+` : '';
+    return `Solve ${goal.target} problems${rating}${period}`;
+  }
+  return `Take part in ${goal.target} rated or virtual contests${period}`;
+};
+
+module.exports = {
+  getGoalWindow,
+  evaluateGoal,
+  evaluateStudentGoals,
+  describeGoal
+};
@@ -0,0 +1,177 @@
+/**
+ * Platform Service
+ * Syncs students' accounts on platforms other than Codeforces and combines
+ * their activity with the Codeforces data
+ */
+
+const Student = require('../models/Student');
+const PlatformData = require('../models/PlatformData');
+const logger = require('../utils/logger');
+const { getAdapter } = require('./platforms');
+const { syncStudentCodeforcesData } = require('./codeforcesService');
+
+/**
+ * Merge freshly fetched submissions into the stored ones
+ * Some platforms only expose recent submissions, so older ones are kept from earlier syncs
+ * @param {Array<Object>} stored - Stored submissions
+ * @param {Array<Object>} fetched - Submissions from the adapter
+ * @returns {Array<Object>} Submissions by ID, oldest first
+ */
+const mergeSubmissions = (stored, fetched) => {
+  const byId = new Map();
+  stored.forEach(submission => byId.set(submission.submissionId, submission));
+  fetched.forEach(submission => byId.set(submission.submissionId, submission));
+
+  return [...byId.values()].sort((a, b) => new Date(a.submissionTime) - new Date(b.submissionTime));
+};
+
+/**
+ * Sync one linked account into its PlatformData document
+ * @param {string} studentId - Student ID
+ * @param {Object} account - { platform, handle }
+ * @param {Object|null} stored - Existing PlatformData document for the platform
+ * @returns {Promise<Object>} Updated PlatformData document
+ */
+const syncPlatformAccount = async (studentId, account, stored) => {
+  const adapter = getAdapter(account.platform);
+  const profile = await adapter.fetchProfile(account.handle);
+
+  if (!profile) {
+    throw new Error(`${adapter.label} account ${account.handle} not found`);
+  }
+
+  // Earlier submissions only carry over while the handle stays the same
+  const sameHandle = stored && stored.handle.toLowerCase() === account.handle.toLowerCase();
+
+  const [submissions, contests] = await Promise.all([
+    adapter.fetchSubmissions(account.handle, { since: sameHandle ? stored.lastSubmissionDate : null }),
+    adapter.fetchContestHistory(account.handle)
+  ]);
+
+  const merged = mergeSubmissions(sameHandle ? stored.submissions.map(submission => submission.toObject()) : [], submissions);
+
+  return PlatformData.findOneAndUpdate(
+    { student: studentId, platform: account.platform },
+    {
+      handle: account.handle,
+      profile: {
+        rating: profile.rating,
+        maxRating: profile.maxRating,
+        rank: profile.rank
+      },
+      submissions: merged,
+      contests,
+      lastSubmissionDate: merged.length > 0 ? merged[merged.length - 1].submissionTime : null,
+      lastUpdated: new Date(),
+      lastError: null
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Sync every non-Codeforces account linked to a student
+ * Failures are recorded on the account's PlatformData and do not stop the other accounts
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Object>} { syncedCount, failedCount }
+ */
+exports.syncStudentPlatforms = async (studentId) => {
+  const student = await Student.findById(studentId).select('platformAccounts');
+  if (!student) {
+    return { syncedCount: 0, failedCount: 0 };
+  }
+
+  const accounts = student.platformAccounts || [];
+
+  // Drop data for accounts that are no longer linked
+  await PlatformData.deleteMany({
+    student: studentId,
+    platform: { $nin: accounts.map(account => account.platform) }
+  });
+
+  const storedData = await PlatformData.find({ student: studentId });
+  let syncedCount = 0;
+  let failedCount = 0;
+
+  for (const account of accounts) {
+    const stored = storedData.find(data => data.platform === account.platform) || null;
+
+    try {
+      await syncPlatformAccount(studentId, account, stored);
+      syncedCount++;
+    } catch (error) {
+      failedCount++;
+      logger.error(`Error syncing ${account.platform} account ${account.handle}:`, error);
+
+      await PlatformData.updateOne(
+        { student: studentId, platform: account.platform },
+        { handle: account.handle, lastError: error.message },
+        { upsert: true }
+      );
+    }
+  }
+
+  if (accounts.length > 0) {
+    logger.info(`Synced ${syncedCount}/${accounts.length} platform accounts for student ${studentId}`);
+  }
+
+  return { syncedCount, failedCount };
+};
+
+/**
+ * Sync a student's linked platform accounts and then their Codeforces data
+ * The other platforms go first so the Codeforces sync sees their latest activity
+ * when it updates the student's inactivity status
+ * @param {string} studentId - Student ID
+ * @param {string} handle - Codeforces handle
+ * @returns {Promise<Object>} Updated Codeforces data
+ */
+exports.syncStudentActivity = async (studentId, handle) => {
+  try {
+    await exports.syncStudentPlatforms(studentId);
+  } catch (error) {
+    logger.error(`Error syncing platform accounts for student ${studentId}:`, error);
+  }
+
+  return syncStudentCodeforcesData(studentId, handle);
+};
+
+/**
+ * Get a student's submissions from every non-Codeforces platform
+ * Problem IDs are prefixed with the platform so they never collide with Codeforces problems
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array<Object>>} Submissions tagged with their platform
+ */
+exports.getPlatformSubmissions = async (studentId) => {
+  const platformData = await PlatformData.find({ student: studentId }).select('platform submissions').lean();
+
+  return platformData.flatMap(data => data.submissions.map(submission => ({
+    ...submission,
+    problemId: `${data.platform}:${submission.problemId}`,
+    platform: data.platform
+  })));
+};
+
+/**
+ * Summarise a student's linked platform accounts for the profile
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array<Object>>} One summary per linked account
+ */
+exports.getPlatformSummaries = async (studentId) => {
+  const platformData = await PlatformData.find({ student: studentId }).lean();
+
+  return platformData.map(data => ({
+    platform: data.platform,
+    handle: data.handle,
+    profile: data.profile || {},
+    solvedCount: new Set(
+      (data.submissions || [])
+        .filter(submission => submission.verdict === 'OK')
+        .map(submission => submission.problemId)
+    ).size,
+    contestCount: (data.contests || []).length,
+    lastSubmissionDate: data.lastSubmissionDate,
+    lastUpdated: data.lastUpdated,
+    lastError: data.lastError
+  }));
+};
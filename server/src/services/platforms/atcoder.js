@@ -0,0 +1,143 @@
+/**
+ * AtCoder Platform Adapter
+ * Contest history comes from AtCoder itself; submissions come from the
+ * AtCoder Problems API, since AtCoder has no public submissions endpoint
+ */
+
+const { request: defaultRequest, isNotFound, sleep } = require('./request');
+const { PLATFORMS } = require('../../utils/constants');
+
+const ATCODER_BASE_URL = process.env.ATCODER_BASE_URL || 'https://atcoder.jp';
+const ATCODER_PROBLEMS_BASE_URL = process.env.ATCODER_PROBLEMS_BASE_URL || 'https://kenkoooo.com/atcoder';
+
+// AtCoder Problems returns at most this many submissions per request
+const SUBMISSIONS_PAGE_SIZE = 500;
+
+// AtCoder Problems asks clients to wait between requests (in ms)
+const PAGE_DELAY = 1000;
+
+// How long the problem title list is reused before it is fetched again (in ms)
+const PROBLEM_TITLES_TTL = 24 * 60 * 60 * 1000;
+
+// Rating colours, highest first
+const RANKS = [
+  { minRating: 2800, name: 'Red' },
+  { minRating: 2400, name: 'Orange' },
+  { minRating: 2000, name: 'Yellow' },
+  { minRating: 1600, name: 'Blue' },
+  { minRating: 1200, name: 'Cyan' },
+  { minRating: 800, name: 'Green' },
+  { minRating: 400, name: 'Brown' },
+  { minRating: 0, name: 'Gray' }
+];
+
+const getRank = (rating) => RANKS.find(rank => rating >= rank.minRating).name;
+
+/**
+ * Create the AtCoder adapter
+ * @param {Object} options - Adapter options
+ * @param {Function} options.request - HTTP transport, see request.js
+ * @param {Function} options.delay - Wait between paged requests
+ * @returns {Object} Platform adapter
+ */
+const createAtCoderAdapter = ({ request = defaultRequest, delay = sleep } = {}) => {
+  let problemTitles = null;
+  let problemTitlesFetchedAt = 0;
+
+  // Rated and unrated contest results, or null when the user does not exist
+  const fetchHistory = async (handle) => {
+    try {
+      return await request(`${ATCODER_BASE_URL}/users/${encodeURIComponent(handle)}/history/json`);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Submissions only carry problem IDs, so titles are looked up from the shared problem list
+  const getProblemTitles = async () => {
+    if (!problemTitles || Date.now() - problemTitlesFetchedAt > PROBLEM_TITLES_TTL) {
+      const problems = await request(`${ATCODER_PROBLEMS_BASE_URL}/resources/problems.json`);
+      problemTitles = new Map(problems.map(problem => [problem.id, problem.name || problem.title]));
+      problemTitlesFetchedAt = Date.now();
+    }
+    return problemTitles;
+  };
+
+  return {
+    platform: PLATFORMS.ATCODER,
+    label: 'AtCoder',
+
+    async fetchProfile(handle) {
+      const history = await fetchHistory(handle);
+      if (!history) {
+        return null;
+      }
+
+      const rated = history.filter(entry => entry.IsRated);
+      const rating = rated.length > 0 ? rated[rated.length - 1].NewRating : 0;
+
+      return {
+        handle,
+        rating,
+        maxRating: rated.reduce((max, entry) => Math.max(max, entry.NewRating), 0),
+        rank: rated.length > 0 ? getRank(rating) : null
+      };
+    },
+
+    async fetchSubmissions(handle, { since = null } = {}) {
+      const titles = await getProblemTitles();
+      const submissions = [];
+      let fromSecond = since ? Math.floor(new Date(since).getTime() / 1000) : 0;
+
+      // Pages are ordered oldest first; a short page is the last one
+      for (;;) {
+        const page = await request(
+          `${ATCODER_PROBLEMS_BASE_URL}/atcoder-api/v3/user/submissions?user=${encodeURIComponent(handle)}&from_second=${fromSecond}`
+        );
+        submissions.push(...page);
+
+        if (page.length < SUBMISSIONS_PAGE_SIZE) {
+          break;
+        }
+
+        fromSecond = page[page.length - 1].epoch_second + 1;
+        await delay(PAGE_DELAY);
+      }
+
+      return submissions.map(submission => ({
+        submissionId: String(submission.id),
+        problemId: submission.problem_id,
+        problemName: titles.get(submission.problem_id) || submission.problem_id,
+        problemUrl: `${ATCODER_BASE_URL}/contests/${submission.contest_id}/tasks/${submission.problem_id}`,
+        problemRating: null,
+        verdict: submission.result === 'AC' ? 'OK' : submission.result,
+        language: submission.language,
+        submissionTime: new Date(submission.epoch_second * 1000)
+      }));
+    },
+
+    async fetchContestHistory(handle) {
+      const history = await fetchHistory(handle);
+
+      return (history || [])
+        .filter(entry => entry.IsRated)
+        .map(entry => ({
+          // ContestScreenName looks like "abc300.contest.atcoder.jp"
+          contestId: entry.ContestScreenName.split('.')[0],
+          contestName: entry.ContestNameEn || entry.ContestName,
+          rank: entry.Place,
+          oldRating: entry.OldRating,
+          newRating: entry.NewRating,
+          ratingChange: entry.NewRating - entry.OldRating,
+          date: new Date(entry.EndTime)
+        }));
+    }
+  };
+};
+
+module.exports = {
+  createAtCoderAdapter
+};
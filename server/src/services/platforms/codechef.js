@@ -0,0 +1,186 @@
+/**
+ * CodeChef Platform Adapter
+ * CodeChef has no public API, so the adapter reads the rating history embedded
+ * in the profile page and the "recent activity" feed behind it
+ */
+
+const { request: defaultRequest, isNotFound, sleep } = require('./request');
+const { PLATFORMS } = require('../../utils/constants');
+
+const CODECHEF_BASE_URL = process.env.CODECHEF_BASE_URL || 'https://www.codechef.com';
+
+// Recent activity pages read per sync; older submissions stay from earlier syncs
+const MAX_SUBMISSION_PAGES = 5;
+
+// Delay between recent activity pages (in ms)
+const PAGE_DELAY = 1000;
+
+// CodeChef shows times in Indian Standard Time
+const CODECHEF_TIMEZONE_OFFSET = '+05:30';
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+
+/**
+ * Parse a recent activity timestamp
+ * Recent entries read "5 min ago" or "2 hours ago", older ones "10:31 PM 05/01/24" (dd/mm/yy)
+ * @param {string} text - Timestamp text
+ * @param {Date} now - Current time
+ * @returns {Date|null} Parsed date
+ */
+const parseActivityTime = (text, now = new Date()) => {
+  const relative = /(\d+)\s*(sec|min|hour)/i.exec(text);
+  if (relative) {
+    const unitMs = { sec: 1000, min: 60 * 1000, hour: 60 * 60 * 1000 }[relative[2].toLowerCase()];
+    return new Date(now.getTime() - parseInt(relative[1], 10) * unitMs);
+  }
+
+  const absolute = /(\d{1,2}):(\d{2})\s*(AM|PM)\s*(\d{2})\/(\d{2})\/(\d{2})/i.exec(text);
+  if (!absolute) {
+    return null;
+  }
+
+  const [, hour, minute, meridiem, day, month, year] = absolute;
+  const hours = (parseInt(hour, 10) % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  return new Date(`20${year}-${month}-${day}T${String(hours).padStart(2, '0')}:${minute}:00${CODECHEF_TIMEZONE_OFFSET}`);
+};
+
+/**
+ * Parse the rows of a recent activity table
+ * @param {string} html - Table markup from the recent activity feed
+ * @returns {Array<Object>} Submissions in the adapter format
+ */
+const parseActivityTable = (html) => {
+  const rows = html.match(/<tr[^>]*>[\s\S]*?<\/tr>/g) || [];
+
+  return rows.map(row => {
+    const cells = row.match(/<td[^>]*>[\s\S]*?<\/td>/g) || [];
+    const solutionMatch = /viewsolution\/(\d+)/.exec(row);
+    const problemMatch = cells[1] && /href=['"][^'"]*\/problems\/([^'"/]+)['"]/.exec(cells[1]);
+
+    if (cells.length < 4 || !solutionMatch || !problemMatch) {
+      return null;
+    }
+
+    const timeTitle = /title=['"]([^'"]+)['"]/.exec(cells[0]);
+    const submissionTime = parseActivityTime(timeTitle ? timeTitle[1] : stripTags(cells[0]));
+    const resultTitle = /title=['"]([^'"]*)['"]/.exec(cells[2]);
+    const result = (resultTitle ? resultTitle[1] : stripTags(cells[2])).trim().toLowerCase();
+
+    if (!submissionTime) {
+      return null;
+    }
+
+    return {
+      submissionId: solutionMatch[1],
+      problemId: problemMatch[1],
+      problemName: stripTags(cells[1]) || problemMatch[1],
+      problemUrl: `${CODECHEF_BASE_URL}/problems/${problemMatch[1]}`,
+      problemRating: null,
+      verdict: result === 'accepted' ? 'OK' : result.toUpperCase().replace(/\s+/g, '_'),
+      language: stripTags(cells[3]),
+      submissionTime
+    };
+  }).filter(Boolean);
+};
+
+/**
+ * Create the CodeChef adapter
+ * @param {Object} options - Adapter options
+ * @param {Function} options.request - HTTP transport, see request.js
+ * @param {Function} options.delay - Wait between paged requests
+ * @returns {Object} Platform adapter
+ */
+const createCodeChefAdapter = ({ request = defaultRequest, delay = sleep } = {}) => {
+  // Profile page markup, or null when the user does not exist (CodeChef redirects unknown users)
+  const fetchProfilePage = async (handle) => {
+    try {
+      return await request(`${CODECHEF_BASE_URL}/users/${encodeURIComponent(handle)}`, {
+        maxRedirects: 0,
+        responseType: 'text'
+      });
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // The profile page embeds the rating graph data as "var all_rating = [...];"
+  const parseRatingHistory = (html) => {
+    const match = /var\s+all_rating\s*=\s*(\[[\s\S]*?\]);/.exec(html);
+    return match ? JSON.parse(match[1]) : [];
+  };
+
+  return {
+    platform: PLATFORMS.CODECHEF,
+    label: 'CodeChef',
+
+    async fetchProfile(handle) {
+      const html = await fetchProfilePage(handle);
+      if (!html) {
+        return null;
+      }
+
+      const history = parseRatingHistory(html);
+      const ratingMatch = /class=["']rating-number["'][^>]*>\s*(\d+)/.exec(html);
+      const maxRatingMatch = /Highest Rating\s*(\d+)/i.exec(html);
+      const starsMatch = /(\d)\s*(?:★|&#9733;)/.exec(html);
+      const ratings = history.map(entry => parseInt(entry.rating, 10));
+
+      return {
+        handle,
+        rating: ratingMatch ? parseInt(ratingMatch[1], 10) : ratings[ratings.length - 1] || 0,
+        maxRating: maxRatingMatch ? parseInt(maxRatingMatch[1], 10) : Math.max(0, ...ratings),
+        rank: starsMatch ? `${starsMatch[1]}★` : null
+      };
+    },
+
+    async fetchSubmissions(handle, { since = null } = {}) {
+      const submissions = [];
+      const sinceDate = since ? new Date(since) : null;
+
+      // Pages are ordered newest first; stop once a page reaches already synced submissions
+      for (let page = 0; page < MAX_SUBMISSION_PAGES; page++) {
+        const response = await request(
+          `${CODECHEF_BASE_URL}/recent/user?page=${page}&user_handle=${encodeURIComponent(handle)}`
+        );
+        const pageSubmissions = parseActivityTable(response.content || '');
+        submissions.push(...pageSubmissions);
+
+        const oldest = pageSubmissions[pageSubmissions.length - 1];
+        if (page + 1 >= (response.max_page || 0) || !oldest || (sinceDate && oldest.submissionTime < sinceDate)) {
+          break;
+        }
+
+        await delay(PAGE_DELAY);
+      }
+
+      return submissions;
+    },
+
+    async fetchContestHistory(handle) {
+      const html = await fetchProfilePage(handle);
+      const history = html ? parseRatingHistory(html) : [];
+
+      return history.map((entry, index) => {
+        const newRating = parseInt(entry.rating, 10);
+        const oldRating = index > 0 ? parseInt(history[index - 1].rating, 10) : null;
+
+        return {
+          contestId: entry.code,
+          contestName: entry.name,
+          rank: parseInt(entry.rank, 10) || null,
+          oldRating,
+          newRating,
+          ratingChange: oldRating === null ? null : newRating - oldRating,
+          date: new Date(`${entry.end_date.replace(' ', 'T')}${CODECHEF_TIMEZONE_OFFSET}`)
+        };
+      });
+    }
+  };
+};
+
+module.exports = {
+  createCodeChefAdapter
+};
@@ -0,0 +1,73 @@
+/**
+ * Codeforces Platform Adapter
+ * Wraps the Codeforces service in the shared adapter format; recorded
+ * responses are replayed through the service's own fixture mode
+ */
+
+const codeforcesService = require('../codeforcesService');
+const { PLATFORMS } = require('../../utils/constants');
+
+/**
+ * Create the Codeforces adapter
+ * @param {Object} options - Adapter options
+ * @param {Object} options.client - Object with fetchUserInfo, fetchUserSubmissions and fetchUserContests
+ * @returns {Object} Platform adapter
+ */
+const createCodeforcesAdapter = ({ client = codeforcesService } = {}) => ({
+  platform: PLATFORMS.CODEFORCES,
+  label: 'Codeforces',
+
+  async fetchProfile(handle) {
+    const userInfo = await client.fetchUserInfo(handle);
+    if (!userInfo) {
+      return null;
+    }
+
+    return {
+      handle: userInfo.handle,
+      rating: userInfo.rating || 0,
+      maxRating: userInfo.maxRating || userInfo.rating || 0,
+      rank: userInfo.rank || null
+    };
+  },
+
+  async fetchSubmissions(handle) {
+    const submissions = await client.fetchUserSubmissions(handle);
+
+    return submissions.map(submission => {
+      // Problem IDs are the contest ID followed by the problem index, e.g. "1234A"
+      const index = submission.contestId
+        ? submission.problemId.slice(String(submission.contestId).length)
+        : null;
+
+      return {
+        submissionId: String(submission.submissionId),
+        problemId: submission.problemId,
+        problemName: submission.problemName,
+        problemUrl: index ? `https://codeforces.com/contest/${submission.contestId}/problem/${index}` : null,
+        problemRating: submission.problemRating,
+        verdict: submission.verdict,
+        language: submission.language,
+        submissionTime: submission.submissionTime
+      };
+    });
+  },
+
+  async fetchContestHistory(handle) {
+    const contests = await client.fetchUserContests(handle);
+
+    return contests.map(contest => ({
+      contestId: String(contest.contestId),
+      contestName: contest.contestName,
+      rank: contest.rank,
+      oldRating: contest.oldRating,
+      newRating: contest.newRating,
+      ratingChange: contest.ratingChange,
+      date: contest.date
+    }));
+  }
+});
+
+module.exports = {
+  createCodeforcesAdapter
+};
@@ -0,0 +1,48 @@
+/**
+ * Platform Adapters
+ * Every competitive programming platform is reached through an adapter with the same shape:
+ *
+ *   platform                           Key from PLATFORMS
+ *   label                              Display name
+ *   fetchProfile(handle)               { handle, rating, maxRating, rank }, or null when the account does not exist
+ *   fetchSubmissions(handle, options)  Submissions in any order; accepted ones use the verdict 'OK'.
+ *                                      options.since lets the adapter skip older submissions where the platform allows it
+ *   fetchContestHistory(handle)        Rated contests, oldest first
+ *
+ * Adapters are built by factories that take their transport as an option, so each
+ * one can be run against recorded fixture responses instead of the live site.
+ *
+ * Codeforces handles are looked up through its adapter like any other platform. The
+ * Codeforces sync and contest history call codeforcesService directly, as they keep
+ * what the shared format leaves out: numeric contest IDs matched against the contest
+ * catalog, problem tags, participant types and incremental paging by submission ID.
+ */
+
+const { createCodeforcesAdapter } = require('./codeforces');
+const { createAtCoderAdapter } = require('./atcoder');
+const { createCodeChefAdapter } = require('./codechef');
+const { createLeetCodeAdapter } = require('./leetcode');
+
+const adapters = [
+  createCodeforcesAdapter(),
+  createAtCoderAdapter(),
+  createCodeChefAdapter(),
+  createLeetCodeAdapter()
+];
+
+const adaptersByPlatform = new Map(adapters.map(adapter => [adapter.platform, adapter]));
+
+/**
+ * Get the adapter for a platform
+ * @param {string} platform - Key from PLATFORMS
+ * @returns {Object|null} Platform adapter, or null for an unknown platform
+ */
+const getAdapter = (platform) => adaptersByPlatform.get(platform) || null;
+
+module.exports = {
+  getAdapter,
+  createCodeforcesAdapter,
+  createAtCoderAdapter,
+  createCodeChefAdapter,
+  createLeetCodeAdapter
+};
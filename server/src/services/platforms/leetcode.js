@@ -0,0 +1,127 @@
+/**
+ * LeetCode Platform Adapter
+ * Uses the public GraphQL API that backs the LeetCode profile page
+ */
+
+const { request: defaultRequest } = require('./request');
+const { PLATFORMS } = require('../../utils/constants');
+
+const LEETCODE_BASE_URL = process.env.LEETCODE_BASE_URL || 'https://leetcode.com';
+
+// The public API only lists a user's most recent accepted submissions
+const RECENT_SUBMISSION_LIMIT = 20;
+
+// Rating every account starts from before its first contest
+const INITIAL_RATING = 1500;
+
+const PROFILE_QUERY = `
+  query userProfile($username: String!) {
+    matchedUser(username: $username) { username }
+    userContestRanking(username: $username) { rating badge { name } }
+    userContestRankingHistory(username: $username) { attended rating }
+  }
+`;
+
+const CONTEST_HISTORY_QUERY = `
+  query userContestHistory($username: String!) {
+    userContestRankingHistory(username: $username) {
+      attended
+      rating
+      ranking
+      contest { title startTime }
+    }
+  }
+`;
+
+const SUBMISSIONS_QUERY = `
+  query recentAcSubmissions($username: String!, $limit: Int!) {
+    recentAcSubmissionList(username: $username, limit: $limit) { id title titleSlug timestamp lang }
+  }
+`;
+
+// "Weekly Contest 380" -> "weekly-contest-380", matching the contest page URL
+const toContestSlug = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Create the LeetCode adapter
+ * @param {Object} options - Adapter options
+ * @param {Function} options.request - HTTP transport, see request.js
+ * @returns {Object} Platform adapter
+ */
+const createLeetCodeAdapter = ({ request = defaultRequest } = {}) => {
+  const query = async (queryText, variables) => {
+    const response = await request(`${LEETCODE_BASE_URL}/graphql`, {
+      method: 'POST',
+      data: { query: queryText, variables },
+      headers: { 'Content-Type': 'application/json', Referer: LEETCODE_BASE_URL }
+    });
+
+    if (!response.data) {
+      const message = response.errors && response.errors[0] ? response.errors[0].message : 'Unexpected LeetCode response';
+      throw new Error(message);
+    }
+    return response.data;
+  };
+
+  return {
+    platform: PLATFORMS.LEETCODE,
+    label: 'LeetCode',
+
+    async fetchProfile(handle) {
+      const data = await query(PROFILE_QUERY, { username: handle });
+      if (!data.matchedUser) {
+        return null;
+      }
+
+      const ranking = data.userContestRanking;
+      const attended = (data.userContestRankingHistory || []).filter(entry => entry.attended);
+      const rating = ranking ? Math.round(ranking.rating) : 0;
+
+      return {
+        handle: data.matchedUser.username,
+        rating,
+        maxRating: attended.reduce((max, entry) => Math.max(max, Math.round(entry.rating)), rating),
+        rank: ranking && ranking.badge ? ranking.badge.name : null
+      };
+    },
+
+    async fetchSubmissions(handle) {
+      const data = await query(SUBMISSIONS_QUERY, { username: handle, limit: RECENT_SUBMISSION_LIMIT });
+
+      return (data.recentAcSubmissionList || []).map(submission => ({
+        submissionId: String(submission.id),
+        problemId: submission.titleSlug,
+        problemName: submission.title,
+        problemUrl: `${LEETCODE_BASE_URL}/problems/${submission.titleSlug}/`,
+        problemRating: null,
+        verdict: 'OK',
+        language: submission.lang,
+        submissionTime: new Date(Number(submission.timestamp) * 1000)
+      }));
+    },
+
+    async fetchContestHistory(handle) {
+      const data = await query(CONTEST_HISTORY_QUERY, { username: handle });
+      const attended = (data.userContestRankingHistory || []).filter(entry => entry.attended);
+
+      return attended.map((entry, index) => {
+        const newRating = Math.round(entry.rating);
+        const oldRating = index > 0 ? Math.round(attended[index - 1].rating) : INITIAL_RATING;
+
+        return {
+          contestId: toContestSlug(entry.contest.title),
+          contestName: entry.contest.title,
+          rank: entry.ranking,
+          oldRating,
+          newRating,
+          ratingChange: newRating - oldRating,
+          date: new Date(entry.contest.startTime * 1000)
+        };
+      });
+    }
+  };
+};
+
+module.exports = {
+  createLeetCodeAdapter
+};
@@ -0,0 +1,42 @@
+/**
+ * Platform Request Helpers
+ * Default HTTP transport shared by the platform adapters
+ */
+
+const axios = require('axios');
+const { promisify } = require('util');
+
+// Sleep function for spacing out paged requests
+const sleep = promisify(setTimeout);
+
+// Time allowed for a single platform request (in ms)
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Send a request and resolve to the response body
+ * Adapters receive this as an option so it can be swapped for recorded fixture responses
+ * @param {string} url - Request URL
+ * @param {Object} options - Extra axios options (method, data, headers, maxRedirects, ...)
+ * @returns {Promise<*>} Response body
+ */
+const request = async (url, options = {}) => {
+  const response = await axios({ url, timeout: REQUEST_TIMEOUT, ...options });
+  return response.data;
+};
+
+/**
+ * Check whether a request failed because the account does not exist
+ * Some sites redirect unknown profiles instead of answering 404
+ * @param {Error} error - Request error
+ * @returns {boolean} True for a 404 or a redirect
+ */
+const isNotFound = (error) => {
+  const status = error.response && error.response.status;
+  return status === 404 || (status >= 300 && status < 400);
+};
+
+module.exports = {
+  request,
+  isNotFound,
+  sleep
+};
@@ -0,0 +1,282 @@
+/**
+ * Student Import Service
+ * Validates CSV rows of students and creates the ones that pass
+ */
+
+const { validationResult } = require('express-validator');
+const Student = require('../models/Student');
+const logger = require('../utils/logger');
+const { csvToObjects } = require('./csvService');
+const { fetchUsersInfo } = require('./codeforcesService');
+const { enqueueStudentSyncs } = require('./studentSyncQueue');
+const { recordAudit, getStudentLabel } = require('./auditService');
+const { studentValidation } = require('../middleware/validation');
+const { STUDENT_IMPORT, AUDIT, SYNC_QUEUE } = require('../utils/constants');
+
+// Field rules shared with the student create route (the trailing middleware is dropped)
+const rowValidators = studentValidation.create.filter(rule => typeof rule.run === 'function');
+
+const REQUIRED_COLUMNS = ['name', 'email', 'codeforcesHandle'];
+
+// Row status values reported back to the client
+const ROW_STATUS = {
+  READY: 'ready',
+  ERROR: 'error',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+/**
+ * Map a CSV header onto a student field using the accepted aliases
+ * @param {string} header - Raw header text
+ * @returns {string|null} Student field name, or null to drop the column
+ */
+const mapHeader = ({ header }) => {
+  const key = header.replace(/^\uFEFF/, '').replace(/[\s_-]/g, '').toLowerCase();
+  const field = Object.keys(STUDENT_IMPORT.COLUMN_ALIASES)
+    .find(name => STUDENT_IMPORT.COLUMN_ALIASES[name].includes(key));
+  return field || null;
+};
+
+/**
+ * Parse an uploaded CSV file into student rows
+ * @param {Buffer} buffer - CSV file contents
+ * @returns {Promise<Object>} { rows, missingColumns }
+ */
+const parseStudentCsv = async (buffer) => {
+  const headers = new Set();
+  const rows = await csvToObjects(buffer, {
+    mapHeaders: (args) => {
+      const field = mapHeader(args);
+      if (field) headers.add(field);
+      return field;
+    }
+  });
+
+  return {
+    rows,
+    missingColumns: REQUIRED_COLUMNS.filter(column => !headers.has(column))
+  };
+};
+
+/**
+ * Run the shared student rules against one row
+ * @param {Object} row - Parsed CSV row
+ * @returns {Promise<Object>} { data, errors }
+ */
+const validateRow = async (row) => {
+  // Blank cells count as missing so optional columns can be left empty
+  const data = {};
+  Object.entries(row).forEach(([field, value]) => {
+    const trimmed = String(value || '').trim();
+    if (trimmed) data[field] = trimmed;
+  });
+  if (data.email) data.email = data.email.toLowerCase();
+
+  // Validate a copy; the email sanitizer would rewrite addresses (e.g. drop Gmail dots)
+  const req = { body: { ...data } };
+  await Promise.all(rowValidators.map(rule => rule.run(req)));
+
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return { data, errors };
+};
+
+/**
+ * Flag rows whose email or handle repeats an earlier row in the file
+ * @param {Array<Object>} report - Report rows
+ */
+const markDuplicatesInFile = (report) => {
+  const seen = { email: new Map(), codeforcesHandle: new Map() };
+
+  report.forEach(entry => {
+    Object.keys(seen).forEach(field => {
+      const value = entry.data[field] && entry.data[field].toLowerCase();
+      if (!value) return;
+
+      if (seen[field].has(value)) {
+        entry.errors.push({
+          field,
+          message: `Duplicate ${field === 'email' ? 'email' : 'handle'} in file (row ${seen[field].get(value)})`
+        });
+      } else {
+        seen[field].set(value, entry.row);
+      }
+    });
+  });
+};
+
+/**
+ * Flag rows whose email or handle already belongs to a student
+ * @param {Array<Object>} report - Report rows
+ */
+const markExistingStudents = async (report) => {
+  const emails = report.map(entry => entry.data.email).filter(Boolean);
+  const handles = report.map(entry => entry.data.codeforcesHandle).filter(Boolean);
+
+  if (emails.length === 0 && handles.length === 0) return;
+
+  // Case-insensitive match, since Codeforces handles ignore case
+  const existing = await Student.find({
+    $or: [{ email: { $in: emails } }, { codeforcesHandle: { $in: handles } }]
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .select('email codeforcesHandle')
+    .lean();
+
+  const existingEmails = new Set(existing.map(student => student.email.toLowerCase()));
+  const existingHandles = new Set(existing.map(student => student.codeforcesHandle.toLowerCase()));
+
+  report.forEach(entry => {
+    if (entry.data.email && existingEmails.has(entry.data.email.toLowerCase())) {
+      entry.errors.push({ field: 'email', message: 'A student with this email already exists' });
+    }
+    if (entry.data.codeforcesHandle && existingHandles.has(entry.data.codeforcesHandle.toLowerCase())) {
+      entry.errors.push({ field: 'codeforcesHandle', message: 'A student with this handle already exists' });
+    }
+  });
+};
+
+/**
+ * Check handles against Codeforces and pick up their ratings
+ * If Codeforces cannot be reached the rows are kept with a warning, as on the create form
+ * @param {Array<Object>} report - Report rows
+ */
+const checkCodeforcesHandles = async (report) => {
+  const candidates = report.filter(entry =>
+    entry.data.codeforcesHandle && !entry.errors.some(error => error.field === 'codeforcesHandle')
+  );
+
+  if (candidates.length === 0) return;
+
+  let usersByHandle;
+  try {
+    usersByHandle = await fetchUsersInfo(candidates.map(entry => entry.data.codeforcesHandle));
+  } catch (error) {
+    logger.warn('Could not verify imported Codeforces handles:', error.message);
+    candidates.forEach(entry => entry.warnings.push('Codeforces could not be reached; handle not verified'));
+    return;
+  }
+
+  candidates.forEach(entry => {
+    const userInfo = usersByHandle.get(entry.data.codeforcesHandle.toLowerCase());
+
+    if (!userInfo) {
+      entry.errors.push({ field: 'codeforcesHandle', message: 'Handle not found on Codeforces' });
+      return;
+    }
+
+    if (userInfo.handle !== entry.data.codeforcesHandle) {
+      entry.warnings.push(`Handle will be saved as ${userInfo.handle}`);
+      entry.data.codeforcesHandle = userInfo.handle;
+    }
+
+    if (userInfo.rating) {
+      entry.data.currentRating = userInfo.rating;
+      entry.data.maxRating = userInfo.maxRating || userInfo.rating;
+    }
+  });
+};
+
+/**
+ * Validate parsed rows and build the per-row import report
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @returns {Promise<Array<Object>>} Report rows
+ */
+const buildImportReport = async (rows) => {
+  const report = await Promise.all(rows.map(async (row, index) => {
+    const { data, errors } = await validateRow(row);
+
+    return {
+      // Line number in the file; line 1 holds the headers
+      row: index + 2,
+      data,
+      status: ROW_STATUS.READY,
+      errors,
+      warnings: []
+    };
+  }));
+
+  markDuplicatesInFile(report);
+  await markExistingStudents(report);
+  await checkCodeforcesHandles(report);
+
+  report.forEach(entry => {
+    if (entry.errors.length > 0) entry.status = ROW_STATUS.ERROR;
+  });
+
+  return report;
+};
+
+/**
+ * Create the students for every ready row and queue their first sync
+ * @param {Object} req - Express request object (provides the actor for auditing)
+ * @param {Array<Object>} report - Report from buildImportReport
+ * @param {Object} options - Import options
+ * @param {Array<string>} options.mentors - Mentor IDs to assign
+ * @param {Array<string>} options.cohorts - Cohort IDs to assign
+ * @returns {Promise<Array<Object>>} Report rows updated with the outcome
+ */
+const commitImport = async (req, report, options = {}) => {
+  const created = [];
+
+  for (const entry of report) {
+    if (entry.status !== ROW_STATUS.READY) continue;
+
+    try {
+      const student = await Student.create({
+        ...entry.data,
+        mentors: options.mentors || [],
+        cohorts: options.cohorts || []
+      });
+
+      await recordAudit(req, {
+        action: AUDIT.ACTIONS.CREATE,
+        targetType: AUDIT.TARGETS.STUDENT,
+        targetId: student._id,
+        targetLabel: getStudentLabel(student),
+        after: student,
+        metadata: { source: 'csv-import' }
+      });
+
+      entry.status = ROW_STATUS.CREATED;
+      entry.studentId = student._id;
+      created.push(student);
+    } catch (error) {
+      // Another request may have added the same student since validation ran
+      logger.warn(`Could not import row ${entry.row}:`, error.message);
+      entry.status = ROW_STATUS.FAILED;
+      entry.errors.push({
+        field: error.code === 11000 ? Object.keys(error.keyPattern)[0] : null,
+        message: error.code === 11000 ? 'A student with this value already exists' : error.message
+      });
+    }
+  }
+
+  // Imported students sync behind interactive refreshes
+  await enqueueStudentSyncs(created.map(student => student._id), { reason: SYNC_QUEUE.REASONS.IMPORTED })
+    .catch(err => logger.error('Failed to queue initial sync for imported students:', err));
+
+  return report;
+};
+
+/**
+ * Count report rows by status
+ * @param {Array<Object>} report - Report rows
+ * @returns {Object} Totals keyed by status
+ */
+const summarizeReport = (report) => report.reduce((summary, entry) => {
+  summary[entry.status] = (summary[entry.status] || 0) + 1;
+  return summary;
+}, { total: report.length });
+
+module.exports = {
+  ROW_STATUS,
+  parseStudentCsv,
+  buildImportReport,
+  commitImport,
+  summarizeReport
+};
@@ -0,0 +1,133 @@
+/**
+ * Student Sync Queue
+ * Student syncs are queued as SyncTask documents and worked off by a worker in
+ * this process. Failed syncs are retried with exponential backoff until they run
+ * out of attempts, and tasks left running by a restart are picked up again.
+ */
+
+const logger = require('../utils/logger');
+const Student = require('../models/Student');
+const SyncTask = require('../models/SyncTask');
+const { syncStudentActivity } = require('./platformService');
+const { classifySyncError } = require('./codeforcesService');
+const { runInBackground } = require('./codeforcesRequestQueue');
+const { SYNC_QUEUE, CODEFORCES } = require('../utils/constants');
+
+const { PRIORITIES } = CODEFORCES.REQUEST_QUEUE;
+
+let isStarted = false;
+let pollTimer = null;
+let activeCount = 0;
+
+/**
+ * Run one claimed task and record the outcome
+ * @param {Object} task - SyncTask document in the running state
+ * @returns {Promise<void>}
+ */
+async function runTask(task) {
+  try {
+    const student = await Student.findById(task.student).select('codeforcesHandle archivedAt');
+
+    // Archived and deleted students are no longer synced
+    if (!student || student.archivedAt) {
+      await task.deleteOne();
+      return;
+    }
+
+    const sync = () => syncStudentActivity(student._id, student.codeforcesHandle);
+    await (task.priority === PRIORITIES.BACKGROUND ? runInBackground(sync) : sync());
+    await task.markSucceeded();
+  } catch (error) {
+    logger.error(`Sync attempt ${task.attempts} failed for student ${task.student}:`, error);
+    await task.markFailed(error, classifySyncError(error));
+  }
+}
+
+// Claim due tasks until the worker is busy or nothing is due
+async function fill() {
+  while (isStarted && activeCount < SYNC_QUEUE.CONCURRENCY) {
+    // Take the slot before claiming, so overlapping calls cannot claim too many tasks
+    activeCount++;
+
+    let task;
+    try {
+      task = await SyncTask.claimNext();
+    } catch (error) {
+      activeCount--;
+      logger.error('Error claiming sync task:', error);
+      return;
+    }
+
+    if (!task) {
+      activeCount--;
+      return;
+    }
+
+    runTask(task)
+      .catch(error => logger.error(`Error running sync task for student ${task.student}:`, error))
+      .finally(() => {
+        activeCount--;
+        fill();
+      });
+  }
+}
+
+/**
+ * Queue a student's sync
+ * @param {string} studentId - Student ID
+ * @param {Object} options - Queue options
+ * @param {string} options.reason - One of SYNC_QUEUE.REASONS
+ * @param {string} options.priority - One of CODEFORCES.REQUEST_QUEUE.PRIORITIES; defaults to background
+ * @returns {Promise<Object>} The student's SyncTask
+ */
+exports.enqueueStudentSync = async (studentId, options) => {
+  const task = await SyncTask.enqueue(studentId, options);
+  fill();
+  return task;
+};
+
+/**
+ * Queue the syncs of many students
+ * @param {Array<string>} studentIds - Student IDs
+ * @param {Object} options - Queue options, as for enqueueStudentSync
+ * @returns {Promise<number>} Number of students queued
+ */
+exports.enqueueStudentSyncs = async (studentIds, options) => {
+  const count = await SyncTask.enqueueMany(studentIds, options);
+  fill();
+  return count;
+};
+
+/**
+ * Start the worker, first putting back the tasks a previous process left running
+ * @returns {Promise<void>}
+ */
+exports.startSyncWorker = async () => {
+  if (isStarted) return;
+
+  const resumed = await SyncTask.resumeInterrupted();
+  if (resumed > 0) {
+    logger.info(`Resuming ${resumed} student syncs interrupted by a restart`);
+  }
+
+  isStarted = true;
+
+  // Polling picks up retries once their backoff has passed
+  pollTimer = setInterval(fill, SYNC_QUEUE.POLL_INTERVAL_MS);
+  pollTimer.unref();
+  fill();
+
+  logger.info('Student sync worker started');
+};
+
+/**
+ * Stop claiming tasks; syncs that are still running are resumed on the next start
+ */
+exports.stopSyncWorker = () => {
+  isStarted = false;
+
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,169 @@
+/**
+ * Upsolve Service
+ * Works out which problems of the contests a student entered were left
+ * unsolved during the contest, and which of those were solved afterwards
+ */
+
+const Contest = require('../models/Contest');
+const Problem = require('../models/Problem');
+const Submission = require('../models/Submission');
+const GroupContest = require('../models/GroupContest');
+const { UPSOLVE } = require('../utils/constants');
+
+/**
+ * Find when each problem was first accepted
+ * @param {string} studentId - Student ID
+ * @param {Array<number>} contestIds - Contests to look at
+ * @returns {Promise<Map>} Problem ID to the first accepted submission time
+ */
+const findFirstAccepted = async (studentId, contestIds) => {
+  const accepted = await Submission.find({
+    student: studentId,
+    verdict: 'OK',
+    'problem.contestId': { $in: contestIds }
+  })
+    .select('problem.problemId submissionTime')
+    .sort({ submissionTime: 1 })
+    .lean();
+
+  const firstAccepted = new Map();
+  accepted.forEach(submission => {
+    if (!firstAccepted.has(submission.problem.problemId)) {
+      firstAccepted.set(submission.problem.problemId, submission.submissionTime);
+    }
+  });
+
+  return firstAccepted;
+};
+
+/**
+ * Build the upsolve list for the contests a student entered
+ * Contest times and problems come from the catalog, so contests it does not
+ * have yet are only counted
+ * @param {string} studentId - Student ID
+ * @param {Array<Object>} contests - Contest history entries ({ contestId, contestName, date, handle })
+ * @returns {Promise<Object>} { contests, missingContestCount }
+ */
+const buildUpsolveList = async (studentId, contests) => {
+  const contestIds = [...new Set(contests.map(contest => contest.contestId))];
+  if (contestIds.length === 0) {
+    return { contests: [], missingContestCount: 0 };
+  }
+
+  const [catalogContests, problems, firstAccepted] = await Promise.all([
+    Contest.find({ contestId: { $in: contestIds } }).select('contestId name division startTime endTime url').lean(),
+    Problem.find({ contestId: { $in: contestIds } }).sort({ contestId: 1, index: 1 }).lean(),
+    findFirstAccepted(studentId, contestIds)
+  ]);
+
+  const catalogById = new Map(catalogContests.map(contest => [contest.contestId, contest]));
+  const problemsByContest = new Map();
+  problems.forEach(problem => {
+    if (!problemsByContest.has(problem.contestId)) {
+      problemsByContest.set(problem.contestId, []);
+    }
+    problemsByContest.get(problem.contestId).push(problem);
+  });
+
+  let missingContestCount = 0;
+  const upsolveContests = [];
+
+  contests.forEach(contest => {
+    const catalog = catalogById.get(contest.contestId);
+    const contestProblems = problemsByContest.get(contest.contestId) || [];
+    if (!catalog || !catalog.endTime || contestProblems.length === 0) {
+      missingContestCount++;
+      return;
+    }
+
+    // Problems accepted before the contest ended were solved during it
+    const left = contestProblems
+      .filter(problem => {
+        const solvedAt = firstAccepted.get(problem.problemId);
+        return !solvedAt || solvedAt > catalog.endTime;
+      })
+      .map(problem => {
+        const solvedAt = firstAccepted.get(problem.problemId) || null;
+        return {
+          problemId: problem.problemId,
+          index: problem.index,
+          name: problem.name,
+          rating: problem.rating || null,
+          tags: problem.tags,
+          url: problem.url,
+          status: solvedAt ? UPSOLVE.STATUS.UPSOLVED : UPSOLVE.STATUS.UNSOLVED,
+          upsolvedOn: solvedAt
+        };
+      });
+
+    upsolveContests.push({
+      contestId: contest.contestId,
+      contestName: contest.contestName || catalog.name,
+      division: catalog.division || null,
+      date: contest.date,
+      handle: contest.handle,
+      url: catalog.url,
+      problemCount: contestProblems.length,
+      solvedInContest: contestProblems.length - left.length,
+      unsolvedCount: left.filter(problem => problem.status === UPSOLVE.STATUS.UNSOLVED).length,
+      upsolvedCount: left.filter(problem => problem.status === UPSOLVE.STATUS.UPSOLVED).length,
+      problems: left
+    });
+  });
+
+  // Most recent contests first, as they are the ones worth upsolving now
+  upsolveContests.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return { contests: upsolveContests, missingContestCount };
+};
+
+/**
+ * Fill in the number of problems still to upsolve for each contest
+ * @param {string} studentId - Student ID
+ * @param {Array<Object>} contests - Processed contests from fetchUserContests
+ * @returns {Promise<Array<Object>>} The contests with unsolvedProblems set
+ */
+const withUnsolvedCounts = async (studentId, contests) => {
+  const { contests: upsolveContests } = await buildUpsolveList(studentId, contests);
+  const counts = new Map(upsolveContests.map(contest => [contest.contestId, contest.unsolvedCount]));
+
+  return contests.map(contest => ({
+    ...contest,
+    unsolvedProblems: counts.get(contest.contestId) || 0
+  }));
+};
+
+/**
+ * Get a student's private group contest and mashup results as contest history entries
+ * The catalog does not have these contests, so problems count as unsolved
+ * until the student has an accepted submission for them
+ * @param {string} studentId - Student ID
+ * @param {Object} range - Optional { since, until } dates
+ * @returns {Promise<Array<Object>>} Contest history entries, oldest first
+ */
+const findGroupContestHistory = async (studentId, range = {}) => {
+  const results = await GroupContest.findStudentResults(studentId, range);
+  if (results.length === 0) {
+    return [];
+  }
+
+  const firstAccepted = await findFirstAccepted(studentId, [...new Set(results.map(result => result.contestId))]);
+
+  return results.map(result => {
+    // Problem IDs are the contest ID followed by the problem index
+    const solvedCount = [...firstAccepted.keys()]
+      .filter(problemId => new RegExp(`^${result.contestId}[A-Z]`).test(problemId))
+      .length;
+
+    return {
+      ...result,
+      unsolvedProblems: Math.max(result.problemCount - solvedCount, 0)
+    };
+  });
+};
+
+module.exports = {
+  buildUpsolveList,
+  withUnsolvedCounts,
+  findGroupContestHistory
+};
@@ -0,0 +1,72 @@
+/**
+ * Platform Fixture Transport
+ * Stands in for the request helper of the platform adapters and answers from
+ * the responses recorded under this directory, one folder per platform. A
+ * fixture holds the request it answers (url, and for GraphQL the operation and
+ * variables) with the status and body of the response.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load the recorded responses of a platform
+ * @param {string} platform - Key from PLATFORMS, also the fixture folder name
+ * @returns {Array<Object>} Fixtures
+ */
+const loadFixtures = (platform) => {
+  const dir = path.join(__dirname, platform);
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+};
+
+// GraphQL requests share one URL, so they are told apart by the operation and its variables
+const matches = (fixture, url, options) => {
+  if (fixture.url !== url) return false;
+  if (!fixture.operation) return true;
+
+  const { query = '', variables = {} } = options.data || {};
+  return query.includes(`query ${fixture.operation}(`) &&
+    Object.entries(fixture.variables || {}).every(([name, value]) => variables[name] === value);
+};
+
+/**
+ * Build the error axios throws for a failed response
+ * @param {Object} fixture - Recorded failure
+ * @returns {Error} Error with the response attached
+ */
+const createResponseError = (fixture) => {
+  const error = new Error(`Request failed with status code ${fixture.status}`);
+  error.isAxiosError = true;
+  error.response = { status: fixture.status, data: fixture.data };
+  error.config = { url: fixture.url };
+  return error;
+};
+
+/**
+ * Create a request function that replays a platform's recorded responses
+ * @param {string} platform - Key from PLATFORMS
+ * @returns {Function} jest mock with the signature of request(url, options)
+ */
+const createFixtureRequest = (platform) => {
+  const fixtures = loadFixtures(platform);
+
+  return jest.fn(async (url, options = {}) => {
+    const fixture = fixtures.find(candidate => matches(candidate, url, options));
+
+    if (!fixture) {
+      throw new Error(`No recorded ${platform} response for ${url}`);
+    }
+    if (fixture.status >= 300) {
+      throw createResponseError(fixture);
+    }
+
+    return fixture.data;
+  });
+};
+
+module.exports = {
+  createFixtureRequest
+};
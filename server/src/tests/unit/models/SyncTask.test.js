@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const SyncTask = require('../../../models/SyncTask');
+const { SYNC_QUEUE, CODEFORCES } = require('../../../utils/constants');
+
+const { STATUSES, REASONS } = SYNC_QUEUE;
+const { PRIORITIES } = CODEFORCES.REQUEST_QUEUE;
+
+/**
+ * Keep SyncTask documents in memory
+ * Supports the filters and updates the model uses: equality, $ne, $in and $lte
+ * filters, $set and $inc updates, upserts and the unique student index
+ */
+const createStore = () => {
+  const documents = [];
+
+  const same = (a, b) => (a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a) === String(b));
+
+  const matchesCondition = (value, condition) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case '$ne': return !same(value, operand);
+          case '$in': return operand.some(candidate => same(value, candidate));
+          case '$lte': return value <= operand;
+          default: throw new Error(`Unsupported operator ${operator}`);
+        }
+      });
+    }
+    return same(value, condition);
+  };
+
+  const matches = (document, filter) => Object.entries(filter)
+    .every(([field, condition]) => matchesCondition(document[field], condition));
+
+  const applyUpdate = (document, update) => {
+    const { $set = {}, $inc = {}, ...plain } = update;
+    Object.assign(document, plain, $set);
+    Object.entries($inc).forEach(([field, amount]) => { document[field] = (document[field] || 0) + amount; });
+  };
+
+  const findOneAndUpdate = async (filter, update, options = {}) => {
+    let document = documents.find(candidate => matches(candidate, filter));
+
+    if (!document) {
+      if (!options.upsert) return null;
+
+      if (documents.some(candidate => same(candidate.student, filter.student))) {
+        const error = new Error('E11000 duplicate key error collection: synctasks index: student_1');
+        error.code = 11000;
+        throw error;
+      }
+
+      document = new SyncTask({ student: filter.student }).toObject();
+      documents.push(document);
+    }
+
+    applyUpdate(document, update);
+    return SyncTask.hydrate({ ...document });
+  };
+
+  return { documents, findOneAndUpdate };
+};
+
+describe('SyncTask', () => {
+  let store;
+  let studentId;
+
+  beforeEach(async () => {
+    store = createStore();
+    jest.spyOn(SyncTask, 'findOneAndUpdate').mockImplementation(store.findOneAndUpdate);
+
+    studentId = new mongoose.Types.ObjectId();
+    await SyncTask.enqueue(studentId, { reason: REASONS.SCHEDULED });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a queued task', async () => {
+    const task = await SyncTask.claimNext();
+
+    expect(task.status).toBe(STATUSES.RUNNING);
+    expect(task.attempts).toBe(1);
+    expect(store.documents[0].status).toBe(STATUSES.RUNNING);
+  });
+
+  it('marks a task succeeded when no rerun was requested', async () => {
+    const task = await SyncTask.claimNext();
+    await task.markSucceeded();
+
+    expect(store.documents[0]).toMatchObject({ status: STATUSES.SUCCEEDED, rerunRequested: false });
+  });
+
+  it('queues a task again when it is enqueued while it runs', async () => {
+    const task = await SyncTask.claimNext();
+    await SyncTask.enqueue(studentId, { reason: REASONS.REFRESH, priority: PRIORITIES.INTERACTIVE });
+
+    expect(store.documents).toHaveLength(1);
+    expect(store.documents[0]).toMatchObject({ status: STATUSES.RUNNING, rerunRequested: true, reason: REASONS.REFRESH });
+
+    // The claimed document still holds the flag it was claimed with
+    expect(task.rerunRequested).toBe(false);
+    await task.markSucceeded();
+
+    expect(store.documents[0]).toMatchObject({
+      status: STATUSES.QUEUED,
+      rerunRequested: false,
+      attempts: 0,
+      lastError: null
+    });
+    expect(store.documents[0].lastSucceededAt).toBeInstanceOf(Date);
+  });
+
+  it('queues a failed task again instead of retrying it later when it was enqueued while it ran', async () => {
+    const task = await SyncTask.claimNext();
+    await SyncTask.enqueue(studentId, { reason: REASONS.HANDLE_CHANGED });
+    await task.markFailed(new Error('Request failed with status code 503'));
+
+    expect(store.documents[0]).toMatchObject({
+      status: STATUSES.QUEUED,
+      rerunRequested: false,
+      lastError: 'Request failed with status code 503'
+    });
+  });
+
+  it('schedules a retry for a failed task', async () => {
+    const task = await SyncTask.claimNext();
+    await task.markFailed(new Error('Request failed with status code 503'));
+
+    expect(store.documents[0].status).toBe(STATUSES.FAILED);
+    expect(store.documents[0].nextRunAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
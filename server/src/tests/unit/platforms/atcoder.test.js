@@ -0,0 +1,92 @@
+const { createAtCoderAdapter } = require('../../../services/platforms/atcoder');
+const { createFixtureRequest } = require('../../fixtures/platforms/fixtureRequest');
+
+describe('AtCoder adapter', () => {
+  let request;
+  let adapter;
+
+  beforeEach(() => {
+    request = createFixtureRequest('atcoder');
+    adapter = createAtCoderAdapter({ request, delay: jest.fn() });
+  });
+
+  describe('fetchProfile', () => {
+    it('takes the rating from the latest rated contest', async () => {
+      const profile = await adapter.fetchProfile('sample_user');
+
+      expect(profile).toEqual({
+        handle: 'sample_user',
+        rating: 652,
+        maxRating: 689,
+        rank: 'Brown'
+      });
+    });
+
+    it('returns null for a user that does not exist', async () => {
+      expect(await adapter.fetchProfile('missing_user')).toBeNull();
+    });
+  });
+
+  describe('fetchSubmissions', () => {
+    it('maps submissions and looks up problem titles', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user');
+
+      expect(submissions).toHaveLength(5);
+      expect(submissions[0]).toEqual({
+        submissionId: '41012811',
+        problemId: 'abc300_a',
+        problemName: 'N-choice question',
+        problemUrl: 'https://atcoder.jp/contests/abc300/tasks/abc300_a',
+        problemRating: null,
+        verdict: 'OK',
+        language: 'C++ (GCC 9.2.1)',
+        submissionTime: new Date(1682770012 * 1000)
+      });
+      expect(submissions.map(submission => submission.verdict)).toEqual(['OK', 'WA', 'OK', 'OK', 'TLE']);
+    });
+
+    it('falls back to the problem ID for problems missing from the title list', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user');
+
+      expect(submissions[4].problemName).toBe('abc301_b');
+    });
+
+    it('only requests submissions since the given date', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user', { since: new Date('2023-05-13T00:00:00Z') });
+
+      expect(request).toHaveBeenCalledWith(expect.stringContaining('from_second=1683936000'));
+      expect(submissions.map(submission => submission.submissionId)).toEqual(['41351290', '41360544']);
+    });
+
+    it('fetches the problem titles once per adapter', async () => {
+      await adapter.fetchSubmissions('sample_user');
+      await adapter.fetchSubmissions('sample_user');
+
+      const titleRequests = request.mock.calls.filter(([url]) => url.endsWith('/resources/problems.json'));
+      expect(titleRequests).toHaveLength(1);
+    });
+  });
+
+  describe('fetchContestHistory', () => {
+    it('lists rated contests with their rating changes', async () => {
+      const history = await adapter.fetchContestHistory('sample_user');
+
+      expect(history.map(contest => contest.contestId)).toEqual(['abc298', 'abc300', 'abc301']);
+      expect(history[0]).toEqual({
+        contestId: 'abc298',
+        contestName: 'AtCoder Beginner Contest 298',
+        rank: 3821,
+        oldRating: 0,
+        newRating: 341,
+        ratingChange: 341,
+        date: new Date('2023-04-15T13:40:00Z')
+      });
+      expect(history[1].contestName).toBe('UNIQUE VISION Programming Contest 2023 Spring(AtCoder Beginner Contest 300)');
+      expect(history[2].ratingChange).toBe(-37);
+    });
+
+    it('returns no contests for a user that does not exist', async () => {
+      expect(await adapter.fetchContestHistory('missing_user')).toEqual([]);
+    });
+  });
+});
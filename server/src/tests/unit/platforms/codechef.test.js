@@ -0,0 +1,101 @@
+const { createCodeChefAdapter } = require('../../../services/platforms/codechef');
+const { createFixtureRequest } = require('../../fixtures/platforms/fixtureRequest');
+
+describe('CodeChef adapter', () => {
+  let request;
+  let delay;
+  let adapter;
+
+  beforeEach(() => {
+    request = createFixtureRequest('codechef');
+    delay = jest.fn();
+    adapter = createCodeChefAdapter({ request, delay });
+  });
+
+  describe('fetchProfile', () => {
+    it('reads the rating, highest rating and stars from the profile page', async () => {
+      const profile = await adapter.fetchProfile('sample_user');
+
+      expect(profile).toEqual({
+        handle: 'sample_user',
+        rating: 1489,
+        maxRating: 1516,
+        rank: '2★'
+      });
+    });
+
+    it('returns null for a user that does not exist', async () => {
+      expect(await adapter.fetchProfile('missing_user')).toBeNull();
+      expect(request).toHaveBeenCalledWith('https://www.codechef.com/users/missing_user', expect.objectContaining({ maxRedirects: 0 }));
+    });
+  });
+
+  describe('fetchSubmissions', () => {
+    it('parses every page of the recent activity feed', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user');
+
+      expect(submissions.map(submission => submission.submissionId)).toEqual(['96302184', '96301022', '95877410']);
+      expect(submissions[0]).toEqual({
+        submissionId: '96302184',
+        problemId: 'FLOW001',
+        problemName: 'FLOW001',
+        problemUrl: 'https://www.codechef.com/problems/FLOW001',
+        problemRating: null,
+        verdict: 'OK',
+        language: 'C++17',
+        // Times are shown in Indian Standard Time
+        submissionTime: new Date('2023-05-05T17:01:00Z')
+      });
+      expect(submissions[1].verdict).toBe('WRONG_ANSWER');
+      expect(submissions[2].submissionTime).toEqual(new Date('2023-04-28T14:45:00Z'));
+      expect(delay).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops once a page reaches submissions older than the given date', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user', { since: new Date('2023-05-05T16:45:00Z') });
+
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(submissions).toHaveLength(2);
+    });
+  });
+
+  describe('fetchContestHistory', () => {
+    it('lists rated contests with the change from the previous rating', async () => {
+      const history = await adapter.fetchContestHistory('sample_user');
+
+      expect(history).toEqual([
+        {
+          contestId: 'START86D',
+          contestName: 'Starters 86 Division 4 (Rated)',
+          rank: 4521,
+          oldRating: null,
+          newRating: 1432,
+          ratingChange: null,
+          date: new Date('2023-04-19T16:30:00Z')
+        },
+        {
+          contestId: 'START87D',
+          contestName: 'Starters 87 Division 4 (Rated)',
+          rank: 2210,
+          oldRating: 1432,
+          newRating: 1516,
+          ratingChange: 84,
+          date: new Date('2023-04-26T16:30:00Z')
+        },
+        {
+          contestId: 'START88D',
+          contestName: 'Starters 88 Division 4 (Rated)',
+          rank: 3874,
+          oldRating: 1516,
+          newRating: 1489,
+          ratingChange: -27,
+          date: new Date('2023-05-03T16:30:00Z')
+        }
+      ]);
+    });
+
+    it('returns no contests for a user that does not exist', async () => {
+      expect(await adapter.fetchContestHistory('missing_user')).toEqual([]);
+    });
+  });
+});
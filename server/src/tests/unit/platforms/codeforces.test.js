@@ -0,0 +1,90 @@
+// The adapter reads Codeforces through codeforcesService, which replays the
+// responses recorded under fixtures/platforms/codeforces in its own fixture layout
+process.env.CODEFORCES_API_MODE = 'replay';
+process.env.CODEFORCES_FIXTURES_DIR = 'src/tests/fixtures/platforms/codeforces';
+
+const { createCodeforcesAdapter } = require('../../../services/platforms/codeforces');
+
+describe('Codeforces adapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createCodeforcesAdapter();
+  });
+
+  describe('fetchProfile', () => {
+    it('reads the rating, highest rating and rank', async () => {
+      const profile = await adapter.fetchProfile('sample_user');
+
+      expect(profile).toEqual({
+        handle: 'sample_user',
+        rating: 1432,
+        maxRating: 1517,
+        rank: 'specialist'
+      });
+    });
+
+    it('reports an unrated user with a rating of 0', async () => {
+      expect(await adapter.fetchProfile('unrated_user')).toEqual({
+        handle: 'unrated_user',
+        rating: 0,
+        maxRating: 0,
+        rank: null
+      });
+    });
+
+    it('returns null for a user that does not exist', async () => {
+      expect(await adapter.fetchProfile('missing_user')).toBeNull();
+    });
+  });
+
+  describe('fetchSubmissions', () => {
+    it('maps the submissions, newest first', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user');
+
+      expect(submissions.map(submission => submission.submissionId)).toEqual(['204811532', '204810027', '203567120']);
+      expect(submissions[0]).toEqual({
+        submissionId: '204811532',
+        problemId: '1822B',
+        problemName: 'Karina and Array',
+        problemUrl: 'https://codeforces.com/contest/1822/problem/B',
+        problemRating: 800,
+        verdict: 'OK',
+        language: 'GNU C++17',
+        submissionTime: new Date(1683127811 * 1000)
+      });
+      expect(submissions[1].verdict).toBe('WRONG_ANSWER');
+    });
+  });
+
+  describe('fetchContestHistory', () => {
+    it('lists rated contests with their rating changes', async () => {
+      const history = await adapter.fetchContestHistory('sample_user');
+
+      expect(history).toEqual([
+        {
+          contestId: '1811',
+          contestName: 'Codeforces Round 863 (Div. 3)',
+          rank: 5210,
+          oldRating: 1400,
+          newRating: 1517,
+          ratingChange: 117,
+          date: new Date(1680718500 * 1000)
+        },
+        {
+          contestId: '1820',
+          contestName: 'Codeforces Round 866 (Div. 2)',
+          rank: 8843,
+          oldRating: 1517,
+          newRating: 1432,
+          ratingChange: -85,
+          date: new Date(1682360700 * 1000)
+        }
+      ]);
+    });
+
+    it('returns no contests for an unrated user', async () => {
+      expect(await adapter.fetchContestHistory('unrated_user')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { createLeetCodeAdapter } = require('../../../services/platforms/leetcode');
+const { createFixtureRequest } = require('../../fixtures/platforms/fixtureRequest');
+
+describe('LeetCode adapter', () => {
+  let request;
+  let adapter;
+
+  beforeEach(() => {
+    request = createFixtureRequest('leetcode');
+    adapter = createLeetCodeAdapter({ request });
+  });
+
+  describe('fetchProfile', () => {
+    it('reads the contest rating and the highest rating reached', async () => {
+      const profile = await adapter.fetchProfile('sample_user');
+
+      expect(profile).toEqual({
+        handle: 'sample_user',
+        rating: 1623,
+        maxRating: 1651,
+        rank: null
+      });
+      expect(request).toHaveBeenCalledWith('https://leetcode.com/graphql', expect.objectContaining({ method: 'POST' }));
+    });
+
+    it('returns null for a user that does not exist', async () => {
+      expect(await adapter.fetchProfile('missing_user')).toBeNull();
+    });
+  });
+
+  describe('fetchSubmissions', () => {
+    it('maps the recent accepted submissions', async () => {
+      const submissions = await adapter.fetchSubmissions('sample_user');
+
+      expect(submissions).toHaveLength(3);
+      expect(submissions[2]).toEqual({
+        submissionId: '947830112',
+        problemId: 'two-sum',
+        problemName: 'Two Sum',
+        problemUrl: 'https://leetcode.com/problems/two-sum/',
+        problemRating: null,
+        verdict: 'OK',
+        language: 'python3',
+        submissionTime: new Date(1682401337 * 1000)
+      });
+    });
+  });
+
+  describe('fetchContestHistory', () => {
+    it('lists attended contests, starting from the initial rating', async () => {
+      const history = await adapter.fetchContestHistory('sample_user');
+
+      expect(history).toEqual([
+        {
+          contestId: 'weekly-contest-341',
+          contestName: 'Weekly Contest 341',
+          rank: 9421,
+          oldRating: 1500,
+          newRating: 1533,
+          ratingChange: 33,
+          date: new Date(1681612200 * 1000)
+        },
+        {
+          contestId: 'weekly-contest-342',
+          contestName: 'Weekly Contest 342',
+          rank: 3318,
+          oldRating: 1533,
+          newRating: 1651,
+          ratingChange: 118,
+          date: new Date(1682217000 * 1000)
+        },
+        {
+          contestId: 'biweekly-contest-103',
+          contestName: 'Biweekly Contest 103',
+          rank: 11205,
+          oldRating: 1651,
+          newRating: 1623,
+          ratingChange: -28,
+          date: new Date(1682778600 * 1000)
+        }
+      ]);
+    });
+
+    it('returns no contests for a user that does not exist', async () => {
+      expect(await adapter.fetchContestHistory('missing_user')).toEqual([]);
+    });
+  });
+});
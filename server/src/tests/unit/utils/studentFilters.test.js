@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { encodeCursor, buildCursorFilter } = require('../../../utils/studentFilters');
+
+const encode = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+describe('buildCursorFilter', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('continues after the last student of a page', () => {
+    const sort = { currentRating: -1, _id: -1 };
+    const filter = buildCursorFilter(encodeCursor({ _id: id, currentRating: 1500 }, sort), sort);
+
+    expect(filter.$or[0]).toEqual({ currentRating: { $lt: 1500 } });
+  });
+
+  it('decodes date values', () => {
+    const sort = { lastDataUpdate: 1, _id: 1 };
+    const lastDataUpdate = new Date('2023-05-06T10:00:00Z');
+    const filter = buildCursorFilter(encodeCursor({ _id: id, lastDataUpdate }, sort), sort);
+
+    expect(filter.$or[0]).toEqual({ lastDataUpdate: { $gt: lastDataUpdate } });
+  });
+
+  it.each([
+    ['a value with query operators', { v: { $gt: '' }, d: false, id: String(id) }],
+    ['a value that is not a date when a date is expected', { v: 'yesterday', d: true, id: String(id) }],
+    ['a date that is not an ISO date string', { v: 1683367200000, d: true, id: String(id) }],
+    ['a position without the date flag', { v: 1500, id: String(id) }],
+    ['an ID that is not a string', { v: 1500, d: false, id: { $ne: null } }]
+  ])('rejects %s', (description, position) => {
+    expect(() => buildCursorFilter(encode(position), { currentRating: -1, _id: -1 }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
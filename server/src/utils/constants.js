@@ -13,9 +13,55 @@ const CODEFORCES = {
   PROBLEM_SET_ENDPOINT: '/problemset.problems',
   MAX_RETRIES: 3,
   RETRY_DELAY_MS: 2000,
-  API_CALL_DELAY_MS: 500,
+  // Process-wide request queue; Codeforces allows roughly one call every two seconds
+  REQUEST_QUEUE: {
+    INTERVAL_MS: 2000,
+    BACKOFF_BASE_MS: 5000,
+    BACKOFF_MAX_MS: 60000,
+    PRIORITIES: {
+      INTERACTIVE: 'interactive',
+      BACKGROUND: 'background'
+    }
+  },
+  // Stored API responses, kept per method for the given time (in ms); methods not listed are never cached
+  RESPONSE_CACHE: {
+    TTL_MS: {
+      'user.info': 10 * 60 * 1000,
+      // Ratings only change after a contest, so they are kept the longest
+      'user.rating': 6 * 60 * 60 * 1000,
+      // Kept briefly so repeated refreshes do not refetch the same page
+      'user.status': 60 * 1000,
+      'contest.list': 60 * 60 * 1000,
+      // Standings are requested with unofficial rows, which change as virtual
+      // participations are added, so finished contests are not kept longer
+      'contest.standings': 60 * 1000,
+      'contest.status': 60 * 1000,
+      'problemset.problems': 60 * 60 * 1000
+    },
+    ENTRY_PAGE_SIZE: 50
+  },
+  // Record responses to fixture files, or replay them without network access (CODEFORCES_API_MODE)
+  API_MODES: {
+    LIVE: 'live',
+    RECORD: 'record',
+    REPLAY: 'replay'
+  },
+  FIXTURES_DIR: 'fixtures/codeforces',
+  // Participations counted as results of a group contest; practice submissions are not
+  GROUP_CONTEST_PARTICIPANT_TYPES: ['CONTESTANT', 'OUT_OF_COMPETITION', 'VIRTUAL'],
+  STUB_PORT: 8090,
   MAX_BATCH_SIZE: 50,
   DEFAULT_SUBMISSION_COUNT: 10000,
+  // Divisions recognised in contest names, most specific first
+  CONTEST_DIVISIONS: [
+    { name: 'Div. 1 + Div. 2', pattern: /Div\.\s*1\s*\+\s*Div\.\s*2/i },
+    { name: 'Educational', pattern: /Educational/i },
+    { name: 'Global', pattern: /Global Round/i },
+    { name: 'Div. 1', pattern: /Div\.\s*1\b/i },
+    { name: 'Div. 2', pattern: /Div\.\s*2\b/i },
+    { name: 'Div. 3', pattern: /Div\.\s*3\b/i },
+    { name: 'Div. 4', pattern: /Div\.\s*4\b/i }
+  ],
   VERDICTS: {
     ACCEPTED: 'OK',
     WRONG_ANSWER: 'WRONG_ANSWER',
@@ -27,10 +73,32 @@ const CODEFORCES = {
     REJECTED: 'REJECTED',
     PRESENTATION_ERROR: 'PRESENTATION_ERROR',
     CHALLENGED: 'CHALLENGED',
-    IDLENESS_LIMIT_EXCEEDED: 'IDLENESS_LIMIT_EXCEEDED'
+    IDLENESS_LIMIT_EXCEEDED: 'IDLENESS_LIMIT_EXCEEDED',
+    // Reported while the submission is still being judged
+    TESTING: 'TESTING'
+  },
+  // How the author of a submission took part in the contest
+  PARTICIPANT_TYPES: {
+    CONTESTANT: 'CONTESTANT',
+    PRACTICE: 'PRACTICE',
+    VIRTUAL: 'VIRTUAL',
+    MANAGER: 'MANAGER',
+    OUT_OF_COMPETITION: 'OUT_OF_COMPETITION'
   }
 };
 
+// Competitive Programming Platforms
+// Codeforces is the primary platform (Student.codeforcesHandle); the others are linked as extra accounts
+const PLATFORMS = {
+  CODEFORCES: 'codeforces',
+  ATCODER: 'atcoder',
+  CODECHEF: 'codechef',
+  LEETCODE: 'leetcode'
+};
+
+// Platforms a student can link in addition to Codeforces
+const EXTRA_PLATFORMS = [PLATFORMS.ATCODER, PLATFORMS.CODECHEF, PLATFORMS.LEETCODE];
+
 // Rating Categories and Colors
 const RATING_CATEGORIES = [
   { name: 'Newbie', minRating: 0, maxRating: 1199, color: '#CCCCCC' },
@@ -66,10 +134,73 @@ const PAGINATION = {
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 10,
   MAX_LIMIT: 100,
-  SORT_FIELDS: ['name', 'email', 'codeforcesHandle', 'currentRating', 'maxRating', 'createdAt', 'lastDataUpdate'],
+  // Only these fields may be used to sort the student list
+  SORT_FIELDS: ['name', 'email', 'codeforcesHandle', 'currentRating', 'maxRating', 'createdAt', 'lastDataUpdate', 'emailReminders.count'],
   SORT_ORDERS: ['asc', 'desc']
 };
 
+// Codeforces Handle Health
+const HANDLE_STATUS = {
+  // Outcome of the latest sync for the student's handle
+  STATUSES: {
+    OK: 'ok',
+    RENAMED: 'renamed', // The handle was renamed on Codeforces and the sync followed the new one
+    NOT_FOUND: 'notFound',
+    API_UNAVAILABLE: 'apiUnavailable',
+    RATE_LIMITED: 'rateLimited',
+    FAILED: 'failed'
+  },
+  // Failed syncs in a row before a student is listed as needing attention
+  ATTENTION_FAILURE_COUNT: 3
+};
+
+// Contest and Problem Catalog
+const CATALOG = {
+  // Contest phases grouped by the status used in the contest list filter
+  CONTEST_STATUS_PHASES: {
+    upcoming: ['BEFORE'],
+    ongoing: ['CODING', 'PENDING_SYSTEM_TEST', 'SYSTEM_TEST'],
+    finished: ['FINISHED']
+  },
+  // Only these fields may be used to sort the problem list
+  PROBLEM_SORT_FIELDS: ['rating', 'solvedCount', 'contestId']
+};
+
+// Upsolve Tracker
+const UPSOLVE = {
+  // Problems left unsolved during a contest are either still open or solved afterwards
+  STATUS: {
+    UNSOLVED: 'unsolved',
+    UPSOLVED: 'upsolved'
+  }
+};
+
+// Student Sync Queue
+const SYNC_QUEUE = {
+  // Dead tasks used up their attempts (or hit a handle that does not exist) and are not retried
+  STATUSES: {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    DEAD: 'dead'
+  },
+  REASONS: {
+    CREATED: 'created',
+    HANDLE_CHANGED: 'handleChanged',
+    REFRESH: 'refresh',
+    IMPORTED: 'imported',
+    SCHEDULED: 'scheduled'
+  },
+  MAX_ATTEMPTS: 5,
+  // Delay before the first retry; doubled for each attempt that follows (in ms)
+  BACKOFF_BASE_MS: 60 * 1000,
+  BACKOFF_MAX_MS: 6 * 60 * 60 * 1000,
+  // Students synced at the same time; their Codeforces calls still go through the request queue
+  CONCURRENCY: 3,
+  POLL_INTERVAL_MS: 10 * 1000
+};
+
 // Email Constants
 const EMAIL = {
   TYPES: {
@@ -101,15 +232,95 @@ const EMAIL = {
 // Cron Job Constants
 const CRON_JOBS = {
   CODEFORCES_SYNC: 'codeforcesSync',
+  RATING_REFRESH: 'ratingRefresh',
+  CATALOG_SYNC: 'catalogSync',
+  GROUP_CONTEST_SYNC: 'groupContestSync',
   INACTIVITY_CHECK: 'inactivityCheck',
   EMAIL_REMINDER: 'emailReminder',
   DEFAULT_SCHEDULES: {
     CODEFORCES_SYNC: '0 2 * * *', // 2 AM daily
+    RATING_REFRESH: '0 * * * *', // Every hour
+    CATALOG_SYNC: '30 */6 * * *', // Every 6 hours
+    GROUP_CONTEST_SYNC: '45 */6 * * *', // Every 6 hours
     INACTIVITY_CHECK: '0 3 * * *', // 3 AM daily
     EMAIL_REMINDER: '0 10 * * *' // 10 AM daily
   }
 };
 
+// User Roles
+const USER_ROLES = {
+  ADMIN: 'admin',
+  MENTOR: 'mentor',
+  VIEWER: 'viewer'
+};
+
+// Student Portal Constants
+const STUDENT_PORTAL = {
+  ROLE: 'student', // Carried by magic-link sessions, never assignable to staff accounts
+  LOGIN_LINK_TTL_MINUTES: 15,
+  SESSION_EXPIRY: '7d',
+  LOGIN_SUBJECT: 'Your Student Progress login link'
+};
+
+// Audit Log Constants
+const AUDIT = {
+  ACTIONS: {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESET: 'reset',
+    EXPORT: 'export',
+    ARCHIVE: 'archive',
+    RESTORE: 'restore',
+    PURGE: 'purge'
+  },
+  TARGETS: {
+    STUDENT: 'Student',
+    STUDENTS: 'Students', // Exports covering more than one student
+    CRON_JOB: 'CronJob',
+    COHORT: 'Cohort',
+    API_CACHE: 'ApiCache',
+    SETTINGS: 'Settings'
+  },
+  // Fields left out of before/after diffs
+  IGNORED_FIELDS: ['_id', '__v', 'createdAt', 'updatedAt', 'portalAccess']
+};
+
+// Student Notes Constants
+const STUDENT_NOTES = {
+  CATEGORIES: {
+    MEETING: 'meeting',
+    CONCERN: 'concern',
+    PRAISE: 'praise'
+  },
+  MAX_LENGTH: 5000
+};
+
+// Student Goal Constants
+const GOALS = {
+  TYPES: {
+    RATING: 'rating',
+    PROBLEMS: 'problems',
+    CONTESTS: 'contests'
+  },
+  // Recurring goals restart every period; goals without a period run until their deadline
+  PERIODS: {
+    WEEK: 'week',
+    MONTH: 'month'
+  },
+  STATUS: {
+    ACTIVE: 'active',
+    ACHIEVED: 'achieved',
+    MISSED: 'missed'
+  },
+  // Summary kept on the student for lists and the reminder job
+  TRACKING: {
+    NONE: 'none',
+    ON_TRACK: 'on-track',
+    OFF_TRACK: 'off-track'
+  }
+};
+
 // Inactivity Constants
 const INACTIVITY = {
   DEFAULT_THRESHOLD_DAYS: 7,
@@ -124,6 +335,22 @@ const FILE_UPLOAD = {
   UPLOAD_PATH: './uploads'
 };
 
+// Student CSV Import Constants
+const STUDENT_IMPORT = {
+  MODES: {
+    DRY_RUN: 'dry-run',
+    COMMIT: 'commit'
+  },
+  MAX_ROWS: 500,
+  // Accepted header spellings for each student field (compared lowercased, without spaces)
+  COLUMN_ALIASES: {
+    name: ['name', 'fullname', 'studentname'],
+    email: ['email', 'emailaddress'],
+    phoneNumber: ['phonenumber', 'phone', 'mobile'],
+    codeforcesHandle: ['codeforceshandle', 'handle', 'cfhandle', 'codeforces']
+  }
+};
+
 // API Response Status Codes and Messages
 const API_RESPONSES = {
   SUCCESS: {
@@ -213,14 +440,26 @@ const CHART_COLORS = {
 
 module.exports = {
   CODEFORCES,
+  PLATFORMS,
+  EXTRA_PLATFORMS,
   RATING_CATEGORIES,
   RATING_BUCKETS,
   DATE_RANGES,
   PAGINATION,
+  HANDLE_STATUS,
+  CATALOG,
+  UPSOLVE,
+  SYNC_QUEUE,
   EMAIL,
   CRON_JOBS,
+  USER_ROLES,
+  STUDENT_PORTAL,
+  AUDIT,
+  STUDENT_NOTES,
+  GOALS,
   INACTIVITY,
   FILE_UPLOAD,
+  STUDENT_IMPORT,
   API_RESPONSES,
   ERROR_MESSAGES,
   CSV_EXPORT,
@@ -7,6 +7,55 @@ const logger = require('./logger');
 const { subDays } = require('date-fns');
 const { RATING_BUCKETS, CODEFORCES } = require('./constants');
 
+/**
+ * Build a student query filter limited to the given cohorts
+ * @param {string|Array<string>} cohorts - Cohort ID or IDs; empty means every student
+ * @returns {Object} MongoDB filter to merge into student queries
+ */
+exports.buildCohortFilter = (cohorts) => {
+  const cohortIds = [].concat(cohorts || []).filter(Boolean);
+  return cohortIds.length > 0 ? { cohorts: { $in: cohortIds } } : {};
+};
+
+/**
+ * Build a student query filter for archived or current students
+ * @param {boolean|string} archived - true (or "true") for archived students only; anything else for current students
+ * @returns {Object} MongoDB filter to merge into student queries
+ */
+exports.buildArchivedFilter = (archived = false) => (
+  archived === true || archived === 'true' ? { archivedAt: { $ne: null } } : { archivedAt: null }
+);
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Input with regular expression characters escaped
+ */
+exports.escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read a comma-separated or repeated query parameter as a list
+ * @param {string|Array<string>} value - Query parameter value
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+exports.toList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Build a { $gte, $lte } condition from optional bounds
+ * @param {string|number} min - Lower bound; empty means none
+ * @param {string|number} max - Upper bound; empty means none
+ * @returns {Object|null} MongoDB condition, or null without bounds
+ */
+exports.buildRange = (min, max) => {
+  const range = {};
+  if (min !== undefined && min !== '') range.$gte = Number(min);
+  if (max !== undefined && max !== '') range.$lte = Number(max);
+  return Object.keys(range).length > 0 ? range : null;
+};
+
 /**
  * Calculate statistics from Codeforces submissions
  * @param {Array} submissions - Array of submission objects
@@ -0,0 +1,61 @@
+/**
+ * Student Access Helpers
+ * Restricts student queries to the records the current user is allowed to see
+ */
+
+const Student = require('../models/Student');
+const { USER_ROLES, STUDENT_PORTAL } = require('./constants');
+
+/**
+ * Build the query filter that limits students to the user's scope
+ * Mentors only see students assigned to them, portal sessions only see their own
+ * record; admins and viewers see everyone
+ * @param {Object} user - Authenticated user from req.user
+ * @returns {Object} MongoDB filter to merge into student queries
+ */
+const getStudentScope = (user) => {
+  if (user && user.role === STUDENT_PORTAL.ROLE) {
+    return { _id: user.id };
+  }
+
+  if (user && user.role === USER_ROLES.MENTOR) {
+    return { mentors: user.id };
+  }
+
+  return {};
+};
+
+/**
+ * Find a single student if it is within the user's scope
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} studentId - Student ID
+ * @param {string} projection - Optional field selection
+ * @returns {Query} Mongoose query resolving to the student or null
+ */
+const findAccessibleStudent = (user, studentId, projection) => {
+  const query = Student.findOne({ _id: studentId, ...getStudentScope(user) });
+  return projection ? query.select(projection) : query;
+};
+
+/**
+ * Get the IDs of every student within the user's scope
+ * Returns null when neither the user nor the extra filter restricts the result
+ * @param {Object} user - Authenticated user from req.user
+ * @param {Object} extraFilter - Additional student filter, e.g. a cohort filter
+ * @returns {Promise<Array|null>} Array of student IDs or null
+ */
+const getAccessibleStudentIds = async (user, extraFilter = {}) => {
+  const scope = { ...getStudentScope(user), ...extraFilter };
+
+  if (Object.keys(scope).length === 0) {
+    return null;
+  }
+
+  return Student.distinct('_id', scope);
+};
+
+module.exports = {
+  getStudentScope,
+  findAccessibleStudent,
+  getAccessibleStudentIds
+};
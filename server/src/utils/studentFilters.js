@@ -0,0 +1,201 @@
+/**
+ * Student list filters
+ * Turns student list query parameters into a MongoDB filter and sort
+ */
+
+const mongoose = require('mongoose');
+const { subDays } = require('date-fns');
+const CodeforcesData = require('../models/CodeforcesData');
+const Submission = require('../models/Submission');
+const { getStudentScope } = require('./studentAccess');
+const { buildArchivedFilter, buildCohortFilter, escapeRegex, toList, buildRange } = require('./helpers');
+const { PAGINATION, GOALS } = require('./constants');
+
+// Window for the problems-solved filter when solvedDays is not given
+const DEFAULT_SOLVED_DAYS = 30;
+
+/**
+ * Find students whose last Codeforces submission falls inside a date range
+ * @param {string} after - ISO date the last submission must be on or after
+ * @param {string} before - ISO date the last submission must be on or before
+ * @returns {Promise<Array>} Student IDs
+ */
+const findStudentsByLastSubmission = (after, before) => {
+  const range = {};
+  if (after) range.$gte = new Date(after);
+  if (before) range.$lte = new Date(before);
+
+  // With only an upper bound, students who never submitted count as well
+  const condition = after
+    ? { lastSubmissionDate: range }
+    : { $or: [{ lastSubmissionDate: range }, { lastSubmissionDate: null }] };
+
+  return CodeforcesData.distinct('student', { supersededAt: null, ...condition });
+};
+
+/**
+ * Build the student filter for a list or export request
+ * @param {Object} query - Request query parameters (validated by studentValidation.getAll)
+ * @param {Object} user - Authenticated user, used to limit mentors to their students
+ * @returns {Promise<Object>} MongoDB filter for Student queries
+ */
+const buildStudentListFilter = async (query, user) => {
+  const filter = {
+    ...getStudentScope(user),
+    ...buildArchivedFilter(query.archived),
+    ...buildCohortFilter(query.cohort)
+  };
+
+  if (query.search) {
+    const pattern = { $regex: escapeRegex(query.search), $options: 'i' };
+    filter.$or = [{ name: pattern }, { email: pattern }, { codeforcesHandle: pattern }];
+  }
+  if (query.name) filter.name = { $regex: query.name, $options: 'i' };
+  if (query.email) filter.email = { $regex: query.email, $options: 'i' };
+  if (query.codeforcesHandle) filter.codeforcesHandle = { $regex: query.codeforcesHandle, $options: 'i' };
+  if (query.inactive === 'true') filter['inactivityStatus.isInactive'] = true;
+  if (query.goalStatus) {
+    // Students saved before goals existed have no goal status at all
+    filter['goalStatus.tracking'] = query.goalStatus === GOALS.TRACKING.NONE
+      ? { $in: [GOALS.TRACKING.NONE, null] }
+      : query.goalStatus;
+  }
+
+  const tags = toList(query.tags).map(tag => tag.toLowerCase());
+  if (tags.length > 0) filter.tags = { $all: tags };
+
+  const rating = buildRange(query.minRating, query.maxRating);
+  if (rating) filter.currentRating = rating;
+
+  const maxRating = buildRange(query.minMaxRating, query.maxMaxRating);
+  if (maxRating) filter.maxRating = maxRating;
+
+  const reminders = buildRange(query.minReminders, query.maxReminders);
+  if (reminders) filter['emailReminders.count'] = reminders;
+
+  // Conditions on synced Codeforces data narrow the list to matching student IDs
+  const idConditions = [];
+
+  if (query.lastSubmissionAfter || query.lastSubmissionBefore) {
+    const ids = await findStudentsByLastSubmission(query.lastSubmissionAfter, query.lastSubmissionBefore);
+    idConditions.push({ _id: { $in: ids } });
+  }
+
+  const solved = buildRange(query.minSolved, query.maxSolved);
+  if (solved) {
+    const days = Number(query.solvedDays) || DEFAULT_SOLVED_DAYS;
+    // Solved count by student ID; students with none are absent
+    const counts = await Submission.countSolvedByStudentSince(subDays(new Date(), days));
+    const inRange = ([, count]) => count >= (solved.$gte || 0) && (solved.$lte === undefined || count <= solved.$lte);
+
+    if (solved.$gte > 0) {
+      idConditions.push({ _id: { $in: [...counts].filter(inRange).map(([id]) => id) } });
+    } else {
+      // Students with no solves are not in the counts, so exclude those above the maximum instead
+      idConditions.push({ _id: { $nin: [...counts].filter(entry => !inRange(entry)).map(([id]) => id) } });
+    }
+  }
+
+  if (idConditions.length > 0) {
+    filter.$and = idConditions;
+  }
+
+  return filter;
+};
+
+/**
+ * Build the sort for a student list request
+ * @param {Object} query - Request query parameters (sortField is already checked against the whitelist)
+ * @returns {Object} MongoDB sort
+ */
+const buildStudentSort = (query) => {
+  const field = PAGINATION.SORT_FIELDS.includes(query.sortField) ? query.sortField : 'createdAt';
+  const order = query.sortOrder === 'asc' ? 1 : -1;
+  // Tie-break on _id so the order is stable and cursors never skip or repeat students
+  return { [field]: order, _id: order };
+};
+
+/**
+ * Encode the position after a student as an opaque cursor
+ * @param {Object} student - Last student on the page
+ * @param {Object} sort - Sort from buildStudentSort
+ * @returns {string} Cursor for the next page
+ */
+const encodeCursor = (student, sort) => {
+  const [field] = Object.keys(sort);
+  const value = field.split('.').reduce((object, key) => (object == null ? object : object[key]), student);
+
+  return Buffer.from(JSON.stringify({
+    v: value === undefined ? null : value,
+    d: value instanceof Date,
+    id: student._id
+  })).toString('base64url');
+};
+
+// Dates are encoded by JSON.stringify, which writes them with toISOString
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+/**
+ * Check that a decoded cursor holds a position encodeCursor could have written
+ * The value goes straight into the query, so anything else (an object with
+ * query operators in particular) is rejected
+ * @param {Object} position - Decoded cursor
+ * @returns {boolean} True for a valid position
+ */
+const isValidPosition = (position) => {
+  if (!position || typeof position !== 'object' || typeof position.id !== 'string' || !mongoose.isValidObjectId(position.id)) {
+    return false;
+  }
+
+  const { v: value, d: isDate } = position;
+  if (isDate === true) {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+  }
+
+  return isDate === false && (value === null || typeof value === 'string' || Number.isFinite(value));
+};
+
+/**
+ * Build the condition that selects students after a cursor in the given sort
+ * Students without a value sort before every other student, as MongoDB orders nulls
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {Object} sort - Sort from buildStudentSort
+ * @returns {Object} MongoDB condition
+ */
+const buildCursorFilter = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    position = null;
+  }
+
+  if (!isValidPosition(position)) {
+    const error = new Error('Invalid pagination cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [field] = Object.keys(sort);
+  const ascending = sort[field] === 1;
+  const id = new mongoose.Types.ObjectId(position.id);
+  const value = position.d ? new Date(position.v) : position.v;
+  const sameValueAfter = { [field]: value, _id: ascending ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    return ascending
+      ? { $or: [{ [field]: { $ne: null } }, sameValueAfter] }
+      : sameValueAfter;
+  }
+
+  return ascending
+    ? { $or: [{ [field]: { $gt: value } }, sameValueAfter] }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }, sameValueAfter] };
+};
+
+module.exports = {
+  buildStudentListFilter,
+  buildStudentSort,
+  encodeCursor,
+  buildCursorFilter
+};